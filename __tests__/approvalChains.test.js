@@ -0,0 +1,87 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const approvalService = require('../src/modules/quotes/services/approvalService');
+
+const step = role => ({ approver_role: role });
+const chains = [
+  { id: 1, name: 'Manager', min_total: 100000, max_total: 500000, min_discount_percent: null, steps: [step('manager')] },
+  { id: 2, name: 'Manager + finance + admin', min_total: 500000, max_total: null, min_discount_percent: null, steps: [step('manager'), step('finance'), step('admin')] },
+  { id: 3, name: 'Deep discount', min_total: null, max_total: null, min_discount_percent: 20, steps: [step('manager'), step('finance')] }
+];
+
+describe('Approval chains', () => {
+  test('picks the chain whose amount band or discount level matches', () => {
+    expect(approvalService.matchChain(chains, { amount: 50000, discountPercent: 5 })).toBeNull();
+    expect(approvalService.matchChain(chains, { amount: 100000, discountPercent: 0 }).id).toBe(1);
+    expect(approvalService.matchChain(chains, { amount: 500000, discountPercent: 0 }).id).toBe(2);
+    expect(approvalService.matchChain(chains, { amount: 1000, discountPercent: 25 }).id).toBe(3);
+  });
+
+  test('prefers the strictest chain when several match', () => {
+    expect(approvalService.matchChain(chains, { amount: 200000, discountPercent: 25 }).id).toBe(3);
+    expect(approvalService.matchChain(chains, { amount: 600000, discountPercent: 25 }).id).toBe(2);
+  });
+
+  test('lets role holders, assigned approvers and their delegates decide', () => {
+    const roleStep = { approver_role: 'finance', approver_id: null };
+    const userStep = { approver_role: 'manager', approver_id: 7 };
+    const delegations = [
+      { user_id: 7, user_role: 'manager', delegate_id: 12 },
+      { user_id: 9, user_role: 'finance', delegate_id: 12 }
+    ];
+
+    expect(approvalService.canDecide({ id: 3, role: 'finance' }, roleStep)).toEqual({ allowed: true, onBehalfOf: null });
+    expect(approvalService.canDecide({ id: 4, role: 'manager' }, userStep).allowed).toBe(false);
+    expect(approvalService.canDecide({ id: 7, role: 'manager' }, userStep).allowed).toBe(true);
+    expect(approvalService.canDecide({ id: 12, role: 'user' }, userStep, delegations)).toEqual({ allowed: true, onBehalfOf: 7 });
+    expect(approvalService.canDecide({ id: 12, role: 'user' }, roleStep, delegations)).toEqual({ allowed: true, onBehalfOf: 9 });
+    expect(approvalService.canDecide({ id: 13, role: 'user' }, roleStep, delegations).allowed).toBe(false);
+  });
+
+  test('does not let the requester or the quote creator decide its approval', async () => {
+    const pending = { id: 40, request_id: 8, quote_id: 5, status: 'pending', approver_role: 'manager', approver_id: null };
+    const connection = {
+      execute: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    approvalService.db = { getConnection: jest.fn().mockResolvedValue(connection) };
+    jest.spyOn(approvalService, 'getActiveDelegations').mockResolvedValue([{ user_id: 7, user_role: 'manager', delegate_id: 12 }]);
+
+    connection.execute.mockResolvedValue([[{ ...pending, requested_by: 7, quote_created_by: 12 }]]);
+    for (const actor of [{ id: 7, role: 'manager' }, { id: 12, role: 'user' }]) {
+      await expect(approvalService.decide(40, actor, 'approved')).rejects.toMatchObject({
+        message: 'You cannot decide the approval of a quote you requested or created',
+        statusCode: 403
+      });
+    }
+
+    expect(connection.execute).toHaveBeenCalledTimes(2);
+    expect(connection.execute.mock.calls[0][0]).toMatch(/r\.requested_by, q\.created_by as quote_created_by/);
+    expect(connection.rollback).toHaveBeenCalledTimes(2);
+    expect(connection.commit).not.toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+
+  test('validates chain configuration', () => {
+    expect(approvalService.validateChain({ name: 'Big', min_total: 1000, steps: [{ approver_role: 'finance', sla_hours: 8 }] })).toEqual([]);
+    expect(approvalService.validateChain({ name: 'Empty', steps: [] })).toEqual([
+      'At least one of min_total, max_total or min_discount_percent is required',
+      'steps must be a non-empty array'
+    ]);
+    expect(approvalService.validateChain({
+      name: 'Bad', min_total: 500, max_total: 100, steps: [{ approver_role: 'cashier', sla_hours: 0 }]
+    })).toEqual([
+      'max_total must be greater than min_total',
+      'steps[0].approver_role must be one of: manager, finance, admin',
+      'steps[0].sla_hours must be between 1 and 720'
+    ]);
+  });
+
+  test('treats date-only delegation ends as the end of that day', () => {
+    expect(approvalService.toTimestamp('2026-06-10')).toBe('2026-06-10T00:00:00.000Z');
+    expect(approvalService.toTimestamp('2026-06-10', true)).toBe('2026-06-10T23:59:59.999Z');
+    expect(approvalService.toTimestamp('not a date')).toBeNull();
+  });
+});
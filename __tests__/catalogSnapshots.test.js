@@ -0,0 +1,111 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const CatalogService = require('../src/modules/catalog/catalogService');
+const snapshotService = require('../src/modules/catalog/snapshotService');
+const thresholdService = require('../src/modules/catalog/thresholdService');
+const { ERPProduct, PIMProduct, ProductStatus } = require('../src/modules/catalog/models');
+
+describe('Catalog snapshots', () => {
+  const { NEW_PRODUCT: NEW, OBSOLETE_PRODUCT: OBSOLETE, AVAILABLE_PRODUCT: AVAILABLE } = ProductStatus;
+
+  beforeAll(async () => {
+    thresholdService.db = {
+      execute: jest.fn().mockResolvedValue([[
+        { scope: 'area', match_value: 'MODA', threshold: 5 },
+        { scope: 'area', match_value: 'DEFAULT', threshold: 10 }
+      ]])
+    };
+    thresholdService.invalidate();
+    await thresholdService.load();
+  });
+
+  test('classifies each product against its threshold', () => {
+    const results = new CatalogService().classifyProducts([
+      new ERPProduct({ sku: 'A', area: 'MODA', stock: 6 }),
+      new ERPProduct({ sku: 'B', area: 'MODA', stock: 4 }),
+      new ERPProduct({ sku: 'C', area: 'MODA', stock: 9 }),
+      new ERPProduct({ sku: 'D', area: 'HOGAR', stock: 2 })
+    ], [
+      new PIMProduct({ sku: 'C' }),
+      new PIMProduct({ sku: 'D' }),
+      new PIMProduct({ sku: 'E' })
+    ]);
+
+    expect(results.map(result => [(result.erpProduct || result.pimProduct).sku, result.status, result.area, result.threshold])).toEqual([
+      ['A', NEW, 'MODA', 5],
+      ['C', AVAILABLE, 'MODA', 5],
+      ['D', OBSOLETE, 'HOGAR', 10],
+      ['E', OBSOLETE, 'UNKNOWN', undefined]
+    ]);
+    expect(snapshotService.summarizeByArea(results)).toEqual([
+      { area: 'HOGAR', total_products: 1, new_count: 0, obsolete_count: 1, available_count: 0 },
+      { area: 'MODA', total_products: 2, new_count: 1, obsolete_count: 0, available_count: 1 },
+      { area: 'UNKNOWN', total_products: 1, new_count: 0, obsolete_count: 1, available_count: 0 }
+    ]);
+  });
+
+  test('lists SKUs that became new and those resolved between two snapshots', () => {
+    const diff = snapshotService.diffItems([
+      { sku: 'A', area: 'MODA', status: NEW, stock: 6 },
+      { sku: 'B', area: 'MODA', status: NEW, stock: 7 },
+      { sku: 'C', area: 'HOGAR', status: NEW, stock: 12 },
+      { sku: 'D', area: 'HOGAR', status: AVAILABLE, stock: 30 }
+    ], [
+      { sku: 'A', area: 'MODA', status: NEW, stock: 8 },
+      { sku: 'B', area: 'MODA', status: AVAILABLE, stock: 7 },
+      { sku: 'D', area: 'HOGAR', status: OBSOLETE, stock: 3 },
+      { sku: 'F', area: 'HOGAR', status: NEW, stock: 15 }
+    ]);
+
+    expect(diff.became_new).toEqual([{ sku: 'F', area: 'HOGAR', status: NEW, stock: 15, from_status: null }]);
+    expect(diff.resolved).toEqual([
+      { sku: 'B', area: 'MODA', status: NEW, stock: 7, to_status: AVAILABLE },
+      { sku: 'C', area: 'HOGAR', status: NEW, stock: 12, to_status: null }
+    ]);
+    expect(diff.transitions).toEqual({
+      [`${NEW}->${AVAILABLE}`]: 1,
+      [`${AVAILABLE}->${OBSOLETE}`]: 1,
+      [`absent->${NEW}`]: 1,
+      [`${NEW}->absent`]: 1
+    });
+  });
+
+  test('filters a comparison by area and refuses snapshots whose items were pruned', async () => {
+    const items = {
+      1: [{ sku: 'A', area: 'MODA', status: NEW }, { sku: 'C', area: 'HOGAR', status: NEW }],
+      2: [{ sku: 'B', area: 'MODA', status: NEW }]
+    };
+    jest.spyOn(snapshotService, 'getSnapshot').mockImplementation(async id => (
+      id === 3 ? { id: 3, items_pruned: 1 } : { id, created_at: '2026-10-0' + id, new_count: items[id].length, items_pruned: 0 }
+    ));
+    snapshotService.db = { execute: jest.fn(async (sql, [id]) => [items[id]]) };
+
+    const comparison = await snapshotService.compareSnapshots(1, 2, { area: 'moda' });
+
+    expect(comparison.summary).toEqual({ became_new: 1, resolved: 1, net_change: 0 });
+    expect(comparison.became_new.map(item => item.sku)).toEqual(['B']);
+    expect(comparison.resolved.map(item => item.sku)).toEqual(['A']);
+    await expect(snapshotService.compareSnapshots(3, 2)).rejects.toMatchObject({ statusCode: 400 });
+
+    jest.restoreAllMocks();
+  });
+
+  test('tells whether the backlog of each area is shrinking or growing', () => {
+    const trend = snapshotService.buildTrend([
+      { snapshot_id: 1, created_at: '2026-10-01 02:30:00', area: 'MODA', total_products: 40, new_count: 12, obsolete_count: 3, available_count: 25 },
+      { snapshot_id: 1, created_at: '2026-10-01 02:30:00', area: 'HOGAR', total_products: 20, new_count: 4, obsolete_count: 1, available_count: 15 },
+      { snapshot_id: 2, created_at: '2026-10-02 02:30:00', area: 'MODA', total_products: 40, new_count: 7, obsolete_count: 3, available_count: 30 },
+      { snapshot_id: 2, created_at: '2026-10-02 02:30:00', area: 'HOGAR', total_products: 22, new_count: 9, obsolete_count: 1, available_count: 12 },
+      { snapshot_id: 2, created_at: '2026-10-02 02:30:00', area: 'JUGUETES', total_products: 5, new_count: 2, obsolete_count: 0, available_count: 3 }
+    ]);
+
+    expect(trend.map(({ area, first_new_count, latest_new_count, change, trend: direction }) => (
+      { area, first_new_count, latest_new_count, change, direction }
+    ))).toEqual([
+      { area: 'HOGAR', first_new_count: 4, latest_new_count: 9, change: 5, direction: 'growing' },
+      { area: 'MODA', first_new_count: 12, latest_new_count: 7, change: -5, direction: 'shrinking' },
+      { area: 'JUGUETES', first_new_count: 2, latest_new_count: 2, change: 0, direction: 'flat' }
+    ]);
+    expect(trend[1].points.map(point => point.new_count)).toEqual([12, 7]);
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const taskService = require('../src/modules/catalog/taskService');
+const { ERPProduct, PIMProduct, ComparisonResult, ProductStatus } = require('../src/modules/catalog/models');
+
+describe('Catalog work queue', () => {
+  const { NEW_PRODUCT: NEW, OBSOLETE_PRODUCT: OBSOLETE, AVAILABLE_PRODUCT: AVAILABLE } = ProductStatus;
+  const erp = (sku, stock, price) => new ERPProduct({ sku, area: 'HOGAR', description: `Producto ${sku}`, stock, price });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('opens, refreshes and closes tasks from a comparison', () => {
+    const results = [
+      new ComparisonResult({ erpProduct: erp('A', 50, 2500), status: NEW, area: 'HOGAR' }),
+      new ComparisonResult({ erpProduct: erp('B', 30, 1000), status: NEW, area: 'HOGAR' }),
+      new ComparisonResult({ erpProduct: erp('C', 12, 100), pimProduct: new PIMProduct({ sku: 'C' }), status: AVAILABLE, area: 'HOGAR' }),
+      new ComparisonResult({ pimProduct: new PIMProduct({ sku: 'D', title: 'Lámpara' }), status: OBSOLETE, area: 'UNKNOWN' }),
+      new ComparisonResult({ erpProduct: erp('E', 20, 10), status: NEW, area: 'HOGAR' })
+    ];
+
+    const plan = taskService.planSync(results, [
+      { id: 1, sku: 'B', task_type: NEW },
+      { id: 2, sku: 'C', task_type: NEW },
+      { id: 3, sku: 'Z', task_type: OBSOLETE }
+    ], new Set([`E|${NEW}`]));
+
+    expect(plan.create).toEqual([
+      { sku: 'A', task_type: NEW, area: 'HOGAR', description: 'Producto A', stock: 50, unit_price: 2500, stock_value: 125000, priority: 'high' },
+      { sku: 'D', task_type: OBSOLETE, area: 'UNKNOWN', description: 'Lámpara', stock: 0, unit_price: 0, stock_value: 0, priority: 'low' }
+    ]);
+    expect(plan.update).toEqual([expect.objectContaining({ id: 1, sku: 'B', stock_value: 30000, priority: 'medium' })]);
+    expect(plan.close).toEqual([
+      { id: 2, reason: `Comparison now reports it as ${AVAILABLE}` },
+      { id: 3, reason: 'No longer reported by the comparison' }
+    ]);
+  });
+
+  test('accepts the resolutions that fit the task type, with a reason', () => {
+    expect(taskService.validateResolution({ task_type: NEW }, { resolution: 'published', reason: 'Alta en PIM' })).toEqual([]);
+    expect(taskService.validateResolution({ task_type: OBSOLETE }, { resolution: 'published', reason: ' ' })).toEqual([
+      'resolution must be one of: deactivated, ignored',
+      'reason is required'
+    ]);
+  });
+
+  test('lets only the assignee or a catalog manager resolve a task', async () => {
+    jest.spyOn(taskService, 'getTask').mockResolvedValue({ id: 9, sku: 'A', task_type: NEW, status: 'open', assigned_to: 4 });
+    taskService.db = { execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+    const resolution = { resolution: 'published', reason: 'Publicado con fotos' };
+
+    await expect(taskService.resolveTask(9, resolution, { id: 5, role: 'user' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(taskService.resolveTask(9, { resolution: 'deactivated', reason: 'x' }, { id: 4, role: 'user' }))
+      .rejects.toMatchObject({ statusCode: 400, errors: ['resolution must be one of: published, ignored'] });
+
+    await taskService.resolveTask(9, resolution, { id: 4, role: 'user' });
+    await taskService.resolveTask(9, resolution, { id: 1, role: 'manager' });
+    expect(taskService.db.execute).toHaveBeenCalledTimes(2);
+    expect(taskService.db.execute.mock.calls[0][1]).toEqual(['published', 'Publicado con fotos', 4, 9]);
+  });
+
+  test('reports throughput per editor', () => {
+    const report = taskService.buildThroughput([
+      { user_id: 4, username: 'ana', resolution: 'published', assigned_at: '2026-10-01 08:00:00', resolved_at: '2026-10-01 12:00:00' },
+      { user_id: 4, username: 'ana', resolution: 'auto_resolved', assigned_at: '2026-10-01 08:00:00', resolved_at: '2026-10-02 02:00:00' },
+      { user_id: 6, username: 'luis', resolution: 'ignored', assigned_at: null, resolved_at: '2026-10-03 09:00:00' }
+    ], [{ user_id: 4, username: 'ana', open_tasks: 7 }, { user_id: 8, username: 'rosa', open_tasks: 2 }]);
+
+    expect(report).toEqual([
+      { user_id: 4, username: 'ana', open_tasks: 7, resolved: 2, published: 1, deactivated: 0, ignored: 0, auto_resolved: 1, avg_hours_to_resolve: 11 },
+      { user_id: 6, username: 'luis', open_tasks: 0, resolved: 1, published: 0, deactivated: 0, ignored: 1, auto_resolved: 0, avg_hours_to_resolve: null },
+      { user_id: 8, username: 'rosa', open_tasks: 2, resolved: 0, published: 0, deactivated: 0, ignored: 0, auto_resolved: 0, avg_hours_to_resolve: null }
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const thresholdService = require('../src/modules/catalog/thresholdService');
+const CatalogService = require('../src/modules/catalog/catalogService');
+
+describe('Catalog publishing thresholds', () => {
+  const stored = [
+    { scope: 'area', match_value: 'ELECTRODOMESTICOS', threshold: 8 },
+    { scope: 'area', match_value: 'DEFAULT', threshold: 12 },
+    { scope: 'category', match_value: 'LAVADORAS', threshold: 3 },
+    { scope: 'brand', match_value: 'SAMSUNG', threshold: 1 }
+  ];
+
+  beforeEach(() => {
+    thresholdService.db = { execute: jest.fn().mockResolvedValue([stored]) };
+    thresholdService.invalidate();
+  });
+
+  test('uses the built-in area thresholds until the stored ones are loaded', () => {
+    const fresh = new thresholdService.constructor();
+
+    expect(fresh.resolve('electrodomesticos')).toBe(5);
+    expect(fresh.resolve('SIN AREA')).toBe(10);
+  });
+
+  test('takes the brand, then the category, then the area threshold, else DEFAULT', async () => {
+    await thresholdService.load();
+
+    expect(thresholdService.resolve('ELECTRODOMESTICOS', { category: 'lavadoras', brand: 'samsung' })).toBe(1);
+    expect(thresholdService.resolve('ELECTRODOMESTICOS', { category: 'LAVADORAS', brand: 'LG' })).toBe(3);
+    expect(thresholdService.resolve('Electrodomesticos', { category: 'NEVERAS' })).toBe(8);
+    expect(thresholdService.resolve('MODA')).toBe(12);
+    expect(thresholdService.resolve(null)).toBe(12);
+  });
+
+  test('reads the database once per cache period and again after a change', async () => {
+    await thresholdService.load();
+    await thresholdService.load();
+    expect(thresholdService.db.execute).toHaveBeenCalledTimes(1);
+
+    thresholdService.invalidate();
+    await thresholdService.load();
+    expect(thresholdService.db.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps the last known thresholds when the database cannot be read', async () => {
+    await thresholdService.load();
+    thresholdService.invalidate();
+    thresholdService.db.execute.mockRejectedValue(new Error('SQLITE_BUSY'));
+
+    await thresholdService.load();
+    expect(thresholdService.resolve('ELECTRODOMESTICOS')).toBe(8);
+  });
+
+  test('validates thresholds', () => {
+    expect(thresholdService.validateThreshold({ scope: 'brand', match_value: 'Samsung', threshold: 2 })).toEqual([]);
+    expect(thresholdService.validateThreshold({ scope: 'depto', match_value: ' ', threshold: 2.5 })).toEqual([
+      'scope must be one of: brand, category, area',
+      'match_value is required (the area, category or brand it applies to)',
+      'threshold must be a whole number between 0 and 100000'
+    ]);
+    expect(thresholdService.validateThreshold({ threshold: '0' }, { isNew: false })).toEqual([]);
+  });
+
+  test('reads category and brand from the configured columns on Oracle and in the MySQL fallback', async () => {
+    const env = { ...process.env };
+    const row = { sku: '750100', description: 'Lavadora', area: 'ELECTRODOMESTICOS', category: 'LAVADORAS', brand: 'LG', stock: 4, price: 100 };
+
+    try {
+      Object.assign(process.env, { ORACLE_HOST: 'erp', ORACLE_USER: 'app', ERP_BRAND_COLUMN: 'ZZ_MARCA' });
+      const oracle = new CatalogService();
+      oracle.erpDb = { execute: jest.fn().mockResolvedValue([[row]]) };
+
+      expect(await oracle.getERPProducts()).toEqual([expect.objectContaining({ category: 'LAVADORAS', brand: 'LG' })]);
+      expect(oracle.erpDb.execute.mock.calls[0][0]).toMatch(/m\.PRDHA as category, m\.ZZ_MARCA as brand/);
+      expect(oracle.erpDb.execute.mock.calls[0][0]).toMatch(/GROUP BY m\.MATNR, m\.MAKTX, m\.MATKL, m\.PRDHA, m\.ZZ_MARCA/);
+
+      delete process.env.ORACLE_HOST;
+      const fallback = new CatalogService();
+      fallback.erpDb = { execute: jest.fn().mockResolvedValue([[{ ...row, brand: null }]]) };
+
+      expect(await fallback.getERPProducts()).toEqual([expect.objectContaining({ category: 'LAVADORAS', brand: null })]);
+      expect(fallback.erpDb.execute.mock.calls[0][0]).toMatch(/p\.depto as category, NULL as brand/);
+
+      process.env.PIM_BRAND_COLUMN = 'marca; DROP TABLE web_products';
+      expect(() => new CatalogService()).toThrow('Invalid PIM_BRAND_COLUMN');
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const creditService = require('../src/modules/quotes/services/creditService');
+
+describe('Client credit checks', () => {
+  const client = { credit_limit: '100000', payment_terms_days: 30, account_status: 'active', outstanding_balance: '40000' };
+
+  test('counts the balance, open quotes and the new quote against the limit', () => {
+    expect(creditService.evaluate(client, { openQuotesTotal: 30000, amount: 20000 })).toEqual({
+      status: 'ok',
+      account_status: 'active',
+      credit_limit: 100000,
+      payment_terms_days: 30,
+      outstanding_balance: 40000,
+      open_quotes_total: 30000,
+      quote_amount: 20000,
+      exposure: 90000,
+      available: 10000
+    });
+
+    expect(creditService.evaluate(client, { openQuotesTotal: 30000, amount: 40000 })).toMatchObject({
+      status: 'exceeded',
+      exposure: 110000,
+      available: -10000
+    });
+  });
+
+  test('treats a missing limit as unlimited and the account status as overriding', () => {
+    expect(creditService.evaluate({ ...client, credit_limit: null }, { amount: 1e9 })).toMatchObject({
+      status: 'ok',
+      available: null
+    });
+    expect(creditService.evaluate({ ...client, account_status: 'on_hold' }).status).toBe('on_hold');
+    expect(creditService.evaluate({ ...client, account_status: 'blocked' }).status).toBe('blocked');
+  });
+
+  test('requires approval for held accounts, and for exceeded limits only when configured', () => {
+    expect(creditService.needsApproval({ status: 'exceeded' }, 'approval')).toBe(true);
+    expect(creditService.needsApproval({ status: 'exceeded' }, 'warn')).toBe(false);
+    expect(creditService.needsApproval({ status: 'on_hold' }, 'warn')).toBe(true);
+    expect(creditService.needsApproval({ status: 'ok' }, 'approval')).toBe(false);
+    expect(creditService.needsApproval(null, 'approval')).toBe(false);
+  });
+
+  test('rejects blocked accounts with a conflict', () => {
+    expect(creditService.assertNotBlocked({ status: 'exceeded' })).toEqual({ status: 'exceeded' });
+    expect(() => creditService.assertNotBlocked({ status: 'blocked' })).toThrow(
+      expect.objectContaining({ statusCode: 409 })
+    );
+  });
+
+  test('validates credit terms', () => {
+    expect(creditService.validateTerms({ credit_limit: null, payment_terms_days: 30, account_status: 'on_hold' })).toEqual([]);
+    expect(creditService.validateTerms({
+      credit_limit: -5,
+      payment_terms_days: 30.5,
+      account_status: 'closed',
+      outstanding_balance: 'abc'
+    })).toEqual([
+      'credit_limit must be a non-negative number (or null for no limit)',
+      'payment_terms_days must be a whole number between 0 and 365',
+      'account_status must be one of: active, on_hold, blocked',
+      'outstanding_balance must be a number'
+    ]);
+  });
+});
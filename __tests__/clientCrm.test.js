@@ -0,0 +1,56 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const clientCrmService = require('../src/modules/quotes/services/clientCrmService');
+
+describe('Client CRM', () => {
+  test('merges timeline sources newest first and pages with a cursor', () => {
+    const quotes = [{ type: 'quote_created', quote_id: 1, occurred_at: '2026-06-01 10:00:00' }];
+    const changes = [
+      { type: 'status_change', quote_id: 1, new_status: 'accepted', occurred_at: '2026-06-05 09:00:00' },
+      { type: 'status_change', quote_id: 1, new_status: 'expired', occurred_at: '2026-06-20T00:05:00.000Z' }
+    ];
+    const emails = [{ type: 'email', quote_id: 1, occurred_at: '2026-06-02 08:30:00' }];
+    const notes = [{ type: 'note', note_id: 4, occurred_at: '2026-06-03 15:00:00' }];
+
+    const page = clientCrmService.mergeTimeline([quotes, changes, emails, notes], 3);
+
+    expect(page.events.map(event => event.type)).toEqual(['status_change', 'status_change', 'note']);
+    expect(page.events[1].occurred_at).toBe('2026-06-05T09:00:00.000Z');
+    expect(page.next_before).toBe('2026-06-03T15:00:00.000Z');
+
+    expect(clientCrmService.mergeTimeline([quotes, emails], 3).next_before).toBeNull();
+  });
+
+  test('validates contacts, with partial updates', () => {
+    expect(clientCrmService.validateContact({ name: 'María', role: 'billing', email: 'maria@acme.do' })).toEqual([]);
+    expect(clientCrmService.validateContact({ name: '', role: 'boss', email: 'nope' })).toEqual([
+      'name is required',
+      'role must be one of: purchasing, billing, delivery, technical, management, other',
+      'email must be a valid email address'
+    ]);
+    expect(clientCrmService.validateContact({ name: 'Pedro' })).toEqual(['email or phone is required']);
+    expect(clientCrmService.validateContact({ role: 'delivery' }, true)).toEqual([]);
+  });
+
+  test('validates delivery addresses', () => {
+    expect(clientCrmService.validateAddress({ label: 'Almacén', address_line: 'Av. Duarte 12' })).toEqual([]);
+    expect(clientCrmService.validateAddress({ label: 'Almacén' })).toEqual(['address_line is required']);
+    expect(clientCrmService.validateAddress({ city: 'Santiago' }, true)).toEqual([]);
+  });
+
+  test('rejects a contact left without an email or a phone as a bad request', async () => {
+    const connection = {
+      execute: jest.fn().mockResolvedValue([[{ id: 9, client_id: 1, name: 'Ana', email: 'ana@example.com', phone: null, active: 1 }]]),
+      commit: jest.fn(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    clientCrmService.db = { getConnection: jest.fn().mockResolvedValue(connection) };
+
+    await expect(clientCrmService.saveContact(1, 9, { email: null }, 3)).rejects.toMatchObject({
+      message: 'Contact needs an email or a phone',
+      statusCode: 400
+    });
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+});
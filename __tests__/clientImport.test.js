@@ -0,0 +1,84 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const XLSX = require('xlsx');
+const clientImportService = require('../src/modules/quotes/services/clientImportService');
+const clientDedupService = require('../src/modules/quotes/services/clientDedupService');
+
+describe('Client import and deduplication', () => {
+  test('reads CSV text and base64 XLSX files', () => {
+    const csv = 'Nombre,Correo,RNC\nFerretería Ochoa,ventas@ochoa.do,101010632\n';
+    expect(clientImportService.readRows({ csv })).toEqual({
+      headers: ['Nombre', 'Correo', 'RNC'],
+      rows: [{ Nombre: 'Ferretería Ochoa', Correo: 'ventas@ochoa.do', RNC: '101010632' }]
+    });
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Cliente', 'Tel'], ['Juan Pérez', '809-555-0101']]), 'Clientes');
+    const file = XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+
+    expect(clientImportService.readRows({ file }).rows).toEqual([{ Cliente: 'Juan Pérez', Tel: '809-555-0101' }]);
+  });
+
+  test('maps known headers and checks explicit mappings', () => {
+    expect(clientImportService.resolveMapping(['Nombre', 'Correo', 'Contacto'], { phone: 'Contacto' })).toEqual({
+      mapping: { name: 'Nombre', email: 'Correo', phone: 'Contacto' },
+      errors: []
+    });
+    expect(clientImportService.resolveMapping(['Razón Social'], { name: 'Cliente', fax: 'Fax' }).errors).toEqual([
+      'Column "Cliente" mapped to name is not in the file',
+      'Unknown field fax; expected one of: name, email, phone, company, address, rnc, segment'
+    ]);
+  });
+
+  test('matches similar company names regardless of accents and legal form', () => {
+    expect(clientDedupService.nameSimilarity('Ferretería El Clavo, S.R.L.', 'FERRETERIA EL CLAVO SRL')).toBe(1);
+    expect(clientDedupService.nameSimilarity('Ferreteria Ochoa', 'Ferreteria Americana')).toBeLessThan(0.85);
+  });
+
+  test('pairs duplicate clients by RNC, email or a similar name starting with the same word', async () => {
+    jest.spyOn(clientDedupService, 'getActiveClients').mockResolvedValue([
+      { id: 1, name: 'Ferretería El Clavo SRL', email: 'ventas@clavo.do', rnc: '101010632' },
+      { id: 2, name: 'Ferreteria El Clavo', email: null, rnc: null },
+      { id: 3, name: 'Clavo y Tornillo', email: 'VENTAS@clavo.do', rnc: null },
+      { id: 4, name: 'Comercial Ozama', email: null, rnc: '1-01-01063-2' },
+      { id: 5, name: 'El Clavo Ferreteria', email: null, rnc: null }
+    ]);
+
+    const pairs = await clientDedupService.findDuplicates();
+
+    expect(pairs.map(pair => [pair.client.id, pair.duplicate.id, pair.match])).toEqual([
+      [1, 2, 'name'],
+      [1, 3, 'email'],
+      [1, 4, 'rnc']
+    ]);
+    jest.restoreAllMocks();
+  });
+
+  test('previews rows as new, duplicate or error', () => {
+    const mapping = { name: 'Nombre', email: 'Correo', rnc: 'RNC' };
+    const rows = [
+      { Nombre: 'Plaza Lama S.A.', Correo: '', RNC: '' },
+      { Nombre: 'Otro Cliente', Correo: 'COMPRAS@ACME.DO', RNC: '' },
+      { Nombre: 'Nuevo Cliente', Correo: '', RNC: '1-01-01063-2' },
+      { Nombre: 'Nuevo Cliente SRL', Correo: '', RNC: '' },
+      { Nombre: '', Correo: 'bad', RNC: '123456789' }
+    ];
+    const clients = [
+      { id: 1, name: 'Plaza Lama', email: null, rnc: null },
+      { id: 2, name: 'Acme', email: 'compras@acme.do', rnc: null }
+    ];
+
+    const preview = clientImportService.buildPreview(rows, mapping, clients);
+
+    expect(preview.map(row => row.status)).toEqual(['duplicate', 'duplicate', 'new', 'duplicate', 'error']);
+    expect(preview[0].duplicates).toEqual([{ client_id: 1, name: 'Plaza Lama', match: 'name', score: 1 }]);
+    expect(preview[1].duplicates[0]).toMatchObject({ client_id: 2, match: 'email' });
+    expect(preview[2].data).toEqual({ name: 'Nuevo Cliente', email: null, rnc: '101010632' });
+    expect(preview[3].duplicates).toEqual([{ row: 4, name: 'Nuevo Cliente', match: 'name', score: 1 }]);
+    expect(preview[4]).toMatchObject({
+      row: 6,
+      errors: ['name is required', 'email must be a valid email address', 'RNC check digit is invalid']
+    });
+    expect(clientImportService.summarize(preview)).toEqual({ total: 5, new: 1, duplicates: 3, errors: 1 });
+  });
+});
@@ -0,0 +1,37 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const clientPortalService = require('../src/modules/quotes/services/clientPortalService');
+const quoteStatusService = require('../src/modules/quotes/services/quoteStatusService');
+
+describe('Client portal', () => {
+  test('follows the quote lifecycle', () => {
+    expect(quoteStatusService.isValidStatusTransition('sent', 'viewed')).toBe(true);
+    expect(quoteStatusService.isValidStatusTransition('viewed', 'accepted')).toBe(true);
+    expect(quoteStatusService.isValidStatusTransition('sent', 'accepted')).toBe(false);
+    expect(quoteStatusService.isValidStatusTransition('converted', 'sent')).toBe(false);
+  });
+
+  test('only lets clients decide on open, unexpired quotes', () => {
+    const today = '2026-05-10';
+
+    expect(clientPortalService.allowedActions({ status: 'viewed', valid_until: '2026-05-10' }, today))
+      .toEqual({ accept: true, reject: true, request_changes: true });
+    expect(clientPortalService.allowedActions({ status: 'viewed', valid_until: '2026-05-09' }, today))
+      .toEqual({ accept: false, reject: false, request_changes: false });
+    expect(clientPortalService.allowedActions({ status: 'accepted', valid_until: null }, today))
+      .toEqual({ accept: false, reject: false, request_changes: false });
+    expect(clientPortalService.allowedActions({ status: 'rejected', valid_until: null }, today))
+      .toEqual({ accept: false, reject: false, request_changes: true });
+  });
+
+  test('requires a reason to reject and comments to request changes', () => {
+    expect(clientPortalService.validateAction('rejected', { reason: ' ' })).toEqual(['reason is required when rejecting a quote']);
+    expect(clientPortalService.validateAction('changes_requested', {})).toEqual(['comments are required when requesting changes']);
+    expect(clientPortalService.validateAction('accepted', { signature_name: 'Ana Pérez' })).toEqual([]);
+  });
+
+  test('rejects malformed tokens without querying', async () => {
+    await expect(clientPortalService.resolveToken('not-a-token')).resolves.toBeNull();
+    expect(clientPortalService.generateToken()).toMatch(/^[a-f0-9]{64}$/);
+  });
+});
@@ -0,0 +1,63 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const contentQualityService = require('../src/modules/catalog/contentQualityService');
+const { PIMProduct } = require('../src/modules/catalog/models');
+
+describe('PIM content quality', () => {
+  const complete = new PIMProduct({
+    sku: 'A',
+    title: 'Nevera Samsung 18 pies inverter plateada',
+    description: 'Nevera de dos puertas con compresor inverter, dispensador de agua, 18 pies cúbicos y acabado plateado.',
+    category: 'ELECTRODOMESTICOS',
+    active: true,
+    price: 45000,
+    imageCount: 4,
+    specCount: 8
+  });
+  const sparse = new PIMProduct({ sku: 'B', title: 'Nevera', category: 'DEFAULT', active: true, price: 0, imageCount: 1, specCount: 0 });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('scores each check and lists what is missing', () => {
+    expect(contentQualityService.scoreProduct(complete)).toMatchObject({ sku: 'A', area: 'ELECTRODOMESTICOS', score: 100, missing: [] });
+
+    const score = contentQualityService.scoreProduct(sparse);
+    expect(score.area).toBe('UNMAPPED');
+    expect(score.checks).toEqual({ title: 0.5, description: 0, images: 1 / 3, specifications: 0, category: 0, price: 0 });
+    expect(score.missing).toEqual(['title', 'description', 'images', 'specifications', 'category', 'price']);
+    // 20 * 0.5 + 20 / 3 = 16.7 of 100
+    expect(score.score).toBe(17);
+  });
+
+  test('leaves out checks whose PIM table cannot be read', () => {
+    const noImages = new PIMProduct({ ...complete, imageCount: null });
+
+    const score = contentQualityService.scoreProduct(noImages, { images: false, specifications: true });
+
+    expect(score.score).toBe(100);
+    expect(score.checks).not.toHaveProperty('images');
+  });
+
+  test('skips a missing content table instead of failing', async () => {
+    contentQualityService.pimDb = { execute: jest.fn().mockRejectedValue(new Error("Table 'pim.web_products_specs' doesn't exist")) };
+
+    await expect(contentQualityService.countBySku('web_products_specs')).resolves.toBeNull();
+    await expect(contentQualityService.countBySku('specs; DROP TABLE users')).resolves.toBeNull();
+    expect(contentQualityService.pimDb.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('aggregates per area and puts the worst published products first', () => {
+    const scores = [
+      { sku: 'A', area: 'HOGAR', active: true, score: 100, missing: [] },
+      { sku: 'B', area: 'HOGAR', active: false, score: 40, missing: ['images', 'description'] },
+      { sku: 'C', area: 'MODA', active: false, score: 20, missing: ['images'] },
+      { sku: 'D', area: 'MODA', active: true, score: 40, missing: ['price'] }
+    ];
+
+    expect(contentQualityService.summarizeByArea(scores)).toEqual([
+      { area: 'MODA', products: 2, below_target: 2, complete: 0, missing: { images: 1, price: 1 }, average_score: 30 },
+      { area: 'HOGAR', products: 2, below_target: 1, complete: 1, missing: { images: 1, description: 1 }, average_score: 70 }
+    ]);
+    expect(contentQualityService.worstOffenders(scores, 3).map(score => score.sku)).toEqual(['C', 'D', 'B']);
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const currencyService = require('../src/modules/quotes/services/currencyService');
+const pricingService = require('../src/modules/quotes/services/pricingService');
+const { formatMoney, toBaseCurrency } = require('../src/shared/utils/currency');
+
+describe('Multi-currency quotes', () => {
+  test('parses rate CSVs with a header and reports bad lines', () => {
+    const { rows, errors } = currencyService.parseCsv(
+      'currency,rate,effective_date\nusd,58.75,2026-01-02\nEUR,64.10,2026-01-02\nUSD,abc,2026-01-03\n'
+    );
+
+    expect(rows).toEqual([{ currency: 'USD', rate: '58.75', effective_date: '2026-01-02' }]);
+    expect(errors).toEqual([
+      'Line 3: currency must be one of: USD',
+      'Line 4: rate must be a positive number'
+    ]);
+  });
+
+  test('the base currency always has a rate of 1', async () => {
+    await expect(currencyService.getRate('DOP')).resolves.toBe(1);
+  });
+
+  test('formats amounts in the document currency and converts to base', () => {
+    expect(formatMoney(1234.5, 'USD')).toBe('US$1234.50');
+    expect(formatMoney(-10, 'DOP')).toBe('-RD$10.00');
+    expect(toBaseCurrency(100, 58.75)).toBe(5875);
+  });
+
+  test('converts peso price-list breaks into the quote currency', () => {
+    const { lines } = pricingService.priceItems(
+      [{ product_id: 'A', quantity: 10, price: 20 }],
+      {
+        priceList: { id: 1, discount_percent: 0 },
+        priceListItems: [{ product_id: 'A', min_quantity: 10, price: 1000 }],
+        exchangeRate: 50
+      }
+    );
+
+    expect(lines[0]).toMatchObject({ list_price: 20, price: 20, price_list_id: 1 });
+  });
+});
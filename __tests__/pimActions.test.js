@@ -0,0 +1,140 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const pimActionService = require('../src/modules/catalog/pimActionService');
+
+// A PIM connection over an in-memory web_products (sku -> status_new)
+const pimConnection = (products, { failOn } = {}) => {
+  const connection = {
+    logs: [],
+    beginTransaction: jest.fn().mockResolvedValue(),
+    commit: jest.fn().mockResolvedValue(),
+    rollback: jest.fn().mockResolvedValue(),
+    release: jest.fn(),
+    execute: jest.fn(async (sql, params) => {
+      if (failOn && sql.startsWith(failOn)) {
+        throw new Error('Lock wait timeout exceeded');
+      }
+      if (sql.startsWith('SELECT')) {
+        return [params.filter(sku => sku in products).map(sku => ({ sku, title: `Product ${sku}`, status_new: products[sku] }))];
+      }
+      if (sql.startsWith('UPDATE')) {
+        const [active, ...skus] = params;
+        skus.forEach(sku => { products[sku] = active; });
+        return [{ affectedRows: skus.length }];
+      }
+      for (let i = 0; i < params.length; i += 4) {
+        connection.logs.push(params.slice(i, i + 4));
+      }
+      return [{ affectedRows: params.length / 4 }];
+    })
+  };
+  return connection;
+};
+
+describe('Bulk PIM actions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('validates the action, reason and SKU selection', () => {
+    expect(pimActionService.validateRequest({ action: 'deactivate', reason: 'Out of range', skus: ['A'] })).toEqual([]);
+    expect(pimActionService.validateRequest({ action: 'activate', reason: 'Restock', selection: { status: 'new_product' } })).toEqual([]);
+
+    const errors = pimActionService.validateRequest({ action: 'delete', reason: ' ', skus: [] });
+    expect(errors).toEqual(['action must be one of: activate, deactivate', 'reason is required', 'skus must be a non-empty list']);
+    expect(pimActionService.validateRequest({ action: 'activate', reason: 'x', selection: { status: 'any' } })).toHaveLength(1);
+    expect(pimActionService.validateRequest({ action: 'activate', dry_run: true, skus: ['A'] })).toEqual([]);
+  });
+
+  test('previews which SKUs change and warns where the comparison disagrees', () => {
+    const pimState = new Map([
+      ['A', { title: 'A', active: true }],
+      ['B', { title: 'B', active: true }],
+      ['C', { title: 'C', active: false }]
+    ]);
+    const statuses = new Map([['A', 'obsolete_product'], ['B', 'available_product']]);
+
+    const preview = pimActionService.buildPreview('deactivate', ['A', 'B', 'C', 'D'], pimState, statuses);
+
+    expect(preview).toMatchObject({ action: 'deactivate', total: 4, will_change: 2, unchanged: 1, not_found: 1, warnings: 2 });
+    expect(preview.items.map(item => [item.sku, item.will_change, item.warning])).toEqual([
+      ['A', true, null],
+      ['B', true, 'Has enough ERP stock to stay published'],
+      ['C', false, null],
+      ['D', false, 'Not found in the PIM']
+    ]);
+  });
+
+  test('changes only what differs and logs each product the way the logs module reads it', async () => {
+    const products = { A: 1, B: 0, C: 1 };
+    const connection = pimConnection(products);
+    pimActionService.pimDb = { getConnection: jest.fn().mockResolvedValue(connection) };
+
+    const { state, changed } = await pimActionService.writePim(['A', 'B', 'C', 'Z'], 0, 'Product desactivated', 'maria');
+
+    expect(changed).toEqual(['A', 'C']);
+    expect(state.get('B')).toEqual({ title: 'Product B', active: false });
+    expect(products).toEqual({ A: 0, B: 0, C: 0 });
+    expect(connection.logs).toEqual([
+      ['maria', 'catalog_bulk', 'A', 'Product desactivated'],
+      ['maria', 'catalog_bulk', 'C', 'Product desactivated']
+    ]);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('undo leaves products changed again since alone, and a failed write changes nothing', async () => {
+    // B was activated again by hand after the deactivation
+    const products = { A: 0, B: 1 };
+    pimActionService.pimDb = { getConnection: jest.fn().mockResolvedValue(pimConnection(products)) };
+
+    const { changed } = await pimActionService.writePim(['A', 'B'], 1, 'Product activated', 'maria');
+    expect(changed).toEqual(['A']);
+
+    const failing = pimConnection({ A: 1 }, { failOn: 'INSERT' });
+    pimActionService.pimDb = { getConnection: jest.fn().mockResolvedValue(failing) };
+
+    await expect(pimActionService.writePim(['A'], 0, 'Product desactivated', 'maria')).rejects.toThrow('Lock wait timeout');
+    expect(failing.rollback).toHaveBeenCalled();
+    expect(failing.commit).not.toHaveBeenCalled();
+    expect(failing.release).toHaveBeenCalled();
+  });
+
+  test('applies or undoes an action once when two managers act on it together', async () => {
+    const stored = { id: 4, action: 'deactivate', status: 'requested' };
+    pimActionService.db = {
+      execute: jest.fn(async (sql, params) => {
+        const claim = sql.match(/WHERE id = \? AND status = '(\w+)'/);
+        if (!claim || stored.status !== claim[1]) {
+          return [{ affectedRows: 0 }];
+        }
+        stored.status = sql.includes("'undone'") ? 'undone' : params[0];
+        return [{ affectedRows: 1 }];
+      })
+    };
+    jest.spyOn(pimActionService, 'assertPimConfigured').mockImplementation(() => {});
+    jest.spyOn(pimActionService, 'getAction').mockResolvedValue({ ...stored, can_undo: true, items: [] });
+    const applyAction = jest.spyOn(pimActionService, 'applyAction').mockResolvedValue(stored);
+
+    const reviews = await Promise.allSettled([
+      pimActionService.reviewAction(4, 'approve', null, { id: 2 }),
+      pimActionService.reviewAction(4, 'approve', null, { id: 3 })
+    ]);
+
+    expect(reviews.map(review => review.status)).toEqual(['fulfilled', 'rejected']);
+    expect(reviews[1].reason).toMatchObject({ message: 'This action has already been reviewed', statusCode: 409 });
+    expect(applyAction).toHaveBeenCalledTimes(1);
+
+    stored.status = 'applied';
+    pimActionService.getAction.mockResolvedValue({ ...stored, can_undo: true, items: [] });
+    const writePim = jest.spyOn(pimActionService, 'writePim').mockResolvedValue({ state: new Map(), changed: [] });
+    pimActionService.db.getConnection = jest.fn().mockResolvedValue({
+      execute: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn()
+    });
+
+    const undos = await Promise.allSettled([pimActionService.undoAction(4, { id: 2 }), pimActionService.undoAction(4, { id: 3 })]);
+
+    expect(undos.map(undo => undo.status)).toEqual(['fulfilled', 'rejected']);
+    expect(undos[1].reason).toMatchObject({ statusCode: 409 });
+    expect(writePim).toHaveBeenCalledTimes(1);
+    expect(stored.status).toBe('undone');
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const pricingService = require('../src/modules/quotes/services/pricingService');
+const taxService = require('../src/modules/quotes/services/taxService');
+
+describe('Quote pricing and discounts', () => {
+  const priceList = { id: 7, name: 'Mayoristas', segment: 'wholesale', discount_percent: 5 };
+  const priceListItems = [
+    { price_list_id: 7, product_id: 'A', min_quantity: 1, price: 95 },
+    { price_list_id: 7, product_id: 'A', min_quantity: 10, price: 90 },
+    { price_list_id: 7, product_id: 'A', min_quantity: 50, price: 85 }
+  ];
+
+  test('applies the highest volume break reached', () => {
+    const { lines } = pricingService.priceItems(
+      [{ product_id: 'A', quantity: 12, price: 100 }],
+      { priceList, priceListItems }
+    );
+
+    expect(lines[0]).toMatchObject({ list_price: 100, price: 90, price_list_id: 7 });
+  });
+
+  test('falls back to the list discount for products without breaks', () => {
+    const { lines } = pricingService.priceItems([{ product_id: 'B', quantity: 1, price: 200 }], { priceList, priceListItems });
+
+    expect(lines[0]).toMatchObject({ list_price: 200, price: 190, price_list_id: 7 });
+  });
+
+  test('computes percent and fixed line discounts', () => {
+    const { lines, discount_total } = pricingService.priceItems([
+      { product_id: 'X', quantity: 2, price: 100, discount_type: 'percent', discount_value: 10 },
+      { product_id: 'Y', quantity: 1, price: 50, discount_type: 'fixed', discount_value: 80 }
+    ]);
+
+    expect(lines[0].discount_amount).toBe(20);
+    // Fixed discounts never exceed the line amount
+    expect(lines[1].discount_amount).toBe(50);
+    expect(discount_total).toBe(70);
+  });
+
+  test('spreads the quote discount over lines so ITBIS is charged on the discounted base', () => {
+    const priced = pricingService.priceItems(
+      [
+        { product_id: 'X', quantity: 1, price: 300 },
+        { product_id: 'Y', quantity: 1, price: 100 }
+      ],
+      { quoteDiscount: { type: 'percent', value: 10 } }
+    );
+
+    expect(priced.lines.map(line => line.quote_discount_amount)).toEqual([30, 10]);
+    expect(priced).toMatchObject({ gross_total: 400, discount_total: 40, discount_percent: 10 });
+
+    const taxed = taxService.applyRules(priced.lines, {}, []);
+    expect(taxed).toMatchObject({ subtotal: 360, itbis: 64.8, total: 424.8 });
+  });
+
+  test('takes the list price from the catalog and records a lower sent price as a discount', () => {
+    const catalogPrices = new Map([['A', 100], ['C', 250]]);
+    const priced = pricingService.priceItems([
+      { product_id: 'C', quantity: 2, price: 200, list_price: 200 },
+      { product_id: 'C', quantity: 1, price: 250, discount_type: 'percent', discount_value: 10 },
+      { product_id: 'Z', quantity: 1, price: 40 }
+    ], { catalogPrices });
+
+    expect(priced.lines[0]).toMatchObject({ list_price: 250, price: 250, discount_type: 'fixed', discount_value: 100, discount_amount: 100 });
+    expect(priced.lines[1]).toMatchObject({ list_price: 250, price: 250, discount_type: 'percent', discount_amount: 25 });
+    // Not in the catalog: the sent price is all there is
+    expect(priced.lines[2]).toMatchObject({ list_price: 40, price: 40, discount_amount: 0 });
+    expect(priced).toMatchObject({ gross_total: 790, discount_total: 125, discount_percent: 15.82 });
+
+    // A volume break price sent back is not a discount; going below it is
+    const { lines } = pricingService.priceItems(
+      [{ product_id: 'A', quantity: 12, price: 90 }, { product_id: 'A', quantity: 12, price: 80 }],
+      { priceList, priceListItems, catalogPrices }
+    );
+    expect(lines.map(line => [line.price, line.discount_amount])).toEqual([[90, 0], [90, 120]]);
+  });
+
+  test('validates discounts', () => {
+    expect(pricingService.validateQuoteDiscounts(
+      [{ discount_type: 'percent', discount_value: 120 }],
+      { type: 'amount', value: 5 }
+    )).toEqual([
+      'Quote discount type must be one of: percent, fixed',
+      'Item 1 discount percentage cannot exceed 100'
+    ]);
+    expect(pricingService.validateQuoteDiscounts([{ quantity: 1 }], null)).toEqual([]);
+  });
+});
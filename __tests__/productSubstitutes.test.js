@@ -0,0 +1,73 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const productSubstituteService = require('../src/modules/quotes/services/productSubstituteService');
+
+describe('Product substitutes for short quote lines', () => {
+  test('groups quote lines by product and keeps their ids', () => {
+    expect(productSubstituteService.groupLines([
+      { id: 1, product_id: 'A', product_name: 'Cemento gris', quantity: 10, list_price: 500 },
+      { id: 2, product_id: 'B', product_name: 'Varilla 3/8', quantity: 4, price: 300 },
+      { id: 3, product_id: 'A', product_name: 'Cemento gris', quantity: 5, list_price: 500 },
+      { id: 4, product_id: '', product_name: 'Flete', quantity: 1 }
+    ])).toEqual([
+      { product_id: 'A', product_name: 'Cemento gris', product_category: null, list_price: 500, quantity: 15, item_ids: [1, 3] },
+      { product_id: 'B', product_name: 'Varilla 3/8', product_category: null, list_price: 300, quantity: 4, item_ids: [2] }
+    ]);
+  });
+
+  test('ranks in-band substitutes covering the quantity first, then by price closeness', () => {
+    const candidates = [
+      { sku: 'X1', name: 'Cemento Titán', category: 'CONSTRUCCION', price: 520, available: 5 },
+      { sku: 'X2', name: 'Cemento Santo Domingo', category: 'CONSTRUCCION', price: 560, available: 40 },
+      { sku: 'X3', name: 'Cemento Cibao', category: 'CONSTRUCCION', price: 480, available: 100 },
+      { sku: 'X4', name: 'Cemento blanco', category: 'CONSTRUCCION', price: 900, available: 100 },
+      { sku: 'X5', name: 'Cemento Colón', category: 'CONSTRUCCION', price: 500, available: 0 },
+      { sku: 'A', name: 'Cemento gris', category: 'CONSTRUCCION', price: 500, available: 100 }
+    ];
+
+    const ranked = productSubstituteService.rankSubstitutes({ sku: 'A', price: 500 }, candidates, 20);
+
+    expect(ranked.map(candidate => candidate.sku)).toEqual(['X3', 'X2', 'X1']);
+    expect(ranked[0]).toEqual({
+      sku: 'X3',
+      name: 'Cemento Cibao',
+      category: 'CONSTRUCCION',
+      price: 480,
+      available: 100,
+      covers_quantity: true,
+      price_difference_percent: -4
+    });
+    expect(ranked[2]).toMatchObject({ covers_quantity: false, price_difference_percent: 4 });
+  });
+
+  test('swaps the product of a line but keeps its quantity, notes and discount', () => {
+    const line = {
+      id: 7,
+      product_id: 'A',
+      product_ean: 'A',
+      product_name: 'Cemento gris',
+      quantity: 15,
+      list_price: 500,
+      price: 475,
+      discount_type: 'percent',
+      discount_value: 5,
+      notes: 'Entregar en obra'
+    };
+    const product = { sku: 'X3', name: 'Cemento Cibao', description: 'Funda 42.5 kg', category: 'CONSTRUCCION', price: 4800 };
+
+    expect(productSubstituteService.swapLine(line, product, 60)).toEqual({
+      id: 7,
+      product_id: 'X3',
+      product_ean: 'X3',
+      product_name: 'Cemento Cibao',
+      product_description: 'Funda 42.5 kg',
+      product_category: 'CONSTRUCCION',
+      quantity: 15,
+      list_price: 80,
+      price: 80,
+      discount_type: 'percent',
+      discount_value: 5,
+      notes: 'Entregar en obra'
+    });
+  });
+});
@@ -0,0 +1,40 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteAcceptanceService = require('../src/modules/quotes/services/quoteAcceptanceService');
+const exportService = require('../src/shared/services/exportService');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+describe('Quote acceptance signature', () => {
+  test('accepts only PNG data URLs as drawn signatures', () => {
+    expect(quoteAcceptanceService.parseSignatureImage(PNG)).toBeInstanceOf(Buffer);
+    expect(quoteAcceptanceService.parseSignatureImage('data:image/png;base64,AAAA')).toBeNull();
+    expect(quoteAcceptanceService.parseSignatureImage('data:image/svg+xml;base64,PHN2Zz4=')).toBeNull();
+    expect(quoteAcceptanceService.validateSignature({ signature_image: PNG, signer_email: 'ana@example.com' })).toEqual([]);
+    expect(quoteAcceptanceService.validateSignature({ signer_email: 'ana' })).toEqual(['signer_email must be a valid email address']);
+  });
+
+  test('hashes documents with SHA-256', () => {
+    expect(quoteAcceptanceService.sha256(Buffer.from('abc')))
+      .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  test('adds the acceptance record as the last page of the quote PDF', async () => {
+    const quote = { quote_number: 'COT-2026-00001', created_at: '2026-05-01', total: 23.6, subtotal: 20, itbis: 3.6, currency: 'DOP' };
+    const items = [{ product_name: 'Silla', quantity: 2, price: 10, total: 23.6 }];
+    const acceptance = {
+      signer_name: 'Ana Pérez',
+      signer_email: 'ana@example.com',
+      signer_ip: '10.0.0.1',
+      user_agent: 'Mozilla/5.0',
+      accepted_at: '2026-05-02T14:00:00.000Z',
+      signature_image: quoteAcceptanceService.parseSignatureImage(PNG)
+    };
+
+    const plain = await exportService.generateQuotePDF(quote, { name: 'Ana' }, items);
+    const signed = await exportService.generateQuotePDF(quote, { name: 'Ana' }, items, { acceptance });
+
+    expect(plain.toString('latin1')).toMatch(/\/Count 1\b/);
+    expect(signed.toString('latin1')).toMatch(/\/Count 2\b/);
+  });
+});
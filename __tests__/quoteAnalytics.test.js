@@ -0,0 +1,67 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteAnalyticsService = require('../src/modules/quotes/services/quoteAnalyticsService');
+
+const change = (quoteId, previous, next, at, reason = null) => ({
+  quote_id: quoteId, previous_status: previous, new_status: next, created_at: at, change_reason: reason
+});
+
+const quotes = [
+  { id: 1, status: 'converted', created_at: '2026-06-01 10:00:00', created_by: 7, salesperson_name: 'Ana', client_id: 1, client_name: 'Acme', total_dop: 1000 },
+  { id: 2, status: 'rejected', created_at: '2026-06-01 10:00:00', created_by: 7, salesperson_name: 'Ana', client_id: 2, client_name: 'Beta', total_dop: 500 },
+  { id: 3, status: 'expired', created_at: '2026-06-02 10:00:00', created_by: 9, salesperson_name: 'Luis', client_id: 1, client_name: 'Acme', total_dop: 300 },
+  { id: 4, status: 'draft', created_at: '2026-06-03 10:00:00', created_by: 9, salesperson_name: 'Luis', client_id: 2, client_name: 'Beta', total_dop: 200 }
+];
+
+const history = [
+  change(1, 'draft', 'sent', '2026-06-01 12:00:00'),
+  change(1, 'sent', 'sent', '2026-06-01 18:00:00', 'follow_up_queued'),
+  change(1, 'sent', 'viewed', '2026-06-02 12:00:00'),
+  change(1, 'viewed', 'accepted', '2026-06-03 10:00:00'),
+  change(1, 'accepted', 'converted', '2026-06-04 10:00:00'),
+  change(2, 'draft', 'sent', '2026-06-01 14:00:00'),
+  change(2, 'sent', 'viewed', '2026-06-01 16:00:00'),
+  change(2, 'viewed', 'rejected', '2026-06-02 16:00:00', 'client_rejected'),
+  change(3, 'draft', 'sent', '2026-06-02 16:00:00'),
+  change(3, 'sent', 'expired', '2026-06-20T00:05:00.000Z', 'valid_until_passed')
+];
+
+describe('Quote pipeline analytics', () => {
+  const pipeline = quoteAnalyticsService.buildPipeline(quotes, history);
+
+  test('counts every quote up to the furthest stage it reached', () => {
+    expect(pipeline.funnel.map(stage => [stage.stage, stage.count])).toEqual([
+      ['draft', 4], ['sent', 3], ['viewed', 2], ['accepted', 1], ['converted', 1]
+    ]);
+    expect(pipeline.funnel[2].rate_from_previous).toBe(66.7);
+    expect(pipeline.funnel[4].rate_from_draft).toBe(25);
+  });
+
+  test('computes win rates over decided quotes only', () => {
+    expect(pipeline.totals).toMatchObject({ quotes: 4, won: 1, lost: 2, open: 1, win_rate: 33.3, median_cycle_hours: 48 });
+    expect(pipeline.salespeople.map(row => [row.name, row.won, row.lost, row.win_rate])).toEqual([
+      ['Ana', 1, 1, 50], ['Luis', 0, 1, 0]
+    ]);
+    expect(pipeline.clients.find(row => row.name === 'Acme')).toMatchObject({ won: 1, lost: 1, won_value: 1000, lost_value: 300 });
+  });
+
+  test('takes the median time spent in each status and ignores events without a status change', () => {
+    const hours = Object.fromEntries(pipeline.time_in_status.map(row => [row.status, row.median_hours]));
+    expect(hours.draft).toBe(4);
+    expect(hours.sent).toBe(24);
+    expect(hours.viewed).toBe(23);
+  });
+
+  test('breaks lost quotes down by reason', () => {
+    expect(pipeline.lost_reasons).toEqual([
+      { status: 'rejected', reason: 'client_rejected', count: 1, value: 500 },
+      { status: 'expired', reason: 'valid_until_passed', count: 1, value: 300 }
+    ]);
+  });
+
+  test('validates the date range', () => {
+    expect(quoteAnalyticsService.validateRange({ date_from: '2026-06-01', date_to: '2026-06-30' })).toEqual([]);
+    expect(quoteAnalyticsService.validateRange({ date_from: '2026-07-01', date_to: '2026-06-30' })).toEqual(['date_from must not be after date_to']);
+    expect(quoteAnalyticsService.validateRange({ date_from: 'june' })).toEqual(['date_from must be a date (YYYY-MM-DD)']);
+  });
+});
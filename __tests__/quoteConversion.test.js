@@ -0,0 +1,100 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const quoteConversionService = require('../src/modules/quotes/services/quoteConversionService');
+
+// An executor over one NCF sequence, one client and the orders already created
+const fakeExecutor = ({ sequence, client = { id: 1, name: 'Ferretería Ozama', rnc: '101123456' }, orders = [] }) => ({
+  execute: jest.fn(async (sql, params) => {
+    if (sql.includes('FROM ncf_sequences')) return [sequence ? [{ ...sequence }] : []];
+    if (sql.includes('UPDATE ncf_sequences')) {
+      sequence.last_value = params[0];
+      return [{ affectedRows: 1 }];
+    }
+    if (sql.includes('FROM sales_orders')) return [orders.filter(order => order.quote_id === params[0])];
+    if (sql.includes('FROM clients')) return [[client]];
+    if (sql.includes('INSERT INTO sales_orders')) {
+      orders.push({ id: orders.length + 1, quote_id: params[0], ncf: params[4] });
+      return [{ insertId: orders.length }];
+    }
+    if (sql.includes('FROM quote_items')) return [[]];
+    return [{ affectedRows: 0 }];
+  })
+});
+
+describe('Quote conversion and NCF allocation', () => {
+  const now = new Date('2026-10-18T12:00:00Z');
+  const quote = { id: 7, client_id: 1, subtotal: 1000, itbis: 180, total: 1180 };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('issues NCFs from the start of the authorised range up to its end', async () => {
+    const sequence = { ncf_type: 'B01', last_value: 0, range_start: 501, range_end: 502, valid_until: '2026-12-31' };
+    const executor = fakeExecutor({ sequence });
+
+    await expect(quoteConversionService.allocateNcf(executor, 'B01', now)).resolves.toBe('B0100000501');
+    await expect(quoteConversionService.allocateNcf(executor, 'B01', now)).resolves.toBe('B0100000502');
+    await expect(quoteConversionService.allocateNcf(executor, 'B01', now)).rejects.toMatchObject({
+      message: 'NCF range for B01 is exhausted',
+      statusCode: 409
+    });
+    expect(sequence.last_value).toBe(502);
+  });
+
+  test('refuses expired or unloaded ranges', async () => {
+    const expired = fakeExecutor({ sequence: { ncf_type: 'B02', last_value: 10, range_start: 1, range_end: 100, valid_until: '2026-10-17' } });
+    const unloaded = fakeExecutor({ sequence: { ncf_type: 'B02', last_value: 0, range_start: null, range_end: null, valid_until: null } });
+    const lastDay = fakeExecutor({ sequence: { ncf_type: 'B02', last_value: 10, range_start: 1, range_end: 100, valid_until: '2026-10-18' } });
+
+    await expect(quoteConversionService.allocateNcf(expired, 'B02', now)).rejects.toThrow('NCF range for B02 expired on 2026-10-17');
+    await expect(quoteConversionService.allocateNcf(unloaded, 'B02', now)).rejects.toThrow('No DGII-authorised range has been loaded for B02');
+    await expect(quoteConversionService.allocateNcf(lastDay, 'B02', now)).resolves.toBe('B0200000011');
+  });
+
+  test('requires an RNC for crédito fiscal and converts a quote only once', async () => {
+    const sequence = { ncf_type: 'B01', last_value: 0, range_start: 1, range_end: 100, valid_until: '2099-12-31' };
+
+    const noRnc = fakeExecutor({ sequence, client: { id: 1, name: 'Consumidor', rnc: null } });
+    await expect(quoteConversionService.createOrderFromQuote(noRnc, quote, 3, { ncfType: 'B01' })).rejects.toMatchObject({
+      message: 'Crédito fiscal (B01) invoices require a client RNC',
+      statusCode: 400
+    });
+    expect(sequence.last_value).toBe(0);
+
+    const executor = fakeExecutor({ sequence });
+    const order = await quoteConversionService.createOrderFromQuote(executor, quote, 3);
+    expect(order).toMatchObject({ quote_id: 7, ncf: 'B0100000001', ncf_type: 'B01' });
+
+    await expect(quoteConversionService.createOrderFromQuote(executor, quote, 3)).rejects.toMatchObject({
+      message: 'Quote has already been converted',
+      statusCode: 409
+    });
+    expect(sequence.last_value).toBe(1);
+  });
+
+  test('only converts accepted quotes and rolls back otherwise', async () => {
+    const connection = {
+      execute: jest.fn().mockResolvedValue([[{ ...quote, status: 'converted' }]]),
+      commit: jest.fn(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    quoteConversionService.db = { getConnection: jest.fn().mockResolvedValue(connection) };
+
+    await expect(quoteConversionService.convertQuote(7, 3)).rejects.toMatchObject({ statusCode: 409 });
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+  });
+
+  test('validates a DGII range and keeps issued numbers from being reused', async () => {
+    expect(quoteConversionService.validateNcfRange({ range_start: 1, range_end: 5000, valid_until: '2027-12-31' })).toEqual([]);
+    expect(quoteConversionService.validateNcfRange({ range_start: 10, range_end: 5, valid_until: '31/12/2027' })).toHaveLength(2);
+
+    quoteConversionService.db = {
+      execute: jest.fn().mockResolvedValue([[{ ncf_type: 'B02', last_value: 40, range_start: 1, range_end: 50, valid_until: '2026-12-31' }]])
+    };
+
+    await expect(quoteConversionService.updateNcfRange('B02', { range_start: 20, range_end: 500, valid_until: '2027-12-31' }, 1))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(quoteConversionService.db.execute).toHaveBeenCalledTimes(1);
+  });
+});
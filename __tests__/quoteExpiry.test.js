@@ -0,0 +1,38 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteExpiryService = require('../src/modules/quotes/services/quoteExpiryService');
+
+describe('Quote expiry job', () => {
+  const quotes = [
+    { id: 1, quote_number: 'COT-1', created_by: 7 },
+    { id: 2, quote_number: 'COT-2', created_by: 9 },
+    { id: 3, quote_number: 'COT-3', created_by: 7 },
+    { id: 4, quote_number: 'COT-4', created_by: null }
+  ];
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('groups expired quotes into one digest per salesperson', () => {
+    const owners = quoteExpiryService.groupByOwner(quotes);
+
+    expect([...owners.keys()]).toEqual([7, 9]);
+    expect(owners.get(7).map(quote => quote.id)).toEqual([1, 3]);
+  });
+
+  test('keeps going when one quote fails and only digests the ones that expired', async () => {
+    jest.spyOn(quoteExpiryService, 'getExpiredQuotes').mockResolvedValue(quotes.slice(0, 3));
+    jest.spyOn(quoteExpiryService, 'expireQuote').mockImplementation(async quote => {
+      if (quote.id === 2) {
+        throw new Error('Invalid status transition from accepted to expired');
+      }
+      return 2;
+    });
+    const queueDigests = jest.spyOn(quoteExpiryService, 'queueDigests').mockResolvedValue(1);
+
+    const summary = await quoteExpiryService.run('2026-06-11');
+
+    expect(quoteExpiryService.getExpiredQuotes).toHaveBeenCalledWith('2026-06-11');
+    expect(summary).toEqual({ checked: 3, expired: 2, reservations_released: 4, digests: 1, failed: 1 });
+    expect(queueDigests.mock.calls[0][0].map(quote => quote.id)).toEqual([1, 3]);
+  });
+});
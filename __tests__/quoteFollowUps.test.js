@@ -0,0 +1,38 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteFollowUpService = require('../src/modules/quotes/services/quoteFollowUpService');
+
+const steps = [
+  { id: 1, trigger_type: 'after_sent', offset_days: 3 },
+  { id: 2, trigger_type: 'before_expiry', offset_days: 2 },
+  { id: 3, trigger_type: 'on_expiry', offset_days: 0 }
+];
+const due = (quote, today, sentKeys) => quoteFollowUpService.dueSteps(quote, steps, sentKeys, today).map(({ step, dueDate }) => [step.id, dueDate]);
+
+describe('Quote follow-up sequences', () => {
+  const quote = { status: 'sent', sent_at: '2026-06-01 14:30:00', valid_until: '2026-06-10' };
+
+  test('computes due dates from the sent and expiry dates', () => {
+    expect(due(quote, '2026-06-03')).toEqual([]);
+    expect(due(quote, '2026-06-04')).toEqual([[1, '2026-06-04']]);
+    expect(due(quote, '2026-06-08')).toEqual([[2, '2026-06-08']]);
+    expect(due({ ...quote, status: 'expired' }, '2026-06-10')).toEqual([[3, '2026-06-10']]);
+  });
+
+  test('catches up on recently missed steps but skips old and already queued ones', () => {
+    expect(due(quote, '2026-06-06')).toEqual([[1, '2026-06-04']]);
+    expect(due(quote, '2026-06-07')).toEqual([]);
+    expect(due(quote, '2026-06-04', new Set(['1:2026-06-04']))).toEqual([]);
+  });
+
+  test('stops once the client has decided', () => {
+    expect(due({ ...quote, status: 'accepted' }, '2026-06-04')).toEqual([]);
+    expect(due({ ...quote, status: 'rejected' }, '2026-06-10')).toEqual([]);
+  });
+
+  test('validates cadence steps', () => {
+    expect(quoteFollowUpService.validateStep({ name: 'Vence', trigger_type: 'on_expiry' })).toEqual([]);
+    expect(quoteFollowUpService.validateStep({ name: 'X', trigger_type: 'after_sent', offset_days: -1 }))
+      .toEqual(['offset_days must be between 0 and 365']);
+  });
+});
@@ -0,0 +1,40 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteNumberingService = require('../src/modules/quotes/services/quoteNumberingService');
+
+describe('Quote numbering', () => {
+  test('formats year, store and padded sequence tokens', () => {
+    expect(quoteNumberingService.formatNumber(42, { year: 2026 }, 'COT-{YYYY}-{00000}')).toBe('COT-2026-00042');
+    expect(quoteNumberingService.formatNumber(7, { year: 2026, store: 'SD01' }, '{STORE}/{YY}/{000}')).toBe('SD01/26/007');
+  });
+
+  test('recognises numbers produced by a format', () => {
+    expect(quoteNumberingService.matchesFormat('COT-2026-00042', 'COT-{YYYY}-{00000}')).toBe(true);
+    expect(quoteNumberingService.matchesFormat('COT-2026-123456', 'COT-{YYYY}-{00000}')).toBe(true);
+    expect(quoteNumberingService.matchesFormat('COT-000042', 'COT-{YYYY}-{00000}')).toBe(false);
+    expect(quoteNumberingService.matchesFormat('Q1712345678901', 'COT-{YYYY}-{00000}')).toBe(false);
+  });
+
+  test('rejects formats that would repeat numbers', () => {
+    const config = { format: 'COT-{YYYY}-{00000}', resetPolicy: 'yearly', store: 'SD01' };
+
+    expect(quoteNumberingService.validateConfig(config)).toEqual([]);
+    expect(quoteNumberingService.validateConfig({ ...config, format: 'COT-{YYYY}' })).toEqual([
+      'QUOTE_NUMBER_FORMAT needs exactly one counter token such as {00000}'
+    ]);
+    expect(quoteNumberingService.validateConfig({ ...config, format: 'COT-{00000}' })).toHaveLength(1);
+    expect(quoteNumberingService.validateConfig({ ...config, format: 'COT-{00000}', resetPolicy: 'never' })).toEqual([]);
+    expect(quoteNumberingService.validateConfig({ ...config, format: 'COT-{MM}-{YY}-{000}', store: 'SD-01' })).toHaveLength(2);
+  });
+
+  test('refuses to load with an invalid format', () => {
+    jest.isolateModules(() => {
+      process.env.QUOTE_NUMBER_FORMAT = 'COT-{YYYY}';
+      try {
+        expect(() => require('../src/modules/quotes/services/quoteNumberingService')).toThrow('Invalid quote numbering configuration');
+      } finally {
+        delete process.env.QUOTE_NUMBER_FORMAT;
+      }
+    });
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const QuotesController = require('../src/modules/quotes/quotesController');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Malformed quote requests', () => {
+  let controller;
+
+  beforeEach(() => {
+    controller = new QuotesController();
+    controller.db = { getConnection: jest.fn() };
+  });
+
+  test('rejects items that are not a list of objects instead of throwing', async () => {
+    for (const items of [[null], 'abc', [1], [['a']]]) {
+      const created = response();
+      await controller.createQuote({ body: { client_id: 1, items }, user: { id: 3 } }, created);
+      expect(created.status).toHaveBeenCalledWith(400);
+
+      const updated = response();
+      await controller.updateQuote({ params: { id: 5 }, body: { items }, user: { id: 3 } }, updated);
+      expect(updated.status).toHaveBeenCalledWith(400);
+    }
+    expect(controller.db.getConnection).not.toHaveBeenCalled();
+  });
+
+  test('rejects a currency that is not a code', async () => {
+    for (const currency of [5, {}, ['USD']]) {
+      const res = response();
+      await controller.createQuote({ body: { client_id: 1, items: [{ price: 10, quantity: 1 }], currency }, user: { id: 3 } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].message).toMatch(/^Currency must be one of/);
+    }
+    expect(controller.db.getConnection).not.toHaveBeenCalled();
+  });
+});
+
+describe('Quote handlers when the database connection is busy', () => {
+  const requests = {
+    createQuote: { body: { client_id: 1, items: [{ price: 10, quantity: 1 }] } },
+    updateQuote: { params: { id: 5 }, body: { notes: 'Entrega el lunes' } },
+    cloneQuote: { params: { id: 5 }, body: {} },
+    swapQuoteItem: { params: { id: 5, itemId: 9 }, body: { product_id: '750200' } }
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test.each(Object.keys(requests))('%s answers 500 when no connection can be had', async handler => {
+    const controller = new QuotesController();
+    controller.db = { getConnection: jest.fn().mockRejectedValue(new Error('Connection timeout')) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = response();
+    await controller[handler]({ params: {}, user: { id: 3 }, ...requests[handler] }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, message: 'Connection timeout' });
+  });
+});
@@ -0,0 +1,44 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const quoteRevisionService = require('../src/modules/quotes/services/quoteRevisionService');
+
+describe('Quote revision diffs', () => {
+  const line = (product_id, quantity, price) => ({
+    product_id,
+    product_name: `Product ${product_id}`,
+    quantity,
+    price,
+    itbis: quantity * price * 0.18,
+    total: quantity * price * 1.18
+  });
+
+  test('reports added, removed and changed lines', () => {
+    const from = [line('A', 2, 100), line('B', 1, 50), line('C', 3, 10)];
+    const to = [line('A', 5, 100), line('C', 3, 10), line('D', 1, 20)];
+
+    const diff = quoteRevisionService.compareItems(from, to);
+
+    expect(diff.added.map(i => i.product_id)).toEqual(['D']);
+    expect(diff.removed.map(i => i.product_id)).toEqual(['B']);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0].product_id).toBe('A');
+    expect(diff.changed[0].changes.quantity).toEqual({ from: 2, to: 5, delta: 3 });
+    expect(diff.changed[0].changes.price).toBeUndefined();
+    expect(diff.unchanged_count).toBe(1);
+  });
+
+  test('pairs repeated lines of the same product in order', () => {
+    const from = [line('A', 1, 10), line('A', 2, 10)];
+    const to = [line('A', 1, 10)];
+
+    const diff = quoteRevisionService.compareItems(from, to);
+
+    expect(diff.removed).toHaveLength(1);
+    expect(diff.removed[0].quantity).toBe(2);
+    expect(diff.unchanged_count).toBe(1);
+  });
+
+  test('formats revision labels', () => {
+    expect(quoteRevisionService.formatRevisionLabel('COT-000012', 3)).toBe('COT-000012 rev 3');
+  });
+});
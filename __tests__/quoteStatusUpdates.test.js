@@ -0,0 +1,78 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: {} } }));
+
+const QuotesController = require('../src/modules/quotes/quotesController');
+const quoteStatusService = require('../src/modules/quotes/services/quoteStatusService');
+const approvalService = require('../src/modules/quotes/services/approvalService');
+const creditService = require('../src/modules/quotes/services/creditService');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Quote status changes through PUT', () => {
+  let controller;
+  let connection;
+
+  beforeEach(() => {
+    connection = {
+      execute: jest.fn(async sql => (sql.startsWith('SELECT')
+        ? [[{ id: 5, client_id: 2, status: 'draft', currency: 'DOP', exchange_rate: 1, total: 5000 }]]
+        : [{ affectedRows: 1 }])),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    controller = new QuotesController();
+    controller.db = { getConnection: jest.fn().mockResolvedValue(connection) };
+    jest.spyOn(creditService, 'checkQuote').mockResolvedValue({ status: 'ok' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = async body => {
+    const res = response();
+    await controller.updateQuote({ params: { id: 5 }, body, user: { id: 3 } }, res);
+    return res;
+  };
+
+  test('refuses to send a quote that still needs approval', async () => {
+    jest.spyOn(approvalService, 'needsApproval').mockResolvedValue(true);
+    const updateStatus = jest.spyOn(quoteStatusService, 'updateQuoteStatus');
+
+    const res = await update({ status: 'sent' });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(updateStatus).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('records the change through the status service instead of writing the column', async () => {
+    jest.spyOn(approvalService, 'needsApproval').mockResolvedValue(false);
+    const updateStatus = jest.spyOn(quoteStatusService, 'updateQuoteStatus').mockResolvedValue({ status: 'sent' });
+
+    const res = await update({ status: 'sent' });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(updateStatus).toHaveBeenCalledWith(connection, 5, 'sent', 3, { reason: 'manual_update' });
+    expect(connection.execute.mock.calls.some(([sql]) => /SET status/.test(sql))).toBe(false);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  test('leaves approval and conversion to their own endpoints', async () => {
+    for (const status of ['approved', 'converted', 'won']) {
+      const res = await update({ status });
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(controller.db.getConnection).not.toHaveBeenCalled();
+  });
+
+  test('rejects transitions the workflow does not allow', async () => {
+    const res = await update({ status: 'accepted' });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].message).toBe('Invalid status transition from draft to accepted');
+  });
+});
@@ -0,0 +1,29 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {}, mysql: { getPool: () => null } } }));
+
+const quoteTemplateService = require('../src/modules/quotes/services/quoteTemplateService');
+const pricingService = require('../src/modules/quotes/services/pricingService');
+
+describe('Quote templates and cloning', () => {
+  test('computes the validity date from the template default', () => {
+    expect(quoteTemplateService.validUntil(15, new Date('2026-03-20T12:00:00Z'))).toBe('2026-04-04');
+    expect(quoteTemplateService.validUntil(null)).toBeNull();
+  });
+
+  test('validates templates, allowing lines to be omitted on update', () => {
+    expect(quoteTemplateService.validateTemplate({ name: 'Kit oficina' })).toEqual(['items or source_quote_id is required']);
+    expect(quoteTemplateService.validateTemplate({ name: 'Kit oficina' }, { requireItems: false })).toEqual([]);
+    expect(quoteTemplateService.validateTemplate({ name: 'Kit', source_quote_id: 4 })).toEqual([]);
+    expect(quoteTemplateService.validateTemplate({
+      name: 'Kit',
+      items: [{ product_name: 'Silla', quantity: 0 }]
+    })).toEqual(['Item 1: quantity must be greater than 0']);
+  });
+
+  test('keeps stored prices when the catalog is unavailable', async () => {
+    const items = [{ product_id: 'A', list_price: 25 }];
+    const { lines, refreshed } = await pricingService.refreshListPrices(items, 1);
+
+    expect(refreshed).toBe(0);
+    expect(lines).toEqual(items);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const stockLocationService = require('../src/modules/quotes/services/stockLocationService');
+
+describe('Stock per store and distribution centre', () => {
+  const locations = [
+    { code: 'T01', name: 'Plaza Lama Churchill', type: 'store', zone: 'DN', latitude: 18.4735, longitude: -69.9428, active: 1 },
+    { code: 'T02', name: 'Plaza Lama Duarte', type: 'store', zone: 'DN', latitude: 18.4861, longitude: -69.9021, active: 1 },
+    { code: 'T05', name: 'Plaza Lama Santiago', type: 'store', zone: 'NORTE', latitude: 19.4517, longitude: -70.6970, active: 1 },
+    { code: 'T09', name: 'Plaza Lama Herrera', type: 'store', zone: 'DN', latitude: null, longitude: null, active: 1 },
+    { code: 'T10', name: 'Plaza Lama Bávaro', type: 'store', zone: 'ESTE', latitude: 18.6822, longitude: -68.4143, active: 0 },
+    { code: 'CD1', name: 'Centro de distribución', type: 'dc', zone: 'SDE', latitude: null, longitude: null, active: 1 }
+  ];
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('measures the distance between located stores only', () => {
+    expect(stockLocationService.distanceKm(locations[0], locations[1])).toBeCloseTo(4.5, 0);
+    expect(stockLocationService.distanceKm(locations[0], locations[3])).toBeNull();
+  });
+
+  test('offers locations covering the shortage first, then the nearest, never inactive ones', () => {
+    const available = new Map([['T01', 2], ['T02', 3], ['T05', 40], ['T09', 12], ['T10', 50], ['CD1', 200], ['X99', 0]]);
+
+    const alternatives = stockLocationService.findAlternatives(locations[0], locations, available, 10);
+
+    expect(alternatives.map(location => location.code)).toEqual(['T05', 'T09', 'CD1', 'T02']);
+    expect(alternatives[0]).toMatchObject({ name: 'Plaza Lama Santiago', available: 40, covers_quantity: true });
+    expect(alternatives[0].distance_km).toBeGreaterThan(100);
+    expect(alternatives[3]).toMatchObject({ code: 'T02', available: 3, covers_quantity: false });
+  });
+
+  test('checks quote lines against the fulfilment store and lists where else the product is', async () => {
+    jest.spyOn(stockLocationService, 'getStockByLocation').mockResolvedValue(new Map([
+      ['A', new Map([['T01', 30], ['T02', 50]])],
+      ['B', new Map([['T01', 10]])]
+    ]));
+    jest.spyOn(stockLocationService, 'getHeldByLocation').mockResolvedValue(new Map([
+      ['A', new Map([['T01', 20], ['T02', 45]])],
+      ['B', new Map()]
+    ]));
+    jest.spyOn(stockLocationService, 'getLocations').mockResolvedValue(locations);
+    const connection = { execute: jest.fn() };
+
+    const shortages = await stockLocationService.checkStore([
+      { product_id: 'A', product_name: 'Cemento gris', quantity: 15 },
+      { product_id: 'B', product_name: 'Varilla 3/8', quantity: 10 }
+    ], 'T01', { excludeQuoteId: 7, executor: connection });
+
+    // Everything is read on the caller's transaction, which holds the only SQLite connection
+    expect(stockLocationService.getHeldByLocation).toHaveBeenCalledWith(connection, ['A', 'B'], 7);
+    expect(stockLocationService.getLocations).toHaveBeenCalledWith({ includeInactive: true }, connection);
+    expect(shortages).toEqual([{
+      product_id: 'A',
+      product_name: 'Cemento gris',
+      requested: 15,
+      on_hand: 30,
+      held_by_other_quotes: 20,
+      available: 10,
+      shortage: 5,
+      alternative_locations: [{
+        code: 'T02',
+        name: 'Plaza Lama Duarte',
+        type: 'store',
+        zone: 'DN',
+        distance_km: expect.any(Number),
+        available: 5,
+        covers_quantity: true
+      }]
+    }]);
+  });
+
+  test('groups the low-stock report per location', () => {
+    const report = stockLocationService.groupLowStock([
+      { location: 'T01', sku: 'A', name: 'Cemento gris', category: 'CONSTRUCCION', stock: 0 },
+      { location: 'T01', sku: 'B', name: 'Varilla 3/8', category: 'CONSTRUCCION', stock: 4 },
+      { location: 'T77', sku: 'A', name: 'Cemento gris', category: 'CONSTRUCCION', stock: 8 }
+    ], locations);
+
+    expect(report).toEqual([
+      {
+        code: 'T01',
+        name: 'Plaza Lama Churchill',
+        type: 'store',
+        products: [
+          { sku: 'A', name: 'Cemento gris', category: 'CONSTRUCCION', stock: 0, urgency: 'critical' },
+          { sku: 'B', name: 'Varilla 3/8', category: 'CONSTRUCCION', stock: 4, urgency: 'high' }
+        ],
+        product_count: 2,
+        critical_count: 1
+      },
+      {
+        code: 'T77',
+        name: 'T77',
+        type: null,
+        products: [{ sku: 'A', name: 'Cemento gris', category: 'CONSTRUCCION', stock: 8, urgency: 'medium' }],
+        product_count: 1,
+        critical_count: 0
+      }
+    ]);
+  });
+
+  test('validates stock locations', () => {
+    expect(stockLocationService.validateLocation({ code: 'T01', name: 'Churchill', type: 'store', latitude: '18.47', longitude: -69.94 })).toEqual([]);
+    expect(stockLocationService.validateLocation({ type: 'warehouse', latitude: 95, longitude: 'x' })).toEqual([
+      'code is required',
+      'name is required',
+      'type must be one of: store, dc',
+      'latitude must be between -90 and 90',
+      'longitude must be between -180 and 180'
+    ]);
+    expect(stockLocationService.validateLocation({ name: 'Churchill' }, { isNew: false })).toEqual([]);
+  });
+});
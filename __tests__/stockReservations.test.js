@@ -0,0 +1,91 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const stockReservationService = require('../src/modules/quotes/services/stockReservationService');
+
+describe('Stock reservation lifecycle', () => {
+  const executor = {};
+  const settings = { enabled: true, reservation_minutes: 30, sent_hold_days: 7 };
+
+  beforeEach(() => {
+    jest.spyOn(stockReservationService, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(stockReservationService, 'holdUntil').mockImplementation(async (_, modifier) => `now ${modifier}`);
+    jest.spyOn(stockReservationService, 'reserveQuote').mockResolvedValue({ items_reserved: 2 });
+    jest.spyOn(stockReservationService, 'allocateQuote').mockResolvedValue({ items_allocated: 2 });
+    jest.spyOn(stockReservationService, 'releaseStockReservation').mockResolvedValue({ items_released: 2 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('extends the hold when the quote is sent and allocates it on acceptance', async () => {
+    await stockReservationService.applyStatus(executor, 5, 'sent');
+    expect(stockReservationService.reserveQuote).toHaveBeenCalledWith(executor, 5, 'now +7 days');
+
+    await stockReservationService.applyStatus(executor, 5, 'accepted');
+    expect(stockReservationService.allocateQuote).toHaveBeenCalledWith(executor, 5);
+  });
+
+  test('releases the stock when the quote is rejected, cancelled or expires', async () => {
+    for (const status of ['rejected', 'cancelled', 'expired']) {
+      await stockReservationService.applyStatus(executor, 5, status);
+    }
+
+    expect(stockReservationService.releaseStockReservation.mock.calls).toEqual([
+      [5, 'quote_rejected', executor],
+      [5, 'quote_cancelled', executor],
+      [5, 'quote_expired', executor]
+    ]);
+  });
+
+  test('leaves stock alone for other statuses and when reservations are off', async () => {
+    expect(await stockReservationService.applyStatus(executor, 5, 'viewed')).toBeNull();
+
+    stockReservationService.getSettings.mockResolvedValue({ ...settings, enabled: false });
+    expect(await stockReservationService.applyStatus(executor, 5, 'sent')).toBeNull();
+    expect(await stockReservationService.holdNewQuote(executor, 5)).toBeNull();
+    expect(stockReservationService.reserveQuote).not.toHaveBeenCalled();
+  });
+
+  test('reports lines that ask for more than other quotes leave available', () => {
+    const lines = [
+      { product_id: 'A', product_name: 'Cemento', quantity: 40 },
+      { product_id: 'B', product_name: 'Varilla', quantity: 10 }
+    ];
+    const onHand = new Map([['A', 100], ['B', 50]]);
+    const held = new Map([['A', 80]]);
+
+    expect(stockReservationService.findShortages(lines, onHand, held)).toEqual([{
+      product_id: 'A',
+      product_name: 'Cemento',
+      requested: 40,
+      on_hand: 100,
+      held_by_other_quotes: 80,
+      available: 20,
+      shortage: 20
+    }]);
+    expect(stockReservationService.findShortages(lines, null, held)).toEqual([]);
+  });
+
+  test('holds and compares fractional quantities without truncating them', async () => {
+    const executor = {
+      execute: jest.fn().mockResolvedValue([[{ product_id: 'C', product_name: 'Cable THHN', quantity: '2.5' }]])
+    };
+
+    const lines = await stockReservationService.getQuoteLines(executor, 5);
+    expect(lines[0].quantity).toBe(2.5);
+
+    const [shortage] = stockReservationService.findShortages(lines, new Map([['C', 3.3]]), new Map([['C', 1.1]]));
+    expect(shortage).toMatchObject({ available: 2.2, shortage: 0.3 });
+
+    expect(stockReservationService.withAvailability({ product_id: 'C', reserved: '0.1', allocated: '0.2' }, new Map([['C', 1]])))
+      .toMatchObject({ held: 0.3, available: 0.7 });
+  });
+
+  test('validates reservation settings', () => {
+    expect(stockReservationService.validateSettings({ enabled: false, reservation_minutes: 60, sent_hold_days: 15 })).toEqual([]);
+    expect(stockReservationService.validateSettings({ enabled: 'yes', reservation_minutes: 0, sent_hold_days: 120 })).toEqual([
+      'enabled must be true or false',
+      'reservation_minutes must be a whole number between 1 and 10080',
+      'sent_hold_days must be a whole number between 1 and 90'
+    ]);
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const taxService = require('../src/modules/quotes/services/taxService');
+
+describe('ITBIS tax engine', () => {
+  const rules = [
+    { id: 1, name: 'ITBIS 18%', scope: 'default', match_value: null, rate: 18, price_mode: 'exclusive' },
+    { id: 2, name: 'Lácteos 16%', scope: 'category', match_value: 'Lácteos', rate: 16, price_mode: 'exclusive' },
+    { id: 3, name: 'Canasta básica', scope: 'product', match_value: '7460001', rate: 0, price_mode: 'exclusive' },
+    { id: 4, name: 'Gobierno exento', scope: 'client', match_value: '401000001', rate: 0, price_mode: 'exclusive' },
+    { id: 5, name: 'Retail incluido', scope: 'category', match_value: 'Retail', rate: 18, price_mode: 'inclusive' }
+  ];
+
+  test('applies the default rate to exclusive prices and ignores client-supplied itbis', () => {
+    const result = taxService.applyRules([{ product_id: 'X', quantity: 2, price: 100, itbis: 999 }], { rnc: '101-12345-6' }, rules);
+
+    expect(result.lines[0]).toMatchObject({ subtotal: 200, itbis: 36, total: 236, tax_rule_id: 1, tax_rate: 18 });
+    expect(result).toMatchObject({ subtotal: 200, itbis: 36, total: 236 });
+  });
+
+  test('prefers product rules over category rules', () => {
+    const productRule = taxService.resolveRule({ product_id: '7460001', category: 'Lácteos' }, {}, rules);
+    const categoryRule = taxService.resolveRule({ product_id: 'Y', category: 'lácteos' }, {}, rules);
+
+    expect(productRule.id).toBe(3);
+    expect(categoryRule.id).toBe(2);
+  });
+
+  test('exempts clients by RNC regardless of formatting', () => {
+    const result = taxService.applyRules([{ product_id: 'X', quantity: 1, price: 50 }], { rnc: '401-00000-1' }, rules);
+
+    expect(result.lines[0]).toMatchObject({ itbis: 0, total: 50, tax_rule_id: 4 });
+  });
+
+  test('backs the tax out of inclusive prices', () => {
+    const line = taxService.calculateLine({ quantity: 1, price: 118 }, rules[4]);
+
+    expect(line).toMatchObject({ subtotal: 100, itbis: 18, total: 118, price_includes_tax: 1 });
+  });
+
+  test('validates rule definitions', () => {
+    expect(taxService.validateRule({ name: 'X', scope: 'category', rate: 16 })).toContain(
+      'match_value is required for client, product and category rules'
+    );
+    expect(taxService.validateRule({ name: 'X', scope: 'default', rate: 120 })).toContain('rate must be between 0 and 100');
+    expect(taxService.validateRule({ name: 'X', scope: 'default', rate: 18 })).toEqual([]);
+  });
+});
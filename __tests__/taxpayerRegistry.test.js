@@ -0,0 +1,54 @@
+jest.mock('../src/shared/database', () => ({ database: { sqlite: {} } }));
+
+const taxpayerRegistryService = require('../src/modules/quotes/services/taxpayerRegistryService');
+const { validateTaxId, formatTaxId } = require('../src/shared/utils/rnc');
+
+describe('RNC validation and DGII registry', () => {
+  test('checks RNC and cédula check digits', () => {
+    expect(validateTaxId('1-01-01063-2')).toEqual({ valid: true, type: 'rnc', taxId: '101010632' });
+    expect(validateTaxId('401007551')).toMatchObject({ valid: true, type: 'rnc' });
+    expect(validateTaxId('001-1391820-5')).toEqual({ valid: true, type: 'cedula', taxId: '00113918205' });
+
+    expect(validateTaxId('101010633')).toMatchObject({ valid: false, error: 'RNC check digit is invalid' });
+    expect(validateTaxId('00113918206')).toMatchObject({ valid: false, error: 'Cédula check digit is invalid' });
+    expect(validateTaxId('12345')).toMatchObject({ valid: false, error: 'RNC must have 9 digits or cédula 11 digits' });
+  });
+
+  test('formats IDs with their usual dashes', () => {
+    expect(formatTaxId('101010632')).toBe('1-01-01063-2');
+    expect(formatTaxId('00113918205')).toBe('001-1391820-5');
+  });
+
+  test('parses DGII TXT lines by position', () => {
+    const line = '101010632|PLAZA LAMA  SA|PLAZA LAMA|VENTA AL POR MENOR|||||15/03/1979|ACTIVO|NORMAL';
+    const fields = taxpayerRegistryService.splitLine(line, taxpayerRegistryService.detectDelimiter(line));
+
+    expect(taxpayerRegistryService.layoutFromHeader(fields)).toBeNull();
+    expect(taxpayerRegistryService.parseFields(fields, {
+      rnc: 0, legal_name: 1, trade_name: 2, activity: 3, registered_on: 8, status: 9, payment_regime: 10
+    })).toEqual({
+      rnc: '101010632',
+      legal_name: 'PLAZA LAMA SA',
+      trade_name: 'PLAZA LAMA',
+      activity: 'VENTA AL POR MENOR',
+      registered_on: '15/03/1979',
+      status: 'ACTIVO',
+      payment_regime: 'NORMAL'
+    });
+  });
+
+  test('maps CSV columns from the header and skips malformed rows', () => {
+    const header = taxpayerRegistryService.splitLine('RNC,Razón Social,Nombre Comercial,Estado', ',');
+    const layout = taxpayerRegistryService.layoutFromHeader(header);
+
+    expect(layout).toEqual({ rnc: 0, legal_name: 1, trade_name: 2, status: 3 });
+    expect(taxpayerRegistryService.parseFields(
+      taxpayerRegistryService.splitLine('131246796,"FERRETERIA ""EL CLAVO"", SRL",,SUSPENDIDO', ','),
+      layout
+    )).toEqual({ rnc: '131246796', legal_name: 'FERRETERIA "EL CLAVO", SRL', trade_name: null, status: 'SUSPENDIDO' });
+    expect(taxpayerRegistryService.parseFields(['ABC', 'NO RNC'], layout)).toBeNull();
+
+    expect(() => taxpayerRegistryService.layoutFromHeader(['Nombre', 'Estado']))
+      .toThrow('Registry header must name the RNC and legal name columns');
+  });
+});
@@ -58,6 +58,7 @@ app.use('/catalog', express.static(path.join(__dirname, '../public/catalog')));
 app.use('/sales', express.static(path.join(__dirname, '../public/sales')));
 app.use('/user-management', express.static(path.join(__dirname, '../public/user-management')));
 app.use('/monitoring', express.static(path.join(__dirname, '../public/monitoring')));
+app.use('/portal', express.static(path.join(__dirname, '../public/portal')));
 
 // Legacy routes → permanent redirects to new modules
 app.use('/quotes-content', (req, res) => {
@@ -1,35 +1,70 @@
 const { database } = require('../../shared/database');
+const thresholdService = require('./thresholdService');
 const {
   ERPProduct,
   PIMProduct,
   ProductStatus,
   ComparisonResult,
   CategoryConfig,
-  DEFAULT_CATEGORY_CONFIGS,
   CatalogStatusResponse,
   SKUResponse,
   CategorySummary,
   CategoryBasedResponse
 } = require('./models');
 
+// Column name from the environment, or `fallback`; empty means the source has no such column
+function columnSetting(name, fallback) {
+  const column = (process.env[name] ?? fallback).trim();
+  if (column && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+    throw new Error(`Invalid ${name}: "${column}" is not a column name`);
+  }
+  return column;
+}
+
 class CatalogService {
   constructor() {
     this.erpDb = database.mysql; // Using MySQL for now (should be Oracle in production)
     this.pimDb = database.mysql;
-    this.categoryConfigs = new Map();
-    
-    // Initialize category configurations
-    DEFAULT_CATEGORY_CONFIGS.forEach(config => {
-      this.categoryConfigs.set(config.area.toUpperCase(), config.threshold);
-    });
+
+    // Where the category and brand matched by threshold overrides come from: INTRANET.MARA on
+    // Oracle, web_products in the MySQL fallback. Without a brand column, brand overrides never apply.
+    this.productColumns = {
+      oracle: {
+        category: columnSetting('ERP_CATEGORY_COLUMN', 'PRDHA'),
+        brand: columnSetting('ERP_BRAND_COLUMN', 'BRAND_ID')
+      },
+      mysql: {
+        category: columnSetting('PIM_CATEGORY_COLUMN', 'depto'),
+        brand: columnSetting('PIM_BRAND_COLUMN', '')
+      }
+    };
+  }
+
+  // SELECT expressions for the configured category and brand columns of `alias`
+  productColumnsSql(alias, { category, brand }) {
+    return {
+      select: [
+        category ? `${alias}.${category} as category` : 'NULL as category',
+        brand ? `${alias}.${brand} as brand` : 'NULL as brand'
+      ].join(', '),
+      groupBy: [category, brand].filter(Boolean).map(column => `, ${alias}.${column}`).join('')
+    };
   }
 
   /**
-   * Get threshold for a specific category area
+   * Get threshold for a specific category area, or for a product when its category and brand
+   * are given (their overrides take precedence). Reads the thresholds last loaded with
+   * loadThresholds().
    */
-  getThreshold(area) {
-    const areaKey = area ? area.toUpperCase() : 'DEFAULT';
-    return this.categoryConfigs.get(areaKey) || this.categoryConfigs.get('DEFAULT') || 10;
+  getThreshold(area, { category, brand } = {}) {
+    return thresholdService.resolve(area, { category, brand });
+  }
+
+  /**
+   * Refresh the publishing thresholds from the database (cached for a few minutes)
+   */
+  async loadThresholds() {
+    await thresholdService.load();
   }
 
   /**
@@ -64,16 +99,21 @@ class CatalogService {
     try {
       if (process.env.ORACLE_HOST && process.env.ORACLE_USER) {
         // Use Oracle ERP tables
+        const columns = this.productColumnsSql('m', this.productColumns.oracle);
         let query = `
           SELECT 
             DISTINCT m.MATNR as sku,
             m.MAKTX as description,
             COALESCE(m.MATKL, 'DEFAULT') as area,
-            COALESCE(SUM(d.LABST), 0) as stock
+            ${columns.select}, -- for threshold overrides
+            COALESCE(SUM(d.LABST), 0) as stock,
+            MAX(b.price) as price -- moving average price, to value the stock
           FROM INTRANET.MARA m
           LEFT JOIN INTRANET.MARD d ON m.MATNR = d.MATNR
+          -- one price row per material, so the join does not repeat the MARD stock rows
+          LEFT JOIN (SELECT MATNR, MAX(VERPR) as price FROM INTRANET.MBEW GROUP BY MATNR) b ON m.MATNR = b.MATNR
           WHERE m.MATNR IS NOT NULL
-          GROUP BY m.MATNR, m.MAKTX, m.MATKL
+          GROUP BY m.MATNR, m.MAKTX, m.MATKL${columns.groupBy}
         `;
         const params = [];
         
@@ -88,16 +128,22 @@ class CatalogService {
           sku: row.sku,
           description: row.description,
           area: row.area,
-          stock: parseInt(row.stock) || 0
+          category: row.category,
+          brand: row.brand,
+          stock: parseInt(row.stock) || 0,
+          price: parseFloat(row.price) || 0
         }));
       } else {
         // Fallback to MySQL products (for testing without Oracle)
+        const columns = this.productColumnsSql('p', this.productColumns.mysql);
         let query = `
           SELECT 
             p.ean as sku,
             p.title as description,
             COALESCE(p.category, 'DEFAULT') as area,
-            COALESCE(p.stock, 0) as stock
+            ${columns.select},
+            COALESCE(p.stock, 0) as stock,
+            p.price
           FROM web_products p
           WHERE p.ean IS NOT NULL
         `;
@@ -114,7 +160,10 @@ class CatalogService {
           sku: row.sku,
           description: row.description,
           area: row.area,
-          stock: parseInt(row.stock) || 0
+          category: row.category,
+          brand: row.brand,
+          stock: parseInt(row.stock) || 0,
+          price: parseFloat(row.price) || 0
         }));
       }
       
@@ -135,7 +184,8 @@ class CatalogService {
           title,
           description,
           COALESCE(depto, 'DEFAULT') as category,
-          CASE WHEN status_new = 1 THEN true ELSE false END as active
+          CASE WHEN status_new = 1 THEN true ELSE false END as active,
+          price
         FROM web_products
         WHERE sku IS NOT NULL AND borrado = 0
       `;
@@ -153,7 +203,8 @@ class CatalogService {
         title: row.title,
         description: row.description,
         category: row.category,
-        active: row.active
+        active: row.active,
+        price: row.price === null ? null : parseFloat(row.price)
       }));
       
     } catch (error) {
@@ -162,6 +213,76 @@ class CatalogService {
     }
   }
 
+  /**
+   * Classify products against their publishing threshold: ERP products with enough stock are
+   * new (not in the PIM yet) or available (already there); PIM products below the threshold or
+   * missing from the ERP are obsolete. ERP products below the threshold and not in the PIM are
+   * left out. Thresholds must have been loaded with loadThresholds().
+   */
+  classifyProducts(erpProducts, pimProducts) {
+    const erpMap = new Map();
+    const pimMap = new Map();
+    
+    erpProducts.forEach(product => erpMap.set(product.sku, product));
+    pimProducts.forEach(product => pimMap.set(product.sku, product));
+    
+    const results = [];
+    
+    // Check ERP products against PIM
+    for (const erpProduct of erpProducts) {
+      const pimProduct = pimMap.get(erpProduct.sku);
+      const threshold = this.getThreshold(erpProduct.area, erpProduct);
+      
+      if (!pimProduct) {
+        // Product exists in ERP but not in PIM
+        if (erpProduct.stock >= threshold) {
+          results.push(new ComparisonResult({
+            erpProduct,
+            pimProduct: null,
+            status: ProductStatus.NEW_PRODUCT,
+            area: erpProduct.area,
+            threshold,
+            reason: `Stock ${erpProduct.stock} >= threshold ${threshold}`
+          }));
+        }
+      } else if (erpProduct.stock >= threshold) {
+        // Product exists in both systems
+        results.push(new ComparisonResult({
+          erpProduct,
+          pimProduct,
+          status: ProductStatus.AVAILABLE_PRODUCT,
+          area: erpProduct.area,
+          threshold,
+          reason: `Stock ${erpProduct.stock} >= threshold ${threshold}`
+        }));
+      } else {
+        results.push(new ComparisonResult({
+          erpProduct,
+          pimProduct,
+          status: ProductStatus.OBSOLETE_PRODUCT,
+          area: erpProduct.area,
+          threshold,
+          reason: `Stock ${erpProduct.stock} < threshold ${threshold}`
+        }));
+      }
+    }
+    
+    // Check for PIM-only products
+    for (const pimProduct of pimProducts) {
+      if (!erpMap.has(pimProduct.sku)) {
+        results.push(new ComparisonResult({
+          erpProduct: null,
+          pimProduct,
+          status: ProductStatus.OBSOLETE_PRODUCT,
+          area: 'UNKNOWN',
+          reason: 'Product not found in ERP system'
+        }));
+      }
+    }
+    
+    return results;
+  }
+
   /**
    * Compare ERP vs PIM products
    */
@@ -175,79 +296,14 @@ class CatalogService {
       // Get ERP and PIM products with pagination
       const [erpProducts, pimProducts] = await Promise.all([
         this.getERPProducts(limit),
-        this.getPIMProducts(limit)
+        this.getPIMProducts(limit),
+        this.loadThresholds()
       ]);
       
-      // Create lookup maps
-      const erpMap = new Map();
-      const pimMap = new Map();
-      
-      erpProducts.forEach(product => erpMap.set(product.sku, product));
-      pimProducts.forEach(product => pimMap.set(product.sku, product));
-      
-      const results = [];
-      const newProducts = [];
-      const obsoleteProducts = [];
-      const availableProducts = [];
-      
-      // Check ERP products against PIM
-      for (const erpProduct of erpProducts) {
-        const pimProduct = pimMap.get(erpProduct.sku);
-        const threshold = this.getThreshold(erpProduct.area);
-        
-        if (!pimProduct) {
-          // Product exists in ERP but not in PIM
-          if (erpProduct.stock >= threshold) {
-            const result = new ComparisonResult({
-              erpProduct,
-              pimProduct: null,
-              status: ProductStatus.NEW_PRODUCT,
-              area: erpProduct.area,
-              reason: `Stock ${erpProduct.stock} >= threshold ${threshold}`
-            });
-            results.push(result);
-            newProducts.push(result);
-          }
-        } else {
-          // Product exists in both systems
-          if (erpProduct.stock >= threshold) {
-            const result = new ComparisonResult({
-              erpProduct,
-              pimProduct,
-              status: ProductStatus.AVAILABLE_PRODUCT,
-              area: erpProduct.area,
-              reason: `Stock ${erpProduct.stock} >= threshold ${threshold}`
-            });
-            results.push(result);
-            availableProducts.push(result);
-          } else {
-            const result = new ComparisonResult({
-              erpProduct,
-              pimProduct,
-              status: ProductStatus.OBSOLETE_PRODUCT,
-              area: erpProduct.area,
-              reason: `Stock ${erpProduct.stock} < threshold ${threshold}`
-            });
-            results.push(result);
-            obsoleteProducts.push(result);
-          }
-        }
-      }
-      
-      // Check for PIM-only products
-      for (const pimProduct of pimProducts) {
-        if (!erpMap.has(pimProduct.sku)) {
-          const result = new ComparisonResult({
-            erpProduct: null,
-            pimProduct,
-            status: ProductStatus.OBSOLETE_PRODUCT,
-            area: 'UNKNOWN',
-            reason: 'Product not found in ERP system'
-          });
-          results.push(result);
-          obsoleteProducts.push(result);
-        }
-      }
+      const results = this.classifyProducts(erpProducts, pimProducts);
+      const newProducts = results.filter(result => result.status === ProductStatus.NEW_PRODUCT);
+      const obsoleteProducts = results.filter(result => result.status === ProductStatus.OBSOLETE_PRODUCT);
+      const availableProducts = results.filter(result => result.status === ProductStatus.AVAILABLE_PRODUCT);
       
       const processingTime = Date.now() - startTime;
       
@@ -287,7 +343,8 @@ class CatalogService {
       // Get all products
       const [erpProducts, pimProducts] = await Promise.all([
         this.getERPProducts(),
-        this.getPIMProducts()
+        this.getPIMProducts(),
+        this.loadThresholds()
       ]);
       
       // Group by category/area
@@ -300,7 +357,7 @@ class CatalogService {
       // Process ERP products by category
       for (const erpProduct of erpProducts) {
         const area = erpProduct.area || 'DEFAULT';
-        const threshold = this.getThreshold(area);
+        const threshold = this.getThreshold(area, erpProduct);
         const pimProduct = pimMap.get(erpProduct.sku);
         
         if (!categoryStats.has(area)) {
@@ -310,7 +367,7 @@ class CatalogService {
             newProducts: 0,
             obsoleteProducts: 0,
             availableProducts: 0,
-            threshold
+            threshold: this.getThreshold(area)
           });
         }
         
@@ -403,6 +460,8 @@ class CatalogService {
    */
   async getCategorySummary() {
     try {
+      await this.loadThresholds();
+
       const [results] = await this.pimDb.execute(`
         SELECT 
           COALESCE(depto, 'DEFAULT') as category,
@@ -0,0 +1,52 @@
+const contentQualityService = require('./contentQualityService');
+
+class ContentQualityController {
+  /**
+   * Content quality per area and the worst-scoring products (area, limit)
+   */
+  async getReport(req, res) {
+    try {
+      const report = await contentQualityService.getReport({ area: req.query.area, limit: req.query.limit });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error fetching content quality report:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch content quality report'
+      });
+    }
+  }
+
+  /**
+   * Score of one product, with what each check found
+   */
+  async getProductScore(req, res) {
+    try {
+      const score = await contentQualityService.getProductScore(req.params.sku);
+
+      if (!score) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found in PIM'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: score
+      });
+    } catch (error) {
+      console.error('Error fetching product content score:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch product content score'
+      });
+    }
+  }
+}
+
+module.exports = ContentQualityController;
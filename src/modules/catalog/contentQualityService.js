@@ -0,0 +1,239 @@
+const { database } = require('../../shared/database');
+const logger = require('../../shared/utils/logger');
+const CatalogService = require('./catalogService');
+const { PIMProduct, ContentScore } = require('./models');
+
+/**
+ * Content quality of PIM products: a 0-100 score per SKU from weighted checks (title length,
+ * description, images, specifications, category, price), aggregated per area with the worst
+ * offenders first, to prioritise enrichment work. Images and specifications come from their
+ * own PIM tables; when one cannot be read its check is left out and the other weights scale up.
+ */
+class ContentQualityService {
+  constructor() {
+    this.pimDb = database.mysql;
+    this.imagesTable = process.env.PIM_IMAGES_TABLE || 'web_products_images';
+    this.specsTable = process.env.PIM_SPECS_TABLE || 'web_products_specs';
+    this.minTitleLength = 25;
+    this.maxTitleLength = 150;
+    this.minDescriptionLength = 80;
+    this.targetImages = 3;
+    this.targetSpecs = 5;
+    // Products under this score count as needing enrichment
+    this.targetScore = 70;
+    this.unmappedCategories = ['', 'DEFAULT', 'SIN CATEGORIA'];
+
+    // Each check rates a product from 0 to 1
+    this.checks = [
+      { key: 'title', label: 'Title length', weight: 20, rate: product => this.rateTitle(product.title) },
+      { key: 'description', label: 'Description', weight: 20, rate: product => this.rateDescription(product.description) },
+      { key: 'images', label: 'Images', weight: 20, rate: product => Math.min(product.imageCount / this.targetImages, 1) },
+      { key: 'specifications', label: 'Specifications', weight: 15, rate: product => Math.min(product.specCount / this.targetSpecs, 1) },
+      { key: 'category', label: 'Category mapped', weight: 15, rate: product => this.isCategoryMapped(product.category) ? 1 : 0 },
+      { key: 'price', label: 'Price', weight: 10, rate: product => product.price > 0 ? 1 : 0 }
+    ];
+  }
+
+  // Titles too short to describe the product, or too long to display, get half marks
+  rateTitle(title) {
+    const length = title ? String(title).trim().length : 0;
+    if (!length) return 0;
+    return length >= this.minTitleLength && length <= this.maxTitleLength ? 1 : 0.5;
+  }
+
+  rateDescription(description) {
+    const length = description ? String(description).trim().length : 0;
+    if (!length) return 0;
+    return length >= this.minDescriptionLength ? 1 : 0.5;
+  }
+
+  isCategoryMapped(category) {
+    return !this.unmappedCategories.includes(category ? String(category).trim().toUpperCase() : '');
+  }
+
+  /**
+   * Score a PIM product; checks not in `measured` (e.g. images when their table is missing)
+   * are skipped
+   */
+  scoreProduct(product, measured = { images: true, specifications: true }) {
+    const checks = this.checks.filter(check => measured[check.key] !== false);
+    const totalWeight = checks.reduce((sum, check) => sum + check.weight, 0);
+    const results = {};
+    const missing = [];
+    let earned = 0;
+
+    for (const check of checks) {
+      const rating = check.rate(product);
+      results[check.key] = rating;
+      earned += rating * check.weight;
+      if (rating < 1) {
+        missing.push(check.key);
+      }
+    }
+
+    return new ContentScore({
+      sku: product.sku,
+      title: product.title,
+      area: this.isCategoryMapped(product.category) ? product.category : 'UNMAPPED',
+      active: Boolean(product.active),
+      score: totalWeight ? Math.round((earned / totalWeight) * 100) : 0,
+      checks: results,
+      missing
+    });
+  }
+
+  /**
+   * Counts per SKU from a PIM content table, or null when it cannot be read
+   */
+  async countBySku(table, conditions = [], params = []) {
+    if (!/^\w+$/.test(table)) {
+      logger.warn(`Invalid PIM table name ${table}`, { type: 'CATALOG_CONTENT_TABLE_INVALID', table });
+      return null;
+    }
+
+    try {
+      const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const [rows] = await this.pimDb.execute(`SELECT sku, COUNT(*) as count FROM ${table} ${whereClause} GROUP BY sku`, params);
+      return new Map(rows.map(row => [row.sku, parseInt(row.count) || 0]));
+    } catch (error) {
+      logger.warn(`PIM table ${table} unavailable, its content check is skipped`, {
+        type: 'CATALOG_CONTENT_TABLE_UNAVAILABLE',
+        table,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  assertPimConfigured() {
+    if (!this.pimDb.getPool()) {
+      const error = new Error('PIM database is not configured');
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  // Image and filled-in specification counts, of every SKU or of the given one
+  countContent(sku = null) {
+    const skuConditions = sku ? ['sku = ?'] : [];
+    const params = sku ? [sku] : [];
+
+    return Promise.all([
+      this.countBySku(this.imagesTable, skuConditions, params),
+      this.countBySku(this.specsTable, [...skuConditions, 'value IS NOT NULL', "TRIM(value) <> ''"], params)
+    ]);
+  }
+
+  /**
+   * Score every PIM product. Throws 503 when the PIM is not configured.
+   */
+  async scoreAll() {
+    this.assertPimConfigured();
+
+    const [products, [images, specs]] = await Promise.all([
+      new CatalogService().getPIMProducts(),
+      this.countContent()
+    ]);
+    const measured = { images: images !== null, specifications: specs !== null };
+
+    const scores = products.map(product => {
+      product.imageCount = images ? images.get(product.sku) || 0 : null;
+      product.specCount = specs ? specs.get(product.sku) || 0 : null;
+      return this.scoreProduct(product, measured);
+    });
+
+    return { scores, measured };
+  }
+
+  /**
+   * Average score per area, how many products fall below the target and which checks they
+   * fail most
+   */
+  summarizeByArea(scores) {
+    const areas = new Map();
+
+    for (const score of scores) {
+      if (!areas.has(score.area)) {
+        areas.set(score.area, { area: score.area, products: 0, total: 0, below_target: 0, complete: 0, missing: {} });
+      }
+
+      const stats = areas.get(score.area);
+      stats.products++;
+      stats.total += score.score;
+      if (score.score < this.targetScore) stats.below_target++;
+      if (score.score === 100) stats.complete++;
+      score.missing.forEach(key => { stats.missing[key] = (stats.missing[key] || 0) + 1; });
+    }
+
+    return Array.from(areas.values())
+      .map(({ total, ...stats }) => ({ ...stats, average_score: Math.round((total / stats.products) * 10) / 10 }))
+      .sort((a, b) => a.average_score - b.average_score || a.area.localeCompare(b.area));
+  }
+
+  /**
+   * Lowest scores first; among equal scores, products already published (active) come first
+   * since customers see them
+   */
+  worstOffenders(scores, limit = 50) {
+    return [...scores]
+      .sort((a, b) => a.score - b.score || Number(b.active) - Number(a.active) || String(a.sku).localeCompare(String(b.sku)))
+      .slice(0, limit);
+  }
+
+  describeChecks(measured) {
+    return this.checks.map(({ key, label, weight }) => ({ key, label, weight, measured: measured[key] !== false }));
+  }
+
+  async getReport({ area, limit } = {}) {
+    const { scores, measured } = await this.scoreAll();
+    const areaFilter = area ? String(area).trim().toUpperCase() : null;
+    const selected = areaFilter ? scores.filter(score => String(score.area).toUpperCase() === areaFilter) : scores;
+    const listSize = Math.min(Math.max(parseInt(limit) || 50, 1), 1000);
+
+    return {
+      generated_at: new Date().toISOString(),
+      target_score: this.targetScore,
+      check_definitions: this.describeChecks(measured),
+      summary: {
+        products: selected.length,
+        average_score: selected.length
+          ? Math.round((selected.reduce((sum, score) => sum + score.score, 0) / selected.length) * 10) / 10
+          : null,
+        below_target: selected.filter(score => score.score < this.targetScore).length
+      },
+      areas: this.summarizeByArea(selected),
+      worst_offenders: this.worstOffenders(selected, listSize)
+    };
+  }
+
+  async getProductScore(sku) {
+    this.assertPimConfigured();
+
+    const [rows] = await this.pimDb.execute(`
+      SELECT sku, title, description, COALESCE(depto, 'DEFAULT') as category, status_new = 1 as active, price
+      FROM web_products
+      WHERE sku = ? AND borrado = 0
+    `, [sku]);
+    if (!rows.length) {
+      return null;
+    }
+
+    const [images, specs] = await this.countContent(sku);
+    const measured = { images: images !== null, specifications: specs !== null };
+    const product = new PIMProduct({
+      ...rows[0],
+      price: rows[0].price === null ? null : parseFloat(rows[0].price),
+      imageCount: images ? images.get(sku) || 0 : null,
+      specCount: specs ? specs.get(sku) || 0 : null
+    });
+
+    return {
+      ...this.scoreProduct(product, measured),
+      image_count: product.imageCount,
+      spec_count: product.specCount,
+      check_definitions: this.describeChecks(measured)
+    };
+  }
+}
+
+module.exports = new ContentQualityService();
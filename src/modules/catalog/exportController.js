@@ -1,4 +1,5 @@
 const CatalogService = require('./catalogService');
+const contentQualityService = require('./contentQualityService');
 const exportService = require('../../shared/services/exportService');
 const moment = require('moment');
 
@@ -316,6 +317,58 @@ class CatalogExportController {
       });
     }
   }
+
+  /**
+   * Export PIM content quality scores to Excel: per area, worst offenders and every product
+   */
+  async exportContentQualityExcel(req, res) {
+    try {
+      const { scores, measured } = await contentQualityService.scoreAll();
+      const checks = contentQualityService.describeChecks(measured).filter(check => check.measured);
+
+      const productRow = score => {
+        const row = {
+          'SKU': score.sku,
+          'Title': score.title || '',
+          'Area': score.area,
+          'Published': score.active ? 'Yes' : 'No',
+          'Score': score.score
+        };
+        checks.forEach(check => { row[check.label] = `${Math.round(score.checks[check.key] * 100)}%`; });
+        row['Missing'] = score.missing.join(', ');
+        return row;
+      };
+
+      const areaData = contentQualityService.summarizeByArea(scores).map(area => ({
+        'Area': area.area,
+        'Products': area.products,
+        'Average Score': area.average_score,
+        [`Below ${contentQualityService.targetScore}`]: area.below_target,
+        'Complete': area.complete,
+        ...Object.fromEntries(checks.map(check => [`Missing ${check.label}`, area.missing[check.key] || 0]))
+      }));
+
+      const XLSX = require('xlsx');
+      const workbook = XLSX.utils.book_new();
+
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(areaData), 'Areas');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(contentQualityService.worstOffenders(scores, 500).map(productRow)), 'Worst Offenders');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(scores.map(productRow)), 'All Products');
+
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=content_quality_${moment().format('YYYY-MM-DD')}.xlsx`);
+      res.send(buffer);
+
+    } catch (error) {
+      console.error('Error exporting content quality to Excel:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to export content quality to Excel'
+      });
+    }
+  }
 }
 
 module.exports = CatalogExportController;
\ No newline at end of file
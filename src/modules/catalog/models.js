@@ -7,6 +7,8 @@ class ERPProduct {
     this.stock = data.stock || 0;
     this.description = data.description;
     this.category = data.category;
+    this.brand = data.brand;
+    this.price = data.price || 0;
   }
 }
 
@@ -17,6 +19,10 @@ class PIMProduct {
     this.description = data.description;
     this.category = data.category;
     this.active = data.active || false;
+    this.price = data.price === undefined ? null : data.price;
+    // Content counts, filled in by the content quality report (null when not measured)
+    this.imageCount = data.imageCount === undefined ? null : data.imageCount;
+    this.specCount = data.specCount === undefined ? null : data.specCount;
   }
 }
 
@@ -34,6 +40,7 @@ class ComparisonResult {
     this.status = data.status;
     this.category = data.category;
     this.area = data.area;
+    this.threshold = data.threshold;
     this.reason = data.reason;
   }
 }
@@ -45,7 +52,8 @@ class CategoryConfig {
   }
 }
 
-// Default category configurations
+// Default category configurations. Thresholds are stored in the catalog_thresholds table and
+// edited through the API; these apply only until that table has been read.
 const DEFAULT_CATEGORY_CONFIGS = [
   new CategoryConfig('ELECTRODOMESTICOS', 5),
   new CategoryConfig('FERRETERIA Y AUTOMOTORES', 10),
@@ -100,6 +108,18 @@ class CategorySummary {
   }
 }
 
+class ContentScore {
+  constructor(data = {}) {
+    this.sku = data.sku;
+    this.title = data.title;
+    this.area = data.area;
+    this.active = data.active || false;
+    this.score = data.score || 0;
+    this.checks = data.checks || {};
+    this.missing = data.missing || [];
+  }
+}
+
 class CategoryBasedResponse {
   constructor(data = {}) {
     this.categories = data.categories || [];
@@ -125,5 +145,6 @@ module.exports = {
   CatalogStatusResponse,
   SKUResponse,
   CategorySummary,
+  ContentScore,
   CategoryBasedResponse
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const pimActionService = require('./pimActionService');
+
+const MANAGER_ROLES = ['admin', 'manager'];
+
+class PimActionController {
+  /**
+   * Bulk activate / deactivate PIM products (action, reason, skus or selection). dry_run returns
+   * the preview only; managers apply at once unless mode is "request", other users can only
+   * request
+   */
+  async createAction(req, res) {
+    try {
+      const errors = pimActionService.validateRequest(req.body);
+      const apply = req.body.mode !== 'request';
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid PIM action',
+          errors
+        });
+      }
+
+      if (req.body.dry_run) {
+        const preview = await pimActionService.preview(req.body);
+        return res.json({
+          success: true,
+          data: preview
+        });
+      }
+
+      if (apply && !MANAGER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only catalog managers can apply PIM actions; send mode "request" to ask for one'
+        });
+      }
+
+      const action = await pimActionService.createAction(req.body, req.user, { apply });
+
+      res.status(201).json({
+        success: true,
+        data: action,
+        message: apply
+          ? `${action.changed_count} product(s) ${req.body.action}d in the PIM`
+          : 'PIM action requested for approval'
+      });
+    } catch (error) {
+      console.error('Error creating PIM action:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create PIM action'
+      });
+    }
+  }
+
+  /**
+   * Recent PIM actions, newest first (status, limit)
+   */
+  async getActions(req, res) {
+    try {
+      const actions = await pimActionService.listActions({ status: req.query.status, limit: req.query.limit });
+
+      res.json({
+        success: true,
+        data: actions
+      });
+    } catch (error) {
+      console.error('Error fetching PIM actions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch PIM actions'
+      });
+    }
+  }
+
+  /**
+   * One PIM action with its SKUs and their previous state
+   */
+  async getAction(req, res) {
+    try {
+      const action = await pimActionService.getAction(req.params.actionId, { includeItems: true });
+
+      if (!action) {
+        return res.status(404).json({
+          success: false,
+          message: 'PIM action not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: action
+      });
+    } catch (error) {
+      console.error('Error fetching PIM action:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch PIM action'
+      });
+    }
+  }
+
+  /**
+   * Approve a requested action, which applies it, or reject it (notes)
+   */
+  async reviewAction(req, res, decision) {
+    try {
+      const action = await pimActionService.reviewAction(req.params.actionId, decision, req.body.notes, req.user);
+
+      if (!action) {
+        return res.status(404).json({
+          success: false,
+          message: 'PIM action not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: action,
+        message: decision === 'approve'
+          ? `PIM action approved, ${action.changed_count} product(s) changed`
+          : 'PIM action rejected'
+      });
+    } catch (error) {
+      console.error(`Error reviewing PIM action (${decision}):`, error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to review PIM action'
+      });
+    }
+  }
+
+  async approveAction(req, res) {
+    return this.reviewAction(req, res, 'approve');
+  }
+
+  async rejectAction(req, res) {
+    return this.reviewAction(req, res, 'reject');
+  }
+
+  /**
+   * Restore the products an applied action changed, within its undo window
+   */
+  async undoAction(req, res) {
+    try {
+      const result = await pimActionService.undoAction(req.params.actionId, req.user);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'PIM action not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.restored} product(s) restored` +
+          (result.skipped.length ? `, ${result.skipped.length} skipped because they changed since` : '')
+      });
+    } catch (error) {
+      console.error('Error undoing PIM action:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to undo PIM action'
+      });
+    }
+  }
+}
+
+module.exports = PimActionController;
@@ -0,0 +1,498 @@
+const { database } = require('../../shared/database');
+const logger = require('../../shared/utils/logger');
+const taskService = require('./taskService');
+const { ProductStatus } = require('./models');
+
+/**
+ * Bulk activate / deactivate of PIM products (web_products.status_new) from the comparison
+ * results. Catalog managers apply actions directly; other users request them for a manager to
+ * approve. Every product changed gets a users_logs entry in the format the logs module parses,
+ * and each SKU's previous state is kept so an action can be undone for a while after it ran.
+ */
+class PimActionService {
+  constructor() {
+    this.db = database.sqlite;
+    this.pimDb = database.mysql;
+    this.actions = ['activate', 'deactivate'];
+    this.targetActive = { activate: 1, deactivate: 0 };
+    // users_logs texts of the logs module (its parser expects "desactivated")
+    this.logMessages = { activate: 'Product activated', deactivate: 'Product desactivated' };
+    this.logType = 'catalog_bulk';
+    this.maxSkus = 2000;
+    this.chunkSize = 500;
+    this.undoWindowHours = 24;
+  }
+
+  chunk(items) {
+    const chunks = [];
+    for (let start = 0; start < items.length; start += this.chunkSize) {
+      chunks.push(items.slice(start, start + this.chunkSize));
+    }
+    return chunks;
+  }
+
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  assertPimConfigured() {
+    if (!this.pimDb.getPool()) {
+      throw this.error('PIM database is not configured', 503);
+    }
+  }
+
+  normalizeSkus(skus) {
+    return [...new Set(skus.map(sku => String(sku).trim()).filter(Boolean))];
+  }
+
+  /**
+   * An action needs SKUs, either listed or selected from a snapshot's results by status (and
+   * optionally area), and a reason unless it is only a dry run
+   */
+  validateRequest(data) {
+    const errors = [];
+    const statuses = Object.values(ProductStatus);
+
+    if (!this.actions.includes(data.action)) {
+      errors.push(`action must be one of: ${this.actions.join(', ')}`);
+    }
+    if (!data.dry_run && (!data.reason || !String(data.reason).trim())) {
+      errors.push('reason is required');
+    }
+
+    if (data.skus !== undefined) {
+      if (!Array.isArray(data.skus) || !data.skus.length) {
+        errors.push('skus must be a non-empty list');
+      } else if (data.skus.length > this.maxSkus) {
+        errors.push(`at most ${this.maxSkus} SKUs per action`);
+      }
+    } else if (!data.selection || !statuses.includes(data.selection.status)) {
+      errors.push(`skus or selection.status (${statuses.join(', ')}) is required`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * SKUs of a snapshot (the latest with per-SKU results unless snapshot_id is given) in a
+   * comparison status
+   */
+  async selectFromSnapshot({ status, area, snapshot_id: snapshotId }) {
+    const [snapshots] = snapshotId
+      ? await this.db.execute('SELECT id FROM catalog_snapshots WHERE id = ? AND items_pruned = 0', [snapshotId])
+      : await this.db.execute('SELECT id FROM catalog_snapshots WHERE items_pruned = 0 ORDER BY created_at DESC, id DESC LIMIT 1');
+    if (!snapshots.length) {
+      throw this.error('No catalog snapshot with per-SKU results to select from', 400);
+    }
+
+    const params = [snapshots[0].id, status];
+    let areaFilter = '';
+    if (area) {
+      areaFilter = 'AND UPPER(area) = ?';
+      params.push(String(area).trim().toUpperCase());
+    }
+
+    const [items] = await this.db.execute(
+      `SELECT sku FROM catalog_snapshot_items WHERE snapshot_id = ? AND status = ? ${areaFilter} ORDER BY sku`,
+      params
+    );
+    return items.map(item => item.sku);
+  }
+
+  async resolveSkus(data) {
+    const skus = data.skus !== undefined ? this.normalizeSkus(data.skus) : await this.selectFromSnapshot(data.selection);
+
+    if (!skus.length) {
+      throw this.error('No SKUs match the selection', 400);
+    }
+    if (skus.length > this.maxSkus) {
+      throw this.error(`The selection has ${skus.length} SKUs; at most ${this.maxSkus} per action`, 400);
+    }
+    return skus;
+  }
+
+  /**
+   * Current PIM state of SKUs not deleted: sku -> { title, active }
+   */
+  async getPimState(skus, executor = this.pimDb) {
+    const state = new Map();
+
+    for (const batch of this.chunk(skus)) {
+      const [rows] = await executor.execute(
+        `SELECT sku, title, status_new FROM web_products WHERE borrado = 0 AND sku IN (${batch.map(() => '?').join(', ')})`,
+        batch
+      );
+      rows.forEach(row => state.set(String(row.sku), { title: row.title, active: Number(row.status_new) === 1 }));
+    }
+
+    return state;
+  }
+
+  // Status of each SKU in the latest snapshot that still has per-SKU results
+  async getSnapshotStatuses(skus) {
+    const statuses = new Map();
+    const [snapshots] = await this.db.execute('SELECT id FROM catalog_snapshots WHERE items_pruned = 0 ORDER BY created_at DESC, id DESC LIMIT 1');
+    if (!snapshots.length) {
+      return statuses;
+    }
+
+    for (const batch of this.chunk(skus)) {
+      const [rows] = await this.db.execute(
+        `SELECT sku, status FROM catalog_snapshot_items WHERE snapshot_id = ? AND sku IN (${batch.map(() => '?').join(', ')})`,
+        [snapshots[0].id, ...batch]
+      );
+      rows.forEach(row => statuses.set(row.sku, row.status));
+    }
+
+    return statuses;
+  }
+
+  /**
+   * What an action would do to each SKU, flagging those the comparison disagrees with
+   */
+  buildPreview(action, skus, pimState, snapshotStatuses = new Map()) {
+    const target = this.targetActive[action] === 1;
+    const items = skus.map(sku => {
+      const current = pimState.get(sku);
+      const snapshotStatus = snapshotStatuses.get(sku) || null;
+      let warning = null;
+
+      if (!current) {
+        warning = 'Not found in the PIM';
+      } else if (action === 'deactivate' && snapshotStatus === ProductStatus.AVAILABLE_PRODUCT) {
+        warning = 'Has enough ERP stock to stay published';
+      } else if (action === 'activate' && snapshotStatus === ProductStatus.OBSOLETE_PRODUCT) {
+        warning = 'Below its publishing threshold or missing from the ERP';
+      }
+
+      return {
+        sku,
+        title: current ? current.title : null,
+        currently_active: current ? current.active : null,
+        will_change: Boolean(current) && current.active !== target,
+        snapshot_status: snapshotStatus,
+        warning
+      };
+    });
+
+    return {
+      action,
+      total: items.length,
+      will_change: items.filter(item => item.will_change).length,
+      unchanged: items.filter(item => item.currently_active === target).length,
+      not_found: items.filter(item => item.currently_active === null).length,
+      warnings: items.filter(item => item.warning).length,
+      items
+    };
+  }
+
+  async preview(data) {
+    this.assertPimConfigured();
+    const skus = await this.resolveSkus(data);
+    const [pimState, snapshotStatuses] = await Promise.all([this.getPimState(skus), this.getSnapshotStatuses(skus)]);
+
+    return this.buildPreview(data.action, skus, pimState, snapshotStatuses);
+  }
+
+  async getAction(id, { includeItems = false } = {}) {
+    const [rows] = await this.db.execute(`
+      SELECT a.*, r.username as requested_by_username, v.username as reviewed_by_username, u.username as undone_by_username,
+        CASE WHEN a.status = 'applied' AND a.undo_until > CURRENT_TIMESTAMP THEN 1 ELSE 0 END as can_undo
+      FROM catalog_pim_actions a
+      LEFT JOIN users r ON a.requested_by = r.id
+      LEFT JOIN users v ON a.reviewed_by = v.id
+      LEFT JOIN users u ON a.undone_by = u.id
+      WHERE a.id = ?
+    `, [id]);
+    if (!rows.length) {
+      return null;
+    }
+
+    const action = rows[0];
+    if (includeItems) {
+      const [items] = await this.db.execute(
+        'SELECT sku, previous_active, changed, undone FROM catalog_pim_action_items WHERE action_id = ? ORDER BY sku',
+        [id]
+      );
+      action.items = items;
+    }
+    return action;
+  }
+
+  async listActions({ status, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const params = [];
+    let filter = '';
+    if (status) {
+      filter = 'WHERE a.status = ?';
+      params.push(status);
+    }
+
+    const [actions] = await this.db.execute(`
+      SELECT a.*, r.username as requested_by_username, v.username as reviewed_by_username,
+        CASE WHEN a.status = 'applied' AND a.undo_until > CURRENT_TIMESTAMP THEN 1 ELSE 0 END as can_undo
+      FROM catalog_pim_actions a
+      LEFT JOIN users r ON a.requested_by = r.id
+      LEFT JOIN users v ON a.reviewed_by = v.id
+      ${filter}
+      ORDER BY a.requested_at DESC, a.id DESC
+      LIMIT ${pageSize}
+    `, params);
+    return actions;
+  }
+
+  /**
+   * Record an action; catalog managers can apply it at once, otherwise it waits for approval
+   */
+  async createAction(data, user, { apply = false } = {}) {
+    if (apply) {
+      this.assertPimConfigured();
+    }
+    const skus = await this.resolveSkus(data);
+    const connection = await this.db.getConnection();
+    let actionId;
+
+    try {
+      const [result] = await connection.execute(
+        'INSERT INTO catalog_pim_actions (action, status, reason, sku_count, requested_by) VALUES (?, ?, ?, ?, ?)',
+        [data.action, apply ? 'applying' : 'requested', String(data.reason).trim(), skus.length, user.id]
+      );
+      actionId = result.insertId;
+
+      for (const batch of this.chunk(skus)) {
+        await connection.execute(
+          `INSERT INTO catalog_pim_action_items (action_id, sku) VALUES ${batch.map(() => '(?, ?)').join(', ')}`,
+          batch.flatMap(sku => [actionId, sku])
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info(`PIM ${data.action} of ${skus.length} products ${apply ? 'started' : 'requested'}`, {
+      type: 'CATALOG_PIM_ACTION_CREATED',
+      actionId,
+      action: data.action,
+      skuCount: skus.length,
+      apply,
+      userId: user.id
+    });
+
+    return apply ? this.applyAction(actionId, user) : this.getAction(actionId);
+  }
+
+  async insertLogs(connection, skus, message, username) {
+    for (const batch of this.chunk(skus)) {
+      await connection.execute(
+        `INSERT INTO users_logs (user, type_log, field, log, date_timer) VALUES ${batch.map(() => '(?, ?, ?, ?, NOW())').join(', ')}`,
+        batch.flatMap(sku => [username, this.logType, sku, message])
+      );
+    }
+  }
+
+  /**
+   * Set status_new on the SKUs not already in the target state, with a log entry each, in one
+   * PIM transaction; returns the previous state of every SKU found and which ones changed
+   */
+  async writePim(skus, active, message, username) {
+    const connection = await this.pimDb.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const state = await this.getPimState(skus, connection);
+      const changed = skus.filter(sku => state.has(sku) && state.get(sku).active !== Boolean(active));
+
+      for (const batch of this.chunk(changed)) {
+        await connection.execute(
+          `UPDATE web_products SET status_new = ? WHERE borrado = 0 AND sku IN (${batch.map(() => '?').join(', ')})`,
+          [active, ...batch]
+        );
+      }
+      await this.insertLogs(connection, changed, message, username);
+
+      await connection.commit();
+      return { state, changed };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async applyAction(id, user) {
+    const action = await this.getAction(id, { includeItems: true });
+    const skus = action.items.map(item => item.sku);
+    let result;
+
+    try {
+      result = await this.writePim(skus, this.targetActive[action.action], this.logMessages[action.action], user.username);
+    } catch (error) {
+      await this.db.execute(
+        "UPDATE catalog_pim_actions SET status = 'failed', error_message = ? WHERE id = ?",
+        [error.message, id]
+      );
+      logger.error(`PIM ${action.action} #${id} failed`, {
+        type: 'CATALOG_PIM_ACTION_FAILED',
+        actionId: id,
+        error: error.message
+      });
+      throw error;
+    }
+
+    const changed = new Set(result.changed);
+    const connection = await this.db.getConnection();
+
+    try {
+      for (const sku of skus) {
+        const previous = result.state.get(sku);
+        await connection.execute(
+          'UPDATE catalog_pim_action_items SET previous_active = ?, changed = ? WHERE action_id = ? AND sku = ?',
+          [previous ? Number(previous.active) : null, changed.has(sku) ? 1 : 0, id, sku]
+        );
+      }
+      await connection.execute(`
+        UPDATE catalog_pim_actions SET status = 'applied', changed_count = ?, applied_at = CURRENT_TIMESTAMP,
+          undo_until = datetime('now', ?)
+        WHERE id = ?
+      `, [changed.size, `+${this.undoWindowHours} hours`, id]);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    // Deactivating a product settles its obsolete task in the work queue
+    let tasksResolved = 0;
+    if (action.action === 'deactivate') {
+      tasksResolved = await taskService.resolveForSkus(
+        result.changed, ProductStatus.OBSOLETE_PRODUCT, 'deactivated', `Bulk PIM action #${id}: ${action.reason}`, user.id
+      );
+    }
+
+    logger.info(`PIM ${action.action} #${id} applied: ${changed.size} of ${skus.length} products changed`, {
+      type: 'CATALOG_PIM_ACTION_APPLIED',
+      actionId: id,
+      action: action.action,
+      changed: changed.size,
+      tasksResolved,
+      userId: user.id
+    });
+
+    return this.getAction(id);
+  }
+
+  async reviewAction(id, decision, notes, user) {
+    const action = await this.getAction(id);
+    if (!action) {
+      return null;
+    }
+    if (action.status !== 'requested') {
+      throw this.error(`Only requested actions can be reviewed; this one is ${action.status}`, 409);
+    }
+    if (decision === 'approve') {
+      this.assertPimConfigured();
+    }
+
+    // Only one review wins when two arrive together; the other would apply the action a second time
+    const [reviewed] = await this.db.execute(`
+      UPDATE catalog_pim_actions SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+      WHERE id = ? AND status = 'requested'
+    `, [decision === 'approve' ? 'applying' : 'rejected', user.id, notes || null, id]);
+    if (!reviewed.affectedRows) {
+      throw this.error('This action has already been reviewed', 409);
+    }
+
+    logger.info(`PIM ${action.action} #${id} ${decision === 'approve' ? 'approved' : 'rejected'}`, {
+      type: 'CATALOG_PIM_ACTION_REVIEWED',
+      actionId: id,
+      decision,
+      userId: user.id
+    });
+
+    return decision === 'approve' ? this.applyAction(id, user) : this.getAction(id);
+  }
+
+  /**
+   * Put the changed SKUs back as they were, within the undo window. SKUs changed again in the
+   * PIM since are left alone and reported as skipped.
+   */
+  async undoAction(id, user) {
+    const action = await this.getAction(id, { includeItems: true });
+    if (!action) {
+      return null;
+    }
+    if (action.status !== 'applied') {
+      throw this.error(`Only applied actions can be undone; this one is ${action.status}`, 409);
+    }
+    if (!action.can_undo) {
+      throw this.error(`The undo window of ${this.undoWindowHours} hours has passed`, 409);
+    }
+    this.assertPimConfigured();
+
+    // Mark it undone before touching the PIM, so an undo running at the same time stops here
+    const [claimed] = await this.db.execute(
+      "UPDATE catalog_pim_actions SET status = 'undone', undone_by = ?, undone_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'applied'",
+      [user.id, id]
+    );
+    if (!claimed.affectedRows) {
+      throw this.error('This action has already been undone', 409);
+    }
+
+    const skus = action.items.filter(item => item.changed).map(item => item.sku);
+    const reverseAction = action.action === 'activate' ? 'deactivate' : 'activate';
+    let changed;
+
+    try {
+      ({ changed } = await this.writePim(skus, this.targetActive[reverseAction], this.logMessages[reverseAction], user.username));
+    } catch (error) {
+      await this.db.execute(
+        "UPDATE catalog_pim_actions SET status = 'applied', undone_by = NULL, undone_at = NULL WHERE id = ?",
+        [id]
+      );
+      throw error;
+    }
+
+    const connection = await this.db.getConnection();
+
+    try {
+      for (const batch of this.chunk(changed)) {
+        await connection.execute(
+          `UPDATE catalog_pim_action_items SET undone = 1 WHERE action_id = ? AND sku IN (${batch.map(() => '?').join(', ')})`,
+          [id, ...batch]
+        );
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const reverted = new Set(changed);
+    const skipped = skus.filter(sku => !reverted.has(sku));
+
+    logger.info(`PIM ${action.action} #${id} undone: ${changed.length} products restored`, {
+      type: 'CATALOG_PIM_ACTION_UNDONE',
+      actionId: id,
+      restored: changed.length,
+      skipped: skipped.length,
+      userId: user.id
+    });
+
+    return { action: await this.getAction(id), restored: changed.length, skipped };
+  }
+}
+
+module.exports = new PimActionService();
@@ -0,0 +1,130 @@
+const snapshotService = require('./snapshotService');
+
+class SnapshotController {
+  /**
+   * List catalog snapshots, newest first
+   */
+  async getSnapshots(req, res) {
+    try {
+      const snapshots = await snapshotService.listSnapshots({ limit: req.query.limit });
+
+      res.json({
+        success: true,
+        data: snapshots
+      });
+    } catch (error) {
+      console.error('Error fetching catalog snapshots:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog snapshots'
+      });
+    }
+  }
+
+  /**
+   * Take a snapshot now instead of waiting for the nightly run
+   */
+  async createSnapshot(req, res) {
+    try {
+      const snapshot = await snapshotService.takeSnapshot({ trigger: 'manual', userId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        data: snapshot,
+        message: 'Catalog snapshot taken successfully'
+      });
+    } catch (error) {
+      console.error('Error taking catalog snapshot:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to take catalog snapshot'
+      });
+    }
+  }
+
+  /**
+   * A snapshot with its counts per area
+   */
+  async getSnapshot(req, res) {
+    try {
+      const snapshot = await snapshotService.getSnapshot(req.params.snapshotId);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog snapshot not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: snapshot
+      });
+    } catch (error) {
+      console.error('Error fetching catalog snapshot:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog snapshot'
+      });
+    }
+  }
+
+  /**
+   * SKUs that became new or were resolved between two snapshots
+   */
+  async compareSnapshots(req, res) {
+    try {
+      const { from, to, area, limit } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid snapshot comparison',
+          errors: ['from and to snapshot ids are required']
+        });
+      }
+
+      const comparison = await snapshotService.compareSnapshots(from, to, { area, limit });
+
+      if (!comparison) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog snapshot not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: comparison
+      });
+    } catch (error) {
+      console.error('Error comparing catalog snapshots:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to compare catalog snapshots'
+      });
+    }
+  }
+
+  /**
+   * Unpublished backlog over time, overall and per area
+   */
+  async getTrend(req, res) {
+    try {
+      const trend = await snapshotService.getTrend({ area: req.query.area, days: req.query.days });
+
+      res.json({
+        success: true,
+        data: trend
+      });
+    } catch (error) {
+      console.error('Error fetching catalog trend:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog trend'
+      });
+    }
+  }
+}
+
+module.exports = SnapshotController;
@@ -0,0 +1,382 @@
+const { database } = require('../../shared/database');
+const logger = require('../../shared/utils/logger');
+const CatalogService = require('./catalogService');
+const taskService = require('./taskService');
+const { ProductStatus } = require('./models');
+
+/**
+ * Catalog snapshots: the ERP vs PIM classification (new, obsolete, available) of every SKU,
+ * stored nightly so runs can be compared and the backlog of unpublished (new) products
+ * followed per area. Per-SKU rows are pruned after a retention period; the per-area counts
+ * behind the trends are kept.
+ */
+class SnapshotService {
+  constructor() {
+    this.db = database.sqlite;
+    this.batchSize = 500;
+    this.itemRetentionDays = 90;
+    this.defaultTrendDays = 90;
+    this.running = false;
+  }
+
+  /**
+   * Counts per area of classified products (ComparisonResult[])
+   */
+  summarizeByArea(results) {
+    const areas = new Map();
+
+    for (const result of results) {
+      const area = result.area || 'DEFAULT';
+      if (!areas.has(area)) {
+        areas.set(area, { area, total_products: 0, new_count: 0, obsolete_count: 0, available_count: 0 });
+      }
+
+      const counts = areas.get(area);
+      counts.total_products++;
+      if (result.status === ProductStatus.NEW_PRODUCT) counts.new_count++;
+      if (result.status === ProductStatus.OBSOLETE_PRODUCT) counts.obsolete_count++;
+      if (result.status === ProductStatus.AVAILABLE_PRODUCT) counts.available_count++;
+    }
+
+    return Array.from(areas.values()).sort((a, b) => a.area.localeCompare(b.area));
+  }
+
+  async insertItems(connection, snapshotId, results) {
+    for (let start = 0; start < results.length; start += this.batchSize) {
+      const batch = results.slice(start, start + this.batchSize);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+
+      await connection.execute(
+        `INSERT INTO catalog_snapshot_items (snapshot_id, sku, area, status, stock, threshold) VALUES ${placeholders}`,
+        batch.flatMap(result => {
+          const product = result.erpProduct || result.pimProduct;
+          return [
+            snapshotId,
+            product.sku,
+            result.area || 'DEFAULT',
+            result.status,
+            result.erpProduct ? result.erpProduct.stock : null,
+            result.threshold === undefined ? null : result.threshold
+          ];
+        })
+      );
+    }
+  }
+
+  /**
+   * Classify the whole catalog and store it. Runs one at a time; a second request while a
+   * snapshot is being taken is refused.
+   */
+  async takeSnapshot({ trigger = 'scheduled', userId = null } = {}) {
+    if (!database.mysql.getPool()) {
+      const error = new Error('PIM database is not configured');
+      error.statusCode = 503;
+      throw error;
+    }
+    if (this.running) {
+      const error = new Error('A catalog snapshot is already being taken');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      const catalogService = new CatalogService();
+      const [erpProducts, pimProducts] = await Promise.all([
+        catalogService.getERPProducts(),
+        catalogService.getPIMProducts(),
+        catalogService.loadThresholds()
+      ]);
+
+      // Either system can list a SKU more than once; it keeps its first classification
+      const seen = new Set();
+      const results = catalogService.classifyProducts(erpProducts, pimProducts).filter(result => {
+        const sku = (result.erpProduct || result.pimProduct).sku;
+        if (seen.has(sku)) return false;
+        seen.add(sku);
+        return true;
+      });
+      const areas = this.summarizeByArea(results);
+      const totals = areas.reduce((sum, area) => ({
+        new_count: sum.new_count + area.new_count,
+        obsolete_count: sum.obsolete_count + area.obsolete_count,
+        available_count: sum.available_count + area.available_count
+      }), { new_count: 0, obsolete_count: 0, available_count: 0 });
+
+      const connection = await this.db.getConnection();
+      let snapshotId;
+
+      try {
+        const [result] = await connection.execute(`
+          INSERT INTO catalog_snapshots (trigger_type, total_products, new_count, obsolete_count, available_count, processing_time_ms, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [trigger, results.length, totals.new_count, totals.obsolete_count, totals.available_count, Date.now() - startTime, userId]);
+        snapshotId = result.insertId;
+
+        for (const area of areas) {
+          await connection.execute(`
+            INSERT INTO catalog_snapshot_areas (snapshot_id, area, total_products, new_count, obsolete_count, available_count)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [snapshotId, area.area, area.total_products, area.new_count, area.obsolete_count, area.available_count]);
+        }
+
+        await this.insertItems(connection, snapshotId, results);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+
+      const pruned = await this.pruneItems();
+
+      // The work queue follows every snapshot; the snapshot stands even if that fails
+      let tasks = null;
+      try {
+        tasks = await taskService.syncFromResults(results, snapshotId);
+      } catch (error) {
+        logger.error('Catalog work queue sync failed', {
+          type: 'CATALOG_TASKS_SYNC_FAILED',
+          snapshotId,
+          error: error.message
+        });
+      }
+
+      logger.info(`Catalog snapshot ${snapshotId} taken: ${results.length} products, ${totals.new_count} new`, {
+        type: 'CATALOG_SNAPSHOT_TAKEN',
+        snapshotId,
+        trigger,
+        totalProducts: results.length,
+        ...totals,
+        prunedSnapshots: pruned,
+        tasks,
+        processingTime: Date.now() - startTime,
+        userId
+      });
+
+      return { ...(await this.getSnapshot(snapshotId)), tasks };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Drop the per-SKU rows of snapshots past the retention period; returns how many snapshots
+   * were pruned
+   */
+  async pruneItems() {
+    const cutoff = `-${this.itemRetentionDays} days`;
+    const [expired] = await this.db.execute(
+      "SELECT id FROM catalog_snapshots WHERE items_pruned = 0 AND created_at < datetime('now', ?)",
+      [cutoff]
+    );
+
+    for (const { id } of expired) {
+      await this.db.execute('DELETE FROM catalog_snapshot_items WHERE snapshot_id = ?', [id]);
+      await this.db.execute('UPDATE catalog_snapshots SET items_pruned = 1 WHERE id = ?', [id]);
+    }
+
+    return expired.length;
+  }
+
+  async listSnapshots({ limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 60, 1), 365);
+    const [snapshots] = await this.db.execute(`
+      SELECT s.*, u.username as created_by_username
+      FROM catalog_snapshots s
+      LEFT JOIN users u ON s.created_by = u.id
+      ORDER BY s.created_at DESC, s.id DESC
+      LIMIT ${pageSize}
+    `);
+    return snapshots;
+  }
+
+  async getSnapshot(id) {
+    const [rows] = await this.db.execute(`
+      SELECT s.*, u.username as created_by_username
+      FROM catalog_snapshots s
+      LEFT JOIN users u ON s.created_by = u.id
+      WHERE s.id = ?
+    `, [id]);
+    if (!rows.length) {
+      return null;
+    }
+
+    const [areas] = await this.db.execute(
+      'SELECT area, total_products, new_count, obsolete_count, available_count FROM catalog_snapshot_areas WHERE snapshot_id = ? ORDER BY area',
+      [id]
+    );
+
+    return { ...rows[0], areas };
+  }
+
+  /**
+   * What changed between two snapshots' items: SKUs that became new (unpublished with enough
+   * stock) and SKUs that stopped being new (resolved, with the status they moved to, or null
+   * when they dropped out of the comparison), plus a count per status transition
+   */
+  diffItems(fromItems, toItems) {
+    const fromMap = new Map(fromItems.map(item => [item.sku, item]));
+    const toMap = new Map(toItems.map(item => [item.sku, item]));
+    const becameNew = [];
+    const resolved = [];
+    const transitions = {};
+
+    for (const item of toItems) {
+      const previous = fromMap.get(item.sku);
+      const fromStatus = previous ? previous.status : null;
+
+      if (fromStatus !== item.status) {
+        const key = `${fromStatus || 'absent'}->${item.status}`;
+        transitions[key] = (transitions[key] || 0) + 1;
+      }
+      if (item.status === ProductStatus.NEW_PRODUCT && fromStatus !== ProductStatus.NEW_PRODUCT) {
+        becameNew.push({ ...item, from_status: fromStatus });
+      }
+    }
+
+    for (const item of fromItems) {
+      const current = toMap.get(item.sku);
+
+      if (!current) {
+        const key = `${item.status}->absent`;
+        transitions[key] = (transitions[key] || 0) + 1;
+      }
+      if (item.status === ProductStatus.NEW_PRODUCT && (!current || current.status !== ProductStatus.NEW_PRODUCT)) {
+        resolved.push({ ...item, to_status: current ? current.status : null });
+      }
+    }
+
+    return { became_new: becameNew, resolved, transitions };
+  }
+
+  async getItems(snapshot) {
+    if (snapshot.items_pruned) {
+      const error = new Error(`Snapshot ${snapshot.id} is older than ${this.itemRetentionDays} days; only its area totals are kept`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const [items] = await this.db.execute(
+      'SELECT sku, area, status, stock, threshold FROM catalog_snapshot_items WHERE snapshot_id = ?',
+      [snapshot.id]
+    );
+    return items;
+  }
+
+  /**
+   * Compare two snapshots, optionally within one area. Lists are capped at limit; the counts
+   * always cover every SKU.
+   */
+  async compareSnapshots(fromId, toId, { area, limit } = {}) {
+    const [from, to] = await Promise.all([this.getSnapshot(fromId), this.getSnapshot(toId)]);
+    if (!from || !to) {
+      return null;
+    }
+
+    const [fromItems, toItems] = await Promise.all([this.getItems(from), this.getItems(to)]);
+    const diff = this.diffItems(fromItems, toItems);
+
+    const areaFilter = area ? String(area).trim().toUpperCase() : null;
+    const inArea = item => !areaFilter || String(item.area).toUpperCase() === areaFilter;
+    const becameNew = diff.became_new.filter(inArea);
+    const resolved = diff.resolved.filter(inArea);
+    const listSize = Math.min(Math.max(parseInt(limit) || 500, 1), 5000);
+
+    return {
+      from: { id: from.id, created_at: from.created_at, new_count: from.new_count },
+      to: { id: to.id, created_at: to.created_at, new_count: to.new_count },
+      area: areaFilter,
+      summary: {
+        became_new: becameNew.length,
+        resolved: resolved.length,
+        net_change: becameNew.length - resolved.length
+      },
+      transitions: areaFilter ? undefined : diff.transitions,
+      became_new: becameNew.slice(0, listSize),
+      resolved: resolved.slice(0, listSize)
+    };
+  }
+
+  /**
+   * Direction of a series of snapshot counts, comparing the latest unpublished backlog to the
+   * first one in the period
+   */
+  describeSeries(points) {
+    const first = points[0] ? points[0].new_count : 0;
+    const latest = points.length ? points[points.length - 1].new_count : 0;
+    const change = latest - first;
+
+    return {
+      first_new_count: first,
+      latest_new_count: latest,
+      change,
+      trend: points.length < 2 || change === 0 ? 'flat' : change < 0 ? 'shrinking' : 'growing'
+    };
+  }
+
+  /**
+   * Group per-area snapshot rows (ordered oldest first) into a series per area
+   */
+  buildTrend(rows) {
+    const areas = new Map();
+
+    for (const row of rows) {
+      if (!areas.has(row.area)) {
+        areas.set(row.area, []);
+      }
+      areas.get(row.area).push({
+        snapshot_id: row.snapshot_id,
+        taken_at: row.created_at,
+        total_products: row.total_products,
+        new_count: row.new_count,
+        obsolete_count: row.obsolete_count,
+        available_count: row.available_count
+      });
+    }
+
+    return Array.from(areas.entries())
+      .map(([area, points]) => ({ area, ...this.describeSeries(points), points }))
+      .sort((a, b) => b.latest_new_count - a.latest_new_count || a.area.localeCompare(b.area));
+  }
+
+  /**
+   * Unpublished backlog over the last days, overall and per area (or for one area)
+   */
+  async getTrend({ area, days } = {}) {
+    const period = Math.min(Math.max(parseInt(days) || this.defaultTrendDays, 1), 730);
+    const cutoff = `-${period} days`;
+    const params = [cutoff];
+    let areaFilter = '';
+    if (area) {
+      areaFilter = 'AND UPPER(a.area) = ?';
+      params.push(String(area).trim().toUpperCase());
+    }
+
+    const [rows] = await this.db.execute(`
+      SELECT a.snapshot_id, s.created_at, a.area, a.total_products, a.new_count, a.obsolete_count, a.available_count
+      FROM catalog_snapshot_areas a
+      JOIN catalog_snapshots s ON a.snapshot_id = s.id
+      WHERE s.created_at >= datetime('now', ?) ${areaFilter}
+      ORDER BY s.created_at, s.id
+    `, params);
+
+    const [snapshots] = await this.db.execute(`
+      SELECT id as snapshot_id, created_at as taken_at, total_products, new_count, obsolete_count, available_count
+      FROM catalog_snapshots
+      WHERE created_at >= datetime('now', ?)
+      ORDER BY created_at, id
+    `, [cutoff]);
+
+    return {
+      days: period,
+      overall: { ...this.describeSeries(snapshots), points: snapshots },
+      areas: this.buildTrend(rows)
+    };
+  }
+}
+
+module.exports = new SnapshotService();
@@ -0,0 +1,170 @@
+const taskService = require('./taskService');
+
+class TaskController {
+  /**
+   * Work queue, highest stock value first (status, type, area, priority, assigned_to)
+   */
+  async getTasks(req, res) {
+    try {
+      const result = await taskService.getTasks({
+        status: req.query.status,
+        type: req.query.type,
+        area: req.query.area,
+        priority: req.query.priority,
+        assignedTo: req.query.assigned_to,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error fetching catalog tasks:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog tasks'
+      });
+    }
+  }
+
+  /**
+   * Tasks assigned to the current user
+   */
+  async getMyTasks(req, res) {
+    try {
+      const result = await taskService.getTasks({
+        status: req.query.status,
+        type: req.query.type,
+        assignedTo: req.user.id,
+        page: req.query.page,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error fetching my catalog tasks:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog tasks'
+      });
+    }
+  }
+
+  /**
+   * Users tasks can be assigned to, with their open task count
+   */
+  async getEditors(req, res) {
+    try {
+      const editors = await taskService.getEditors();
+
+      res.json({
+        success: true,
+        data: editors
+      });
+    } catch (error) {
+      console.error('Error fetching catalog editors:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog editors'
+      });
+    }
+  }
+
+  /**
+   * Assign open tasks to an editor (user_id null unassigns them)
+   */
+  async assignTasks(req, res) {
+    try {
+      const { task_ids: taskIds, user_id: assigneeId } = req.body;
+      const errors = [];
+
+      if (!Array.isArray(taskIds) || !taskIds.length || !taskIds.every(id => Number.isInteger(Number(id)))) {
+        errors.push('task_ids must be a non-empty list of task ids');
+      }
+      if (assigneeId === undefined) {
+        errors.push('user_id is required (null to unassign)');
+      }
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid task assignment',
+          errors
+        });
+      }
+
+      const assigned = await taskService.assignTasks(taskIds.map(Number), assigneeId, req.user.id);
+
+      res.json({
+        success: true,
+        data: { updated: assigned },
+        message: `${assigned} catalog task(s) ${assigneeId === null ? 'unassigned' : 'assigned'}`
+      });
+    } catch (error) {
+      console.error('Error assigning catalog tasks:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to assign catalog tasks'
+      });
+    }
+  }
+
+  /**
+   * Close a task as published, deactivated or ignored, with a reason
+   */
+  async resolveTask(req, res) {
+    try {
+      const task = await taskService.resolveTask(req.params.taskId, req.body, req.user);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog task not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: task,
+        message: 'Catalog task resolved successfully'
+      });
+    } catch (error) {
+      console.error('Error resolving catalog task:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to resolve catalog task',
+        errors: error.errors
+      });
+    }
+  }
+
+  /**
+   * Tasks resolved per editor and how long they took (date_from, date_to)
+   */
+  async getThroughput(req, res) {
+    try {
+      const report = await taskService.getThroughput({
+        dateFrom: req.query.date_from,
+        dateTo: req.query.date_to
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error fetching catalog task throughput:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog task throughput'
+      });
+    }
+  }
+}
+
+module.exports = TaskController;
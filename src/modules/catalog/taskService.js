@@ -0,0 +1,423 @@
+const { database } = require('../../shared/database');
+const logger = require('../../shared/utils/logger');
+const { ProductStatus } = require('./models');
+
+/**
+ * Catalog work queue: every SKU the ERP vs PIM comparison reports as new (to publish) or
+ * obsolete (to deactivate) becomes a task that managers assign to catalog editors. Editors
+ * resolve their tasks with a reason; tasks still open when a later snapshot no longer reports
+ * the SKU that way are closed automatically.
+ */
+class TaskService {
+  constructor() {
+    this.db = database.sqlite;
+    this.taskTypes = [ProductStatus.NEW_PRODUCT, ProductStatus.OBSOLETE_PRODUCT];
+    // What an editor can close each type of task with
+    this.resolutions = {
+      [ProductStatus.NEW_PRODUCT]: ['published', 'ignored'],
+      [ProductStatus.OBSOLETE_PRODUCT]: ['deactivated', 'ignored']
+    };
+    // Stock value (stock x ERP price, DOP) from which a task is high or medium priority
+    this.priorityThresholds = { high: 100000, medium: 20000 };
+    this.batchSize = 500;
+  }
+
+  priorityFor(stockValue) {
+    if (stockValue >= this.priorityThresholds.high) return 'high';
+    if (stockValue >= this.priorityThresholds.medium) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Task fields of a classified product (ComparisonResult)
+   */
+  describeResult(result) {
+    const erp = result.erpProduct;
+    const pim = result.pimProduct;
+    const stock = erp ? erp.stock : 0;
+    const unitPrice = erp ? erp.price : 0;
+    const stockValue = Math.round(stock * unitPrice * 100) / 100;
+
+    return {
+      sku: (erp || pim).sku,
+      task_type: result.status,
+      area: result.area,
+      description: (erp && erp.description) || (pim && pim.title) || null,
+      stock,
+      unit_price: unitPrice,
+      stock_value: stockValue,
+      priority: this.priorityFor(stockValue)
+    };
+  }
+
+  /**
+   * Work out which tasks a comparison opens, refreshes and closes. SKUs an editor ignored are
+   * not queued again for the same type of task.
+   */
+  planSync(results, openTasks, ignoredKeys = new Set()) {
+    const current = new Map();
+    for (const result of results) {
+      if (this.taskTypes.includes(result.status)) {
+        const task = this.describeResult(result);
+        current.set(`${task.sku}|${task.task_type}`, task);
+      }
+    }
+
+    const statusBySku = new Map();
+    for (const result of results) {
+      const product = result.erpProduct || result.pimProduct;
+      if (!statusBySku.has(product.sku)) {
+        statusBySku.set(product.sku, result.status);
+      }
+    }
+
+    const openKeys = new Set();
+    const update = [];
+    const close = [];
+
+    for (const task of openTasks) {
+      const key = `${task.sku}|${task.task_type}`;
+      openKeys.add(key);
+
+      if (current.has(key)) {
+        update.push({ id: task.id, ...current.get(key) });
+      } else {
+        const status = statusBySku.get(task.sku);
+        close.push({
+          id: task.id,
+          reason: status ? `Comparison now reports it as ${status}` : 'No longer reported by the comparison'
+        });
+      }
+    }
+
+    const create = Array.from(current.entries())
+      .filter(([key]) => !openKeys.has(key) && !ignoredKeys.has(key))
+      .map(([, task]) => task);
+
+    return { create, update, close };
+  }
+
+  /**
+   * Bring the queue in line with a comparison (the classified products of a snapshot)
+   */
+  async syncFromResults(results, snapshotId = null) {
+    const [openTasks] = await this.db.execute("SELECT id, sku, task_type FROM catalog_tasks WHERE status = 'open'");
+    const [ignored] = await this.db.execute("SELECT DISTINCT sku, task_type FROM catalog_tasks WHERE resolution = 'ignored'");
+    const plan = this.planSync(results, openTasks, new Set(ignored.map(task => `${task.sku}|${task.task_type}`)));
+
+    const connection = await this.db.getConnection();
+
+    try {
+      for (let start = 0; start < plan.create.length; start += this.batchSize) {
+        const batch = plan.create.slice(start, start + this.batchSize);
+        await connection.execute(`
+          INSERT INTO catalog_tasks (sku, task_type, area, description, stock, unit_price, stock_value, priority, snapshot_id)
+          VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+        `, batch.flatMap(task => [
+          task.sku, task.task_type, task.area, task.description, task.stock, task.unit_price, task.stock_value, task.priority, snapshotId
+        ]));
+      }
+
+      for (const task of plan.update) {
+        await connection.execute(`
+          UPDATE catalog_tasks SET area = ?, description = ?, stock = ?, unit_price = ?, stock_value = ?, priority = ?,
+            snapshot_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [task.area, task.description, task.stock, task.unit_price, task.stock_value, task.priority, snapshotId, task.id]);
+      }
+
+      for (const task of plan.close) {
+        await connection.execute(`
+          UPDATE catalog_tasks SET status = 'resolved', resolution = 'auto_resolved', resolution_reason = ?,
+            resolved_at = CURRENT_TIMESTAMP, snapshot_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [task.reason, snapshotId, task.id]);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    const summary = { created: plan.create.length, refreshed: plan.update.length, auto_resolved: plan.close.length };
+
+    logger.info(`Catalog work queue synced: ${summary.created} opened, ${summary.auto_resolved} closed`, {
+      type: 'CATALOG_TASKS_SYNCED',
+      snapshotId,
+      ...summary
+    });
+
+    return summary;
+  }
+
+  async getTasks({ status = 'open', type, area, priority, assignedTo, page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const conditions = [];
+    const params = [];
+
+    if (status !== 'all') {
+      conditions.push('t.status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('t.task_type = ?');
+      params.push(type);
+    }
+    if (area) {
+      conditions.push('UPPER(t.area) = ?');
+      params.push(String(area).trim().toUpperCase());
+    }
+    if (priority) {
+      conditions.push('t.priority = ?');
+      params.push(priority);
+    }
+    if (assignedTo === 'none') {
+      conditions.push('t.assigned_to IS NULL');
+    } else if (assignedTo) {
+      conditions.push('t.assigned_to = ?');
+      params.push(assignedTo);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [countResult] = await this.db.execute(`SELECT COUNT(*) as total FROM catalog_tasks t ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const [tasks] = await this.db.execute(`
+      SELECT t.*, a.username as assigned_to_username, r.username as resolved_by_username
+      FROM catalog_tasks t
+      LEFT JOIN users a ON t.assigned_to = a.id
+      LEFT JOIN users r ON t.resolved_by = r.id
+      ${whereClause}
+      ORDER BY CASE t.priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, t.stock_value DESC, t.id
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, (pageNumber - 1) * pageSize]);
+
+    return {
+      tasks,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  async getTask(id) {
+    const [rows] = await this.db.execute('SELECT * FROM catalog_tasks WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Active users tasks can be assigned to, with how many open tasks each has
+   */
+  async getEditors() {
+    const [editors] = await this.db.execute(`
+      SELECT u.id, u.username, u.first_name, u.last_name, u.role,
+        (SELECT COUNT(*) FROM catalog_tasks t WHERE t.assigned_to = u.id AND t.status = 'open') as open_tasks
+      FROM users u
+      WHERE u.active = 1
+      ORDER BY u.username
+    `);
+    return editors;
+  }
+
+  /**
+   * Assign open tasks to an editor, or unassign them with a null userId. Returns how many
+   * tasks changed.
+   */
+  async assignTasks(taskIds, assigneeId, userId) {
+    if (assigneeId !== null) {
+      const [users] = await this.db.execute('SELECT id FROM users WHERE id = ? AND active = 1', [assigneeId]);
+      if (!users.length) {
+        const error = new Error('Assignee not found or inactive');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+
+    const placeholders = taskIds.map(() => '?').join(', ');
+    const [result] = await this.db.execute(`
+      UPDATE catalog_tasks
+      SET assigned_to = ?, assigned_by = ?, assigned_at = ${assigneeId === null ? 'NULL' : 'CURRENT_TIMESTAMP'}, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'open' AND id IN (${placeholders})
+    `, [assigneeId, assigneeId === null ? null : userId, ...taskIds]);
+
+    logger.info(`Catalog tasks ${assigneeId === null ? 'unassigned' : `assigned to user ${assigneeId}`}: ${result.affectedRows}`, {
+      type: 'CATALOG_TASKS_ASSIGNED',
+      taskIds,
+      assigneeId,
+      userId
+    });
+
+    return result.affectedRows;
+  }
+
+  validateResolution(task, data) {
+    const errors = [];
+    const allowed = this.resolutions[task.task_type] || [];
+
+    if (!allowed.includes(data.resolution)) {
+      errors.push(`resolution must be one of: ${allowed.join(', ')}`);
+    }
+    if (!data.reason || !String(data.reason).trim()) {
+      errors.push('reason is required');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Close a task. Editors can close their own tasks; catalog managers any open task.
+   */
+  async resolveTask(id, data, user) {
+    const task = await this.getTask(id);
+    if (!task) {
+      return null;
+    }
+
+    if (task.status !== 'open') {
+      const error = new Error('Catalog task is already resolved');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (!['admin', 'manager'].includes(user.role) && task.assigned_to !== user.id) {
+      const error = new Error('Only the assigned editor or a catalog manager can resolve this task');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const errors = this.validateResolution(task, data);
+    if (errors.length) {
+      const error = new Error('Invalid task resolution');
+      error.statusCode = 400;
+      error.errors = errors;
+      throw error;
+    }
+
+    const reason = String(data.reason).trim();
+    await this.db.execute(`
+      UPDATE catalog_tasks SET status = 'resolved', resolution = ?, resolution_reason = ?, resolved_by = ?,
+        resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [data.resolution, reason, user.id, id]);
+
+    logger.info(`Catalog task ${id} resolved as ${data.resolution}: ${task.sku}`, {
+      type: 'CATALOG_TASK_RESOLVED',
+      taskId: task.id,
+      sku: task.sku,
+      resolution: data.resolution,
+      userId: user.id
+    });
+
+    return this.getTask(id);
+  }
+
+  /**
+   * Close the open tasks of a type for SKUs handled elsewhere (e.g. a bulk PIM action);
+   * returns how many were closed
+   */
+  async resolveForSkus(skus, taskType, resolution, reason, userId) {
+    if (!skus.length) {
+      return 0;
+    }
+
+    const [result] = await this.db.execute(`
+      UPDATE catalog_tasks SET status = 'resolved', resolution = ?, resolution_reason = ?, resolved_by = ?,
+        resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'open' AND task_type = ? AND sku IN (${skus.map(() => '?').join(', ')})
+    `, [resolution, reason, userId, taskType, ...skus]);
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Throughput per editor from resolved task rows: tasks closed per resolution and the
+   * average hours from assignment to resolution. Tasks closed automatically count for their
+   * assignee.
+   */
+  buildThroughput(resolvedRows, openRows = []) {
+    const editors = new Map();
+    const editor = (id, username) => {
+      if (!editors.has(id)) {
+        editors.set(id, {
+          user_id: id,
+          username,
+          open_tasks: 0,
+          resolved: 0,
+          published: 0,
+          deactivated: 0,
+          ignored: 0,
+          auto_resolved: 0,
+          total_hours: 0,
+          timed: 0
+        });
+      }
+      return editors.get(id);
+    };
+
+    for (const row of openRows) {
+      editor(row.user_id, row.username).open_tasks = row.open_tasks;
+    }
+
+    for (const row of resolvedRows) {
+      const stats = editor(row.user_id, row.username);
+      stats.resolved++;
+      stats[row.resolution]++;
+      if (row.assigned_at && row.resolved_at) {
+        const hours = (new Date(`${row.resolved_at.replace(' ', 'T')}Z`) - new Date(`${row.assigned_at.replace(' ', 'T')}Z`)) / 3600000;
+        if (hours >= 0) {
+          stats.total_hours += hours;
+          stats.timed++;
+        }
+      }
+    }
+
+    return Array.from(editors.values())
+      .map(({ total_hours: totalHours, timed, ...stats }) => ({
+        ...stats,
+        avg_hours_to_resolve: timed ? Math.round((totalHours / timed) * 10) / 10 : null
+      }))
+      .sort((a, b) => b.resolved - a.resolved || a.username.localeCompare(b.username));
+  }
+
+  async getThroughput({ dateFrom, dateTo } = {}) {
+    const conditions = ["t.status = 'resolved'", 'COALESCE(t.resolved_by, t.assigned_to) IS NOT NULL'];
+    const params = [];
+    if (dateFrom) {
+      conditions.push('DATE(t.resolved_at) >= DATE(?)');
+      params.push(dateFrom);
+    }
+    if (dateTo) {
+      conditions.push('DATE(t.resolved_at) <= DATE(?)');
+      params.push(dateTo);
+    }
+
+    const [resolvedRows] = await this.db.execute(`
+      SELECT COALESCE(t.resolved_by, t.assigned_to) as user_id, u.username, t.resolution, t.assigned_at, t.resolved_at
+      FROM catalog_tasks t
+      JOIN users u ON u.id = COALESCE(t.resolved_by, t.assigned_to)
+      WHERE ${conditions.join(' AND ')}
+    `, params);
+
+    const [openRows] = await this.db.execute(`
+      SELECT t.assigned_to as user_id, u.username, COUNT(*) as open_tasks
+      FROM catalog_tasks t
+      JOIN users u ON u.id = t.assigned_to
+      WHERE t.status = 'open'
+      GROUP BY t.assigned_to, u.username
+    `);
+
+    return {
+      date_from: dateFrom || null,
+      date_to: dateTo || null,
+      editors: this.buildThroughput(resolvedRows, openRows)
+    };
+  }
+}
+
+module.exports = new TaskService();
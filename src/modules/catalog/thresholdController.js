@@ -0,0 +1,151 @@
+const thresholdService = require('./thresholdService');
+
+class ThresholdController {
+  /**
+   * List publishing thresholds: per area, and per-category and per-brand overrides
+   */
+  async getThresholds(req, res) {
+    try {
+      const thresholds = await thresholdService.getThresholds();
+
+      res.json({
+        success: true,
+        data: thresholds
+      });
+    } catch (error) {
+      console.error('Error fetching catalog thresholds:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog thresholds'
+      });
+    }
+  }
+
+  /**
+   * Create a threshold for an area, category or brand
+   */
+  async createThreshold(req, res) {
+    try {
+      const errors = thresholdService.validateThreshold(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid catalog threshold',
+          errors
+        });
+      }
+
+      if (await thresholdService.findThreshold(req.body.scope, req.body.match_value)) {
+        return res.status(409).json({
+          success: false,
+          message: `A threshold for this ${req.body.scope} already exists`
+        });
+      }
+
+      const id = await thresholdService.createThreshold(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: { id },
+        message: 'Catalog threshold created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating catalog threshold:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create catalog threshold'
+      });
+    }
+  }
+
+  /**
+   * Change the stock a threshold requires
+   */
+  async updateThreshold(req, res) {
+    try {
+      const errors = thresholdService.validateThreshold(req.body, { isNew: false });
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid catalog threshold',
+          errors
+        });
+      }
+
+      const updated = await thresholdService.updateThreshold(req.params.thresholdId, req.body, req.user.id);
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog threshold not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: updated,
+        message: 'Catalog threshold updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating catalog threshold:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update catalog threshold'
+      });
+    }
+  }
+
+  /**
+   * Delete a threshold; its products fall back to the next match (category, area, DEFAULT)
+   */
+  async deleteThreshold(req, res) {
+    try {
+      const deleted = await thresholdService.deleteThreshold(req.params.thresholdId, req.user.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Catalog threshold not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Catalog threshold deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting catalog threshold:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete catalog threshold'
+      });
+    }
+  }
+
+  /**
+   * Who changed which threshold and from what to what, newest first
+   */
+  async getChanges(req, res) {
+    try {
+      const changes = await thresholdService.getChanges({
+        thresholdId: req.query.threshold_id,
+        limit: req.query.limit
+      });
+
+      res.json({
+        success: true,
+        data: changes
+      });
+    } catch (error) {
+      console.error('Error fetching catalog threshold changes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch catalog threshold changes'
+      });
+    }
+  }
+}
+
+module.exports = ThresholdController;
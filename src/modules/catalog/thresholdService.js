@@ -0,0 +1,271 @@
+const { database } = require('../../shared/database');
+const logger = require('../../shared/utils/logger');
+const { DEFAULT_CATEGORY_CONFIGS } = require('./models');
+
+/**
+ * Publishing thresholds: the ERP stock a product needs to be published in the catalog. Stored
+ * per area, with optional per-category and per-brand overrides, and kept in memory so the
+ * comparisons can look them up per product. Changes clear the cache; other processes pick
+ * them up when it expires.
+ */
+class ThresholdService {
+  constructor() {
+    this.db = database.sqlite;
+    this.scopes = ['brand', 'category', 'area'];
+    this.defaultArea = 'DEFAULT';
+    this.fallbackThreshold = 10;
+    this.maxThreshold = 100000;
+    this.cacheTtl = 5 * 60 * 1000;
+
+    // Until the stored thresholds are loaded, the built-in defaults apply
+    this.thresholds = this.buildLookup(DEFAULT_CATEGORY_CONFIGS.map(config => ({
+      scope: 'area',
+      match_value: config.area,
+      threshold: config.threshold
+    })));
+    this.loadedAt = 0;
+  }
+
+  normalize(value) {
+    return value === undefined || value === null ? '' : String(value).trim().toUpperCase();
+  }
+
+  buildLookup(rows) {
+    const lookup = new Map(this.scopes.map(scope => [scope, new Map()]));
+    rows.forEach(row => lookup.get(row.scope).set(this.normalize(row.match_value), parseInt(row.threshold)));
+    return lookup;
+  }
+
+  /**
+   * Load the stored thresholds unless the cached ones are still fresh. When the database cannot
+   * be read the previous (or built-in) thresholds stay in use.
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.cacheTtl) {
+      return this.thresholds;
+    }
+
+    try {
+      const [rows] = await this.db.execute('SELECT scope, match_value, threshold FROM catalog_thresholds');
+      this.thresholds = this.buildLookup(rows);
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.warn('Catalog thresholds unavailable, using the last known ones', {
+        type: 'CATALOG_THRESHOLDS_UNAVAILABLE',
+        error: error.message
+      });
+    }
+
+    return this.thresholds;
+  }
+
+  invalidate() {
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Threshold of a product: its brand override, else its category override, else its area,
+   * else the DEFAULT area
+   */
+  resolve(area, { category, brand } = {}) {
+    const candidates = [['brand', brand], ['category', category], ['area', area], ['area', this.defaultArea]];
+
+    for (const [scope, value] of candidates) {
+      const key = this.normalize(value);
+      if (key && this.thresholds.get(scope).has(key)) {
+        return this.thresholds.get(scope).get(key);
+      }
+    }
+
+    return this.fallbackThreshold;
+  }
+
+  // Administration
+
+  async getThresholds() {
+    const [rows] = await this.db.execute(`
+      SELECT t.*, u.username as updated_by_username
+      FROM catalog_thresholds t
+      LEFT JOIN users u ON t.updated_by = u.id
+      ORDER BY CASE t.scope WHEN 'area' THEN 0 WHEN 'category' THEN 1 ELSE 2 END, t.match_value
+    `);
+    return rows;
+  }
+
+  async getThreshold(id) {
+    const [rows] = await this.db.execute('SELECT * FROM catalog_thresholds WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async findThreshold(scope, matchValue) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM catalog_thresholds WHERE scope = ? AND match_value = ?',
+      [scope, this.normalize(matchValue)]
+    );
+    return rows[0] || null;
+  }
+
+  validateThreshold(data, { isNew = true } = {}) {
+    const errors = [];
+
+    if (isNew && !this.scopes.includes(data.scope)) {
+      errors.push(`scope must be one of: ${this.scopes.join(', ')}`);
+    }
+    if (isNew && !this.normalize(data.match_value)) {
+      errors.push('match_value is required (the area, category or brand it applies to)');
+    }
+    const threshold = Number(data.threshold);
+    if (data.threshold === undefined || data.threshold === null || !Number.isInteger(threshold)
+      || threshold < 0 || threshold > this.maxThreshold) {
+      errors.push(`threshold must be a whole number between 0 and ${this.maxThreshold}`);
+    }
+
+    return errors;
+  }
+
+  async recordChange(executor, threshold, action, oldThreshold, newThreshold, userId) {
+    await executor.execute(`
+      INSERT INTO catalog_threshold_changes (threshold_id, scope, match_value, action, old_threshold, new_threshold, changed_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [threshold.id, threshold.scope, threshold.match_value, action, oldThreshold, newThreshold, userId]);
+  }
+
+  async createThreshold(data, userId) {
+    const connection = await this.db.getConnection();
+
+    try {
+      const matchValue = this.normalize(data.match_value);
+      const threshold = Number(data.threshold);
+
+      const [result] = await connection.execute(
+        'INSERT INTO catalog_thresholds (scope, match_value, threshold, updated_by) VALUES (?, ?, ?, ?)',
+        [data.scope, matchValue, threshold, userId]
+      );
+      await this.recordChange(connection, { id: result.insertId, scope: data.scope, match_value: matchValue }, 'created', null, threshold, userId);
+
+      await connection.commit();
+      this.invalidate();
+
+      logger.info(`Catalog threshold created: ${data.scope} ${matchValue} = ${threshold}`, {
+        type: 'CATALOG_THRESHOLD_CREATED',
+        thresholdId: result.insertId,
+        scope: data.scope,
+        matchValue,
+        threshold,
+        userId
+      });
+
+      return result.insertId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Only the number changes; to move a threshold to another area, category or brand, delete it and create another
+  async updateThreshold(id, data, userId) {
+    const connection = await this.db.getConnection();
+
+    try {
+      const [rows] = await connection.execute('SELECT * FROM catalog_thresholds WHERE id = ?', [id]);
+      if (!rows.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      const existing = rows[0];
+      const threshold = Number(data.threshold);
+
+      await connection.execute(
+        'UPDATE catalog_thresholds SET threshold = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [threshold, userId, id]
+      );
+      if (existing.threshold !== threshold) {
+        await this.recordChange(connection, existing, 'updated', existing.threshold, threshold, userId);
+      }
+
+      await connection.commit();
+      this.invalidate();
+
+      logger.info(`Catalog threshold updated: ${existing.scope} ${existing.match_value} ${existing.threshold} -> ${threshold}`, {
+        type: 'CATALOG_THRESHOLD_UPDATED',
+        thresholdId: existing.id,
+        previous: existing.threshold,
+        threshold,
+        userId
+      });
+
+      return { ...existing, threshold };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The DEFAULT area is what every other product falls back to, so it can be changed but not deleted
+  async deleteThreshold(id, userId) {
+    const connection = await this.db.getConnection();
+
+    try {
+      const [rows] = await connection.execute('SELECT * FROM catalog_thresholds WHERE id = ?', [id]);
+      if (!rows.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      const existing = rows[0];
+      if (existing.scope === 'area' && existing.match_value === this.defaultArea) {
+        const error = new Error('The DEFAULT threshold cannot be deleted');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      await connection.execute('DELETE FROM catalog_thresholds WHERE id = ?', [id]);
+      await this.recordChange(connection, existing, 'deleted', existing.threshold, null, userId);
+
+      await connection.commit();
+      this.invalidate();
+
+      logger.info(`Catalog threshold deleted: ${existing.scope} ${existing.match_value}`, {
+        type: 'CATALOG_THRESHOLD_DELETED',
+        thresholdId: existing.id,
+        userId
+      });
+
+      return existing;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Threshold changes, newest first, optionally of one threshold
+  async getChanges({ thresholdId, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+    const params = [];
+    let filter = '';
+    if (thresholdId) {
+      filter = 'WHERE c.threshold_id = ?';
+      params.push(thresholdId);
+    }
+
+    const [changes] = await this.db.execute(`
+      SELECT c.*, u.username as changed_by_username
+      FROM catalog_threshold_changes c
+      LEFT JOIN users u ON c.changed_by = u.id
+      ${filter}
+      ORDER BY c.changed_at DESC, c.id DESC
+      LIMIT ${pageSize}
+    `, params);
+
+    return changes;
+  }
+}
+
+module.exports = new ThresholdService();
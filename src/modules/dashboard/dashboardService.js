@@ -115,12 +115,15 @@ class DashboardService {
          WHERE created_at >= date('now', '-30 days')`
       );
 
+      // Aggregated in base currency using the rate snapshotted on each quote
       const [totalValueResult] = await this.sqliteDb.execute(
-        'SELECT COALESCE(SUM(total), 0) as total FROM quotes'
+        'SELECT COALESCE(SUM(total * COALESCE(exchange_rate, 1)), 0) as total FROM quotes'
       );
 
       const [recentQuotesResult] = await this.sqliteDb.execute(
-        `SELECT q.quote_number, q.total, q.created_at, c.name as client_name
+        `SELECT q.quote_number, q.total, q.currency,
+                ROUND(q.total * COALESCE(q.exchange_rate, 1), 2) as total_base,
+                q.created_at, c.name as client_name
          FROM quotes q 
          JOIN clients c ON q.client_id = c.id 
          ORDER BY q.created_at DESC LIMIT 5`
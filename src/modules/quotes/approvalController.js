@@ -0,0 +1,305 @@
+const approvalService = require('./services/approvalService');
+
+class ApprovalController {
+  /**
+   * Submit a draft or rejected quote to the approval chain that applies to it
+   */
+  async submitQuote(req, res) {
+    try {
+      const request = await approvalService.submit(req.params.id, req.user.id, req.body.comments || null);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: request,
+        message: 'Quote submitted for approval'
+      });
+    } catch (error) {
+      console.error('Error submitting quote for approval:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to submit quote for approval'
+      });
+    }
+  }
+
+  /**
+   * Approval requests of a quote with the timeline of each
+   */
+  async getQuoteApprovals(req, res) {
+    try {
+      const requests = await approvalService.getQuoteApprovals(req.params.id);
+
+      res.json({
+        success: true,
+        data: requests
+      });
+    } catch (error) {
+      console.error('Error fetching quote approvals:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote approvals'
+      });
+    }
+  }
+
+  /**
+   * Approval steps waiting on the current user, including those delegated to them
+   */
+  async getPendingApprovals(req, res) {
+    try {
+      const approvals = await approvalService.getPendingForUser(req.user);
+
+      res.json({
+        success: true,
+        data: approvals
+      });
+    } catch (error) {
+      console.error('Error fetching pending approvals:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch pending approvals'
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a pending approval step
+   */
+  async decide(req, res) {
+    try {
+      const { decision, comments } = req.body;
+
+      if (!['approved', 'rejected'].includes(decision)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid decision',
+          errors: ['decision must be either approved or rejected']
+        });
+      }
+      if (decision === 'rejected' && !comments) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid decision',
+          errors: ['comments are required when rejecting']
+        });
+      }
+
+      const result = await approvalService.decide(req.params.approvalId, req.user, decision, comments || null);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Approval step not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: decision === 'approved' ? 'Approval recorded' : 'Rejection recorded'
+      });
+    } catch (error) {
+      console.error('Error recording approval decision:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to record approval decision'
+      });
+    }
+  }
+
+  /**
+   * Current and upcoming delegations of the user (all of them for admins)
+   */
+  async getDelegations(req, res) {
+    try {
+      const delegations = await approvalService.getDelegations(req.user);
+
+      res.json({
+        success: true,
+        data: delegations
+      });
+    } catch (error) {
+      console.error('Error fetching approval delegations:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch approval delegations'
+      });
+    }
+  }
+
+  /**
+   * Delegate approvals while out of office. Admins may set up a delegation for another user.
+   */
+  async createDelegation(req, res) {
+    try {
+      const errors = approvalService.validateDelegation(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid delegation',
+          errors
+        });
+      }
+
+      const userId = req.user.role === 'admin' && req.body.user_id ? req.body.user_id : req.user.id;
+      const delegation = await approvalService.createDelegation(userId, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: delegation,
+        message: 'Delegation created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating approval delegation:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to create approval delegation'
+      });
+    }
+  }
+
+  /**
+   * End a delegation early
+   */
+  async revokeDelegation(req, res) {
+    try {
+      const revoked = await approvalService.revokeDelegation(req.params.delegationId, req.user);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active delegation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Delegation revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking approval delegation:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke approval delegation'
+      });
+    }
+  }
+
+  /**
+   * List approval chains with their steps
+   */
+  async getChains(req, res) {
+    try {
+      const chains = await approvalService.getChains({
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: chains
+      });
+    } catch (error) {
+      console.error('Error fetching approval chains:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch approval chains'
+      });
+    }
+  }
+
+  /**
+   * Create or update an approval chain and replace its steps
+   */
+  async saveChain(req, res) {
+    try {
+      const errors = approvalService.validateChain(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid approval chain',
+          errors
+        });
+      }
+
+      const id = await approvalService.saveChain(req.params.chainId, req.body, req.user.id);
+
+      if (!id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Approval chain not found'
+        });
+      }
+
+      res.status(req.params.chainId ? 200 : 201).json({
+        success: true,
+        data: { id },
+        message: 'Approval chain saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving approval chain:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to save approval chain'
+      });
+    }
+  }
+
+  /**
+   * Deactivate an approval chain
+   */
+  async deleteChain(req, res) {
+    try {
+      const deactivated = await approvalService.deactivateChain(req.params.chainId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Approval chain not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Approval chain deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating approval chain:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate approval chain'
+      });
+    }
+  }
+
+  /**
+   * Escalate overdue approval steps now instead of waiting for the hourly run
+   */
+  async runEscalations(req, res) {
+    try {
+      const summary = await approvalService.escalateOverdue();
+
+      res.json({
+        success: true,
+        data: summary,
+        message: `${summary.escalated} approval step(s) escalated`
+      });
+    } catch (error) {
+      console.error('Error escalating approvals:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to escalate approvals'
+      });
+    }
+  }
+}
+
+module.exports = ApprovalController;
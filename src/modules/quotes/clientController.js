@@ -0,0 +1,631 @@
+const clientCrmService = require('./services/clientCrmService');
+const clientImportService = require('./services/clientImportService');
+const clientDedupService = require('./services/clientDedupService');
+const creditService = require('./services/creditService');
+const { validateTaxId } = require('../../shared/utils/rnc');
+
+class ClientController {
+  /**
+   * Get a client with its active contacts and delivery addresses
+   */
+  async getClient(req, res) {
+    try {
+      const client = await clientCrmService.getClient(req.params.clientId);
+
+      if (!client) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: client
+      });
+    } catch (error) {
+      console.error('Error fetching client:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client'
+      });
+    }
+  }
+
+  /**
+   * Update a client's details; an RNC or cédula must pass its check digit
+   */
+  async updateClient(req, res) {
+    try {
+      const data = { ...req.body };
+
+      if (data.name !== undefined && !String(data.name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name is required'
+        });
+      }
+
+      if (data.rnc) {
+        const taxId = validateTaxId(data.rnc);
+        if (!taxId.valid) {
+          return res.status(400).json({
+            success: false,
+            message: taxId.error
+          });
+        }
+        data.rnc = taxId.taxId;
+      }
+
+      if (!(await clientCrmService.clientExists(req.params.clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const client = await clientCrmService.updateClient(req.params.clientId, data, req.user.id);
+
+      res.json({
+        success: true,
+        data: client,
+        message: 'Client updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating client:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update client'
+      });
+    }
+  }
+
+  /**
+   * Credit terms of a client and how much of its limit is used by open quotes and the balance
+   */
+  async getCredit(req, res) {
+    try {
+      const credit = await creditService.getClientCredit(req.params.clientId);
+
+      if (!credit) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: credit
+      });
+    } catch (error) {
+      console.error('Error fetching client credit:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client credit'
+      });
+    }
+  }
+
+  /**
+   * Set a client's credit limit, payment terms, account status or outstanding balance
+   */
+  async updateCredit(req, res) {
+    try {
+      const errors = creditService.validateTerms(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid credit terms',
+          errors
+        });
+      }
+
+      const credit = await creditService.updateTerms(req.params.clientId, req.body, req.user.id);
+
+      if (!credit) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: credit,
+        message: 'Credit terms updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating client credit:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update client credit'
+      });
+    }
+  }
+
+  /**
+   * What happens when a quote takes a client over its credit limit, and whether the ERP sync is set up
+   */
+  async getCreditSettings(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          credit_limit_action: await creditService.getCreditAction(),
+          erp_balance_sync: creditService.isErpAvailable()
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching credit settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch credit settings'
+      });
+    }
+  }
+
+  /**
+   * Set `credit_limit_action`: `warn` lets the quote through, `approval` sends it to finance
+   */
+  async updateCreditSettings(req, res) {
+    try {
+      const action = req.body.credit_limit_action;
+
+      if (!creditService.creditActions.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid credit settings',
+          errors: [`credit_limit_action must be one of: ${creditService.creditActions.join(', ')}`]
+        });
+      }
+
+      await creditService.setCreditAction(action, req.user.id);
+
+      res.json({
+        success: true,
+        data: { credit_limit_action: action },
+        message: 'Credit settings updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating credit settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update credit settings'
+      });
+    }
+  }
+
+  /**
+   * Pull outstanding balances from the ERP now instead of waiting for the nightly sync
+   */
+  async importErpBalances(req, res) {
+    try {
+      const result = await creditService.importErpBalances(req.user.id);
+
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: 'ERP balance import is not available (Oracle or ERP_BALANCE_QUERY not configured)'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `Balances updated for ${result.updated} clients`
+      });
+    } catch (error) {
+      console.error('Error importing ERP balances:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to import ERP balances'
+      });
+    }
+  }
+
+  /**
+   * Import clients from a base64 CSV/XLSX `file` or CSV text `csv`, with an optional
+   * `mapping` of field to column header. `dry_run` only previews.
+   */
+  async importClients(req, res) {
+    try {
+      const { file, csv, mapping, dry_run, include_duplicates } = req.body;
+
+      if (!file && !csv) {
+        return res.status(400).json({
+          success: false,
+          message: 'file or csv is required'
+        });
+      }
+
+      const result = await clientImportService.importClients({
+        file,
+        csv,
+        mapping: mapping || {},
+        dryRun: dry_run === true || dry_run === 'true',
+        includeDuplicates: include_duplicates === true || include_duplicates === 'true'
+      }, req.user.id);
+
+      if (result.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Client file cannot be imported',
+          errors: result.errors
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: result.summary.created === undefined
+          ? `${result.summary.new} of ${result.summary.total} rows would be created`
+          : `${result.summary.created} clients imported`
+      });
+    } catch (error) {
+      console.error('Error importing clients:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to import clients'
+      });
+    }
+  }
+
+  /**
+   * Pairs of active clients that share an RNC or email, or have very similar names
+   */
+  async getDuplicates(req, res) {
+    try {
+      const duplicates = await clientDedupService.findDuplicates();
+
+      res.json({
+        success: true,
+        data: duplicates
+      });
+    } catch (error) {
+      console.error('Error finding duplicate clients:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to find duplicate clients'
+      });
+    }
+  }
+
+  /**
+   * Merge `duplicate_id` into this client, moving its quotes and records over
+   */
+  async mergeClient(req, res) {
+    try {
+      const duplicateId = parseInt(req.body.duplicate_id);
+
+      if (!duplicateId) {
+        return res.status(400).json({
+          success: false,
+          message: 'duplicate_id is required'
+        });
+      }
+
+      const result = await clientDedupService.merge(req.params.clientId, duplicateId, req.user.id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Clients merged successfully'
+      });
+    } catch (error) {
+      console.error('Error merging clients:', error);
+      res.status(error.message.includes('merged into itself') ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to merge clients'
+      });
+    }
+  }
+
+  /**
+   * List contacts of a client
+   */
+  async getContacts(req, res) {
+    try {
+      if (!(await clientCrmService.clientExists(req.params.clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const contacts = await clientCrmService.getContacts(req.params.clientId, {
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: contacts
+      });
+    } catch (error) {
+      console.error('Error fetching client contacts:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client contacts'
+      });
+    }
+  }
+
+  /**
+   * Add a contact to a client, or update one
+   */
+  async saveContact(req, res) {
+    try {
+      const { clientId, contactId } = req.params;
+      const errors = clientCrmService.validateContact(req.body, Boolean(contactId));
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid contact',
+          errors
+        });
+      }
+
+      if (!(await clientCrmService.clientExists(clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const contact = await clientCrmService.saveContact(clientId, contactId, req.body, req.user.id);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+
+      res.status(contactId ? 200 : 201).json({
+        success: true,
+        data: contact,
+        message: 'Contact saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving client contact:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to save client contact'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a contact
+   */
+  async deleteContact(req, res) {
+    try {
+      const deactivated = await clientCrmService.deactivateContact(req.params.clientId, req.params.contactId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Contact deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating client contact:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate client contact'
+      });
+    }
+  }
+
+  /**
+   * List delivery addresses of a client
+   */
+  async getAddresses(req, res) {
+    try {
+      if (!(await clientCrmService.clientExists(req.params.clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const addresses = await clientCrmService.getAddresses(req.params.clientId, {
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: addresses
+      });
+    } catch (error) {
+      console.error('Error fetching client addresses:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client addresses'
+      });
+    }
+  }
+
+  /**
+   * Add a delivery address to a client, or update one
+   */
+  async saveAddress(req, res) {
+    try {
+      const { clientId, addressId } = req.params;
+      const errors = clientCrmService.validateAddress(req.body, Boolean(addressId));
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid address',
+          errors
+        });
+      }
+
+      if (!(await clientCrmService.clientExists(clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const address = await clientCrmService.saveAddress(clientId, addressId, req.body, req.user.id);
+
+      if (!address) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      res.status(addressId ? 200 : 201).json({
+        success: true,
+        data: address,
+        message: 'Address saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving client address:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to save client address'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a delivery address
+   */
+  async deleteAddress(req, res) {
+    try {
+      const deactivated = await clientCrmService.deactivateAddress(req.params.clientId, req.params.addressId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Address not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Address deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating client address:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate client address'
+      });
+    }
+  }
+
+  /**
+   * List notes kept on a client
+   */
+  async getNotes(req, res) {
+    try {
+      const notes = await clientCrmService.getNotes(req.params.clientId);
+
+      res.json({
+        success: true,
+        data: notes
+      });
+    } catch (error) {
+      console.error('Error fetching client notes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client notes'
+      });
+    }
+  }
+
+  /**
+   * Add a note to a client, optionally about one of its contacts
+   */
+  async addNote(req, res) {
+    try {
+      if (!String(req.body.note || '').trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid note',
+          errors: ['note is required']
+        });
+      }
+
+      if (!(await clientCrmService.clientExists(req.params.clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const note = await clientCrmService.addNote(req.params.clientId, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: note,
+        message: 'Note added successfully'
+      });
+    } catch (error) {
+      console.error('Error adding client note:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to add client note'
+      });
+    }
+  }
+
+  /**
+   * Unified timeline of quotes, status changes, emails and notes of a client
+   */
+  async getTimeline(req, res) {
+    try {
+      if (req.query.before && isNaN(new Date(req.query.before).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid timeline query',
+          errors: ['before must be a timestamp']
+        });
+      }
+
+      if (!(await clientCrmService.clientExists(req.params.clientId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      const timeline = await clientCrmService.getTimeline(req.params.clientId, {
+        limit: req.query.limit,
+        before: req.query.before
+      });
+
+      res.json({
+        success: true,
+        data: timeline
+      });
+    } catch (error) {
+      console.error('Error fetching client timeline:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch client timeline'
+      });
+    }
+  }
+}
+
+module.exports = ClientController;
@@ -0,0 +1,99 @@
+const currencyService = require('./services/currencyService');
+
+class CurrencyController {
+  /**
+   * List exchange rates, optionally for one currency
+   */
+  async getExchangeRates(req, res) {
+    try {
+      const rates = await currencyService.getRates(req.query.currency);
+
+      res.json({
+        success: true,
+        data: {
+          base_currency: currencyService.baseCurrency,
+          currencies: currencyService.currencies,
+          rates
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch exchange rates'
+      });
+    }
+  }
+
+  /**
+   * Set the rate of a currency from a date on (today by default)
+   */
+  async saveExchangeRate(req, res) {
+    try {
+      const rate = { ...req.body, currency: (req.body.currency || '').toUpperCase() };
+      const errors = currencyService.validateRate(rate);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid exchange rate',
+          errors
+        });
+      }
+
+      const saved = await currencyService.saveRate(rate, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: saved,
+        message: 'Exchange rate saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to save exchange rate'
+      });
+    }
+  }
+
+  /**
+   * Import exchange rates from CSV text (`currency,rate,effective_date` per line)
+   */
+  async importExchangeRates(req, res) {
+    try {
+      const { csv } = req.body;
+
+      if (!csv) {
+        return res.status(400).json({
+          success: false,
+          message: 'csv is required'
+        });
+      }
+
+      const result = await currencyService.importCsv(csv, req.user.id);
+
+      if (result.errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Exchange rate file has errors; nothing was imported',
+          errors: result.errors
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.imported} exchange rates imported`
+      });
+    } catch (error) {
+      console.error('Error importing exchange rates:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to import exchange rates'
+      });
+    }
+  }
+}
+
+module.exports = CurrencyController;
@@ -1,5 +1,8 @@
 const { database } = require('../../shared/database');
 const exportService = require('../../shared/services/exportService');
+const quoteRevisionService = require('./services/quoteRevisionService');
+const quoteConversionService = require('./services/quoteConversionService');
+const quoteAnalyticsService = require('./services/quoteAnalyticsService');
 const moment = require('moment');
 
 class QuotesExportController {
@@ -43,9 +46,13 @@ class QuotesExportController {
           c.name as 'Client Name',
           c.email as 'Client Email',
           c.company as 'Company',
+          q.discount_total as 'Discount',
           q.subtotal as 'Subtotal',
           q.itbis as 'ITBIS',
           q.total as 'Total',
+          q.currency as 'Currency',
+          q.exchange_rate as 'Exchange Rate',
+          ROUND(q.total * COALESCE(q.exchange_rate, 1), 2) as 'Total (DOP)',
           q.status as 'Status',
           q.valid_until as 'Valid Until',
           q.created_at as 'Created Date',
@@ -118,6 +125,7 @@ class QuotesExportController {
           c.name as client_name,
           c.company,
           q.total,
+          q.currency,
           q.status,
           q.valid_until,
           q.created_at
@@ -215,6 +223,77 @@ class QuotesExportController {
     }
   }
 
+  /**
+   * Export a specific quote revision as PDF
+   */
+  async exportRevisionPDF(req, res) {
+    try {
+      const { id, revision } = req.params;
+
+      const quoteRevision = await quoteRevisionService.getRevision(id, parseInt(revision));
+
+      if (!quoteRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const [clients] = await this.db.execute(
+        'SELECT name, email, phone, company, address FROM clients WHERE id = ?',
+        [quoteRevision.client_id]
+      );
+
+      const quote = {
+        ...quoteRevision,
+        id: quoteRevision.quote_id,
+        quote_number: quoteRevision.label
+      };
+
+      const pdfBuffer = await exportService.generateQuotePDF(quote, clients[0] || {}, quoteRevision.items);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=quote_${quoteRevision.quote_number}_rev${quoteRevision.revision_number}.pdf`);
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      console.error('Error exporting quote revision PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export quote revision PDF'
+      });
+    }
+  }
+
+  /**
+   * Export the invoice created from a quote as PDF
+   */
+  async exportInvoicePDF(req, res) {
+    try {
+      const order = await quoteConversionService.getOrder({ quoteId: req.params.id });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote has not been converted'
+        });
+      }
+
+      const pdfBuffer = await exportService.generateInvoicePDF(order, order.items);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=factura_${order.ncf}.pdf`);
+      res.send(pdfBuffer);
+
+    } catch (error) {
+      console.error('Error exporting invoice PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export invoice PDF'
+      });
+    }
+  }
+
   /**
    * Export clients list to Excel
    */
@@ -230,7 +309,7 @@ class QuotesExportController {
           rnc as 'RNC',
           created_at as 'Created Date',
           (SELECT COUNT(*) FROM quotes WHERE client_id = clients.id) as 'Total Quotes',
-          (SELECT COALESCE(SUM(total), 0) FROM quotes WHERE client_id = clients.id) as 'Total Value'
+          (SELECT COALESCE(SUM(total * COALESCE(exchange_rate, 1)), 0) FROM quotes WHERE client_id = clients.id) as 'Total Value (DOP)'
         FROM clients 
         WHERE active = 1
         ORDER BY name
@@ -260,6 +339,87 @@ class QuotesExportController {
     }
   }
 
+  /**
+   * Export pipeline analytics to Excel, one sheet per section
+   */
+  async exportPipelineExcel(req, res) {
+    try {
+      const errors = quoteAnalyticsService.validateRange(req.query);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range',
+          errors
+        });
+      }
+
+      const pipeline = await quoteAnalyticsService.getPipeline(req.query);
+      const range = `${pipeline.range.date_from || 'start'} to ${pipeline.range.date_to || 'today'}`;
+      const groupRows = (groups, label) => groups.map(group => ({
+        [label]: group.name,
+        'Quotes': group.quotes,
+        'Sent': group.sent,
+        'Won': group.won,
+        'Lost': group.lost,
+        'Win Rate (%)': group.win_rate,
+        'Won Value (DOP)': group.won_value,
+        'Lost Value (DOP)': group.lost_value
+      }));
+
+      const excelBuffer = exportService.generateExcel({
+        sheets: [
+          {
+            sheetName: 'Funnel',
+            title: `Quote Funnel (${range}) - Win rate ${pipeline.totals.win_rate ?? 'n/a'}%`,
+            data: pipeline.funnel.map(stage => ({
+              'Stage': stage.stage,
+              'Quotes': stage.count,
+              'From Previous (%)': stage.rate_from_previous,
+              'From Draft (%)': stage.rate_from_draft
+            }))
+          },
+          { sheetName: 'Salespeople', title: 'Win Rate per Salesperson', data: groupRows(pipeline.salespeople, 'Salesperson') },
+          { sheetName: 'Clients', title: 'Win Rate per Client', data: groupRows(pipeline.clients, 'Client') },
+          {
+            sheetName: 'Time in Status',
+            title: 'Median Time in Each Status',
+            data: pipeline.time_in_status.map(row => ({
+              'Status': row.status,
+              'Quotes': row.samples,
+              'Median Hours': row.median_hours
+            }))
+          },
+          {
+            sheetName: 'Lost Reasons',
+            title: 'Lost Quotes by Reason',
+            data: pipeline.lost_reasons.map(row => ({
+              'Status': row.status,
+              'Reason': row.reason,
+              'Quotes': row.count,
+              'Value (DOP)': row.value
+            }))
+          }
+        ],
+        metadata: {
+          generatedBy: `${req.user.first_name} ${req.user.last_name}`,
+          dateGenerated: new Date()
+        }
+      });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=quote_pipeline_${moment().format('YYYY-MM-DD')}.xlsx`);
+      res.send(excelBuffer);
+
+    } catch (error) {
+      console.error('Error exporting pipeline analytics to Excel:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export pipeline analytics to Excel'
+      });
+    }
+  }
+
   /**
    * Export sales summary to PDF
    */
@@ -270,8 +430,8 @@ class QuotesExportController {
           DATE(created_at) as date,
           COUNT(*) as quotes_count,
           SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved_quotes,
-          SUM(CASE WHEN status = 'approved' THEN total ELSE 0 END) as approved_value,
-          SUM(total) as total_value
+          SUM(CASE WHEN status = 'approved' THEN total * COALESCE(exchange_rate, 1) ELSE 0 END) as approved_value,
+          SUM(total * COALESCE(exchange_rate, 1)) as total_value
         FROM quotes 
         WHERE created_at >= DATE('now', '-30 days')
         GROUP BY DATE(created_at)
@@ -0,0 +1,113 @@
+const quoteFollowUpService = require('./services/quoteFollowUpService');
+
+class FollowUpController {
+  /**
+   * List the follow-up cadence
+   */
+  async getSteps(req, res) {
+    try {
+      const steps = await quoteFollowUpService.getSteps({
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: steps
+      });
+    } catch (error) {
+      console.error('Error fetching follow-up steps:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch follow-up steps'
+      });
+    }
+  }
+
+  /**
+   * Create or update a follow-up step
+   */
+  async saveStep(req, res) {
+    try {
+      const errors = quoteFollowUpService.validateStep(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid follow-up step',
+          errors
+        });
+      }
+
+      const id = await quoteFollowUpService.saveStep(req.params.stepId, req.body, req.user.id);
+
+      if (!id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Follow-up step not found'
+        });
+      }
+
+      res.status(req.params.stepId ? 200 : 201).json({
+        success: true,
+        data: { id },
+        message: 'Follow-up step saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving follow-up step:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to save follow-up step'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a follow-up step
+   */
+  async deleteStep(req, res) {
+    try {
+      const deactivated = await quoteFollowUpService.deactivateStep(req.params.stepId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Follow-up step not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Follow-up step deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating follow-up step:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate follow-up step'
+      });
+    }
+  }
+
+  /**
+   * Queue the follow-ups due today now instead of waiting for the scheduled run
+   */
+  async runFollowUps(req, res) {
+    try {
+      const summary = await quoteFollowUpService.run();
+
+      res.json({
+        success: true,
+        data: summary,
+        message: `${summary.queued} follow-up(s) queued`
+      });
+    } catch (error) {
+      console.error('Error running quote follow-ups:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to run quote follow-ups'
+      });
+    }
+  }
+}
+
+module.exports = FollowUpController;
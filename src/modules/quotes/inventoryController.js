@@ -0,0 +1,152 @@
+const stockLocationService = require('./services/stockLocationService');
+
+class InventoryController {
+  /**
+   * Stock of a SKU per store and distribution centre, with units held by quotes fulfilled there
+   */
+  async getProductStock(req, res) {
+    try {
+      const stock = await stockLocationService.getProductStock(req.params.sku);
+
+      if (!stock) {
+        return res.status(503).json({
+          success: false,
+          message: 'PIM inventory is not available'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: stock
+      });
+    } catch (error) {
+      console.error('Error fetching product stock:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch product stock'
+      });
+    }
+  }
+
+  /**
+   * Products at or below `threshold` units per location (`location` limits it to one)
+   */
+  async getLowStock(req, res) {
+    try {
+      const report = await stockLocationService.getLowStock({
+        threshold: req.query.threshold,
+        location: req.query.location
+      });
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error fetching low stock report:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to fetch low stock report'
+      });
+    }
+  }
+
+  /**
+   * Stores and distribution centres (`include_inactive=true` lists inactive ones too)
+   */
+  async getLocations(req, res) {
+    try {
+      const locations = await stockLocationService.getLocations({
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: locations
+      });
+    } catch (error) {
+      console.error('Error fetching stock locations:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch stock locations'
+      });
+    }
+  }
+
+  /**
+   * Register a store or distribution centre under its PIM inventory code
+   */
+  async createLocation(req, res) {
+    try {
+      const errors = stockLocationService.validateLocation(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stock location',
+          errors
+        });
+      }
+
+      if (await stockLocationService.getLocation(req.body.code)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A stock location with this code already exists'
+        });
+      }
+
+      const code = await stockLocationService.createLocation(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: { code },
+        message: 'Stock location created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating stock location:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create stock location'
+      });
+    }
+  }
+
+  /**
+   * Update a stock location; deactivated ones are no longer offered as fulfilment stores or alternatives
+   */
+  async updateLocation(req, res) {
+    try {
+      const errors = stockLocationService.validateLocation(req.body, { isNew: false });
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid stock location',
+          errors
+        });
+      }
+
+      const updated = await stockLocationService.updateLocation(req.params.code, req.body, req.user.id);
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Stock location updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating stock location:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update stock location'
+      });
+    }
+  }
+}
+
+module.exports = InventoryController;
@@ -0,0 +1,63 @@
+const quoteConversionService = require('./services/quoteConversionService');
+
+class NcfController {
+  /**
+   * Get NCF types with their authorised range, next number and remaining count
+   */
+  async getSequences(req, res) {
+    try {
+      const sequences = await quoteConversionService.getNcfSequences();
+
+      res.json({
+        success: true,
+        data: sequences
+      });
+    } catch (error) {
+      console.error('Error fetching NCF sequences:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch NCF sequences'
+      });
+    }
+  }
+
+  /**
+   * Load the range and expiry DGII authorised for an NCF type
+   */
+  async updateSequence(req, res) {
+    try {
+      const errors = quoteConversionService.validateNcfRange(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid NCF range',
+          errors
+        });
+      }
+
+      const sequence = await quoteConversionService.updateNcfRange(req.params.ncfType, req.body, req.user.id);
+
+      if (!sequence) {
+        return res.status(404).json({
+          success: false,
+          message: 'NCF type not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: sequence,
+        message: 'NCF range updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating NCF range:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update NCF range'
+      });
+    }
+  }
+}
+
+module.exports = NcfController;
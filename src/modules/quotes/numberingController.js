@@ -0,0 +1,52 @@
+const quoteNumberingService = require('./services/quoteNumberingService');
+
+class NumberingController {
+  /**
+   * Get quote numbering settings and a preview of the next number
+   */
+  async getNumberingSettings(req, res) {
+    try {
+      const settings = await quoteNumberingService.getSettings(req.query.store_code);
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error fetching numbering settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch numbering settings'
+      });
+    }
+  }
+
+  /**
+   * Renumber quotes created under the old scheme. Dry run unless dry_run is false.
+   */
+  async migrateLegacyNumbers(req, res) {
+    try {
+      const dryRun = req.body.dry_run !== false;
+      const result = await quoteNumberingService.migrateLegacyNumbers({
+        dryRun,
+        store: req.body.store_code
+      });
+
+      res.json({
+        success: true,
+        data: result,
+        message: dryRun
+          ? `${result.renumbered.length} quotes would be renumbered`
+          : `${result.renumbered.length} quotes renumbered successfully`
+      });
+    } catch (error) {
+      console.error('Error migrating quote numbers:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to migrate quote numbers'
+      });
+    }
+  }
+}
+
+module.exports = NumberingController;
@@ -0,0 +1,325 @@
+const { database } = require('../../shared/database');
+const exportService = require('../../shared/services/exportService');
+const clientPortalService = require('./services/clientPortalService');
+const quoteAcceptanceService = require('./services/quoteAcceptanceService');
+
+class PortalController {
+  constructor() {
+    this.db = database.sqlite;
+  }
+
+  /**
+   * Issue a portal link for a quote (staff). Sends the quote if it is still a draft.
+   */
+  async createLink(req, res) {
+    try {
+      const errors = clientPortalService.validateLink(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid portal link',
+          errors
+        });
+      }
+
+      const link = await clientPortalService.issueLink(req.params.id, req.body, req.user.id);
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: link,
+        message: 'Portal link created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating portal link:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message || 'Failed to create portal link'
+      });
+    }
+  }
+
+  /**
+   * List the portal links of a quote and the client activity on them (staff)
+   */
+  async getLinks(req, res) {
+    try {
+      const data = await clientPortalService.getLinks(req.params.id);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Error fetching portal links:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch portal links'
+      });
+    }
+  }
+
+  /**
+   * Revoke a portal link (staff)
+   */
+  async revokeLink(req, res) {
+    try {
+      const revoked = await clientPortalService.revokeLink(req.params.id, req.params.linkId, req.user.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active portal link not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Portal link revoked successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking portal link:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to revoke portal link'
+      });
+    }
+  }
+
+  /**
+   * Latest signed acceptance of a quote (staff)
+   */
+  async getAcceptance(req, res) {
+    try {
+      const acceptance = await quoteAcceptanceService.getAcceptance(req.params.id);
+
+      if (!acceptance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote has no recorded acceptance'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: acceptance
+      });
+    } catch (error) {
+      console.error('Error fetching quote acceptance:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote acceptance'
+      });
+    }
+  }
+
+  /**
+   * Download the exact document the client accepted (staff)
+   */
+  async downloadAcceptancePDF(req, res) {
+    try {
+      const acceptance = await quoteAcceptanceService.getAcceptance(req.params.id, { withDocument: true });
+
+      if (!acceptance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote has no recorded acceptance'
+        });
+      }
+
+      this._sendAcceptedDocument(res, acceptance);
+    } catch (error) {
+      console.error('Error exporting accepted quote PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export accepted quote PDF'
+      });
+    }
+  }
+
+  /**
+   * Check the stored accepted document against its hash, and optionally a copy sent as base64 `document` (staff)
+   */
+  async verifyAcceptance(req, res) {
+    try {
+      const result = await quoteAcceptanceService.verify(req.params.id, req.body.document || null);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote has no recorded acceptance'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error verifying quote acceptance:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to verify quote acceptance'
+      });
+    }
+  }
+
+  /**
+   * Public: show the quote behind a token. Every view is logged and moves a sent quote to viewed.
+   */
+  async viewQuote(req, res) {
+    try {
+      const result = await clientPortalService.recordAction(req.params.token, 'viewed', {}, this._client(req));
+
+      if (!result) {
+        return this._invalidLink(res);
+      }
+
+      const quote = await clientPortalService.getPortalQuote(result.quoteId);
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('Error loading portal quote:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load quote'
+      });
+    }
+  }
+
+  /**
+   * Public: download the quote PDF, or the signed copy once the client has accepted it
+   */
+  async downloadPDF(req, res) {
+    try {
+      const link = await clientPortalService.resolveToken(req.params.token);
+
+      if (!link) {
+        return this._invalidLink(res);
+      }
+
+      const acceptance = await quoteAcceptanceService.getAcceptance(link.quote_id, { withDocument: true });
+      if (acceptance && ['accepted', 'converted'].includes(acceptance.quote_status)) {
+        return this._sendAcceptedDocument(res, acceptance);
+      }
+
+      const [quotes] = await this.db.execute(`
+        SELECT q.*, c.name as client_name, c.email, c.phone, c.company, c.address
+        FROM quotes q
+        LEFT JOIN clients c ON q.client_id = c.id
+        WHERE q.id = ?
+      `, [link.quote_id]);
+
+      const [items] = await this.db.execute(
+        'SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id',
+        [link.quote_id]
+      );
+
+      const quote = quotes[0];
+      const client = {
+        name: quote.client_name,
+        email: quote.email,
+        phone: quote.phone,
+        company: quote.company,
+        address: quote.address
+      };
+
+      const pdfBuffer = await exportService.generateQuotePDF(quote, client, items);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=quote_${quote.quote_number}.pdf`);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('Error exporting portal quote PDF:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export quote PDF'
+      });
+    }
+  }
+
+  /**
+   * Public: accept the quote, optionally typing a name and drawing a signature
+   */
+  async acceptQuote(req, res) {
+    return this._clientAction(req, res, 'accepted', 'Quote accepted');
+  }
+
+  /**
+   * Public: reject the quote with a reason
+   */
+  async rejectQuote(req, res) {
+    return this._clientAction(req, res, 'rejected', 'Quote rejected');
+  }
+
+  /**
+   * Public: request changes to the quote
+   */
+  async requestChanges(req, res) {
+    return this._clientAction(req, res, 'changes_requested', 'Your comments have been sent');
+  }
+
+  async _clientAction(req, res, action, message) {
+    try {
+      const errors = clientPortalService.validateAction(action, req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid request',
+          errors
+        });
+      }
+
+      const result = await clientPortalService.recordAction(req.params.token, action, req.body, this._client(req));
+
+      if (!result) {
+        return this._invalidLink(res);
+      }
+
+      res.json({
+        success: true,
+        data: { status: result.status, acceptance: result.acceptance },
+        message
+      });
+    } catch (error) {
+      console.error(`Error recording portal action ${action}:`, error);
+      // Only conflicts are explained to the client; anything else stays generic
+      const status = error.statusCode || 500;
+      res.status(status).json({
+        success: false,
+        message: status < 500 ? error.message : 'Failed to record your response'
+      });
+    }
+  }
+
+  _sendAcceptedDocument(res, acceptance) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=quote_${acceptance.quote_number}_accepted.pdf`);
+    res.setHeader('X-Document-SHA256', acceptance.document_sha256);
+    res.send(acceptance.document);
+  }
+
+  _client(req) {
+    return { ip: req.ip, userAgent: req.get('User-Agent') };
+  }
+
+  _invalidLink(res) {
+    return res.status(404).json({
+      success: false,
+      message: 'This link is invalid, has expired or was revoked'
+    });
+  }
+}
+
+module.exports = PortalController;
@@ -0,0 +1,162 @@
+const pricingService = require('./services/pricingService');
+
+class PricingController {
+  /**
+   * List price lists
+   */
+  async getPriceLists(req, res) {
+    try {
+      const lists = await pricingService.getPriceLists();
+
+      res.json({
+        success: true,
+        data: lists
+      });
+    } catch (error) {
+      console.error('Error fetching price lists:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch price lists'
+      });
+    }
+  }
+
+  /**
+   * Get a price list with its product prices and volume breaks
+   */
+  async getPriceList(req, res) {
+    try {
+      const list = await pricingService.getPriceList(req.params.listId);
+
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: 'Price list not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: list
+      });
+    } catch (error) {
+      console.error('Error fetching price list:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch price list'
+      });
+    }
+  }
+
+  /**
+   * Create or update a price list
+   */
+  async savePriceList(req, res) {
+    try {
+      const { name, discount_percent } = req.body;
+      const errors = [];
+
+      if (!name) {
+        errors.push('name is required');
+      }
+      if (discount_percent !== undefined) {
+        const percent = parseFloat(discount_percent);
+        if (isNaN(percent) || percent < 0 || percent > 100) {
+          errors.push('discount_percent must be between 0 and 100');
+        }
+      }
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid price list',
+          errors
+        });
+      }
+
+      const listId = req.params.listId || null;
+      const id = await pricingService.savePriceList(listId, req.body, req.user.id);
+
+      if (!id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Price list not found'
+        });
+      }
+
+      res.status(listId ? 200 : 201).json({
+        success: true,
+        data: { id },
+        message: `Price list ${listId ? 'updated' : 'created'} successfully`
+      });
+    } catch (error) {
+      console.error('Error saving price list:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to save price list'
+      });
+    }
+  }
+
+  /**
+   * Replace the product prices and volume breaks of a price list
+   */
+  async replacePriceListItems(req, res) {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items)) {
+        return res.status(400).json({
+          success: false,
+          message: 'items must be an array'
+        });
+      }
+
+      const errors = [];
+      items.forEach((item, index) => {
+        if (!item.product_id) {
+          errors.push(`Item ${index + 1}: product_id is required`);
+        }
+        const price = parseFloat(item.price);
+        if (isNaN(price) || price < 0) {
+          errors.push(`Item ${index + 1}: price must be a positive number`);
+        }
+        if (item.min_quantity !== undefined && !(parseFloat(item.min_quantity) > 0)) {
+          errors.push(`Item ${index + 1}: min_quantity must be greater than 0`);
+        }
+      });
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid price list items',
+          errors
+        });
+      }
+
+      const list = await pricingService.getPriceList(req.params.listId);
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: 'Price list not found'
+        });
+      }
+
+      await pricingService.replacePriceListItems(req.params.listId, items, req.user.id);
+
+      res.json({
+        success: true,
+        data: await pricingService.getPriceList(req.params.listId),
+        message: 'Price list items updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating price list items:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update price list items'
+      });
+    }
+  }
+}
+
+module.exports = PricingController;
@@ -1,4 +1,23 @@
 const { database } = require('../../shared/database');
+const quoteRevisionService = require('./services/quoteRevisionService');
+const taxService = require('./services/taxService');
+const quoteNumberingService = require('./services/quoteNumberingService');
+const quoteConversionService = require('./services/quoteConversionService');
+const pricingService = require('./services/pricingService');
+const currencyService = require('./services/currencyService');
+const quoteStatusService = require('./services/quoteStatusService');
+const quoteExpiryService = require('./services/quoteExpiryService');
+const approvalService = require('./services/approvalService');
+const quoteAnalyticsService = require('./services/quoteAnalyticsService');
+const taxpayerRegistryService = require('./services/taxpayerRegistryService');
+const creditService = require('./services/creditService');
+const stockReservationService = require('./services/stockReservationService');
+const productSubstituteService = require('./services/productSubstituteService');
+const stockLocationService = require('./services/stockLocationService');
+const { validateTaxId } = require('../../shared/utils/rnc');
+
+// Quote lines arrive as JSON objects; anything else cannot be priced or validated
+const isItem = item => item !== null && typeof item === 'object' && !Array.isArray(item);
 
 class QuotesController {
   constructor() {
@@ -10,7 +29,7 @@ class QuotesController {
    */
   async getQuotes(req, res) {
     try {
-      const { page = 1, limit = 10, status, client_id } = req.query;
+      const { page = 1, limit = 10, status, client_id, search } = req.query;
       const offset = (page - 1) * limit;
 
       let whereClause = '';
@@ -26,6 +45,13 @@ class QuotesController {
         params.push(client_id);
       }
 
+      // Renumbered quotes stay findable by the number they were issued with
+      if (search) {
+        whereClause += whereClause ? ' AND ' : 'WHERE ';
+        whereClause += '(quote_number LIKE ? OR legacy_quote_number LIKE ?)';
+        params.push(`%${search}%`, `%${search}%`);
+      }
+
       const countQuery = `SELECT COUNT(*) as total FROM quotes ${whereClause}`;
       const [countResult] = await this.db.execute(countQuery, params);
       const total = countResult[0].total;
@@ -110,112 +136,662 @@ class QuotesController {
    * Create new quote
    */
   async createQuote(req, res) {
+    const { client_id, items, notes, valid_until, store_code, discount } = req.body;
+    const requestedCurrency = req.body.currency || currencyService.baseCurrency;
+    // Anything but a currency code fails the isSupported check below
+    const currency = typeof requestedCurrency === 'string' ? requestedCurrency.toUpperCase() : null;
+    const user_id = req.user.id;
+
+    if (!client_id || !Array.isArray(items) || !items.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Client ID and items are required'
+      });
+    }
+
+    if (!items.every(isItem)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each item must be an object'
+      });
+    }
+
+    if (!currencyService.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Currency must be one of: ${currencyService.currencies.join(', ')}`
+      });
+    }
+
+    const discountErrors = pricingService.validateQuoteDiscounts(items, discount);
+    if (discountErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid discount',
+        errors: discountErrors
+      });
+    }
+
+    let connection;
+
     try {
-      const { client_id, items, notes, valid_until } = req.body;
-      const user_id = req.user.id;
+      connection = await this.db.getConnection();
 
-      if (!client_id || !items || !items.length) {
+      // The rate is snapshotted on the quote; later rate changes do not affect it
+      let exchangeRate;
+      try {
+        exchangeRate = await currencyService.getRate(currency, new Date(), connection);
+      } catch (error) {
+        await connection.rollback();
         return res.status(400).json({
           success: false,
-          message: 'Client ID and items are required'
+          message: error.message
         });
       }
 
-      // Calculate totals
-      let subtotal = 0;
-      let totalItbis = 0;
+      const created = await this._insertQuote(connection, {
+        client_id, items, notes, valid_until, store_code, discount, currency, exchangeRate, user_id,
+        fulfilment_store: req.body.fulfilment_store,
+        template_id: req.body.template_id || null
+      });
+
+      await connection.commit();
 
-      for (const item of items) {
-        const itemTotal = parseFloat(item.quantity) * parseFloat(item.price);
-        const itemItbis = itemTotal * 0.18; // 18% ITBIS
-        subtotal += itemTotal;
-        totalItbis += itemItbis;
+      res.status(201).json({
+        success: true,
+        data: created,
+        message: 'Quote created successfully'
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
       }
+      console.error('Error creating quote:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to create quote'
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Update quote. Content changes (items, notes, validity) are stored as a new revision.
+   */
+  async updateQuote(req, res) {
+    const { id } = req.params;
+    const { status, notes, valid_until, items, discount, change_summary, fulfilment_store } = req.body;
+    const user_id = req.user.id;
+
+    if (items !== undefined && (!Array.isArray(items) || !items.length || !items.every(isItem))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items must be a non-empty array of objects'
+      });
+    }
+
+    // Approval has its own chain of sign-offs and conversion issues the invoice, so neither can be set directly
+    if (['pending_approval', 'approved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotes are submitted and approved through the approval endpoints'
+      });
+    }
+    if (status === 'converted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Quotes are converted through POST /api/quotes/:id/convert'
+      });
+    }
+    if (status !== undefined && !quoteStatusService.validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${quoteStatusService.validStatuses.join(', ')}`
+      });
+    }
+
+    const discountErrors = pricingService.validateQuoteDiscounts(items || [], discount);
+    if (discountErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid discount',
+        errors: discountErrors
+      });
+    }
 
-      const total = subtotal + totalItbis;
+    const repriced = items !== undefined || discount !== undefined;
+    const contentChanged = repriced || notes !== undefined || valid_until !== undefined;
+    let connection;
 
-      // Generate quote number
-      const [lastQuote] = await this.db.execute(
-        'SELECT quote_number FROM quotes ORDER BY id DESC LIMIT 1'
+    try {
+      connection = await this.db.getConnection();
+
+      const [existing] = await connection.execute(
+        'SELECT id, client_id, status, discount_type, discount_value, currency, exchange_rate FROM quotes WHERE id = ?',
+        [id]
       );
 
-      let nextNumber = 1;
-      if (lastQuote.length > 0) {
-        const lastNumber = parseInt(lastQuote[0].quote_number.replace('COT-', ''));
-        nextNumber = lastNumber + 1;
+      if (!existing.length) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      // Amounts and the rate snapshot belong to the original currency
+      if (req.body.currency && String(req.body.currency).toUpperCase() !== existing[0].currency) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'The currency of an existing quote cannot be changed'
+        });
       }
 
-      const quoteNumber = `COT-${nextNumber.toString().padStart(6, '0')}`;
+      if (contentChanged) {
+        await quoteRevisionService.ensureBaselineRevision(connection, id, user_id);
+      }
 
-      // Insert quote
-      const [quoteResult] = await this.db.execute(
-        `INSERT INTO quotes (quote_number, client_id, subtotal, itbis, total, notes, valid_until, created_by, updated_by)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [quoteNumber, client_id, subtotal, totalItbis, total, notes, valid_until, user_id, user_id]
+      await connection.execute(
+        `UPDATE quotes
+         SET notes = COALESCE(?, notes), valid_until = COALESCE(?, valid_until),
+             updated_by = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [notes ?? null, valid_until ?? null, user_id, id]
       );
 
-      const quoteId = quoteResult.insertId;
+      // Where the quote is fulfilled from; null or '' clears it
+      if (fulfilment_store !== undefined) {
+        await connection.execute(
+          'UPDATE quotes SET fulfilment_store = ? WHERE id = ?',
+          [await stockLocationService.assertFulfilmentStore(fulfilment_store, connection), id]
+        );
+      }
 
-      // Insert quote items
-      for (const item of items) {
-        const itemTotal = parseFloat(item.quantity) * parseFloat(item.price);
-        const itemItbis = itemTotal * 0.18;
+      let requiresApproval = false;
 
-        await this.db.execute(
-          `INSERT INTO quote_items (quote_id, product_id, product_ean, product_name, product_description, quantity, price, itbis, total)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [quoteId, item.product_id || '', item.product_ean || '', item.product_name, item.product_description || '', item.quantity, item.price, itemItbis, itemTotal + itemItbis]
-        );
+      if (repriced) {
+        // A discount-only change re-prices the current lines from their list prices
+        let inputItems = items;
+        if (inputItems === undefined) {
+          [inputItems] = await connection.execute('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [id]);
+        }
+
+        const quoteDiscount = discount !== undefined
+          ? discount
+          : { type: existing[0].discount_type, value: existing[0].discount_value };
+
+        requiresApproval = await this._repriceQuote(connection, existing[0], inputItems, quoteDiscount);
       }
 
+      // Keep the stock holds in step with the new lines
+      if (repriced) {
+        await stockReservationService.syncQuote(connection, id);
+      }
+
+      let revision = null;
+      if (contentChanged) {
+        revision = await quoteRevisionService.createRevision(connection, id, user_id, change_summary || null);
+      }
+
+      // Status changes go through the status service (transition rules, history, follow-ups, stock holds),
+      // after the new revision so sending checks approval against what is actually sent
+      if (status && status !== existing[0].status) {
+        if (status === 'sent') {
+          if (await approvalService.needsApproval(connection, id)) {
+            const error = new Error('This quote needs approval before it can be sent');
+            error.statusCode = 409;
+            throw error;
+          }
+
+          // Blocked accounts cannot have quotes sent
+          const [current] = await connection.execute('SELECT id, client_id, total, exchange_rate FROM quotes WHERE id = ?', [id]);
+          creditService.assertNotBlocked(await creditService.checkQuote(connection, current[0]));
+        }
+
+        await quoteStatusService.updateQuoteStatus(connection, id, status, user_id, { reason: 'manual_update' });
+      }
+
+      await connection.commit();
+
+      res.json({
+        success: true,
+        data: revision
+          ? { revision_number: revision.revision_number, label: revision.label, requires_approval: requiresApproval }
+          : null,
+        message: 'Quote updated successfully'
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error('Error updating quote:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update quote'
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Copy a quote into a new draft, for the same or another client, at current catalog prices
+   */
+  async cloneQuote(req, res) {
+    const { id } = req.params;
+    const user_id = req.user.id;
+    let connection;
+
+    try {
+      connection = await this.db.getConnection();
+
+      const [quotes] = await connection.execute('SELECT * FROM quotes WHERE id = ?', [id]);
+
+      if (!quotes.length) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      const source = quotes[0];
+      const clientId = req.body.client_id || source.client_id;
+
+      const [clients] = await connection.execute('SELECT id FROM clients WHERE id = ? AND active = 1', [clientId]);
+      if (!clients.length) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Client not found'
+        });
+      }
+
+      // The clone keeps the currency but takes today's exchange rate
+      let exchangeRate;
+      try {
+        exchangeRate = await currencyService.getRate(source.currency, new Date(), connection);
+      } catch (error) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const [sourceItems] = await connection.execute('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [id]);
+      const items = sourceItems.map(item => ({
+        product_id: item.product_id,
+        product_ean: item.product_ean,
+        product_name: item.product_name,
+        product_description: item.product_description,
+        product_category: item.product_category,
+        quantity: item.quantity,
+        list_price: item.list_price ?? item.price,
+        discount_type: item.discount_type,
+        discount_value: item.discount_value,
+        notes: item.notes
+      }));
+
+      const { lines, refreshed } = await pricingService.refreshListPrices(items, exchangeRate);
+
+      const created = await this._insertQuote(connection, {
+        client_id: clientId,
+        items: lines,
+        notes: req.body.notes ?? source.notes,
+        valid_until: req.body.valid_until ?? this._cloneValidUntil(source),
+        store_code: req.body.store_code,
+        fulfilment_store: req.body.fulfilment_store !== undefined ? req.body.fulfilment_store : source.fulfilment_store,
+        discount: { type: source.discount_type, value: source.discount_value },
+        currency: source.currency,
+        exchangeRate,
+        user_id,
+        template_id: source.template_id,
+        cloned_from_quote_id: source.id,
+        change_summary: `Cloned from ${source.quote_number}`
+      });
+
+      await connection.commit();
+
       res.status(201).json({
+        success: true,
+        data: { ...created, cloned_from: source.quote_number, prices_refreshed: refreshed },
+        message: 'Quote cloned successfully'
+      });
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error('Error cloning quote:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to clone quote'
+      });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Stock check of a quote's lines at its fulfilment store (or overall when it has none), with
+   * nearby locations and ranked substitutes for products that fall short
+   */
+  async getQuoteAvailability(req, res) {
+    try {
+      const [quotes] = await this.db.execute('SELECT id FROM quotes WHERE id = ?', [req.params.id]);
+
+      if (!quotes.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      const availability = await productSubstituteService.checkQuote(req.params.id);
+
+      res.json({
+        success: true,
+        data: availability
+      });
+    } catch (error) {
+      console.error('Error checking quote availability:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to check stock availability'
+      });
+    }
+  }
+
+  /**
+   * Stock check of lines not saved yet (`items`), at `fulfilment_store` when given, with nearby
+   * locations and ranked substitutes
+   */
+  async checkAvailability(req, res) {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || !items.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Items must be a non-empty array'
+        });
+      }
+
+      const availability = await productSubstituteService.checkAvailability(items, {
+        store: req.body.fulfilment_store || null
+      });
+
+      res.json({
+        success: true,
+        data: availability
+      });
+    } catch (error) {
+      console.error('Error checking stock availability:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to check stock availability'
+      });
+    }
+  }
+
+  /**
+   * Replace the product of a quote line with `product_id`, keeping its quantity, notes and
+   * line discount. Stored as a new revision like any other line change.
+   */
+  async swapQuoteItem(req, res) {
+    const { id, itemId } = req.params;
+    const { product_id: productId } = req.body;
+    const user_id = req.user.id;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'product_id is required'
+      });
+    }
+
+    let connection;
+
+    try {
+      connection = await this.db.getConnection();
+
+      const [existing] = await connection.execute(
+        'SELECT id, client_id, discount_type, discount_value, exchange_rate FROM quotes WHERE id = ?',
+        [id]
+      );
+      const [items] = await connection.execute('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [id]);
+      const item = items.find(line => String(line.id) === String(itemId));
+
+      if (!existing.length || !item) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: existing.length ? 'Quote line not found' : 'Quote not found'
+        });
+      }
+
+      const product = await productSubstituteService.getProduct(productId);
+
+      if (!product) {
+        await connection.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Product not found in the catalog'
+        });
+      }
+
+      await quoteRevisionService.ensureBaselineRevision(connection, id, user_id);
+
+      const swapped = items.map(line => (line.id === item.id
+        ? productSubstituteService.swapLine(line, product, existing[0].exchange_rate)
+        : line));
+      const requiresApproval = await this._repriceQuote(
+        connection, existing[0], swapped, { type: existing[0].discount_type, value: existing[0].discount_value }
+      );
+
+      await stockReservationService.syncQuote(connection, id);
+
+      const revision = await quoteRevisionService.createRevision(
+        connection, id, user_id, `Swapped ${item.product_name} for ${product.name}`
+      );
+
+      await connection.commit();
+
+      res.json({
         success: true,
         data: {
-          id: quoteId,
-          quote_number: quoteNumber,
-          total
+          product_id: product.sku,
+          replaced_product_id: item.product_id,
+          revision_number: revision.revision_number,
+          label: revision.label,
+          requires_approval: requiresApproval
         },
-        message: 'Quote created successfully'
+        message: 'Quote line swapped successfully'
       });
     } catch (error) {
-      console.error('Error creating quote:', error);
+      if (connection) {
+        await connection.rollback();
+      }
+      console.error('Error swapping quote line:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to create quote'
+        message: error.message || 'Failed to swap quote line'
       });
+    } finally {
+      if (connection) {
+        connection.release();
+      }
     }
   }
 
   /**
-   * Update quote
+   * Get revision history of a quote
    */
-  async updateQuote(req, res) {
+  async getQuoteRevisions(req, res) {
     try {
       const { id } = req.params;
-      const { status, notes } = req.body;
-      const user_id = req.user.id;
+      const revisions = await quoteRevisionService.getRevisions(id);
 
-      const [result] = await this.db.execute(
-        'UPDATE quotes SET status = ?, notes = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [status, notes, user_id, id]
-      );
+      res.json({
+        success: true,
+        data: revisions
+      });
+    } catch (error) {
+      console.error('Error fetching quote revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote revisions'
+      });
+    }
+  }
 
-      if (result.affectedRows === 0) {
+  /**
+   * Get a single quote revision with its items
+   */
+  async getQuoteRevision(req, res) {
+    try {
+      const { id, revision } = req.params;
+      const quoteRevision = await quoteRevisionService.getRevision(id, parseInt(revision));
+
+      if (!quoteRevision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: quoteRevision
+      });
+    } catch (error) {
+      console.error('Error fetching quote revision:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote revision'
+      });
+    }
+  }
+
+  /**
+   * Compare two revisions of a quote. Defaults to previous vs current revision.
+   */
+  async compareQuoteRevisions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const [quotes] = await this.db.execute('SELECT current_revision FROM quotes WHERE id = ?', [id]);
+
+      if (!quotes.length) {
         return res.status(404).json({
           success: false,
           message: 'Quote not found'
         });
       }
 
+      const to = parseInt(req.query.to) || quotes[0].current_revision;
+      const from = parseInt(req.query.from) || to - 1;
+
+      const diff = await quoteRevisionService.diffRevisions(id, from, to);
+
+      if (!diff) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
       res.json({
         success: true,
-        message: 'Quote updated successfully'
+        data: diff
       });
     } catch (error) {
-      console.error('Error updating quote:', error);
+      console.error('Error comparing quote revisions:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to update quote'
+        message: error.message || 'Failed to compare quote revisions'
+      });
+    }
+  }
+
+  /**
+   * Convert an accepted quote into a sales order / invoice with an NCF
+   */
+  async convertQuote(req, res) {
+    try {
+      const { id } = req.params;
+      const { ncf_type, notes } = req.body;
+
+      const order = await quoteConversionService.convertQuote(id, req.user.id, {
+        ncfType: ncf_type,
+        notes
+      });
+
+      res.status(201).json({
+        success: true,
+        data: order,
+        message: `Quote converted to invoice ${order.ncf}`
+      });
+    } catch (error) {
+      console.error('Error converting quote:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message || 'Failed to convert quote'
+      });
+    }
+  }
+
+  /**
+   * Get the invoice created from a quote
+   */
+  async getQuoteInvoice(req, res) {
+    try {
+      const order = await quoteConversionService.getOrder({ quoteId: req.params.id });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote has not been converted'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      console.error('Error fetching quote invoice:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote invoice'
+      });
+    }
+  }
+
+  /**
+   * Get the status history of a quote
+   */
+  async getQuoteStatusHistory(req, res) {
+    try {
+      const history = await quoteStatusService.getStatusHistory(req.params.id);
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      console.error('Error fetching quote status history:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote status history'
       });
     }
   }
@@ -247,7 +823,7 @@ class QuotesController {
    */
   async createClient(req, res) {
     try {
-      const { name, email, phone, company, address, rnc } = req.body;
+      const { name, email, phone, company, address, rnc, segment } = req.body;
       const user_id = req.user.id;
 
       if (!name) {
@@ -257,14 +833,29 @@ class QuotesController {
         });
       }
 
+      const taxId = rnc ? validateTaxId(rnc) : null;
+      if (taxId && !taxId.valid) {
+        return res.status(400).json({
+          success: false,
+          message: taxId.error
+        });
+      }
+
       const [result] = await this.db.execute(
-        'INSERT INTO clients (name, email, phone, company, address, rnc, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [name, email, phone, company, address, rnc, user_id]
+        'INSERT INTO clients (name, email, phone, company, address, rnc, segment, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [name, email, phone, company, address, taxId ? taxId.taxId : null, segment || null, user_id]
       );
 
+      let rncStatus = null;
+      if (taxId) {
+        await taxpayerRegistryService.refreshClientFlags(result.insertId);
+        const [clients] = await this.db.execute('SELECT rnc_status FROM clients WHERE id = ?', [result.insertId]);
+        rncStatus = clients[0].rnc_status;
+      }
+
       res.status(201).json({
         success: true,
-        data: { id: result.insertId },
+        data: { id: result.insertId, rnc_status: rncStatus },
         message: 'Client created successfully'
       });
     } catch (error) {
@@ -284,7 +875,10 @@ class QuotesController {
       const [totalQuotes] = await this.db.execute('SELECT COUNT(*) as count FROM quotes');
       const [pendingQuotes] = await this.db.execute("SELECT COUNT(*) as count FROM quotes WHERE status = 'draft'");
       const [approvedQuotes] = await this.db.execute("SELECT COUNT(*) as count FROM quotes WHERE status = 'approved'");
-      const [totalValue] = await this.db.execute('SELECT COALESCE(SUM(total), 0) as total FROM quotes');
+      // Quotes in other currencies are converted with their snapshotted rate
+      const [totalValue] = await this.db.execute(
+        'SELECT COALESCE(SUM(total * COALESCE(exchange_rate, 1)), 0) as total FROM quotes'
+      );
 
       res.json({
         success: true,
@@ -292,7 +886,8 @@ class QuotesController {
           totalQuotes: totalQuotes[0].count,
           pendingQuotes: pendingQuotes[0].count,
           approvedQuotes: approvedQuotes[0].count,
-          totalValue: parseFloat(totalValue[0].total)
+          totalValue: parseFloat(totalValue[0].total),
+          currency: currencyService.baseCurrency
         }
       });
     } catch (error) {
@@ -304,6 +899,36 @@ class QuotesController {
     }
   }
 
+  /**
+   * Pipeline analytics: funnel, win rates, time in each status and lost reasons
+   */
+  async getPipelineAnalytics(req, res) {
+    try {
+      const errors = quoteAnalyticsService.validateRange(req.query);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range',
+          errors
+        });
+      }
+
+      const pipeline = await quoteAnalyticsService.getPipeline(req.query);
+
+      res.json({
+        success: true,
+        data: { ...pipeline, currency: currencyService.baseCurrency }
+      });
+    } catch (error) {
+      console.error('Error fetching pipeline analytics:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch pipeline analytics'
+      });
+    }
+  }
+
   /**
    * Search products for quotes
    */
@@ -404,6 +1029,7 @@ class QuotesController {
               clientName: quote.client_name,
               quoteNumber: quote.quote_number,
               total: quote.total,
+              currency: quote.currency,
               validUntil: quote.valid_until,
               daysUntilExpiry: daysUntilExpiry,
               createdByName: quote.created_by_name || 'Plaza Lama',
@@ -470,6 +1096,171 @@ class QuotesController {
       });
     }
   }
+
+  /**
+   * Expire sent/viewed quotes past their valid_until now instead of waiting for the nightly job (admin)
+   */
+  async expireQuotes(req, res) {
+    try {
+      const summary = await quoteExpiryService.run();
+
+      res.json({
+        success: true,
+        data: summary,
+        message: `${summary.expired} quote(s) expired`
+      });
+    } catch (error) {
+      console.error('Error expiring quotes:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to expire quotes'
+      });
+    }
+  }
+
+  /**
+   * Give a clone the same validity window the source quote had, starting today
+   */
+  _cloneValidUntil(source) {
+    if (!source.valid_until || !source.created_at) {
+      return null;
+    }
+
+    const days = Math.round((new Date(source.valid_until) - new Date(source.created_at.slice(0, 10))) / (1000 * 60 * 60 * 24));
+    if (days < 1) {
+      return null;
+    }
+
+    const validUntil = new Date();
+    validUntil.setDate(validUntil.getDate() + days);
+    return validUntil.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Price, number and insert a new quote with its first revision on the caller's transaction
+   */
+  async _insertQuote(connection, quote) {
+    const { client_id, items, notes, valid_until, store_code, discount, currency, exchangeRate, user_id } = quote;
+
+    const calculated = await this._calculateQuote(connection, client_id, items, discount, exchangeRate);
+    const { lines, subtotal, itbis, total } = calculated;
+
+    // Blocked accounts cannot be quoted; going over the credit limit only warns here
+    const credit = creditService.assertNotBlocked(
+      await creditService.checkQuote(connection, { client_id, total, exchange_rate: exchangeRate })
+    );
+
+    const fulfilmentStore = await stockLocationService.assertFulfilmentStore(quote.fulfilment_store, connection);
+
+    // Allocated inside the transaction so concurrent quotes never share a number
+    const quoteNumber = await quoteNumberingService.allocate(connection, { store: store_code });
+
+    const [quoteResult] = await connection.execute(
+      `INSERT INTO quotes (quote_number, client_id, subtotal, itbis, total, notes, valid_until, created_by, updated_by,
+                           discount_type, discount_value, discount_total, discount_percent, currency, exchange_rate,
+                           template_id, cloned_from_quote_id, fulfilment_store)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [quoteNumber, client_id, subtotal, itbis, total, notes ?? null, valid_until ?? null, user_id, user_id,
+       calculated.discount_type, calculated.discount_value, calculated.discount_total, calculated.discount_percent,
+       currency, exchangeRate, quote.template_id || null, quote.cloned_from_quote_id || null, fulfilmentStore]
+    );
+
+    const quoteId = quoteResult.insertId;
+
+    await this._insertItems(connection, quoteId, lines);
+
+    // Held for the configured minutes; sending the quote extends the hold
+    const stockReservation = await stockReservationService.holdNewQuote(connection, quoteId);
+
+    // Every quote starts with revision 1 so later edits have a baseline
+    await quoteRevisionService.createRevision(connection, quoteId, user_id, quote.change_summary || 'Initial version');
+
+    const requiresApproval = await this._requiresApproval(connection, calculated, exchangeRate, client_id, quoteId);
+
+    return {
+      id: quoteId,
+      quote_number: quoteNumber,
+      client_id,
+      currency,
+      exchange_rate: exchangeRate,
+      fulfilment_store: fulfilmentStore,
+      total,
+      discount_total: calculated.discount_total,
+      requires_approval: requiresApproval,
+      credit: credit && credit.status !== 'ok' ? credit : null,
+      stock_reservation: stockReservation,
+      current_revision: 1
+    };
+  }
+
+  /**
+   * Replace the lines of an existing quote with re-priced ones and store the new totals.
+   * Returns whether the quote now needs approval.
+   */
+  async _repriceQuote(connection, quote, inputItems, quoteDiscount) {
+    // Re-pricing keeps the exchange rate snapshotted when the quote was created
+    const calculated = await this._calculateQuote(connection, quote.client_id, inputItems, quoteDiscount, quote.exchange_rate);
+
+    await connection.execute('DELETE FROM quote_items WHERE quote_id = ?', [quote.id]);
+    await this._insertItems(connection, quote.id, calculated.lines);
+    await connection.execute(
+      `UPDATE quotes
+       SET subtotal = ?, itbis = ?, total = ?, discount_type = ?, discount_value = ?, discount_total = ?, discount_percent = ?
+       WHERE id = ?`,
+      [calculated.subtotal, calculated.itbis, calculated.total, calculated.discount_type, calculated.discount_value,
+       calculated.discount_total, calculated.discount_percent, quote.id]
+    );
+
+    return this._requiresApproval(connection, calculated, quote.exchange_rate, quote.client_id, quote.id);
+  }
+
+  /**
+   * Price lines (price list, volume breaks, discounts) and then apply ITBIS server-side
+   */
+  async _calculateQuote(executor, clientId, items, discount, exchangeRate = 1) {
+    const quoteDiscount = discount && discount.type ? discount : null;
+    const priced = await pricingService.priceQuote(items, clientId, quoteDiscount, executor, exchangeRate);
+    const taxed = await taxService.calculateQuote(priced.lines, clientId, executor);
+
+    return {
+      ...taxed,
+      discount_type: quoteDiscount ? quoteDiscount.type : null,
+      discount_value: quoteDiscount ? parseFloat(quoteDiscount.value) : null,
+      discount_total: priced.discount_total,
+      discount_percent: priced.discount_percent
+    };
+  }
+
+  /**
+   * Whether an approval chain (or the discount threshold, or the client's credit) applies to the calculated totals
+   */
+  async _requiresApproval(executor, calculated, exchangeRate, clientId, quoteId) {
+    const resolved = await approvalService.resolveChain(executor, {
+      id: quoteId,
+      client_id: clientId,
+      total: calculated.total,
+      exchange_rate: exchangeRate,
+      discount_percent: calculated.discount_percent
+    });
+    return resolved !== null;
+  }
+
+  /**
+   * Insert calculated quote lines through the given connection
+   */
+  async _insertItems(executor, quoteId, lines) {
+    for (const item of lines) {
+      await executor.execute(
+        `INSERT INTO quote_items (quote_id, product_id, product_ean, product_name, product_description, quantity, price, itbis, total,
+                                  tax_rule_id, tax_rule_name, tax_rate, price_includes_tax, product_category, list_price, price_list_id,
+                                  discount_type, discount_value, discount_amount, quote_discount_amount, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [quoteId, item.product_id || '', item.product_ean || '', item.product_name, item.product_description || '', item.quantity, item.price, item.itbis, item.total,
+         item.tax_rule_id, item.tax_rule_name, item.tax_rate, item.price_includes_tax, item.product_category, item.list_price, item.price_list_id,
+         item.discount_type, item.discount_value, item.discount_amount, item.quote_discount_amount, item.notes || null]
+      );
+    }
+  }
 }
 
 module.exports = QuotesController;
\ No newline at end of file
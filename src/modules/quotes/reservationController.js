@@ -0,0 +1,116 @@
+const stockReservationService = require('./services/stockReservationService');
+
+class ReservationController {
+  /**
+   * Units held by quotes per SKU, with stock on hand and what is left to promise
+   */
+  async getSkuSummary(req, res) {
+    try {
+      const summary = await stockReservationService.getSkuSummary({ search: req.query.search });
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      console.error('Error fetching stock reservations:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch stock reservations'
+      });
+    }
+  }
+
+  /**
+   * Quotes holding a SKU and how much each one holds
+   */
+  async getSkuReservations(req, res) {
+    try {
+      const reservations = await stockReservationService.getSkuReservations(req.params.sku);
+
+      res.json({
+        success: true,
+        data: reservations
+      });
+    } catch (error) {
+      console.error('Error fetching SKU reservations:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch SKU reservations'
+      });
+    }
+  }
+
+  /**
+   * Stock holds of a quote
+   */
+  async getQuoteReservations(req, res) {
+    try {
+      const reservations = await stockReservationService.getQuoteReservations(req.params.id);
+
+      res.json({
+        success: true,
+        data: reservations
+      });
+    } catch (error) {
+      console.error('Error fetching quote reservations:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote reservations'
+      });
+    }
+  }
+
+  /**
+   * Whether stock is held for quotes and for how long
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await stockReservationService.getSettings();
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error fetching reservation settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch reservation settings'
+      });
+    }
+  }
+
+  /**
+   * Update `enabled`, `reservation_minutes` (new quotes) or `sent_hold_days` (sent quotes)
+   */
+  async updateSettings(req, res) {
+    try {
+      const errors = stockReservationService.validateSettings(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reservation settings',
+          errors
+        });
+      }
+
+      const settings = await stockReservationService.updateSettings(req.body, req.user.id);
+
+      res.json({
+        success: true,
+        data: settings,
+        message: 'Reservation settings updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating reservation settings:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update reservation settings'
+      });
+    }
+  }
+}
+
+module.exports = ReservationController;
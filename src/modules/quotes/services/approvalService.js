@@ -0,0 +1,714 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const pricingService = require('./pricingService');
+const quoteStatusService = require('./quoteStatusService');
+const emailQueueService = require('./emailQueueService');
+const creditService = require('./creditService');
+
+class ApprovalService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.approverRoles = ['manager', 'finance', 'admin'];
+        this.submittableStatuses = ['draft', 'rejected'];
+        this.maxSlaHours = 720;
+
+        // Used when only the discount threshold setting applies and no chain has been configured for it
+        this.discountFallbackChain = {
+            id: null,
+            name: 'Aprobación de descuento',
+            steps: [{ step_order: 1, name: 'Gerente', approver_role: 'manager', approver_user_id: null, sla_hours: 24, escalate_to_role: 'admin' }]
+        };
+    }
+
+    addHours(date, hours) {
+        return new Date(new Date(date).getTime() + hours * 3600000).toISOString();
+    }
+
+    // Date-only values cover the whole day; end dates include their last day
+    toTimestamp(value, endOfDay = false) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+            return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+        }
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    validateChain(data = {}) {
+        const errors = [];
+
+        if (!data.name) {
+            errors.push('name is required');
+        }
+
+        const conditions = ['min_total', 'max_total', 'min_discount_percent'].filter(key => data[key] !== undefined && data[key] !== null && data[key] !== '');
+        if (!conditions.length) {
+            errors.push('At least one of min_total, max_total or min_discount_percent is required');
+        }
+        for (const key of conditions) {
+            if (!(parseFloat(data[key]) >= 0)) {
+                errors.push(`${key} must be a non-negative number`);
+            }
+        }
+        if (conditions.includes('min_total') && conditions.includes('max_total') && parseFloat(data.max_total) <= parseFloat(data.min_total)) {
+            errors.push('max_total must be greater than min_total');
+        }
+
+        if (!Array.isArray(data.steps) || !data.steps.length) {
+            errors.push('steps must be a non-empty array');
+            return errors;
+        }
+
+        data.steps.forEach((step, index) => {
+            if (!this.approverRoles.includes(step.approver_role)) {
+                errors.push(`steps[${index}].approver_role must be one of: ${this.approverRoles.join(', ')}`);
+            }
+            if (step.escalate_to_role && !this.approverRoles.includes(step.escalate_to_role)) {
+                errors.push(`steps[${index}].escalate_to_role must be one of: ${this.approverRoles.join(', ')}`);
+            }
+            if (step.sla_hours !== undefined && !(parseInt(step.sla_hours) >= 1 && parseInt(step.sla_hours) <= this.maxSlaHours)) {
+                errors.push(`steps[${index}].sla_hours must be between 1 and ${this.maxSlaHours}`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Chain for a quote: among the active chains whose band and discount level match, the one with the
+    // most steps (the strictest) wins, then the one with the highest band
+    matchChain(chains, { amount, discountPercent }) {
+        const matches = chains.filter(chain => (chain.min_total === null || amount >= parseFloat(chain.min_total))
+            && (chain.max_total === null || amount < parseFloat(chain.max_total))
+            && (chain.min_discount_percent === null || discountPercent >= parseFloat(chain.min_discount_percent)));
+
+        matches.sort((a, b) => b.steps.length - a.steps.length
+            || (parseFloat(b.min_total) || 0) - (parseFloat(a.min_total) || 0)
+            || (parseFloat(b.min_discount_percent) || 0) - (parseFloat(a.min_discount_percent) || 0)
+            || a.id - b.id);
+
+        return matches[0] || null;
+    }
+
+    // Whether an actor may decide a step: as the assigned approver or role holder, or as their delegate
+    canDecide(actor, step, delegations = []) {
+        const holds = user => (step.approver_id ? user.id === step.approver_id : user.role === step.approver_role);
+
+        if (holds(actor)) {
+            return { allowed: true, onBehalfOf: null };
+        }
+
+        const delegation = delegations.find(d => d.delegate_id === actor.id && holds({ id: d.user_id, role: d.user_role }));
+        return delegation ? { allowed: true, onBehalfOf: delegation.user_id } : { allowed: false, onBehalfOf: null };
+    }
+
+    async getChains({ includeInactive = false } = {}, executor = this.db) {
+        const [chains] = await executor.execute(`
+            SELECT * FROM approval_chains
+            ${includeInactive ? '' : 'WHERE active = 1'}
+            ORDER BY COALESCE(min_total, 0), COALESCE(min_discount_percent, 0), id
+        `);
+        const [steps] = await executor.execute(`
+            SELECT s.*, u.first_name || ' ' || u.last_name as approver_user_name
+            FROM approval_chain_steps s
+            LEFT JOIN users u ON s.approver_user_id = u.id
+            ORDER BY s.chain_id, s.step_order
+        `);
+
+        return chains.map(chain => ({ ...chain, steps: steps.filter(step => step.chain_id === chain.id) }));
+    }
+
+    async saveChain(chainId, data, userId) {
+        const connection = await this.db.getConnection();
+        const number = value => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+        const values = [data.name, number(data.min_total), number(data.max_total), number(data.min_discount_percent), data.active === false ? 0 : 1, userId];
+
+        try {
+            if (chainId) {
+                const [result] = await connection.execute(`
+                    UPDATE approval_chains
+                    SET name = ?, min_total = ?, max_total = ?, min_discount_percent = ?, active = ?, updated_by = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...values, chainId]);
+
+                if (!result.affectedRows) {
+                    await connection.rollback();
+                    return null;
+                }
+                // Requests already in progress keep the steps they were created with
+                await connection.execute('DELETE FROM approval_chain_steps WHERE chain_id = ?', [chainId]);
+            } else {
+                const [result] = await connection.execute(`
+                    INSERT INTO approval_chains (name, min_total, max_total, min_discount_percent, active, updated_by, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [...values, userId]);
+                chainId = result.insertId;
+            }
+
+            for (const [index, step] of data.steps.entries()) {
+                await connection.execute(`
+                    INSERT INTO approval_chain_steps (chain_id, step_order, name, approver_role, approver_user_id, sla_hours, escalate_to_role)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    chainId,
+                    index + 1,
+                    step.name || step.approver_role,
+                    step.approver_role,
+                    step.approver_user_id || null,
+                    parseInt(step.sla_hours) || 24,
+                    step.escalate_to_role || 'admin'
+                ]);
+            }
+
+            await connection.commit();
+            return parseInt(chainId);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Chains are deactivated rather than deleted so past requests keep their chain
+    async deactivateChain(chainId, userId) {
+        const [result] = await this.db.execute(
+            'UPDATE approval_chains SET active = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId, chainId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // The chain a quote has to go through, or null when it needs no approval.
+    // Bands are compared in DOP so USD quotes land in the same band as their DOP equivalent.
+    // A quote over its client's credit (see creditService) needs at least the credit chain.
+    async resolveChain(executor, quote) {
+        const amount = parseFloat(quote.total) * (parseFloat(quote.exchange_rate) || 1);
+        const discountPercent = parseFloat(quote.discount_percent) || 0;
+        const chain = this.matchChain(await this.getChains({}, executor), { amount, discountPercent });
+
+        if (chain) {
+            return { chain, amount, discountPercent };
+        }
+
+        const threshold = await pricingService.getDiscountApprovalThreshold(executor);
+        if (threshold !== null && discountPercent > threshold) {
+            return { chain: this.discountFallbackChain, amount, discountPercent };
+        }
+
+        if (quote.client_id) {
+            const credit = await creditService.checkQuote(executor, quote);
+            if (creditService.needsApproval(credit, await creditService.getCreditAction(executor))) {
+                return { chain: creditService.creditFallbackChain, amount, discountPercent, credit };
+            }
+        }
+
+        return null;
+    }
+
+    // A quote needs approval when a chain applies and its current revision has not been approved yet
+    async needsApproval(executor, quoteId) {
+        const [quotes] = await executor.execute(
+            'SELECT id, client_id, total, exchange_rate, discount_percent, current_revision FROM quotes WHERE id = ?',
+            [quoteId]
+        );
+
+        if (!quotes.length || !(await this.resolveChain(executor, quotes[0]))) {
+            return false;
+        }
+
+        const [approved] = await executor.execute(
+            "SELECT id FROM quote_approval_requests WHERE quote_id = ? AND status = 'approved' AND revision_number IS ? LIMIT 1",
+            [quoteId, quotes[0].current_revision || null]
+        );
+        return !approved.length;
+    }
+
+    // Submit a quote for approval: copy the chain's steps, open the first one and notify its approvers
+    async submit(quoteId, userId, comments = null) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const [quotes] = await connection.execute(`
+                SELECT q.id, q.client_id, q.quote_number, q.status, q.total, q.currency, q.exchange_rate, q.discount_percent,
+                       q.current_revision, c.name as client_name
+                FROM quotes q
+                LEFT JOIN clients c ON q.client_id = c.id
+                WHERE q.id = ?
+            `, [quoteId]);
+
+            if (!quotes.length) {
+                await connection.rollback();
+                return null;
+            }
+
+            const quote = quotes[0];
+
+            if (!this.submittableStatuses.includes(quote.status)) {
+                throw new Error(`A quote in status ${quote.status} cannot be submitted for approval`);
+            }
+
+            const resolved = await this.resolveChain(connection, quote);
+            if (!resolved) {
+                throw new Error('No approval chain applies to this quote');
+            }
+
+            const { chain, amount, discountPercent, credit } = resolved;
+            const [request] = await connection.execute(`
+                INSERT INTO quote_approval_requests (
+                    quote_id, chain_id, chain_name, revision_number, amount_dop, discount_percent, requested_by, comments
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [quote.id, chain.id, chain.name, quote.current_revision || null, pricingService.round(amount), discountPercent, userId, comments]);
+
+            for (const step of chain.steps) {
+                await connection.execute(`
+                    INSERT INTO quote_approvals (
+                        request_id, quote_id, step_order, step_name, approver_role, approver_id, sla_hours, escalate_to_role
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [request.insertId, quote.id, step.step_order, step.name, step.approver_role, step.approver_user_id || null,
+                    step.sla_hours, step.escalate_to_role || null]);
+            }
+
+            await quoteStatusService.updateQuoteStatus(connection, quote.id, 'pending_approval', userId, {
+                reason: 'approval_requested',
+                notes: comments,
+                metadata: credit
+                    ? { approvalRequestId: request.insertId, chain: chain.name, credit }
+                    : { approvalRequestId: request.insertId, chain: chain.name }
+            });
+
+            await this.openNextStep(connection, request.insertId, quote);
+            await connection.commit();
+
+            logger.info(`Quote ${quote.quote_number} submitted for approval`, {
+                type: 'QUOTE_APPROVAL_REQUESTED',
+                quoteId: quote.id,
+                requestId: request.insertId,
+                chain: chain.name,
+                userId
+            });
+
+            return this.getRequest(request.insertId);
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Open the first waiting step of a request, starting its SLA clock. Returns null when none is left.
+    async openNextStep(executor, requestId, quote) {
+        const [steps] = await executor.execute(
+            "SELECT * FROM quote_approvals WHERE request_id = ? AND status = 'waiting' ORDER BY step_order LIMIT 1",
+            [requestId]
+        );
+
+        if (!steps.length) {
+            return null;
+        }
+
+        const step = { ...steps[0], status: 'pending', due_at: this.addHours(new Date(), steps[0].sla_hours) };
+        await executor.execute(
+            "UPDATE quote_approvals SET status = 'pending', due_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+            [step.due_at, step.id]
+        );
+
+        await this.notifyApprovers(executor, step, quote);
+        return step;
+    }
+
+    // Delegations in effect right now, with the role of the person who is away
+    async getActiveDelegations(executor = this.db, now = new Date().toISOString()) {
+        const [delegations] = await executor.execute(`
+            SELECT d.*, u.role as user_role
+            FROM approval_delegations d
+            JOIN users u ON d.user_id = u.id
+            WHERE d.revoked_at IS NULL AND d.starts_at <= ? AND d.ends_at > ?
+        `, [now, now]);
+        return delegations;
+    }
+
+    // Approve or reject the pending step of a request. Approving the last step approves the quote;
+    // any rejection rejects it and skips the remaining steps.
+    async decide(approvalId, actor, decision, comments = null) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const [steps] = await connection.execute(`
+                SELECT qa.*, q.quote_number, q.client_id, q.total, q.currency, q.exchange_rate, c.name as client_name,
+                       r.requested_by, q.created_by as quote_created_by
+                FROM quote_approvals qa
+                JOIN quotes q ON qa.quote_id = q.id
+                JOIN quote_approval_requests r ON qa.request_id = r.id
+                LEFT JOIN clients c ON q.client_id = c.id
+                WHERE qa.id = ?
+            `, [approvalId]);
+
+            if (!steps.length) {
+                await connection.rollback();
+                return null;
+            }
+
+            const step = steps[0];
+
+            if (step.status !== 'pending') {
+                const error = new Error(`This approval step is ${step.status} and cannot be decided`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            // Nobody signs off their own quote, whatever their role or delegations
+            if ([step.requested_by, step.quote_created_by].includes(actor.id)) {
+                const error = new Error('You cannot decide the approval of a quote you requested or created');
+                error.statusCode = 403;
+                throw error;
+            }
+
+            const { allowed, onBehalfOf } = this.canDecide(actor, step, await this.getActiveDelegations(connection));
+            if (!allowed) {
+                const error = new Error('You are not an approver for this step');
+                error.statusCode = 403;
+                throw error;
+            }
+
+            await connection.execute(`
+                UPDATE quote_approvals
+                SET status = ?, decided_by = ?, on_behalf_of = ?, comments = ?, decided_at = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [decision, actor.id, onBehalfOf, comments, new Date().toISOString(), step.id]);
+
+            const metadata = { approvalRequestId: step.request_id, step: step.step_order, stepName: step.step_name, onBehalfOf };
+            let quoteStatus = 'pending_approval';
+
+            if (decision === 'rejected') {
+                await connection.execute(
+                    "UPDATE quote_approvals SET status = 'skipped', updated_at = CURRENT_TIMESTAMP WHERE request_id = ? AND status = 'waiting'",
+                    [step.request_id]
+                );
+                await this.completeRequest(connection, step.request_id, 'rejected');
+                quoteStatus = (await quoteStatusService.updateQuoteStatus(connection, step.quote_id, 'rejected', actor.id, {
+                    reason: 'approval_rejected', notes: comments, metadata
+                })).status;
+            } else {
+                const next = await this.openNextStep(connection, step.request_id, step);
+
+                if (next) {
+                    await quoteStatusService.recordEvent(connection, step.quote_id, actor.id, {
+                        reason: 'approval_step_approved', notes: comments, metadata
+                    });
+                } else {
+                    // Credit is checked again at the end: the account may have been blocked meanwhile
+                    const credit = creditService.assertNotBlocked(await creditService.checkQuote(connection, {
+                        id: step.quote_id, client_id: step.client_id, total: step.total, exchange_rate: step.exchange_rate
+                    }));
+
+                    await this.completeRequest(connection, step.request_id, 'approved');
+                    quoteStatus = (await quoteStatusService.updateQuoteStatus(connection, step.quote_id, 'approved', actor.id, {
+                        reason: 'approval_completed',
+                        notes: comments,
+                        metadata: credit && credit.status !== 'ok' ? { ...metadata, credit } : metadata
+                    })).status;
+                }
+            }
+
+            await connection.commit();
+
+            logger.info(`Approval step ${step.step_order} of quote ${step.quote_number} ${decision}`, {
+                type: 'QUOTE_APPROVAL',
+                quoteId: step.quote_id,
+                approvalId: step.id,
+                approverId: actor.id,
+                onBehalfOf,
+                decision,
+                quoteStatus
+            });
+
+            return { decision, quote_status: quoteStatus, request: await this.getRequest(step.request_id) };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async completeRequest(executor, requestId, status) {
+        await executor.execute(
+            'UPDATE quote_approval_requests SET status = ?, completed_at = ? WHERE id = ?',
+            [status, new Date().toISOString(), requestId]
+        );
+    }
+
+    // Hand pending steps that are past their SLA to the escalation role and notify it. Run hourly by the scheduler.
+    async escalateOverdue(now = new Date()) {
+        const [overdue] = await this.db.execute(`
+            SELECT qa.*, q.quote_number, q.total, q.currency, c.name as client_name
+            FROM quote_approvals qa
+            JOIN quotes q ON qa.quote_id = q.id
+            LEFT JOIN clients c ON q.client_id = c.id
+            WHERE qa.status = 'pending' AND qa.escalated_at IS NULL AND qa.escalate_to_role IS NOT NULL AND qa.due_at < ?
+        `, [now.toISOString()]);
+
+        const summary = { checked: overdue.length, escalated: 0, failed: 0 };
+
+        for (const step of overdue) {
+            const connection = await this.db.getConnection();
+
+            try {
+                const escalated = {
+                    ...step,
+                    approver_role: step.escalate_to_role,
+                    approver_id: null,
+                    due_at: this.addHours(now, step.sla_hours)
+                };
+
+                await connection.execute(`
+                    UPDATE quote_approvals
+                    SET approver_role = ?, approver_id = NULL, escalated_from_role = ?, escalated_at = ?, due_at = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [escalated.approver_role, step.approver_role, now.toISOString(), escalated.due_at, step.id]);
+
+                await quoteStatusService.recordEvent(connection, step.quote_id, null, {
+                    reason: 'approval_escalated',
+                    notes: `${step.step_name}: ${step.approver_role} → ${escalated.approver_role}`,
+                    metadata: { approvalRequestId: step.request_id, step: step.step_order, dueAt: step.due_at }
+                });
+
+                await this.notifyApprovers(connection, escalated, step, { escalated: true });
+                await connection.commit();
+                summary.escalated++;
+            } catch (error) {
+                await connection.rollback();
+                summary.failed++;
+                logger.error(`Failed to escalate approval step ${step.id}`, {
+                    type: 'QUOTE_APPROVAL_ESCALATION_ERROR',
+                    quoteId: step.quote_id,
+                    approvalId: step.id,
+                    error: error.message
+                });
+            } finally {
+                connection.release();
+            }
+        }
+
+        logger.info('Approval escalations processed', { type: 'QUOTE_APPROVAL_ESCALATION_RUN', ...summary });
+        return summary;
+    }
+
+    // Email everyone who can decide a step: its approver(s) and whoever is standing in for them
+    async notifyApprovers(executor, step, quote, { escalated = false } = {}) {
+        const [approvers] = await executor.execute(
+            step.approver_id
+                ? 'SELECT id, email, first_name, last_name, role FROM users WHERE id = ? AND active = 1'
+                : 'SELECT id, email, first_name, last_name, role FROM users WHERE role = ? AND active = 1',
+            [step.approver_id || step.approver_role]
+        );
+
+        const delegations = await this.getActiveDelegations(executor);
+        const delegateIds = delegations
+            .filter(d => approvers.some(approver => approver.id === d.user_id))
+            .map(d => d.delegate_id);
+        let delegates = [];
+        if (delegateIds.length) {
+            [delegates] = await executor.execute(
+                `SELECT id, email, first_name, last_name, role FROM users WHERE active = 1 AND id IN (${delegateIds.map(() => '?').join(', ')})`,
+                delegateIds
+            );
+        }
+
+        const recipients = new Map([...approvers, ...delegates].filter(user => user.email).map(user => [user.id, user]));
+
+        for (const user of recipients.values()) {
+            await emailQueueService.addToQueue({
+                type: 'template',
+                category: 'quote_approval',
+                template: 'quote_approval_required',
+                quoteId: step.quote_id,
+                recipientEmail: user.email,
+                to: user.email,
+                senderUserId: null,
+                subject: `${escalated ? 'Escalada: ' : ''}Aprobación requerida - Cotización ${quote.quote_number}`,
+                data: {
+                    recipientName: `${user.first_name} ${user.last_name}`,
+                    quoteNumber: quote.quote_number,
+                    clientName: quote.client_name,
+                    total: quote.total,
+                    currency: quote.currency,
+                    stepName: step.step_name,
+                    dueAt: step.due_at,
+                    escalated,
+                    approvalLink: `${process.env.FRONTEND_URL || 'http://localhost:3005'}/quotes/?approval=${step.id}`
+                }
+            }, 2, null, executor);
+        }
+
+        return recipients.size;
+    }
+
+    // A request with its steps in order: who decided each one, for whom, and when
+    async getRequest(requestId, executor = this.db) {
+        const [requests] = await executor.execute(`
+            SELECT r.*, u.first_name || ' ' || u.last_name as requested_by_name
+            FROM quote_approval_requests r
+            LEFT JOIN users u ON r.requested_by = u.id
+            WHERE r.id = ?
+        `, [requestId]);
+
+        if (!requests.length) {
+            return null;
+        }
+
+        return { ...requests[0], timeline: (await this.getTimelines([requestId], executor)).get(requests[0].id) || [] };
+    }
+
+    async getTimelines(requestIds, executor = this.db) {
+        const timelines = new Map();
+
+        if (!requestIds.length) {
+            return timelines;
+        }
+
+        const [steps] = await executor.execute(`
+            SELECT qa.id, qa.request_id, qa.step_order, qa.step_name, qa.approver_role, qa.approver_id, qa.status, qa.sla_hours,
+                   qa.due_at, qa.escalated_at, qa.escalated_from_role, qa.decided_by, qa.on_behalf_of, qa.comments, qa.decided_at,
+                   a.first_name || ' ' || a.last_name as approver_name,
+                   d.first_name || ' ' || d.last_name as decided_by_name,
+                   o.first_name || ' ' || o.last_name as on_behalf_of_name
+            FROM quote_approvals qa
+            LEFT JOIN users a ON qa.approver_id = a.id
+            LEFT JOIN users d ON qa.decided_by = d.id
+            LEFT JOIN users o ON qa.on_behalf_of = o.id
+            WHERE qa.request_id IN (${requestIds.map(() => '?').join(', ')})
+            ORDER BY qa.request_id, qa.step_order
+        `, requestIds);
+
+        for (const step of steps) {
+            if (!timelines.has(step.request_id)) {
+                timelines.set(step.request_id, []);
+            }
+            timelines.get(step.request_id).push(step);
+        }
+
+        return timelines;
+    }
+
+    // Every approval request of a quote, newest first
+    async getQuoteApprovals(quoteId) {
+        const [requests] = await this.db.execute(`
+            SELECT r.*, u.first_name || ' ' || u.last_name as requested_by_name
+            FROM quote_approval_requests r
+            LEFT JOIN users u ON r.requested_by = u.id
+            WHERE r.quote_id = ?
+            ORDER BY r.id DESC
+        `, [quoteId]);
+
+        const timelines = await this.getTimelines(requests.map(request => request.id));
+        return requests.map(request => ({ ...request, timeline: timelines.get(request.id) || [] }));
+    }
+
+    // Steps the user can decide now, directly or as someone's delegate, each with its request's timeline
+    async getPendingForUser(user) {
+        const [pending] = await this.db.execute(`
+            SELECT qa.*, q.quote_number, q.total, q.currency, q.discount_percent, q.created_at as quote_created_at,
+                   c.name as client_name, u.first_name || ' ' || u.last_name as requested_by_name,
+                   r.chain_name, r.amount_dop, r.created_at as requested_at
+            FROM quote_approvals qa
+            JOIN quote_approval_requests r ON qa.request_id = r.id
+            JOIN quotes q ON qa.quote_id = q.id
+            LEFT JOIN clients c ON q.client_id = c.id
+            LEFT JOIN users u ON r.requested_by = u.id
+            WHERE qa.status = 'pending'
+            ORDER BY qa.due_at
+        `);
+
+        const delegations = await this.getActiveDelegations();
+        const actionable = pending
+            .map(step => ({ ...step, ...this.canDecide(user, step, delegations) }))
+            .filter(step => step.allowed);
+
+        const timelines = await this.getTimelines([...new Set(actionable.map(step => step.request_id))]);
+
+        return actionable.map(({ allowed, onBehalfOf, ...step }) => ({
+            ...step,
+            on_behalf_of: onBehalfOf,
+            overdue: step.due_at < new Date().toISOString(),
+            timeline: timelines.get(step.request_id) || []
+        }));
+    }
+
+    validateDelegation(data = {}) {
+        const errors = [];
+
+        if (!data.delegate_id) {
+            errors.push('delegate_id is required');
+        }
+        const startsAt = this.toTimestamp(data.starts_at || new Date().toISOString());
+        const endsAt = data.ends_at ? this.toTimestamp(data.ends_at, true) : null;
+        if (!startsAt) {
+            errors.push('starts_at must be a valid date');
+        }
+        if (!endsAt) {
+            errors.push('ends_at must be a valid date');
+        } else if (startsAt && endsAt <= startsAt) {
+            errors.push('ends_at must be after starts_at');
+        }
+
+        return errors;
+    }
+
+    async createDelegation(userId, data, createdBy) {
+        if (parseInt(data.delegate_id) === parseInt(userId)) {
+            throw new Error('A user cannot delegate to themselves');
+        }
+
+        const [delegates] = await this.db.execute('SELECT id FROM users WHERE id = ? AND active = 1', [data.delegate_id]);
+        if (!delegates.length) {
+            throw new Error('Delegate not found or inactive');
+        }
+
+        const startsAt = this.toTimestamp(data.starts_at || new Date().toISOString());
+        const endsAt = this.toTimestamp(data.ends_at, true);
+
+        const [result] = await this.db.execute(`
+            INSERT INTO approval_delegations (user_id, delegate_id, starts_at, ends_at, reason, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [userId, data.delegate_id, startsAt, endsAt, data.reason || null, createdBy]);
+
+        logger.info(`Approval delegation created for user ${userId}`, {
+            type: 'APPROVAL_DELEGATION_CREATED',
+            delegationId: result.insertId,
+            userId,
+            delegateId: data.delegate_id,
+            startsAt,
+            endsAt
+        });
+
+        return { id: result.insertId, user_id: parseInt(userId), delegate_id: parseInt(data.delegate_id), starts_at: startsAt, ends_at: endsAt };
+    }
+
+    // Delegations given or received by a user (all of them for admins), current and upcoming
+    async getDelegations(user) {
+        const [delegations] = await this.db.execute(`
+            SELECT d.*, u.first_name || ' ' || u.last_name as user_name, g.first_name || ' ' || g.last_name as delegate_name
+            FROM approval_delegations d
+            JOIN users u ON d.user_id = u.id
+            JOIN users g ON d.delegate_id = g.id
+            WHERE d.revoked_at IS NULL AND d.ends_at > ?
+              ${user.role === 'admin' ? '' : 'AND (d.user_id = ? OR d.delegate_id = ?)'}
+            ORDER BY d.starts_at
+        `, user.role === 'admin' ? [new Date().toISOString()] : [new Date().toISOString(), user.id, user.id]);
+        return delegations;
+    }
+
+    async revokeDelegation(delegationId, user) {
+        const [result] = await this.db.execute(`
+            UPDATE approval_delegations SET revoked_at = ?
+            WHERE id = ? AND revoked_at IS NULL ${user.role === 'admin' ? '' : 'AND user_id = ?'}
+        `, user.role === 'admin' ? [new Date().toISOString(), delegationId] : [new Date().toISOString(), delegationId, user.id]);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = new ApprovalService();
@@ -0,0 +1,426 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const taxpayerRegistryService = require('./taxpayerRegistryService');
+
+class ClientCrmService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.clientFields = ['name', 'email', 'phone', 'company', 'address', 'rnc', 'segment'];
+        this.contactRoles = ['purchasing', 'billing', 'delivery', 'technical', 'management', 'other'];
+        this.defaultTimelineLimit = 50;
+        this.maxTimelineLimit = 200;
+    }
+
+    isEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value));
+    }
+
+    // partial: only validate the fields that are present, for updates
+    validateContact(data = {}, partial = false) {
+        const errors = [];
+
+        if ((!partial || data.name !== undefined) && !String(data.name || '').trim()) {
+            errors.push('name is required');
+        }
+        if (data.role !== undefined && !this.contactRoles.includes(data.role)) {
+            errors.push(`role must be one of: ${this.contactRoles.join(', ')}`);
+        }
+        if (data.email && !this.isEmail(data.email)) {
+            errors.push('email must be a valid email address');
+        }
+        if (!partial && !data.email && !data.phone) {
+            errors.push('email or phone is required');
+        }
+
+        return errors;
+    }
+
+    validateAddress(data = {}, partial = false) {
+        const errors = [];
+
+        if ((!partial || data.label !== undefined) && !String(data.label || '').trim()) {
+            errors.push('label is required');
+        }
+        if ((!partial || data.address_line !== undefined) && !String(data.address_line || '').trim()) {
+            errors.push('address_line is required');
+        }
+
+        return errors;
+    }
+
+    // SQLite timestamps are UTC without a zone; ISO strings already carry one
+    toIso(value) {
+        const text = String(value);
+        return new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`).toISOString();
+    }
+
+    async getClient(clientId) {
+        const [clients] = await this.db.execute('SELECT * FROM clients WHERE id = ?', [clientId]);
+
+        if (!clients.length) {
+            return null;
+        }
+
+        return {
+            ...clients[0],
+            contacts: await this.getContacts(clientId),
+            addresses: await this.getAddresses(clientId)
+        };
+    }
+
+    // Only the fields present are changed; an RNC is expected to be validated and normalized already
+    async updateClient(clientId, data, userId) {
+        const fields = this.clientFields.filter(field => data[field] !== undefined);
+
+        if (fields.length) {
+            const [result] = await this.db.execute(`
+                UPDATE clients SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...fields.map(field => (data[field] === '' ? null : data[field])), clientId]);
+
+            if (!result.affectedRows) {
+                return null;
+            }
+        }
+
+        if (data.rnc !== undefined) {
+            if (data.rnc) {
+                await taxpayerRegistryService.refreshClientFlags(clientId);
+            } else {
+                await this.db.execute(
+                    'UPDATE clients SET rnc_status = NULL, rnc_checked_at = NULL WHERE id = ?',
+                    [clientId]
+                );
+            }
+        }
+
+        logger.info(`Client updated: ${clientId}`, {
+            type: 'CLIENT_UPDATED',
+            clientId,
+            fields,
+            userId
+        });
+
+        return this.getClient(clientId);
+    }
+
+    async clientExists(clientId) {
+        const [clients] = await this.db.execute('SELECT id FROM clients WHERE id = ?', [clientId]);
+        return clients.length > 0;
+    }
+
+    async getContacts(clientId, { includeInactive = false } = {}) {
+        const [contacts] = await this.db.execute(`
+            SELECT * FROM client_contacts
+            WHERE client_id = ? ${includeInactive ? '' : 'AND active = 1'}
+            ORDER BY is_primary DESC, name
+        `, [clientId]);
+        return contacts;
+    }
+
+    // The primary contact is unique per client, so setting one clears the flag on the others
+    async saveContact(clientId, contactId, data, userId) {
+        const connection = await this.db.getConnection();
+
+        try {
+            let existing = null;
+            if (contactId) {
+                const [rows] = await connection.execute(
+                    'SELECT * FROM client_contacts WHERE id = ? AND client_id = ? AND active = 1',
+                    [contactId, clientId]
+                );
+                if (!rows.length) {
+                    await connection.rollback();
+                    return null;
+                }
+                existing = rows[0];
+            }
+
+            const merged = { ...existing, ...data };
+            if (!merged.email && !merged.phone) {
+                const error = new Error('Contact needs an email or a phone');
+                error.statusCode = 400;
+                throw error;
+            }
+
+            if (merged.is_primary) {
+                await connection.execute(
+                    'UPDATE client_contacts SET is_primary = 0 WHERE client_id = ? AND id != ?',
+                    [clientId, contactId || 0]
+                );
+            }
+
+            const values = [
+                String(merged.name).trim(),
+                merged.role || 'other',
+                merged.position || null,
+                merged.email || null,
+                merged.phone || null,
+                merged.is_primary ? 1 : 0,
+                userId
+            ];
+
+            if (existing) {
+                await connection.execute(`
+                    UPDATE client_contacts
+                    SET name = ?, role = ?, position = ?, email = ?, phone = ?, is_primary = ?, updated_by = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...values, contactId]);
+            } else {
+                const [result] = await connection.execute(`
+                    INSERT INTO client_contacts (name, role, position, email, phone, is_primary, updated_by, client_id, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [...values, clientId, userId]);
+                contactId = result.insertId;
+            }
+
+            await connection.commit();
+
+            logger.info(`Client contact saved: ${contactId}`, {
+                type: 'CLIENT_CONTACT_SAVED',
+                clientId,
+                contactId,
+                userId
+            });
+
+            const [contacts] = await this.db.execute('SELECT * FROM client_contacts WHERE id = ?', [contactId]);
+            return contacts[0];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Contacts are deactivated rather than deleted so notes keep pointing at them
+    async deactivateContact(clientId, contactId, userId) {
+        const [result] = await this.db.execute(`
+            UPDATE client_contacts SET active = 0, is_primary = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND client_id = ? AND active = 1
+        `, [userId, contactId, clientId]);
+        return result.affectedRows > 0;
+    }
+
+    async getAddresses(clientId, { includeInactive = false } = {}) {
+        const [addresses] = await this.db.execute(`
+            SELECT * FROM client_addresses
+            WHERE client_id = ? ${includeInactive ? '' : 'AND active = 1'}
+            ORDER BY is_default DESC, label
+        `, [clientId]);
+        return addresses;
+    }
+
+    // The first address of a client becomes its default; setting another default clears the previous one
+    async saveAddress(clientId, addressId, data, userId) {
+        const connection = await this.db.getConnection();
+
+        try {
+            let existing = null;
+            if (addressId) {
+                const [rows] = await connection.execute(
+                    'SELECT * FROM client_addresses WHERE id = ? AND client_id = ? AND active = 1',
+                    [addressId, clientId]
+                );
+                if (!rows.length) {
+                    await connection.rollback();
+                    return null;
+                }
+                existing = rows[0];
+            }
+
+            const merged = { ...existing, ...data };
+            if (!existing) {
+                const [others] = await connection.execute(
+                    'SELECT COUNT(*) as count FROM client_addresses WHERE client_id = ? AND active = 1',
+                    [clientId]
+                );
+                merged.is_default = merged.is_default || others[0].count === 0;
+            }
+
+            if (merged.is_default) {
+                await connection.execute(
+                    'UPDATE client_addresses SET is_default = 0 WHERE client_id = ? AND id != ?',
+                    [clientId, addressId || 0]
+                );
+            }
+
+            const values = [
+                String(merged.label).trim(),
+                String(merged.address_line).trim(),
+                merged.city || null,
+                merged.province || null,
+                merged.reference || null,
+                merged.contact_phone || null,
+                merged.is_default ? 1 : 0,
+                userId
+            ];
+
+            if (existing) {
+                await connection.execute(`
+                    UPDATE client_addresses
+                    SET label = ?, address_line = ?, city = ?, province = ?, reference = ?, contact_phone = ?, is_default = ?,
+                        updated_by = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...values, addressId]);
+            } else {
+                const [result] = await connection.execute(`
+                    INSERT INTO client_addresses (label, address_line, city, province, reference, contact_phone, is_default, updated_by, client_id, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [...values, clientId, userId]);
+                addressId = result.insertId;
+            }
+
+            await connection.commit();
+
+            logger.info(`Client address saved: ${addressId}`, {
+                type: 'CLIENT_ADDRESS_SAVED',
+                clientId,
+                addressId,
+                userId
+            });
+
+            const [addresses] = await this.db.execute('SELECT * FROM client_addresses WHERE id = ?', [addressId]);
+            return addresses[0];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async deactivateAddress(clientId, addressId, userId) {
+        const [result] = await this.db.execute(`
+            UPDATE client_addresses SET active = 0, is_default = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND client_id = ? AND active = 1
+        `, [userId, addressId, clientId]);
+        return result.affectedRows > 0;
+    }
+
+    async getNotes(clientId) {
+        const [notes] = await this.db.execute(`
+            SELECT n.*, u.username as created_by_name, cc.name as contact_name
+            FROM client_notes n
+            LEFT JOIN users u ON n.created_by = u.id
+            LEFT JOIN client_contacts cc ON n.contact_id = cc.id
+            WHERE n.client_id = ?
+            ORDER BY n.created_at DESC, n.id DESC
+        `, [clientId]);
+        return notes;
+    }
+
+    async addNote(clientId, { note, contact_id }, userId) {
+        if (contact_id) {
+            const [contacts] = await this.db.execute(
+                'SELECT id FROM client_contacts WHERE id = ? AND client_id = ?',
+                [contact_id, clientId]
+            );
+            if (!contacts.length) {
+                const error = new Error('Contact does not belong to this client');
+                error.statusCode = 400;
+                throw error;
+            }
+        }
+
+        const [result] = await this.db.execute(
+            'INSERT INTO client_notes (client_id, note, contact_id, created_by) VALUES (?, ?, ?, ?)',
+            [clientId, String(note).trim(), contact_id || null, userId]
+        );
+
+        const [notes] = await this.db.execute('SELECT * FROM client_notes WHERE id = ?', [result.insertId]);
+        return notes[0];
+    }
+
+    // Newest first across every source; each source was already cut at the limit, so the merged page is complete
+    mergeTimeline(sources, limit) {
+        const events = sources.flat()
+            .map(event => ({ ...event, occurred_at: this.toIso(event.occurred_at) }))
+            .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at));
+        const page = events.slice(0, limit);
+
+        return {
+            events: page,
+            next_before: events.length > limit ? page[page.length - 1].occurred_at : null
+        };
+    }
+
+    /**
+     * Everything that happened with a client, newest first: quotes created, status changes (by staff,
+     * the client through the portal or scheduled jobs), emails sent about its quotes or to its contacts,
+     * and notes. Pass next_before back as before to get the following page.
+     */
+    async getTimeline(clientId, { limit, before } = {}) {
+        limit = Math.min(Math.max(parseInt(limit) || this.defaultTimelineLimit, 1), this.maxTimelineLimit);
+        // Compare in SQLite's own format; ISO cursors are converted back
+        const cursor = before ? this.toIso(before).replace('T', ' ').slice(0, 19) : null;
+        const beforeClause = column => (cursor ? `AND ${column} < ?` : '');
+        const beforeParams = cursor ? [cursor] : [];
+
+        const [quotes] = await this.db.execute(`
+            SELECT q.id as quote_id, q.quote_number, q.total, q.currency, q.created_at as occurred_at,
+                   u.username as actor_name
+            FROM quotes q
+            LEFT JOIN users u ON q.created_by = u.id
+            WHERE q.client_id = ? ${beforeClause('q.created_at')}
+            ORDER BY q.created_at DESC
+            LIMIT ?
+        `, [clientId, ...beforeParams, limit + 1]);
+
+        const [changes] = await this.db.execute(`
+            SELECT h.quote_id, q.quote_number, h.previous_status, h.new_status, h.change_reason, h.changed_by,
+                   h.metadata, h.created_at as occurred_at, u.username as actor_name
+            FROM quote_status_history h
+            JOIN quotes q ON h.quote_id = q.id
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE q.client_id = ? ${beforeClause('h.created_at')}
+            ORDER BY h.created_at DESC, h.id DESC
+            LIMIT ?
+        `, [clientId, ...beforeParams, limit + 1]);
+
+        const [emails] = await this.db.execute(`
+            SELECT e.quote_id, q.quote_number, e.recipient_email, e.subject, e.status, e.delivery_status,
+                   COALESCE(e.sent_at, e.created_at) as occurred_at, u.username as actor_name
+            FROM email_logs e
+            LEFT JOIN quotes q ON e.quote_id = q.id
+            LEFT JOIN users u ON e.sender_user_id = u.id
+            WHERE (q.client_id = ?
+                   OR (e.quote_id IS NULL AND LOWER(e.recipient_email) IN (
+                       SELECT LOWER(email) FROM clients WHERE id = ? AND email IS NOT NULL
+                       UNION SELECT LOWER(email) FROM client_contacts WHERE client_id = ? AND email IS NOT NULL)))
+              ${beforeClause('COALESCE(e.sent_at, e.created_at)')}
+            ORDER BY occurred_at DESC
+            LIMIT ?
+        `, [clientId, clientId, clientId, ...beforeParams, limit + 1]);
+
+        const [notes] = await this.db.execute(`
+            SELECT n.id as note_id, n.note, n.contact_id, cc.name as contact_name, n.created_at as occurred_at,
+                   u.username as actor_name
+            FROM client_notes n
+            LEFT JOIN users u ON n.created_by = u.id
+            LEFT JOIN client_contacts cc ON n.contact_id = cc.id
+            WHERE n.client_id = ? ${beforeClause('n.created_at')}
+            ORDER BY n.created_at DESC, n.id DESC
+            LIMIT ?
+        `, [clientId, ...beforeParams, limit + 1]);
+
+        return this.mergeTimeline([
+            quotes.map(quote => ({ type: 'quote_created', actor: 'user', ...quote })),
+            changes.map(({ metadata, changed_by, ...change }) => {
+                const parsed = metadata ? JSON.parse(metadata) : {};
+                return {
+                    type: change.previous_status === change.new_status ? 'quote_event' : 'status_change',
+                    // Changes without a user come from the client portal or from scheduled jobs
+                    actor: changed_by ? 'user' : parsed.clientAction ? 'client' : 'system',
+                    ...change
+                };
+            }),
+            emails.map(email => ({ type: 'email', actor: email.actor_name ? 'user' : 'system', ...email })),
+            notes.map(note => ({ type: 'note', actor: 'user', ...note }))
+        ], limit);
+    }
+}
+
+module.exports = new ClientCrmService();
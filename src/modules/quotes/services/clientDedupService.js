@@ -0,0 +1,240 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const { normalizeTaxId } = require('../../../shared/utils/rnc');
+const taxpayerRegistryService = require('./taxpayerRegistryService');
+
+// Legal-form suffixes that do not tell two companies apart
+const COMPANY_SUFFIXES = /\b(s ?r ?l|s ?a ?s|s ?a|e ?i ?r ?l|c ?por ?a|inc|ltd|llc)\b/g;
+
+class ClientDedupService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.nameThreshold = 0.85;
+        // Fields copied from the duplicate when the surviving client has them empty
+        this.mergeFields = ['email', 'phone', 'company', 'address', 'rnc', 'segment'];
+        // Tables whose rows follow the surviving client
+        this.clientTables = ['quotes', 'sales_orders', 'client_contacts', 'client_addresses', 'client_notes'];
+    }
+
+    normalizeName(name) {
+        return String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[.,&'"()-]/g, ' ')
+            .replace(COMPANY_SUFFIXES, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Character bigram counts of a normalized name
+    bigrams(text) {
+        const counts = new Map();
+        for (let i = 0; i < text.length - 1; i++) {
+            const bigram = text.slice(i, i + 2);
+            counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+        return counts;
+    }
+
+    // What a record is matched on, worked out once however many records it is compared with
+    profile(record) {
+        const name = this.normalizeName(record.name);
+        return {
+            record,
+            rnc: normalizeTaxId(record.rnc),
+            email: String(record.email || '').trim().toLowerCase(),
+            name,
+            firstWord: name.split(' ')[0],
+            bigrams: this.bigrams(name)
+        };
+    }
+
+    // Dice coefficient over character bigrams of the normalized names (1 = same name)
+    profileSimilarity(left, right) {
+        if (!left.name || !right.name) {
+            return 0;
+        }
+        if (left.name === right.name) {
+            return 1;
+        }
+
+        let shared = 0;
+        left.bigrams.forEach((count, bigram) => {
+            shared += Math.min(count, right.bigrams.get(bigram) || 0);
+        });
+
+        return (2 * shared) / (left.name.length - 1 + right.name.length - 1);
+    }
+
+    nameSimilarity(a, b) {
+        return this.profileSimilarity(this.profile({ name: a }), this.profile({ name: b }));
+    }
+
+    // How a candidate matches one record: same RNC, same email, or a name at or above the threshold
+    compareProfiles(candidate, other) {
+        if (candidate.rnc && other.rnc === candidate.rnc) {
+            return { match: 'rnc', score: 1 };
+        }
+        if (candidate.email && other.email === candidate.email) {
+            return { match: 'email', score: 1 };
+        }
+
+        // Names too different in length cannot reach the threshold, so their bigrams are not compared
+        const [shorter, longer] = [candidate.name.length, other.name.length].sort((a, b) => a - b);
+        if (2 * (shorter - 1) < this.nameThreshold * (shorter + longer - 2)) {
+            return null;
+        }
+
+        const score = this.profileSimilarity(candidate, other);
+        return score >= this.nameThreshold ? { match: 'name', score: Math.round(score * 100) / 100 } : null;
+    }
+
+    /**
+     * Records by RNC, email and first word of the name. A candidate is only compared with the
+     * records sharing one of those, so names are fuzzy-matched within a first-word bucket
+     * instead of against every record.
+     */
+    createIndex(records = []) {
+        const index = { count: 0, rnc: new Map(), email: new Map(), firstWord: new Map() };
+        records.forEach(record => this.addToIndex(index, this.profile(record)));
+        return index;
+    }
+
+    addToIndex(index, profile) {
+        profile.position = index.count++;
+        ['rnc', 'email', 'firstWord'].forEach(key => {
+            if (!profile[key]) {
+                return;
+            }
+            if (!index[key].has(profile[key])) {
+                index[key].set(profile[key], []);
+            }
+            index[key].get(profile[key]).push(profile);
+        });
+        return profile;
+    }
+
+    // Indexed records a candidate profile matches, in the order they were indexed
+    findMatches(candidate, index) {
+        const others = new Set(['rnc', 'email', 'firstWord'].flatMap(key => (candidate[key] && index[key].get(candidate[key])) || []));
+
+        return [...others]
+            .filter(other => other.record !== candidate.record)
+            .sort((a, b) => a.position - b.position)
+            .map(other => ({ record: other.record, ...this.compareProfiles(candidate, other) }))
+            .filter(match => match.match);
+    }
+
+    async getActiveClients() {
+        const [clients] = await this.db.execute(
+            'SELECT id, name, email, phone, company, rnc, created_at FROM clients WHERE active = 1 ORDER BY id'
+        );
+        return clients;
+    }
+
+    // Existing clients that look like the same customer, as pairs with the older record first
+    async findDuplicates() {
+        const clients = await this.getActiveClients();
+        const index = this.createIndex();
+        const pairs = [];
+
+        clients.forEach(duplicate => {
+            const profile = this.profile(duplicate);
+            this.findMatches(profile, index).forEach(({ record: client, match, score }) => {
+                pairs.push({ client, duplicate, match, score });
+            });
+            this.addToIndex(index, profile);
+        });
+
+        return pairs.sort((a, b) => a.client.id - b.client.id || a.duplicate.id - b.duplicate.id);
+    }
+
+    /**
+     * Fold a duplicate client into the surviving one: its quotes, sales orders, contacts,
+     * addresses and notes move over, empty fields on the survivor are filled from it, and
+     * the duplicate is deactivated with a pointer to the survivor.
+     */
+    async merge(survivorId, duplicateId, userId) {
+        if (String(survivorId) === String(duplicateId)) {
+            throw new Error('A client cannot be merged into itself');
+        }
+
+        const connection = await this.db.getConnection();
+
+        try {
+            const [survivors] = await connection.execute('SELECT * FROM clients WHERE id = ? AND active = 1', [survivorId]);
+            const [duplicates] = await connection.execute('SELECT * FROM clients WHERE id = ? AND active = 1', [duplicateId]);
+
+            if (!survivors.length || !duplicates.length) {
+                await connection.rollback();
+                return null;
+            }
+
+            const survivor = survivors[0];
+            const duplicate = duplicates[0];
+            const moved = {};
+
+            // The survivor keeps its own primary contact and default address, if it has them
+            await connection.execute(`
+                UPDATE client_contacts SET is_primary = 0
+                WHERE client_id = ? AND EXISTS (SELECT 1 FROM client_contacts WHERE client_id = ? AND is_primary = 1 AND active = 1)
+            `, [duplicateId, survivorId]);
+            await connection.execute(`
+                UPDATE client_addresses SET is_default = 0
+                WHERE client_id = ? AND EXISTS (SELECT 1 FROM client_addresses WHERE client_id = ? AND is_default = 1 AND active = 1)
+            `, [duplicateId, survivorId]);
+
+            for (const table of this.clientTables) {
+                const [result] = await connection.execute(
+                    `UPDATE ${table} SET client_id = ? WHERE client_id = ?`,
+                    [survivorId, duplicateId]
+                );
+                moved[table] = result.affectedRows;
+            }
+
+            const filled = this.mergeFields.filter(field => !survivor[field] && duplicate[field]);
+            if (filled.length) {
+                await connection.execute(`
+                    UPDATE clients SET ${filled.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...filled.map(field => duplicate[field]), survivorId]);
+            }
+
+            await connection.execute(`
+                UPDATE clients SET active = 0, merged_into_id = ?, merged_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [survivorId, duplicateId]);
+
+            await connection.execute(
+                'INSERT INTO client_notes (client_id, note, created_by) VALUES (?, ?, ?)',
+                [survivorId, `Merged duplicate client ${duplicate.name} (#${duplicate.id}) into this one`, userId]
+            );
+
+            await connection.commit();
+
+            if (filled.includes('rnc')) {
+                await taxpayerRegistryService.refreshClientFlags(survivorId);
+            }
+
+            logger.info(`Client ${duplicateId} merged into ${survivorId}`, {
+                type: 'CLIENT_MERGED',
+                survivorId,
+                duplicateId,
+                moved,
+                filled,
+                userId
+            });
+
+            return { client_id: survivor.id, merged_client_id: duplicate.id, moved, filled_fields: filled };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = new ClientDedupService();
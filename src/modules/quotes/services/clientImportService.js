@@ -0,0 +1,227 @@
+const XLSX = require('xlsx');
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const { validateTaxId } = require('../../../shared/utils/rnc');
+const clientDedupService = require('./clientDedupService');
+const taxpayerRegistryService = require('./taxpayerRegistryService');
+
+// Header names recognized when no mapping is given for a field
+const HEADER_ALIASES = {
+    name: ['name', 'nombre', 'cliente', 'client'],
+    email: ['email', 'e-mail', 'correo', 'correo electronico', 'correo electrónico'],
+    phone: ['phone', 'telefono', 'teléfono', 'celular', 'tel'],
+    company: ['company', 'empresa', 'compañia', 'compañía', 'razon social', 'razón social'],
+    address: ['address', 'direccion', 'dirección'],
+    rnc: ['rnc', 'cedula', 'cédula', 'rnc/cedula', 'rnc/cédula'],
+    segment: ['segment', 'segmento']
+};
+
+class ClientImportService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.fields = Object.keys(HEADER_ALIASES);
+        this.maxRows = 5000;
+    }
+
+    isEmail(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value));
+    }
+
+    /**
+     * Rows of the first sheet keyed by header. `file` is a base64 CSV or XLSX file,
+     * `csv` the text of a CSV file.
+     */
+    readRows({ file, csv }) {
+        const workbook = file
+            ? XLSX.read(file, { type: 'base64' })
+            : XLSX.read(String(csv), { type: 'string' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+
+        if (!sheet) {
+            return { headers: [], rows: [] };
+        }
+
+        const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+        const headers = (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(header => String(header).trim());
+
+        return { headers, rows };
+    }
+
+    // Explicit { field: header } mappings win; other fields are matched by known header names
+    resolveMapping(headers, mapping = {}) {
+        const resolved = {};
+        const errors = [];
+
+        this.fields.forEach(field => {
+            if (mapping[field]) {
+                if (headers.includes(mapping[field])) {
+                    resolved[field] = mapping[field];
+                } else {
+                    errors.push(`Column "${mapping[field]}" mapped to ${field} is not in the file`);
+                }
+                return;
+            }
+
+            const header = headers.find(candidate => HEADER_ALIASES[field].includes(candidate.toLowerCase()));
+            if (header) {
+                resolved[field] = header;
+            }
+        });
+
+        Object.keys(mapping).filter(field => !this.fields.includes(field)).forEach(field => {
+            errors.push(`Unknown field ${field}; expected one of: ${this.fields.join(', ')}`);
+        });
+        if (!resolved.name && !errors.length) {
+            errors.push('No column is mapped to name');
+        }
+
+        return { mapping: resolved, errors };
+    }
+
+    prepareRow(raw, mapping) {
+        const data = {};
+        const errors = [];
+
+        Object.entries(mapping).forEach(([field, header]) => {
+            const value = String(raw[header] === undefined ? '' : raw[header]).trim();
+            data[field] = value || null;
+        });
+
+        if (!data.name) {
+            errors.push('name is required');
+        }
+        if (data.email) {
+            data.email = data.email.toLowerCase();
+            if (!this.isEmail(data.email)) {
+                errors.push('email must be a valid email address');
+            }
+        }
+        if (data.rnc) {
+            const taxId = validateTaxId(data.rnc);
+            if (taxId.valid) {
+                data.rnc = taxId.taxId;
+            } else {
+                errors.push(taxId.error);
+            }
+        }
+
+        return { data, errors };
+    }
+
+    /**
+     * Validate every row and look for duplicates among existing clients and earlier rows of
+     * the same file. Each row comes back as `new`, `duplicate` or `error`.
+     */
+    buildPreview(rows, mapping, clients) {
+        const previewed = [];
+        const clientIndex = clientDedupService.createIndex(clients);
+        const rowIndex = clientDedupService.createIndex();
+
+        rows.forEach((raw, index) => {
+            // Spreadsheet row number: the header is row 1
+            const row = index + 2;
+            const { data, errors } = this.prepareRow(raw, mapping);
+            const duplicates = [];
+
+            if (!errors.length) {
+                const profile = clientDedupService.profile({ ...data, row });
+                clientDedupService.findMatches(profile, clientIndex)
+                    .sort((a, b) => b.score - a.score)
+                    .forEach(({ record, match, score }) => duplicates.push({ client_id: record.id, name: record.name, match, score }));
+                clientDedupService.findMatches(profile, rowIndex)
+                    .forEach(({ record, match, score }) => duplicates.push({ row: record.row, name: record.name, match, score }));
+                clientDedupService.addToIndex(rowIndex, profile);
+            }
+
+            previewed.push({
+                row,
+                data,
+                status: errors.length ? 'error' : duplicates.length ? 'duplicate' : 'new',
+                errors,
+                duplicates
+            });
+        });
+
+        return previewed;
+    }
+
+    summarize(rows) {
+        return {
+            total: rows.length,
+            new: rows.filter(row => row.status === 'new').length,
+            duplicates: rows.filter(row => row.status === 'duplicate').length,
+            errors: rows.filter(row => row.status === 'error').length
+        };
+    }
+
+    /**
+     * Import clients from a file. With dryRun nothing is written and the preview is returned.
+     * Otherwise rows marked `new` are created in one transaction (plus `duplicate` rows when
+     * includeDuplicates is set); rows with errors are always skipped.
+     */
+    async importClients({ file, csv, mapping, dryRun = false, includeDuplicates = false }, userId) {
+        const { headers, rows } = this.readRows({ file, csv });
+
+        if (!rows.length) {
+            return { errors: ['No rows found in file'] };
+        }
+        if (rows.length > this.maxRows) {
+            return { errors: [`File has ${rows.length} rows; at most ${this.maxRows} can be imported at once`] };
+        }
+
+        const resolved = this.resolveMapping(headers, mapping);
+        if (resolved.errors.length) {
+            return { errors: resolved.errors };
+        }
+
+        const clients = await clientDedupService.getActiveClients();
+        const preview = this.buildPreview(rows, resolved.mapping, clients);
+        const summary = this.summarize(preview);
+
+        if (dryRun) {
+            return { errors: [], mapping: resolved.mapping, summary, rows: preview };
+        }
+
+        const toCreate = preview.filter(row => row.status === 'new' || (includeDuplicates && row.status === 'duplicate'));
+        const connection = await this.db.getConnection();
+
+        try {
+            for (const row of toCreate) {
+                const [result] = await connection.execute(
+                    'INSERT INTO clients (name, email, phone, company, address, rnc, segment, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [row.data.name, row.data.email || null, row.data.phone || null, row.data.company || null,
+                        row.data.address || null, row.data.rnc || null, row.data.segment || null, userId]
+                );
+                row.client_id = result.insertId;
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        if (toCreate.some(row => row.data.rnc)) {
+            await taxpayerRegistryService.refreshClientFlags();
+        }
+
+        logger.info(`Imported ${toCreate.length} clients`, {
+            type: 'CLIENTS_IMPORTED',
+            ...summary,
+            created: toCreate.length,
+            userId
+        });
+
+        return {
+            errors: [],
+            mapping: resolved.mapping,
+            summary: { ...summary, created: toCreate.length },
+            rows: preview
+        };
+    }
+}
+
+module.exports = new ClientImportService();
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const quoteStatusService = require('./quoteStatusService');
+const quoteAcceptanceService = require('./quoteAcceptanceService');
+const approvalService = require('./approvalService');
+const creditService = require('./creditService');
+
+class ClientPortalService {
+    constructor() {
+        this.db = database.sqlite;
+        this.defaultExpiryDays = parseInt(process.env.QUOTE_PORTAL_LINK_DAYS) || 30;
+
+        // Statuses a quote can be sent from when a link is issued
+        this.sendableStatuses = ['draft', 'approved', 'rejected', 'expired'];
+        this.linkStatuses = ['sent', 'viewed', 'accepted', 'rejected'];
+        this.decisionStatuses = ['sent', 'viewed'];
+        this.clientActions = ['viewed', 'accepted', 'rejected', 'changes_requested'];
+    }
+
+    generateToken() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    expiresAt(days, from = new Date()) {
+        const date = new Date(from);
+        date.setDate(date.getDate() + days);
+        return date.toISOString();
+    }
+
+    validateLink(data = {}) {
+        const errors = [];
+
+        if (data.expires_in_days !== undefined && data.expires_in_days !== null) {
+            const days = parseInt(data.expires_in_days);
+            if (!(days > 0) || days > 365) {
+                errors.push('expires_in_days must be between 1 and 365');
+            }
+        }
+        if (data.client_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.client_email)) {
+            errors.push('client_email must be a valid email address');
+        }
+
+        return errors;
+    }
+
+    // Issue a portal link for a quote. A quote that has not been sent yet is moved to `sent`.
+    async issueLink(quoteId, { client_email, expires_in_days } = {}, userId) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const [quotes] = await connection.execute(`
+                SELECT q.id, q.status, q.quote_number, q.client_id, q.total, q.exchange_rate, c.email as client_email
+                FROM quotes q
+                LEFT JOIN clients c ON q.client_id = c.id
+                WHERE q.id = ?
+            `, [quoteId]);
+
+            if (!quotes.length) {
+                await connection.rollback();
+                return null;
+            }
+
+            const quote = quotes[0];
+
+            if (['draft', 'rejected'].includes(quote.status) && await approvalService.needsApproval(connection, quoteId)) {
+                const error = new Error('This quote needs approval before it can be sent');
+                error.statusCode = 409;
+                throw error;
+            }
+
+            if (this.sendableStatuses.includes(quote.status)) {
+                creditService.assertNotBlocked(await creditService.checkQuote(connection, quote));
+                await quoteStatusService.updateQuoteStatus(connection, quoteId, 'sent', userId, {
+                    reason: 'portal_link_issued'
+                });
+            } else if (!this.linkStatuses.includes(quote.status)) {
+                throw new Error(`A portal link cannot be issued for a quote in status ${quote.status}`);
+            }
+
+            const token = this.generateToken();
+            const expiresAt = this.expiresAt(parseInt(expires_in_days) || this.defaultExpiryDays);
+            const email = client_email || quote.client_email || null;
+
+            const [result] = await connection.execute(`
+                INSERT INTO quote_client_actions (quote_id, action_type, client_email, access_token, expires_at, created_by)
+                VALUES (?, 'access_granted', ?, ?, ?, ?)
+            `, [quoteId, email, token, expiresAt, userId]);
+
+            await connection.commit();
+
+            logger.info(`Portal link issued for quote ${quote.quote_number}`, {
+                type: 'QUOTE_PORTAL_LINK_ISSUED',
+                quoteId,
+                linkId: result.insertId,
+                expiresAt,
+                userId
+            });
+
+            return { id: result.insertId, token, client_email: email, expires_at: expiresAt, url: this.portalUrl(token) };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    portalUrl(token) {
+        return `${process.env.FRONTEND_URL || 'http://localhost:3005'}/portal/?token=${token}`;
+    }
+
+    // Links issued for a quote plus everything the client did through them
+    async getLinks(quoteId) {
+        const [rows] = await this.db.execute(`
+            SELECT id, quote_id, action_type, client_email, client_ip, comments, signature_name,
+                   expires_at, revoked_at, revoked_by, created_by, created_at
+            FROM quote_client_actions
+            WHERE quote_id = ?
+            ORDER BY created_at, id
+        `, [quoteId]);
+
+        const now = new Date();
+        const links = rows
+            .filter(row => row.action_type === 'access_granted')
+            .map(({ comments, signature_name, client_ip, ...link }) => ({
+                ...link,
+                active: !link.revoked_at && new Date(link.expires_at) > now
+            }));
+
+        const activity = rows
+            .filter(row => row.action_type !== 'access_granted')
+            .map(({ expires_at, revoked_at, revoked_by, created_by, ...action }) => action);
+
+        return { links, activity };
+    }
+
+    async revokeLink(quoteId, linkId, userId) {
+        const [result] = await this.db.execute(`
+            UPDATE quote_client_actions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_by = ?
+            WHERE id = ? AND quote_id = ? AND action_type = 'access_granted' AND revoked_at IS NULL
+        `, [userId, linkId, quoteId]);
+
+        if (result.affectedRows > 0) {
+            logger.info(`Portal link ${linkId} revoked for quote ${quoteId}`, {
+                type: 'QUOTE_PORTAL_LINK_REVOKED',
+                quoteId,
+                linkId,
+                userId
+            });
+        }
+
+        return result.affectedRows > 0;
+    }
+
+    // The link behind a token, or null when it does not exist, has expired or was revoked
+    async resolveToken(token, executor = this.db) {
+        if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+            return null;
+        }
+
+        const [links] = await executor.execute(`
+            SELECT * FROM quote_client_actions
+            WHERE access_token = ? AND action_type = 'access_granted'
+        `, [token]);
+
+        const link = links[0];
+        if (!link || link.revoked_at || new Date(link.expires_at) <= new Date()) {
+            return null;
+        }
+
+        return link;
+    }
+
+    // What the client is allowed to do with a quote in its current state
+    allowedActions(quote, today = new Date().toISOString().slice(0, 10)) {
+        const lapsed = quote.valid_until && String(quote.valid_until).slice(0, 10) < today;
+        const canDecide = this.decisionStatuses.includes(quote.status) && !lapsed;
+
+        return {
+            accept: canDecide,
+            reject: canDecide,
+            request_changes: this.linkStatuses.includes(quote.status) && quote.status !== 'accepted' && !lapsed
+        };
+    }
+
+    // Client-facing view of the quote. Internal fields (costs, users, price lists) are left out.
+    async getPortalQuote(quoteId) {
+        const [quotes] = await this.db.execute(`
+            SELECT q.id, q.quote_number, q.status, q.subtotal, q.discount_total, q.itbis, q.total, q.currency,
+                   q.exchange_rate, q.notes, q.valid_until, q.created_at, q.current_revision,
+                   c.name as client_name, c.company, c.email, c.phone, c.address
+            FROM quotes q
+            LEFT JOIN clients c ON q.client_id = c.id
+            WHERE q.id = ?
+        `, [quoteId]);
+
+        if (!quotes.length) {
+            return null;
+        }
+
+        const [items] = await this.db.execute(`
+            SELECT product_name, product_description, quantity, price, discount_amount, itbis, total
+            FROM quote_items WHERE quote_id = ? ORDER BY id
+        `, [quoteId]);
+
+        const [comments] = await this.db.execute(`
+            SELECT action_type, comments, signature_name, created_at
+            FROM quote_client_actions
+            WHERE quote_id = ? AND action_type IN ('accepted', 'rejected', 'changes_requested')
+            ORDER BY created_at, id
+        `, [quoteId]);
+
+        const quote = quotes[0];
+        return { ...quote, items, history: comments, actions: this.allowedActions(quote) };
+    }
+
+    validateAction(action, data = {}) {
+        const errors = [];
+
+        if (!this.clientActions.includes(action)) {
+            errors.push(`action must be one of: ${this.clientActions.join(', ')}`);
+        }
+        if (action === 'rejected' && !String(data.reason || '').trim()) {
+            errors.push('reason is required when rejecting a quote');
+        }
+        if (action === 'changes_requested' && !String(data.comments || '').trim()) {
+            errors.push('comments are required when requesting changes');
+        }
+        if (data.signature_name !== undefined && data.signature_name !== null && String(data.signature_name).trim().length > 200) {
+            errors.push('signature_name must be at most 200 characters');
+        }
+        if (action === 'accepted') {
+            errors.push(...quoteAcceptanceService.validateSignature(data));
+        }
+
+        return errors;
+    }
+
+    // Record something the client did through a link and move the quote along. Views only move a
+    // `sent` quote to `viewed`, so reopening the page is harmless; a decision on a quote that was
+    // never opened (API clients) passes through `viewed` first to keep the history complete.
+    // Acceptances also capture the signed acceptance record and document.
+    async recordAction(token, action, data = {}, client = {}) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const link = await this.resolveToken(token, connection);
+
+            if (!link) {
+                await connection.rollback();
+                return null;
+            }
+
+            const [quotes] = await connection.execute('SELECT id, status, valid_until FROM quotes WHERE id = ?', [link.quote_id]);
+            const quote = quotes[0];
+            const allowed = this.allowedActions(quote);
+
+            if ((action === 'accepted' && !allowed.accept) || (action === 'rejected' && !allowed.reject)
+                || (action === 'changes_requested' && !allowed.request_changes)) {
+                const error = new Error(`This quote can no longer be ${action === 'changes_requested' ? 'commented on' : action} (status: ${quote.status})`);
+                error.statusCode = 409;
+                throw error;
+            }
+
+            const comments = action === 'rejected' ? data.reason : data.comments;
+            const signatureName = action === 'accepted' && data.signature_name ? String(data.signature_name).trim() : null;
+
+            const [actionResult] = await connection.execute(`
+                INSERT INTO quote_client_actions (
+                    quote_id, action_type, client_email, client_ip, user_agent, access_token, comments, signature_name, metadata
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                link.quote_id,
+                action,
+                link.client_email,
+                client.ip || null,
+                client.userAgent || null,
+                token,
+                comments ? String(comments).trim() : null,
+                signatureName,
+                JSON.stringify({ linkId: link.id })
+            ]);
+
+            const statusOptions = {
+                reason: `client_${action}`,
+                notes: comments || null,
+                metadata: { clientAction: true, linkId: link.id, signatureName }
+            };
+            let status = quote.status;
+
+            if (quote.status === 'sent' && action !== 'changes_requested') {
+                status = (await quoteStatusService.updateQuoteStatus(connection, quote.id, 'viewed', null, statusOptions)).status;
+            }
+            if (action === 'accepted' || action === 'rejected') {
+                status = (await quoteStatusService.updateQuoteStatus(connection, quote.id, action, null, statusOptions)).status;
+            }
+
+            let acceptance = null;
+            if (action === 'accepted') {
+                acceptance = await quoteAcceptanceService.recordAcceptance(connection, {
+                    quoteId: quote.id,
+                    clientActionId: actionResult.insertId,
+                    signer: {
+                        name: signatureName,
+                        email: data.signer_email || link.client_email,
+                        signatureImage: data.signature_image
+                    },
+                    client
+                });
+            }
+
+            await connection.commit();
+
+            logger.info(`Client ${action} quote ${quote.id} through the portal`, {
+                type: 'QUOTE_PORTAL_ACTION',
+                quoteId: quote.id,
+                linkId: link.id,
+                action,
+                ip: client.ip
+            });
+
+            return { quoteId: quote.id, status, acceptance };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = new ClientPortalService();
@@ -0,0 +1,275 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const { normalizeTaxId } = require('../../../shared/utils/rnc');
+
+class CreditService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.accountStatuses = ['active', 'on_hold', 'blocked'];
+        this.creditActions = ['warn', 'approval'];
+        this.defaultCreditAction = 'approval';
+        this.maxPaymentTermsDays = 365;
+
+        // Quotes that may still turn into receivables and count against the limit
+        this.openStatuses = ['pending_approval', 'approved', 'sent', 'viewed', 'accepted'];
+
+        // Used when a quote goes over the client's credit (or the account is on hold) and no chain applies
+        this.creditFallbackChain = {
+            id: null,
+            name: 'Aprobación de crédito',
+            steps: [{ step_order: 1, name: 'Finanzas', approver_role: 'finance', approver_user_id: null, sla_hours: 24, escalate_to_role: 'admin' }]
+        };
+
+        // ERP query returning one row per customer with RNC and BALANCE columns
+        this.erpBalanceQuery = process.env.ERP_BALANCE_QUERY || null;
+    }
+
+    validateTerms(data = {}) {
+        const errors = [];
+
+        if (data.credit_limit !== undefined && data.credit_limit !== null && data.credit_limit !== ''
+            && !(parseFloat(data.credit_limit) >= 0)) {
+            errors.push('credit_limit must be a non-negative number (or null for no limit)');
+        }
+        if (data.payment_terms_days !== undefined) {
+            const days = Number(data.payment_terms_days);
+            if (!Number.isInteger(days) || days < 0 || days > this.maxPaymentTermsDays) {
+                errors.push(`payment_terms_days must be a whole number between 0 and ${this.maxPaymentTermsDays}`);
+            }
+        }
+        if (data.account_status !== undefined && !this.accountStatuses.includes(data.account_status)) {
+            errors.push(`account_status must be one of: ${this.accountStatuses.join(', ')}`);
+        }
+        if (data.outstanding_balance !== undefined && isNaN(parseFloat(data.outstanding_balance))) {
+            errors.push('outstanding_balance must be a number');
+        }
+
+        return errors;
+    }
+
+    round(value) {
+        return Math.round((parseFloat(value) || 0) * 100) / 100;
+    }
+
+    /**
+     * Credit position of a client if a quote of `amount` (DOP) goes out: `blocked` accounts
+     * cannot be quoted, `on_hold` ones and quotes that take open quotes plus the outstanding
+     * balance past the limit are `exceeded`/`on_hold`; anything else is `ok`.
+     */
+    evaluate(client, { openQuotesTotal = 0, amount = 0 } = {}) {
+        const creditLimit = client.credit_limit === null || client.credit_limit === undefined
+            ? null
+            : parseFloat(client.credit_limit);
+        const balance = this.round(client.outstanding_balance);
+        const exposure = this.round(balance + openQuotesTotal + amount);
+        const accountStatus = client.account_status || 'active';
+
+        let status = 'ok';
+        if (accountStatus === 'blocked') {
+            status = 'blocked';
+        } else if (accountStatus === 'on_hold') {
+            status = 'on_hold';
+        } else if (creditLimit !== null && exposure > creditLimit) {
+            status = 'exceeded';
+        }
+
+        return {
+            status,
+            account_status: accountStatus,
+            credit_limit: creditLimit,
+            payment_terms_days: client.payment_terms_days || 0,
+            outstanding_balance: balance,
+            open_quotes_total: this.round(openQuotesTotal),
+            quote_amount: this.round(amount),
+            exposure,
+            available: creditLimit === null ? null : this.round(creditLimit - exposure)
+        };
+    }
+
+    // Sum of the client's open quotes in DOP, leaving out the quote being checked
+    async getOpenQuotesTotal(executor, clientId, excludeQuoteId = null) {
+        const [totals] = await executor.execute(`
+            SELECT COALESCE(SUM(total * COALESCE(exchange_rate, 1)), 0) as total
+            FROM quotes
+            WHERE client_id = ? AND status IN (${this.openStatuses.map(() => '?').join(', ')}) AND id != ?
+        `, [clientId, ...this.openStatuses, excludeQuoteId || 0]);
+        return parseFloat(totals[0].total) || 0;
+    }
+
+    /**
+     * Check a quote (existing or about to be created) against its client's credit.
+     * `quote` needs client_id, total and exchange_rate; id when it already exists.
+     */
+    async checkQuote(executor, quote) {
+        const [clients] = await executor.execute(
+            'SELECT id, credit_limit, payment_terms_days, account_status, outstanding_balance, balance_updated_at FROM clients WHERE id = ?',
+            [quote.client_id]
+        );
+
+        if (!clients.length) {
+            return null;
+        }
+
+        const check = this.evaluate(clients[0], {
+            openQuotesTotal: await this.getOpenQuotesTotal(executor, quote.client_id, quote.id),
+            amount: parseFloat(quote.total) * (parseFloat(quote.exchange_rate) || 1)
+        });
+
+        return { ...check, balance_updated_at: clients[0].balance_updated_at || null };
+    }
+
+    async getCreditAction(executor = this.db) {
+        const [settings] = await executor.execute(
+            "SELECT setting_value FROM quote_workflow_settings WHERE setting_key = 'credit_limit_action'"
+        );
+        const action = settings.length ? settings[0].setting_value : null;
+        return this.creditActions.includes(action) ? action : this.defaultCreditAction;
+    }
+
+    async setCreditAction(action, userId) {
+        await this.db.execute(
+            "UPDATE quote_workflow_settings SET setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE setting_key = 'credit_limit_action'",
+            [action, userId]
+        );
+
+        logger.info(`Credit limit action set to ${action}`, {
+            type: 'CREDIT_LIMIT_ACTION_UPDATED',
+            action,
+            userId
+        });
+
+        return action;
+    }
+
+    // Accounts on hold always need sign-off; going over the limit does when the setting asks for it
+    needsApproval(check, action) {
+        return Boolean(check) && (check.status === 'on_hold' || (check.status === 'exceeded' && action === 'approval'));
+    }
+
+    // Stop a quote for a blocked account from being created, sent or approved
+    assertNotBlocked(check) {
+        if (check && check.status === 'blocked') {
+            const error = new Error('Client account is blocked; quotes cannot be created, sent or approved for it');
+            error.statusCode = 409;
+            throw error;
+        }
+        return check;
+    }
+
+    async getClientCredit(clientId) {
+        const [clients] = await this.db.execute(`
+            SELECT id, name, credit_limit, payment_terms_days, account_status, outstanding_balance, balance_source, balance_updated_at
+            FROM clients WHERE id = ?
+        `, [clientId]);
+
+        if (!clients.length) {
+            return null;
+        }
+
+        const check = this.evaluate(clients[0], { openQuotesTotal: await this.getOpenQuotesTotal(this.db, clientId) });
+        return { ...clients[0], ...check, balance_updated_at: clients[0].balance_updated_at || null };
+    }
+
+    // Only the fields present change; a balance set here is recorded as manual
+    async updateTerms(clientId, data, userId) {
+        const sets = [];
+        const params = [];
+
+        if (data.credit_limit !== undefined) {
+            sets.push('credit_limit = ?');
+            params.push(data.credit_limit === null || data.credit_limit === '' ? null : this.round(data.credit_limit));
+        }
+        if (data.payment_terms_days !== undefined) {
+            sets.push('payment_terms_days = ?');
+            params.push(Number(data.payment_terms_days));
+        }
+        if (data.account_status !== undefined) {
+            sets.push('account_status = ?');
+            params.push(data.account_status);
+        }
+        if (data.outstanding_balance !== undefined) {
+            sets.push("outstanding_balance = ?, balance_source = 'manual', balance_updated_at = CURRENT_TIMESTAMP");
+            params.push(this.round(data.outstanding_balance));
+        }
+
+        if (sets.length) {
+            const [result] = await this.db.execute(
+                `UPDATE clients SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [...params, clientId]
+            );
+            if (!result.affectedRows) {
+                return null;
+            }
+
+            logger.info(`Client credit terms updated: ${clientId}`, {
+                type: 'CLIENT_CREDIT_UPDATED',
+                clientId,
+                changes: data,
+                userId
+            });
+        }
+
+        return this.getClientCredit(clientId);
+    }
+
+    isErpAvailable() {
+        return Boolean(this.erpBalanceQuery) && database.oracle.isAvailable();
+    }
+
+    /**
+     * Copy outstanding balances from the ERP onto clients, matched by RNC. Clients the ERP
+     * does not list keep their balance. Returns null when Oracle or the query is not configured.
+     */
+    async importErpBalances(userId = null) {
+        if (!this.isErpAvailable()) {
+            return null;
+        }
+
+        const [rows] = await database.oracle.execute(this.erpBalanceQuery);
+        const balances = new Map();
+        rows.forEach(row => {
+            const rnc = normalizeTaxId(row.RNC);
+            if (rnc) {
+                balances.set(rnc, (balances.get(rnc) || 0) + (parseFloat(row.BALANCE) || 0));
+            }
+        });
+
+        const [clients] = await this.db.execute("SELECT id, rnc FROM clients WHERE rnc IS NOT NULL AND rnc != ''");
+        const connection = await this.db.getConnection();
+        let updated = 0;
+
+        try {
+            for (const client of clients) {
+                const rnc = normalizeTaxId(client.rnc);
+                if (!balances.has(rnc)) {
+                    continue;
+                }
+
+                await connection.execute(`
+                    UPDATE clients SET outstanding_balance = ?, balance_source = 'erp', balance_updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [this.round(balances.get(rnc)), client.id]);
+                updated++;
+            }
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        logger.info(`ERP balances imported for ${updated} clients`, {
+            type: 'ERP_BALANCES_IMPORTED',
+            erpRows: rows.length,
+            updated,
+            userId
+        });
+
+        return { erp_rows: rows.length, updated };
+    }
+}
+
+module.exports = new CreditService();
@@ -0,0 +1,148 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const { BASE_CURRENCY, SUPPORTED_CURRENCIES } = require('../../../shared/utils/currency');
+
+class CurrencyService {
+    constructor() {
+        this.db = database.sqlite;
+        this.baseCurrency = BASE_CURRENCY;
+        this.currencies = SUPPORTED_CURRENCIES;
+    }
+
+    isSupported(currency) {
+        return this.currencies.includes(currency);
+    }
+
+    // Rate in effect on a date (pesos per unit). The base currency is always 1.
+    async getRate(currency, date = new Date(), executor = this.db) {
+        if (!currency || currency === this.baseCurrency) {
+            return 1;
+        }
+
+        const [rates] = await executor.execute(`
+            SELECT rate FROM exchange_rates
+            WHERE currency = ? AND effective_date <= ?
+            ORDER BY effective_date DESC
+            LIMIT 1
+        `, [currency, this.toDateString(date)]);
+
+        if (!rates.length) {
+            throw new Error(`No exchange rate configured for ${currency}`);
+        }
+
+        return parseFloat(rates[0].rate);
+    }
+
+    async getRates(currency) {
+        const [rates] = await this.db.execute(`
+            SELECT * FROM exchange_rates
+            ${currency ? 'WHERE currency = ?' : ''}
+            ORDER BY currency, effective_date DESC
+        `, currency ? [currency] : []);
+        return rates;
+    }
+
+    validateRate(rate) {
+        const errors = [];
+
+        if (!rate.currency || rate.currency === this.baseCurrency || !this.isSupported(rate.currency)) {
+            errors.push(`currency must be one of: ${this.currencies.filter(c => c !== this.baseCurrency).join(', ')}`);
+        }
+        const value = parseFloat(rate.rate);
+        if (isNaN(value) || value <= 0) {
+            errors.push('rate must be a positive number');
+        }
+        if (rate.effective_date && isNaN(new Date(rate.effective_date).getTime())) {
+            errors.push('effective_date must be a valid date (YYYY-MM-DD)');
+        }
+
+        return errors;
+    }
+
+    // Saving a rate for a date that already has one replaces it
+    async saveRate(rate, userId, source = 'manual', executor = this.db) {
+        const effectiveDate = rate.effective_date ? this.toDateString(rate.effective_date) : this.toDateString(new Date());
+
+        await executor.execute(`
+            INSERT INTO exchange_rates (currency, rate, effective_date, source, created_by)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(currency, effective_date)
+            DO UPDATE SET rate = excluded.rate, source = excluded.source, created_by = excluded.created_by,
+                          created_at = CURRENT_TIMESTAMP
+        `, [rate.currency, parseFloat(rate.rate), effectiveDate, source, userId]);
+
+        if (source === 'manual') {
+            logger.info(`Exchange rate saved: ${rate.currency} ${rate.rate} from ${effectiveDate}`, {
+                type: 'EXCHANGE_RATE_SAVED',
+                currency: rate.currency,
+                rate: parseFloat(rate.rate),
+                effectiveDate,
+                userId
+            });
+        }
+
+        return { currency: rate.currency, rate: parseFloat(rate.rate), effective_date: effectiveDate };
+    }
+
+    // Parse "currency,rate,effective_date" lines. A header row is skipped.
+    parseCsv(csv) {
+        const rows = [];
+        const errors = [];
+
+        String(csv || '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || (index === 0 && /currency/i.test(trimmed))) {
+                return;
+            }
+
+            const [currency, rate, effectiveDate] = trimmed.split(/[,;]/).map(value => value.trim());
+            const row = { currency: (currency || '').toUpperCase(), rate, effective_date: effectiveDate };
+            const rowErrors = this.validateRate(row);
+
+            if (rowErrors.length) {
+                errors.push(`Line ${index + 1}: ${rowErrors.join(', ')}`);
+            } else {
+                rows.push(row);
+            }
+        });
+
+        return { rows, errors };
+    }
+
+    // Import a CSV of rates in one transaction; nothing is saved if any line is invalid
+    async importCsv(csv, userId) {
+        const { rows, errors } = this.parseCsv(csv);
+
+        if (errors.length || !rows.length) {
+            return { imported: 0, errors: errors.length ? errors : ['No exchange rates found in file'] };
+        }
+
+        const connection = await this.db.getConnection();
+
+        try {
+            for (const row of rows) {
+                await this.saveRate(row, userId, 'csv', connection);
+            }
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+
+        logger.info(`Imported ${rows.length} exchange rates`, {
+            type: 'EXCHANGE_RATES_IMPORTED',
+            count: rows.length,
+            userId
+        });
+
+        return { imported: rows.length, errors: [] };
+    }
+
+    toDateString(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+}
+
+module.exports = new CurrencyService();
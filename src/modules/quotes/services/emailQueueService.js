@@ -1,8 +1,9 @@
-const { pool } = require('../config/database');
+const { database } = require('../../../shared/database');
 const emailService = require('./emailService');
 
 class EmailQueueService {
     constructor() {
+        this.db = database.sqlite;
         this.isProcessing = false;
         this.processingInterval = null;
         this.retryDelays = [
@@ -12,23 +13,23 @@ class EmailQueueService {
             60 * 60 * 1000,   // 1 hour
             24 * 60 * 60 * 1000 // 24 hours
         ];
-        
-        this.startProcessing();
     }
 
-    async addToQueue(emailData, priority = 0, scheduledAt = null) {
+    // `executor` lets callers queue the email on their own transaction
+    async addToQueue(emailData, priority = 0, scheduledAt = null, executor = this.db) {
         try {
             const scheduledTime = scheduledAt || new Date().toISOString();
             
-            const [result] = await pool.execute(`
+            const [result] = await executor.execute(`
                 INSERT INTO email_queue (
-                    quote_id, recipient_email, sender_user_id, email_data, 
+                    quote_id, recipient_email, sender_user_id, category, email_data, 
                     priority, scheduled_at, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
             `, [
                 emailData.quoteId || null,
                 emailData.recipientEmail,
-                emailData.senderUserId,
+                emailData.senderUserId || null,
+                emailData.category || null,
                 JSON.stringify(emailData),
                 priority,
                 scheduledTime
@@ -44,10 +45,10 @@ class EmailQueueService {
 
     async getQueuedEmails(limit = 10) {
         try {
-            const [rows] = await pool.execute(`
+            const [rows] = await this.db.execute(`
                 SELECT * FROM email_queue 
                 WHERE status = 'pending' 
-                AND scheduled_at <= datetime('now')
+                AND datetime(scheduled_at) <= datetime('now')
                 AND (attempts < max_attempts OR attempts IS NULL)
                 ORDER BY priority DESC, scheduled_at ASC 
                 LIMIT ?
@@ -62,7 +63,7 @@ class EmailQueueService {
 
     async updateQueueStatus(queueId, status, errorMessage = null) {
         try {
-            await pool.execute(`
+            await this.db.execute(`
                 UPDATE email_queue 
                 SET status = ?, error_message = ?, updated_at = datetime('now')
                 WHERE id = ?
@@ -74,7 +75,7 @@ class EmailQueueService {
 
     async incrementAttempts(queueId) {
         try {
-            await pool.execute(`
+            await this.db.execute(`
                 UPDATE email_queue 
                 SET attempts = attempts + 1, last_attempt_at = datetime('now'), updated_at = datetime('now')
                 WHERE id = ?
@@ -90,7 +91,7 @@ class EmailQueueService {
             const delay = this.retryDelays[delayIndex];
             const nextAttempt = new Date(Date.now() + delay).toISOString();
             
-            await pool.execute(`
+            await this.db.execute(`
                 UPDATE email_queue 
                 SET scheduled_at = ?, status = 'pending', updated_at = datetime('now')
                 WHERE id = ?
@@ -104,7 +105,7 @@ class EmailQueueService {
 
     async logEmailSent(emailData, messageId, status = 'sent') {
         try {
-            const [result] = await pool.execute(`
+            const [result] = await this.db.execute(`
                 INSERT INTO email_logs (
                     quote_id, recipient_email, sender_user_id, subject, 
                     message_id, status, sent_at, created_at, updated_at
@@ -138,7 +139,7 @@ class EmailQueueService {
                 fields.push('updated_at = datetime(\'now\')');
                 values.push(logId);
                 
-                await pool.execute(`
+                await this.db.execute(`
                     UPDATE email_logs 
                     SET ${fields.join(', ')}
                     WHERE id = ?
@@ -197,6 +198,9 @@ class EmailQueueService {
                     emailData.pdfBuffer,
                     emailData.options
                 );
+            } else if (emailData.type === 'template') {
+                // Template emails (reminders, follow-ups)
+                result = await emailService.sendEmail(emailData);
             } else if (emailData.type === 'test') {
                 // Send test email
                 result = await emailService.sendTestEmail(
@@ -258,7 +262,7 @@ class EmailQueueService {
 
     async getQueueStats() {
         try {
-            const [stats] = await pool.execute(`
+            const [stats] = await this.db.execute(`
                 SELECT 
                     COUNT(*) as total,
                     SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
@@ -268,7 +272,7 @@ class EmailQueueService {
                 FROM email_queue
             `);
 
-            const [recentActivity] = await pool.execute(`
+            const [recentActivity] = await this.db.execute(`
                 SELECT 
                     COUNT(*) as emails_last_hour,
                     AVG(attempts) as avg_attempts
@@ -320,7 +324,7 @@ class EmailQueueService {
             query += ' ORDER BY el.created_at DESC LIMIT ?';
             params.push(limit);
 
-            const [rows] = await pool.execute(query, params);
+            const [rows] = await this.db.execute(query, params);
             return rows;
         } catch (error) {
             console.error('Error getting email logs:', error);
@@ -334,7 +338,7 @@ class EmailQueueService {
             const { messageId, event, timestamp } = data;
             
             // Find email log by message ID
-            const [logs] = await pool.execute(
+            const [logs] = await this.db.execute(
                 'SELECT id FROM email_logs WHERE message_id = ?',
                 [messageId]
             );
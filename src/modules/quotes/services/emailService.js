@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const { formatMoney } = require('../../../shared/utils/currency');
 
 class EmailService {
   constructor() {
@@ -298,8 +299,8 @@ class EmailService {
                                 ${item.ean ? `<br><small style="color: #999;">EAN: ${item.ean}</small>` : ''}
                             </td>
                             <td>${item.quantity}</td>
-                            <td>$${parseFloat(item.price).toFixed(2)}</td>
-                            <td><strong>$${parseFloat(item.total).toFixed(2)}</strong></td>
+                            <td>${formatMoney(item.price, quote.currency)}</td>
+                            <td><strong>${formatMoney(item.total, quote.currency)}</strong></td>
                         </tr>
                         `).join('')}
                     </tbody>
@@ -307,17 +308,22 @@ class EmailService {
             </div>
 
             <div class="total-section">
+                ${parseFloat(quote.discount_total) > 0 ? `
+                <div class="total-row">
+                    <span>Descuento:</span>
+                    <span>${formatMoney(-quote.discount_total, quote.currency)}</span>
+                </div>` : ''}
                 <div class="total-row">
                     <span>Subtotal:</span>
-                    <span>$${parseFloat(quote.subtotal).toFixed(2)}</span>
+                    <span>${formatMoney(quote.subtotal, quote.currency)}</span>
                 </div>
                 <div class="total-row">
                     <span>ITBIS:</span>
-                    <span>$${parseFloat(quote.itbis).toFixed(2)}</span>
+                    <span>${formatMoney(quote.itbis, quote.currency)}</span>
                 </div>
                 <div class="total-row total-final">
                     <span>Total:</span>
-                    <span>$${parseFloat(quote.total).toFixed(2)}</span>
+                    <span>${formatMoney(quote.total, quote.currency)}</span>
                 </div>
             </div>
 
@@ -384,13 +390,16 @@ class EmailService {
       if (item.ean) {
         text += `  EAN: ${item.ean}\n`;
       }
-      text += `  Cantidad: ${item.quantity} | Precio: $${parseFloat(item.price).toFixed(2)} | Total: $${parseFloat(item.total).toFixed(2)}\n\n`;
+      text += `  Cantidad: ${item.quantity} | Precio: ${formatMoney(item.price, quote.currency)} | Total: ${formatMoney(item.total, quote.currency)}\n\n`;
     });
     
     text += `${'-'.repeat(50)}\n`;
-    text += `Subtotal: $${parseFloat(quote.subtotal).toFixed(2)}\n`;
-    text += `ITBIS: $${parseFloat(quote.itbis).toFixed(2)}\n`;
-    text += `TOTAL: $${parseFloat(quote.total).toFixed(2)}\n`;
+    if (parseFloat(quote.discount_total) > 0) {
+        text += `Descuento: ${formatMoney(-quote.discount_total, quote.currency)}\n`;
+    }
+    text += `Subtotal: ${formatMoney(quote.subtotal, quote.currency)}\n`;
+    text += `ITBIS: ${formatMoney(quote.itbis, quote.currency)}\n`;
+    text += `TOTAL: ${formatMoney(quote.total, quote.currency)}\n`;
     text += `${'-'.repeat(50)}\n\n`;
     
     if (quote.notes) {
@@ -558,7 +567,7 @@ class EmailService {
   }
 
   /**
-   * Send email with template support for quote reminders
+   * Send email with template support for quote reminders and follow-ups
    */
   async sendEmail(emailData) {
     if (!this.isConfigured()) {
@@ -579,26 +588,90 @@ class EmailService {
 
     // Handle different template types
     if (emailData.template === 'quote_reminder') {
-      const { clientName, quoteNumber, total, validUntil, daysUntilExpiry } = emailData.data;
+      const { clientName, quoteNumber, total, currency, validUntil, daysUntilExpiry } = emailData.data;
       
       mailOptions.html = `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
           <h2 style="color: #1D3F87;">Recordatorio de Cotización</h2>
           <p>Estimado/a ${clientName},</p>
-          <p>Le recordamos que su cotización <strong>#${quoteNumber}</strong> por valor de <strong>$${parseFloat(total).toFixed(2)}</strong> 
+          <p>Le recordamos que su cotización <strong>#${quoteNumber}</strong> por valor de <strong>${formatMoney(total, currency)}</strong> 
              ${daysUntilExpiry === 1 ? 'vence mañana' : `vence en ${daysUntilExpiry} días`} (${new Date(validUntil).toLocaleDateString('es-ES')}).</p>
           <p>Para proceder con su orden o si tiene alguna pregunta, no dude en contactarnos.</p>
           <div style="margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 5px;">
             <h4 style="margin: 0 0 10px 0;">Detalles de la Cotización:</h4>
             <p><strong>Número:</strong> ${quoteNumber}<br>
-               <strong>Total:</strong> $${parseFloat(total).toFixed(2)}<br>
+               <strong>Total:</strong> ${formatMoney(total, currency)}<br>
                <strong>Válida hasta:</strong> ${new Date(validUntil).toLocaleDateString('es-ES')}</p>
           </div>
           <p>Saludos cordiales,<br>${companyName}</p>
         </div>
       `;
       
-      mailOptions.text = `Recordatorio de Cotización\n\nEstimado/a ${clientName},\n\nLe recordamos que su cotización #${quoteNumber} por valor de $${parseFloat(total).toFixed(2)} ${daysUntilExpiry === 1 ? 'vence mañana' : `vence en ${daysUntilExpiry} días`} (${new Date(validUntil).toLocaleDateString('es-ES')}).\n\nPara proceder con su orden o si tiene alguna pregunta, no dude en contactarnos.\n\nDetalles:\nNúmero: ${quoteNumber}\nTotal: $${parseFloat(total).toFixed(2)}\nVálida hasta: ${new Date(validUntil).toLocaleDateString('es-ES')}\n\nSaludos cordiales,\n${companyName}`;
+      mailOptions.text = `Recordatorio de Cotización\n\nEstimado/a ${clientName},\n\nLe recordamos que su cotización #${quoteNumber} por valor de ${formatMoney(total, currency)} ${daysUntilExpiry === 1 ? 'vence mañana' : `vence en ${daysUntilExpiry} días`} (${new Date(validUntil).toLocaleDateString('es-ES')}).\n\nPara proceder con su orden o si tiene alguna pregunta, no dude en contactarnos.\n\nDetalles:\nNúmero: ${quoteNumber}\nTotal: ${formatMoney(total, currency)}\nVálida hasta: ${new Date(validUntil).toLocaleDateString('es-ES')}\n\nSaludos cordiales,\n${companyName}`;
+    } else if (emailData.template === 'quote_follow_up' || emailData.template === 'quote_expired') {
+      const { clientName, quoteNumber, total, currency, validUntil, viewLink } = emailData.data;
+      const expired = emailData.template === 'quote_expired';
+      const validUntilText = validUntil ? new Date(validUntil).toLocaleDateString('es-ES') : null;
+      const intro = expired
+        ? `Su cotización <strong>#${quoteNumber}</strong> por valor de <strong>${formatMoney(total, currency)}</strong> vence hoy${validUntilText ? ` (${validUntilText})` : ''}. Si aún le interesa, contáctenos y con gusto la actualizamos.`
+        : `Queríamos saber si tuvo oportunidad de revisar la cotización <strong>#${quoteNumber}</strong> por valor de <strong>${formatMoney(total, currency)}</strong>${validUntilText ? `, válida hasta el ${validUntilText}` : ''}. Estamos a su disposición para cualquier pregunta o ajuste.`;
+
+      mailOptions.html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #1D3F87;">${expired ? 'Su Cotización Vence Hoy' : 'Seguimiento de Cotización'}</h2>
+          <p>Estimado/a ${clientName},</p>
+          <p>${intro}</p>
+          ${viewLink ? `<p><a href="${viewLink}" style="color: #1D3F87;">Ver cotización en línea</a></p>` : ''}
+          <p>Saludos cordiales,<br>${companyName}</p>
+        </div>
+      `;
+
+      mailOptions.text = `${expired ? 'Su Cotización Vence Hoy' : 'Seguimiento de Cotización'}\n\nEstimado/a ${clientName},\n\n${intro.replace(/<\/?strong>/g, '')}\n\n${viewLink ? `Ver cotización: ${viewLink}\n\n` : ''}Saludos cordiales,\n${companyName}`;
+    } else if (emailData.template === 'quote_approval_required') {
+      // Internal request to an approver (or their delegate)
+      const { recipientName, quoteNumber, clientName, total, currency, stepName, dueAt, escalated, approvalLink } = emailData.data;
+      const dueText = dueAt ? new Date(dueAt).toLocaleString('es-ES') : null;
+      const intro = escalated
+        ? `La cotización <strong>#${quoteNumber}</strong> superó el tiempo de respuesta del paso <strong>${stepName}</strong> y fue escalada a usted.`
+        : `La cotización <strong>#${quoteNumber}</strong> está esperando su aprobación en el paso <strong>${stepName}</strong>.`;
+
+      mailOptions.html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #1D3F87;">${escalated ? 'Aprobación Escalada' : 'Aprobación Requerida'}</h2>
+          <p>Hola ${recipientName},</p>
+          <p>${intro}</p>
+          <div style="margin: 20px 0; padding: 15px; background: #f8f9fa; border-radius: 5px;">
+            <p><strong>Cliente:</strong> ${clientName || ''}<br>
+               <strong>Total:</strong> ${formatMoney(total, currency)}${dueText ? `<br><strong>Responder antes de:</strong> ${dueText}` : ''}</p>
+          </div>
+          <p><a href="${approvalLink}" style="color: #1D3F87;">Revisar la cotización</a></p>
+        </div>
+      `;
+
+      mailOptions.text = `${escalated ? 'Aprobación Escalada' : 'Aprobación Requerida'}\n\nHola ${recipientName},\n\n${intro.replace(/<\/?strong>/g, '')}\n\nCliente: ${clientName || ''}\nTotal: ${formatMoney(total, currency)}${dueText ? `\nResponder antes de: ${dueText}` : ''}\n\nRevisar: ${approvalLink}`;
+    } else if (emailData.template === 'quote_expiry_digest') {
+      // Internal digest for the salesperson who owns the quotes
+      const { recipientName, quotes } = emailData.data;
+      const rows = quotes.map(quote => ({
+        ...quote,
+        totalText: formatMoney(quote.total, quote.currency),
+        validUntilText: new Date(quote.validUntil).toLocaleDateString('es-ES')
+      }));
+
+      mailOptions.html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #1D3F87;">Cotizaciones Vencidas</h2>
+          <p>Hola ${recipientName},</p>
+          <p>Las siguientes cotizaciones vencieron sin respuesta del cliente y su reserva de inventario fue liberada:</p>
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr style="background: #f8f9fa;"><th align="left">Número</th><th align="left">Cliente</th><th align="right">Total</th><th align="left">Válida hasta</th></tr>
+            ${rows.map(row => `<tr><td>${row.quoteNumber}</td><td>${row.clientName || ''}</td><td align="right">${row.totalText}</td><td>${row.validUntilText}</td></tr>`).join('')}
+          </table>
+          <p>Puede reenviarlas desde el sistema de cotizaciones si el cliente aún está interesado.</p>
+        </div>
+      `;
+
+      mailOptions.text = `Cotizaciones Vencidas\n\nHola ${recipientName},\n\nLas siguientes cotizaciones vencieron sin respuesta del cliente y su reserva de inventario fue liberada:\n\n${rows.map(row => `- ${row.quoteNumber} | ${row.clientName || ''} | ${row.totalText} | ${row.validUntilText}`).join('\n')}\n\nPuede reenviarlas desde el sistema de cotizaciones si el cliente aún está interesado.`;
     } else {
       // Generic template
       mailOptions.html = `<div style="font-family: Arial, sans-serif; padding: 20px;">${emailData.message || 'Email content'}</div>`;
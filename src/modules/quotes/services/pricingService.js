@@ -0,0 +1,347 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+
+class PricingService {
+    constructor() {
+        this.db = database.sqlite;
+        this.discountTypes = ['percent', 'fixed'];
+    }
+
+    // Price list for a client: its segment's list first, then the general list
+    async getPriceListForClient(clientId, executor = this.db) {
+        const [clients] = await executor.execute('SELECT segment FROM clients WHERE id = ?', [clientId]);
+        const segment = clients.length ? clients[0].segment : null;
+
+        const [lists] = await executor.execute(`
+            SELECT * FROM price_lists
+            WHERE active = 1 AND (segment = ? OR segment IS NULL)
+            ORDER BY CASE WHEN segment IS NULL THEN 1 ELSE 0 END, id
+            LIMIT 1
+        `, [segment]);
+
+        return lists[0] || null;
+    }
+
+    // Price items and discounts for a quote, loading the client's price list and the catalog prices.
+    // Price lists and the catalog are in pesos; `exchangeRate` converts them to the quote currency.
+    async priceQuote(items, clientId, quoteDiscount = null, executor = this.db, exchangeRate = 1) {
+        const priceList = await this.getPriceListForClient(clientId, executor);
+        const productIds = [...new Set(items.map(item => String(item.product_id || item.product_ean || '')).filter(Boolean))];
+        let priceListItems = [];
+
+        if (priceList && productIds.length) {
+            const placeholders = productIds.map(() => '?').join(',');
+            [priceListItems] = await executor.execute(
+                `SELECT * FROM price_list_items WHERE price_list_id = ? AND product_id IN (${placeholders})`,
+                [priceList.id, ...productIds]
+            );
+        }
+
+        const catalogPrices = new Map();
+        (await this.getCatalogPrices(productIds)).forEach((price, sku) => {
+            if (!isNaN(price)) {
+                catalogPrices.set(sku, this.round(price / (parseFloat(exchangeRate) || 1)));
+            }
+        });
+
+        return this.priceItems(items, { priceList, priceListItems, quoteDiscount, exchangeRate, catalogPrices });
+    }
+
+    // Pure pricing: list price -> price list / volume break -> line discount -> quote discount share.
+    // The list price comes from the catalog; a price sent below it is a discount and is recorded as a
+    // fixed line discount so it counts towards approval. Only lines whose product is not in the
+    // catalog take their list price from the request.
+    priceItems(items, { priceList = null, priceListItems = [], quoteDiscount = null, exchangeRate = 1, catalogPrices = new Map() } = {}) {
+        const lines = items.map(item => {
+            const quantity = parseFloat(item.quantity) || 0;
+            const catalogPrice = catalogPrices.get(String(item.product_id || item.product_ean || ''));
+            const requestListPrice = parseFloat(item.list_price !== undefined && item.list_price !== null ? item.list_price : item.price) || 0;
+            const listPrice = catalogPrice !== undefined ? catalogPrice : requestListPrice;
+            const listed = this.resolveUnitPrice(item, quantity, listPrice, priceList, priceListItems, exchangeRate);
+            const gross = this.round(quantity * listed.price);
+
+            const sentPrice = parseFloat(item.price);
+            const reduction = catalogPrice !== undefined && sentPrice < listed.price
+                ? this.round((listed.price - Math.max(sentPrice, 0)) * quantity)
+                : 0;
+            let discountType = item.discount_type || null;
+            let discountValue = item.discount_type ? parseFloat(item.discount_value) || 0 : null;
+            let discountAmount = this.discountAmount(gross - reduction, discountType, discountValue);
+
+            if (reduction > 0) {
+                discountAmount = this.round(Math.min(reduction + discountAmount, gross));
+                discountType = 'fixed';
+                discountValue = discountAmount;
+            }
+
+            return {
+                ...item,
+                product_category: item.product_category || item.category || null,
+                list_price: listPrice,
+                price: listed.price,
+                price_list_id: listed.priceListId,
+                discount_type: discountType,
+                discount_value: discountValue,
+                discount_amount: discountAmount,
+                quote_discount_amount: 0
+            };
+        });
+
+        const grossAmounts = lines.map(line => this.round((parseFloat(line.quantity) || 0) * line.price));
+        const grossTotal = this.round(grossAmounts.reduce((sum, value) => sum + value, 0));
+        const netOfLineDiscounts = lines.map((line, index) => this.round(grossAmounts[index] - line.discount_amount));
+        const netTotal = this.round(netOfLineDiscounts.reduce((sum, value) => sum + value, 0));
+
+        const quoteDiscountTotal = quoteDiscount && quoteDiscount.type
+            ? this.discountAmount(netTotal, quoteDiscount.type, quoteDiscount.value)
+            : 0;
+
+        // Spread the quote-level discount over the lines so ITBIS is charged on the discounted base
+        if (quoteDiscountTotal > 0 && netTotal > 0) {
+            let allocated = 0;
+            lines.forEach((line, index) => {
+                const share = index === lines.length - 1
+                    ? this.round(quoteDiscountTotal - allocated)
+                    : this.round(quoteDiscountTotal * netOfLineDiscounts[index] / netTotal);
+                line.quote_discount_amount = share;
+                allocated = this.round(allocated + share);
+            });
+        }
+
+        const discountTotal = this.round(lines.reduce((sum, line) => sum + line.discount_amount + line.quote_discount_amount, 0));
+
+        return {
+            lines,
+            gross_total: grossTotal,
+            discount_total: discountTotal,
+            discount_percent: grossTotal > 0 ? this.round((discountTotal / grossTotal) * 100) : 0
+        };
+    }
+
+    // The highest volume break reached wins; otherwise the list's blanket discount applies
+    resolveUnitPrice(item, quantity, listPrice, priceList, priceListItems, exchangeRate = 1) {
+        if (!priceList) {
+            return { price: listPrice, priceListId: null };
+        }
+
+        const productKeys = [item.product_id, item.product_ean].filter(Boolean).map(String);
+        const breaks = priceListItems
+            .filter(row => productKeys.includes(String(row.product_id)) && parseFloat(row.min_quantity) <= quantity)
+            .sort((a, b) => parseFloat(b.min_quantity) - parseFloat(a.min_quantity));
+
+        if (breaks.length) {
+            return { price: this.round(parseFloat(breaks[0].price) / (parseFloat(exchangeRate) || 1)), priceListId: priceList.id };
+        }
+
+        const listDiscount = parseFloat(priceList.discount_percent) || 0;
+        if (listDiscount > 0) {
+            return { price: this.round(listPrice * (1 - listDiscount / 100)), priceListId: priceList.id };
+        }
+
+        return { price: listPrice, priceListId: null };
+    }
+
+    discountAmount(amount, type, value) {
+        const discountValue = parseFloat(value) || 0;
+
+        if (type === 'percent') {
+            return this.round(amount * Math.min(Math.max(discountValue, 0), 100) / 100);
+        }
+        if (type === 'fixed') {
+            return this.round(Math.min(Math.max(discountValue, 0), amount));
+        }
+        return 0;
+    }
+
+    validateDiscount(discount, label = 'discount') {
+        if (!discount || !discount.type) {
+            return [];
+        }
+
+        const errors = [];
+        if (!this.discountTypes.includes(discount.type)) {
+            errors.push(`${label} type must be one of: ${this.discountTypes.join(', ')}`);
+        }
+        const value = parseFloat(discount.value);
+        if (isNaN(value) || value < 0) {
+            errors.push(`${label} value must be a positive number`);
+        }
+        if (discount.type === 'percent' && value > 100) {
+            errors.push(`${label} percentage cannot exceed 100`);
+        }
+        return errors;
+    }
+
+    // Validate the quote-level discount and every line discount of a request
+    validateQuoteDiscounts(items = [], quoteDiscount = null) {
+        const errors = this.validateDiscount(quoteDiscount, 'Quote discount');
+
+        items.forEach((item, index) => {
+            errors.push(...this.validateDiscount(
+                { type: item.discount_type, value: item.discount_value },
+                `Item ${index + 1} discount`
+            ));
+        });
+
+        return errors;
+    }
+
+    // Current catalog prices (pesos) by SKU, from the same web_products table as the product search.
+    // Returns an empty map when the product database is not configured.
+    async getCatalogPrices(productIds) {
+        const skus = [...new Set(productIds.filter(Boolean).map(String))];
+
+        if (!database.mysql.getPool() || !skus.length) {
+            return new Map();
+        }
+
+        try {
+            const placeholders = skus.map(() => '?').join(',');
+            const [products] = await database.mysql.execute(
+                `SELECT sku, price FROM web_products WHERE sku IN (${placeholders}) AND borrado = 0`,
+                skus
+            );
+
+            return new Map(products.map(product => [String(product.sku), parseFloat(product.price)]));
+        } catch (error) {
+            logger.warn('Catalog prices unavailable, keeping stored prices', {
+                type: 'CATALOG_PRICES_UNAVAILABLE',
+                error: error.message
+            });
+            return new Map();
+        }
+    }
+
+    // Replace the list price of each line with the current catalog price, converted to the
+    // quote currency. Lines whose product is no longer in the catalog keep their old price.
+    async refreshListPrices(items, exchangeRate = 1) {
+        const prices = await this.getCatalogPrices(items.map(item => item.product_id || item.product_ean));
+        let refreshed = 0;
+
+        const lines = items.map(item => {
+            const catalogPrice = prices.get(String(item.product_id || item.product_ean));
+            if (catalogPrice === undefined || isNaN(catalogPrice)) {
+                return item;
+            }
+
+            refreshed++;
+            return { ...item, list_price: this.round(catalogPrice / (parseFloat(exchangeRate) || 1)) };
+        });
+
+        return { lines, refreshed };
+    }
+
+    // Discount percentage above which a quote must go through approval
+    async getDiscountApprovalThreshold(executor = this.db) {
+        const [settings] = await executor.execute(
+            'SELECT setting_value FROM quote_workflow_settings WHERE setting_key = ?',
+            ['approval_discount_threshold']
+        );
+
+        return settings.length ? parseFloat(settings[0].setting_value) : null;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Price list administration
+
+    async getPriceLists() {
+        const [lists] = await this.db.execute(`
+            SELECT pl.*, (SELECT COUNT(*) FROM price_list_items pli WHERE pli.price_list_id = pl.id) as item_count
+            FROM price_lists pl
+            ORDER BY pl.active DESC, pl.name
+        `);
+        return lists;
+    }
+
+    async getPriceList(listId) {
+        const [lists] = await this.db.execute('SELECT * FROM price_lists WHERE id = ?', [listId]);
+
+        if (!lists.length) {
+            return null;
+        }
+
+        const [items] = await this.db.execute(
+            'SELECT * FROM price_list_items WHERE price_list_id = ? ORDER BY product_id, min_quantity',
+            [listId]
+        );
+
+        return { ...lists[0], items };
+    }
+
+    async savePriceList(listId, data, userId) {
+        const values = [
+            data.name,
+            data.segment || null,
+            parseFloat(data.discount_percent) || 0,
+            data.active === false ? 0 : 1,
+            userId
+        ];
+
+        if (listId) {
+            const [result] = await this.db.execute(`
+                UPDATE price_lists
+                SET name = ?, segment = ?, discount_percent = ?, active = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...values, listId]);
+
+            if (!result.affectedRows) {
+                return null;
+            }
+        } else {
+            const [result] = await this.db.execute(`
+                INSERT INTO price_lists (name, segment, discount_percent, active, updated_by)
+                VALUES (?, ?, ?, ?, ?)
+            `, values);
+            listId = result.insertId;
+        }
+
+        logger.info(`Price list saved: ${data.name}`, {
+            type: 'PRICE_LIST_SAVED',
+            priceListId: listId,
+            segment: data.segment || null,
+            userId
+        });
+
+        return listId;
+    }
+
+    // Replace the product prices and volume breaks of a list
+    async replacePriceListItems(listId, items, userId) {
+        const connection = await this.db.getConnection();
+
+        try {
+            await connection.execute('DELETE FROM price_list_items WHERE price_list_id = ?', [listId]);
+
+            for (const item of items) {
+                await connection.execute(`
+                    INSERT INTO price_list_items (price_list_id, product_id, min_quantity, price)
+                    VALUES (?, ?, ?, ?)
+                `, [listId, String(item.product_id), parseFloat(item.min_quantity) || 1, parseFloat(item.price)]);
+            }
+
+            await connection.execute(
+                'UPDATE price_lists SET updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [userId, listId]
+            );
+
+            await connection.commit();
+
+            logger.info(`Price list ${listId} items replaced`, {
+                type: 'PRICE_LIST_ITEMS_REPLACED',
+                priceListId: listId,
+                itemCount: items.length,
+                userId
+            });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = new PricingService();
@@ -0,0 +1,208 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const stockReservationService = require('./stockReservationService');
+const stockLocationService = require('./stockLocationService');
+
+class ProductSubstituteService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // Substitutes must be priced within this share of the original product's price
+        this.priceBand = 0.25;
+        this.maxSuggestions = 5;
+        this.candidateLimit = 50;
+    }
+
+    round(value, decimals = 2) {
+        const factor = 10 ** decimals;
+        return Math.round((parseFloat(value) || 0) * factor) / factor;
+    }
+
+    // Quote lines grouped by product, since stock is checked per product
+    groupLines(items) {
+        const lines = new Map();
+
+        items.forEach(item => {
+            const productId = String(item.product_id || item.product_ean || '');
+            if (!productId) {
+                return;
+            }
+
+            if (!lines.has(productId)) {
+                lines.set(productId, {
+                    product_id: productId,
+                    product_name: item.product_name,
+                    product_category: item.product_category || null,
+                    list_price: item.list_price ?? item.price ?? null,
+                    quantity: 0,
+                    item_ids: []
+                });
+            }
+
+            const line = lines.get(productId);
+            line.quantity = stockReservationService.quantity(line.quantity + stockReservationService.quantity(item.quantity));
+            if (item.id) {
+                line.item_ids.push(item.id);
+            }
+        });
+
+        return [...lines.values()];
+    }
+
+    /**
+     * Order candidates for an unavailable product: those with enough stock for the requested
+     * quantity first, then by closeness in price, then by units available. Candidates outside
+     * the price band or without available stock are dropped.
+     */
+    rankSubstitutes(original, candidates, quantity) {
+        const price = parseFloat(original.price) || 0;
+
+        return candidates
+            .filter(candidate => String(candidate.sku) !== String(original.sku) && candidate.available > 0)
+            .filter(candidate => !price || Math.abs(candidate.price - price) <= price * this.priceBand)
+            .map(candidate => ({
+                sku: String(candidate.sku),
+                name: candidate.name,
+                category: candidate.category,
+                price: this.round(candidate.price),
+                available: candidate.available,
+                covers_quantity: candidate.available >= quantity,
+                price_difference_percent: price ? this.round((candidate.price - price) / price * 100, 1) : null
+            }))
+            .sort((a, b) => (b.covers_quantity - a.covers_quantity)
+                || Math.abs(a.price_difference_percent || 0) - Math.abs(b.price_difference_percent || 0)
+                || b.available - a.available)
+            .slice(0, this.maxSuggestions);
+    }
+
+    // A catalog product from the PIM, or null when it is not there or the PIM is not configured
+    async getProduct(sku) {
+        if (!database.mysql.getPool()) {
+            return null;
+        }
+
+        const [products] = await database.mysql.execute(
+            'SELECT sku, title as name, description, depto as category, price FROM web_products WHERE sku = ? AND borrado = 0',
+            [String(sku)]
+        );
+
+        return products.length ? { ...products[0], sku: String(products[0].sku), price: parseFloat(products[0].price) || 0 } : null;
+    }
+
+    /**
+     * In-stock products of the same PIM area (depto) in the original's price band, ranked.
+     * Units already held by other quotes do not count as available.
+     */
+    async findSubstitutes(line, { excludeQuoteId = null, executor = this.db } = {}) {
+        try {
+            const original = await this.getProduct(line.product_id);
+            const category = original ? original.category : line.product_category;
+            const price = original ? original.price : parseFloat(line.list_price) || 0;
+
+            if (!category) {
+                return [];
+            }
+
+            const params = [category, String(line.product_id)];
+            let priceFilter = '';
+            if (price) {
+                priceFilter = 'AND wp.price BETWEEN ? AND ?';
+                params.push(price * (1 - this.priceBand), price * (1 + this.priceBand));
+            }
+
+            const [candidates] = await database.mysql.execute(`
+                SELECT wp.sku, wp.title as name, wp.depto as category, wp.price, SUM(wi.stock) as stock
+                FROM web_products wp
+                JOIN web_inventory wi ON wi.sku = wp.sku AND wi.stock > 0
+                WHERE wp.borrado = 0 AND wp.depto = ? AND wp.sku != ? ${priceFilter}
+                GROUP BY wp.sku, wp.title, wp.depto, wp.price
+                ORDER BY ABS(wp.price - ?)
+                LIMIT ${this.candidateLimit}
+            `, [...params, price]);
+
+            const held = await stockReservationService.getHeldQuantities(
+                executor, candidates.map(candidate => String(candidate.sku)), excludeQuoteId
+            );
+
+            return this.rankSubstitutes(
+                { sku: line.product_id, price },
+                candidates.map(candidate => ({
+                    ...candidate,
+                    price: parseFloat(candidate.price) || 0,
+                    available: stockReservationService.quantity(stockReservationService.quantity(candidate.stock) - (held.get(String(candidate.sku)) || 0))
+                })),
+                line.quantity
+            );
+        } catch (error) {
+            logger.warn('Substitute products unavailable', {
+                type: 'SUBSTITUTES_UNAVAILABLE',
+                productId: line.product_id,
+                error: error.message
+            });
+            return [];
+        }
+    }
+
+    /**
+     * Stock check of quote lines against PIM stock minus what other quotes hold, with ranked
+     * substitutes for each product that falls short. With a fulfilment `store` only that
+     * location's stock counts, and each shortage also lists nearby locations that have the
+     * product. `stock_checked` is false when the PIM inventory is not reachable.
+     */
+    async checkAvailability(items, { excludeQuoteId = null, executor = this.db, store = null } = {}) {
+        const lines = this.groupLines(items);
+        const skus = lines.map(line => line.product_id);
+        let shortages = null;
+
+        if (store) {
+            shortages = await stockLocationService.checkStore(lines, store, { excludeQuoteId, executor });
+        } else {
+            const onHand = await stockReservationService.getOnHand(skus);
+            if (onHand) {
+                const held = await stockReservationService.getHeldQuantities(executor, skus, excludeQuoteId);
+                shortages = stockReservationService.findShortages(lines, onHand, held);
+            }
+        }
+
+        if (!shortages) {
+            return { stock_checked: false, fulfilment_store: store, overall_available: null, shortages: [] };
+        }
+
+        for (const shortage of shortages) {
+            const line = lines.find(candidate => candidate.product_id === String(shortage.product_id));
+            shortage.item_ids = line.item_ids;
+            shortage.substitutes = await this.findSubstitutes(line, { excludeQuoteId, executor });
+        }
+
+        return { stock_checked: true, fulfilment_store: store, overall_available: !shortages.length, shortages };
+    }
+
+    // Checked against the quote's fulfilment store when it has one
+    async checkQuote(quoteId) {
+        const [quotes] = await this.db.execute('SELECT fulfilment_store FROM quotes WHERE id = ?', [quoteId]);
+        const [items] = await this.db.execute('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+        return this.checkAvailability(items, {
+            excludeQuoteId: quoteId,
+            store: quotes.length ? quotes[0].fulfilment_store : null
+        });
+    }
+
+    // The line with another product: quantity, notes and line discount stay, the list price is
+    // the substitute's catalog price in the quote currency
+    swapLine(line, product, exchangeRate = 1) {
+        const listPrice = this.round(product.price / (parseFloat(exchangeRate) || 1));
+
+        return {
+            ...line,
+            product_id: product.sku,
+            product_ean: product.sku,
+            product_name: product.name,
+            product_description: product.description || '',
+            product_category: product.category || null,
+            list_price: listPrice,
+            price: listPrice
+        };
+    }
+}
+
+module.exports = new ProductSubstituteService();
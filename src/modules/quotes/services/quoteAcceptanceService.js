@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const exportService = require('../../../shared/services/exportService');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+class QuoteAcceptanceService {
+    constructor() {
+        this.db = database.sqlite;
+        this.maxSignatureBytes = 200 * 1024;
+    }
+
+    sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    // Drawn signatures arrive from the portal canvas as a PNG data URL
+    parseSignatureImage(dataUrl) {
+        const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+        if (!match) {
+            return null;
+        }
+
+        const image = Buffer.from(match[1], 'base64');
+        if (!image.subarray(0, 8).equals(PNG_SIGNATURE) || image.length > this.maxSignatureBytes) {
+            return null;
+        }
+
+        return image;
+    }
+
+    validateSignature(data = {}) {
+        const errors = [];
+
+        if (data.signature_image && !this.parseSignatureImage(data.signature_image)) {
+            errors.push(`signature_image must be a PNG data URL of at most ${this.maxSignatureBytes / 1024} KB`);
+        }
+        if (data.signer_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.signer_email)) {
+            errors.push('signer_email must be a valid email address');
+        }
+
+        return errors;
+    }
+
+    // Capture the acceptance on the caller's transaction: render the quote with the acceptance page,
+    // store that exact document and its SHA-256 so the accepted version can be proven unchanged.
+    async recordAcceptance(executor, { quoteId, clientActionId, signer = {}, client = {} }) {
+        const [quotes] = await executor.execute(`
+            SELECT q.*, c.name as client_name, c.email, c.phone, c.company, c.address
+            FROM quotes q
+            LEFT JOIN clients c ON q.client_id = c.id
+            WHERE q.id = ?
+        `, [quoteId]);
+        const [items] = await executor.execute('SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id', [quoteId]);
+
+        const quote = quotes[0];
+        const acceptance = {
+            revision_number: quote.current_revision || null,
+            signer_name: signer.name || null,
+            signer_email: signer.email || null,
+            signer_ip: client.ip || null,
+            user_agent: client.userAgent || null,
+            signature_image: signer.signatureImage ? this.parseSignatureImage(signer.signatureImage) : null,
+            accepted_at: new Date().toISOString()
+        };
+
+        const document = await exportService.generateQuotePDF(quote, {
+            name: quote.client_name,
+            email: quote.email,
+            phone: quote.phone,
+            company: quote.company,
+            address: quote.address
+        }, items, { acceptance });
+        const documentSha256 = this.sha256(document);
+
+        const [result] = await executor.execute(`
+            INSERT INTO quote_acceptances (
+                quote_id, client_action_id, revision_number, signer_name, signer_email, signer_ip, user_agent,
+                signature_image, accepted_at, document, document_sha256
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quoteId,
+            clientActionId,
+            acceptance.revision_number,
+            acceptance.signer_name,
+            acceptance.signer_email,
+            acceptance.signer_ip,
+            acceptance.user_agent,
+            acceptance.signature_image,
+            acceptance.accepted_at,
+            document,
+            documentSha256
+        ]);
+
+        logger.info(`Acceptance recorded for quote ${quote.quote_number}`, {
+            type: 'QUOTE_ACCEPTANCE_RECORDED',
+            quoteId,
+            acceptanceId: result.insertId,
+            documentSha256,
+            signed: Boolean(acceptance.signature_image)
+        });
+
+        return { id: result.insertId, document_sha256: documentSha256 };
+    }
+
+    // Latest acceptance of a quote. The document itself is only loaded when asked for.
+    async getAcceptance(quoteId, { withDocument = false } = {}) {
+        const [acceptances] = await this.db.execute(`
+            SELECT qa.id, qa.quote_id, q.quote_number, q.status as quote_status, qa.client_action_id, qa.revision_number,
+                   qa.signer_name, qa.signer_email, qa.signer_ip, qa.user_agent,
+                   qa.signature_image IS NOT NULL as has_signature, qa.accepted_at, qa.document_sha256, qa.created_at
+                   ${withDocument ? ', qa.document' : ''}
+            FROM quote_acceptances qa
+            JOIN quotes q ON qa.quote_id = q.id
+            WHERE qa.quote_id = ?
+            ORDER BY qa.id DESC
+            LIMIT 1
+        `, [quoteId]);
+
+        if (!acceptances.length) {
+            return null;
+        }
+
+        return { ...acceptances[0], has_signature: Boolean(acceptances[0].has_signature) };
+    }
+
+    // Check that the stored document still matches its recorded hash and, when a copy is supplied
+    // (base64), that the copy is the accepted document
+    async verify(quoteId, documentBase64 = null) {
+        const acceptance = await this.getAcceptance(quoteId, { withDocument: true });
+
+        if (!acceptance) {
+            return null;
+        }
+
+        const storedSha256 = this.sha256(acceptance.document);
+        const result = {
+            acceptance_id: acceptance.id,
+            document_sha256: acceptance.document_sha256,
+            stored_document_intact: storedSha256 === acceptance.document_sha256
+        };
+
+        if (documentBase64) {
+            result.supplied_sha256 = this.sha256(Buffer.from(documentBase64, 'base64'));
+            result.supplied_document_matches = result.supplied_sha256 === acceptance.document_sha256;
+        }
+
+        return result;
+    }
+}
+
+module.exports = new QuoteAcceptanceService();
@@ -0,0 +1,252 @@
+const { database } = require('../../../shared/database');
+
+class QuoteAnalyticsService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // Funnel stages in order; a quote counts for every stage up to the furthest one it reached
+        this.funnelStages = ['draft', 'sent', 'viewed', 'accepted', 'converted'];
+        this.stageRank = {
+            draft: 0, pending_approval: 0, approved: 0,
+            sent: 1, viewed: 2, accepted: 3, converted: 4
+        };
+
+        // A sent quote that ends in one of these was lost; one that reached accepted was won
+        this.lostStatuses = ['rejected', 'expired', 'cancelled'];
+    }
+
+    // SQLite timestamps are UTC without a zone; ISO strings already carry one
+    parseTimestamp(value) {
+        const text = String(value);
+        return new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+    }
+
+    validateRange({ date_from, date_to } = {}) {
+        const errors = [];
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+        if (date_from && !isDate(date_from)) {
+            errors.push('date_from must be a date (YYYY-MM-DD)');
+        }
+        if (date_to && !isDate(date_to)) {
+            errors.push('date_to must be a date (YYYY-MM-DD)');
+        }
+        if (!errors.length && date_from && date_to && date_from > date_to) {
+            errors.push('date_from must not be after date_to');
+        }
+
+        return errors;
+    }
+
+    median(values) {
+        if (!values.length) {
+            return null;
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    round(value, decimals = 2) {
+        return value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+    }
+
+    rate(part, whole) {
+        return whole ? this.round((part / whole) * 100, 1) : null;
+    }
+
+    // Walk each quote's status changes once: furthest stage reached, outcome, and how long it sat in each status
+    summarizeQuote(quote, changes) {
+        let rank = this.stageRank[quote.status] ?? 0;
+        let enteredAt = this.parseTimestamp(quote.created_at);
+        let current = 'draft';
+        let lostChange = null;
+        let acceptedAt = null;
+        const durations = [];
+
+        for (const change of changes) {
+            // Events such as follow-ups are recorded without a status change
+            if (change.new_status === change.previous_status) {
+                continue;
+            }
+
+            const at = this.parseTimestamp(change.created_at);
+            durations.push({ status: current, hours: (at - enteredAt) / 3600000 });
+
+            rank = Math.max(rank, this.stageRank[change.new_status] ?? 0);
+            current = change.new_status;
+            enteredAt = at;
+
+            if (change.new_status === 'accepted' && !acceptedAt) {
+                acceptedAt = at;
+            }
+            if (this.lostStatuses.includes(change.new_status)) {
+                lostChange = change;
+            }
+        }
+
+        const won = rank >= this.stageRank.accepted;
+        const lost = !won && rank >= this.stageRank.sent && this.lostStatuses.includes(quote.status);
+
+        return {
+            rank,
+            won,
+            lost,
+            lostChange: lost ? lostChange : null,
+            durations,
+            cycleHours: acceptedAt ? (acceptedAt - this.parseTimestamp(quote.created_at)) / 3600000 : null
+        };
+    }
+
+    // Pipeline figures from quotes (with total_dop, salesperson and client) and their status history
+    buildPipeline(quotes, history) {
+        const changesByQuote = new Map();
+        for (const change of history) {
+            if (!changesByQuote.has(change.quote_id)) {
+                changesByQuote.set(change.quote_id, []);
+            }
+            changesByQuote.get(change.quote_id).push(change);
+        }
+
+        const stageCounts = this.funnelStages.map(() => 0);
+        const hoursByStatus = new Map();
+        const cycleHours = [];
+        const salespeople = new Map();
+        const clients = new Map();
+        const lostReasons = new Map();
+
+        const tally = (groups, key, fields, summary, value) => {
+            if (!groups.has(key)) {
+                groups.set(key, { ...fields, quotes: 0, sent: 0, won: 0, lost: 0, won_value: 0, lost_value: 0 });
+            }
+            const group = groups.get(key);
+            group.quotes++;
+            group.sent += summary.rank >= this.stageRank.sent ? 1 : 0;
+            if (summary.won) {
+                group.won++;
+                group.won_value += value;
+            }
+            if (summary.lost) {
+                group.lost++;
+                group.lost_value += value;
+            }
+        };
+
+        for (const quote of quotes) {
+            const summary = this.summarizeQuote(quote, changesByQuote.get(quote.id) || []);
+            const value = parseFloat(quote.total_dop) || 0;
+
+            this.funnelStages.forEach((stage, index) => {
+                if (summary.rank >= index) {
+                    stageCounts[index]++;
+                }
+            });
+
+            for (const { status, hours } of summary.durations) {
+                if (!hoursByStatus.has(status)) {
+                    hoursByStatus.set(status, []);
+                }
+                hoursByStatus.get(status).push(hours);
+            }
+            if (summary.cycleHours !== null) {
+                cycleHours.push(summary.cycleHours);
+            }
+
+            tally(salespeople, quote.created_by, { user_id: quote.created_by, name: quote.salesperson_name || null }, summary, value);
+            tally(clients, quote.client_id, { client_id: quote.client_id, name: quote.client_name || null }, summary, value);
+
+            if (summary.lost) {
+                const status = quote.status;
+                const reason = (summary.lostChange && summary.lostChange.change_reason) || 'unspecified';
+                const key = `${status}:${reason}`;
+                if (!lostReasons.has(key)) {
+                    lostReasons.set(key, { status, reason, count: 0, value: 0 });
+                }
+                lostReasons.get(key).count++;
+                lostReasons.get(key).value += value;
+            }
+        }
+
+        const withRates = group => ({
+            ...group,
+            won_value: this.round(group.won_value),
+            lost_value: this.round(group.lost_value),
+            win_rate: this.rate(group.won, group.won + group.lost)
+        });
+        const byWins = (a, b) => b.won - a.won || b.quotes - a.quotes;
+        const won = [...salespeople.values()].reduce((sum, group) => sum + group.won, 0);
+        const lost = [...salespeople.values()].reduce((sum, group) => sum + group.lost, 0);
+
+        return {
+            totals: {
+                quotes: quotes.length,
+                won,
+                lost,
+                open: quotes.length - won - lost,
+                win_rate: this.rate(won, won + lost),
+                median_cycle_hours: this.round(this.median(cycleHours))
+            },
+            funnel: this.funnelStages.map((stage, index) => ({
+                stage,
+                count: stageCounts[index],
+                rate_from_previous: index ? this.rate(stageCounts[index], stageCounts[index - 1]) : null,
+                rate_from_draft: this.rate(stageCounts[index], stageCounts[0])
+            })),
+            time_in_status: [...hoursByStatus.entries()].map(([status, hours]) => ({
+                status,
+                samples: hours.length,
+                median_hours: this.round(this.median(hours))
+            })),
+            salespeople: [...salespeople.values()].map(withRates).sort(byWins),
+            clients: [...clients.values()].map(withRates).sort(byWins),
+            lost_reasons: [...lostReasons.values()]
+                .map(reason => ({ ...reason, value: this.round(reason.value) }))
+                .sort((a, b) => b.count - a.count)
+        };
+    }
+
+    // Quotes created in the range (all of them without one), valued in DOP with their snapshotted rate
+    async getPipeline({ date_from, date_to, salesperson_id } = {}) {
+        const conditions = ['1=1'];
+        const params = [];
+
+        if (date_from) {
+            conditions.push('DATE(q.created_at) >= ?');
+            params.push(date_from);
+        }
+        if (date_to) {
+            conditions.push('DATE(q.created_at) <= ?');
+            params.push(date_to);
+        }
+        if (salesperson_id) {
+            conditions.push('q.created_by = ?');
+            params.push(salesperson_id);
+        }
+
+        const [quotes] = await this.db.execute(`
+            SELECT q.id, q.status, q.created_at, q.created_by, q.client_id,
+                   ROUND(q.total * COALESCE(q.exchange_rate, 1), 2) as total_dop,
+                   u.first_name || ' ' || u.last_name as salesperson_name, c.name as client_name
+            FROM quotes q
+            LEFT JOIN users u ON q.created_by = u.id
+            LEFT JOIN clients c ON q.client_id = c.id
+            WHERE ${conditions.join(' AND ')}
+        `, params);
+
+        const [history] = await this.db.execute(`
+            SELECT h.quote_id, h.previous_status, h.new_status, h.change_reason, h.created_at
+            FROM quote_status_history h
+            JOIN quotes q ON h.quote_id = q.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY h.quote_id, h.created_at, h.id
+        `, params);
+
+        return {
+            range: { date_from: date_from || null, date_to: date_to || null },
+            ...this.buildPipeline(quotes, history)
+        };
+    }
+}
+
+module.exports = new QuoteAnalyticsService();
@@ -0,0 +1,313 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const quoteStatusService = require('./quoteStatusService');
+
+class QuoteConversionService {
+    constructor() {
+        this.db = database.sqlite;
+        this.convertibleStatuses = ['accepted'];
+        this.ncfSequenceDigits = 8;
+    }
+
+    // B01 (crédito fiscal) when the client has an RNC, otherwise B02 (consumo final)
+    defaultNcfType(client) {
+        return client && client.rnc ? 'B01' : 'B02';
+    }
+
+    formatNcf(ncfType, sequence) {
+        return `${ncfType}${String(sequence).padStart(this.ncfSequenceDigits, '0')}`;
+    }
+
+    error(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // A range is valid through its valid_until date (YYYY-MM-DD)
+    isExpired(validUntil, now = new Date()) {
+        return Boolean(validUntil) && now.toISOString().slice(0, 10) > String(validUntil).slice(0, 10);
+    }
+
+    nextNcfValue(sequence) {
+        return Math.max(sequence.last_value + 1, sequence.range_start || 1);
+    }
+
+    // Take the next NCF of a type, refusing to issue outside the DGII-authorised range
+    async allocateNcf(executor, ncfType, now = new Date()) {
+        const [sequences] = await executor.execute(
+            'SELECT * FROM ncf_sequences WHERE ncf_type = ?',
+            [ncfType]
+        );
+
+        if (!sequences.length) {
+            throw this.error(`NCF type ${ncfType} is not configured`, 400);
+        }
+
+        const sequence = sequences[0];
+
+        if (!sequence.range_end || !sequence.valid_until) {
+            throw this.error(`No DGII-authorised range has been loaded for ${ncfType}`, 409);
+        }
+
+        const nextValue = this.nextNcfValue(sequence);
+
+        if (nextValue > sequence.range_end) {
+            throw this.error(`NCF range for ${ncfType} is exhausted`, 409);
+        }
+
+        if (this.isExpired(sequence.valid_until, now)) {
+            throw this.error(`NCF range for ${ncfType} expired on ${sequence.valid_until}`, 409);
+        }
+
+        await executor.execute(
+            'UPDATE ncf_sequences SET last_value = ?, updated_at = CURRENT_TIMESTAMP WHERE ncf_type = ?',
+            [nextValue, ncfType]
+        );
+
+        return this.formatNcf(ncfType, nextValue);
+    }
+
+    // NCF types with their authorised range, the next number and how many are left
+    async getNcfSequences() {
+        const [sequences] = await this.db.execute('SELECT * FROM ncf_sequences ORDER BY ncf_type');
+
+        return sequences.map(sequence => {
+            const configured = Boolean(sequence.range_end && sequence.valid_until);
+            const nextValue = this.nextNcfValue(sequence);
+
+            return {
+                ...sequence,
+                configured,
+                expired: this.isExpired(sequence.valid_until),
+                next_ncf: configured && nextValue <= sequence.range_end ? this.formatNcf(sequence.ncf_type, nextValue) : null,
+                remaining: configured ? Math.max(sequence.range_end - nextValue + 1, 0) : 0
+            };
+        });
+    }
+
+    validateNcfRange(data) {
+        const errors = [];
+        const maxValue = Math.pow(10, this.ncfSequenceDigits) - 1;
+        const rangeStart = Number(data.range_start);
+        const rangeEnd = Number(data.range_end);
+
+        if (!Number.isInteger(rangeStart) || rangeStart < 1 || rangeStart > maxValue) {
+            errors.push(`range_start must be a whole number from 1 to ${maxValue}`);
+        }
+        if (!Number.isInteger(rangeEnd) || rangeEnd > maxValue || (Number.isInteger(rangeStart) && rangeEnd < rangeStart)) {
+            errors.push(`range_end must be a whole number from range_start to ${maxValue}`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(data.valid_until || '') || isNaN(new Date(data.valid_until))) {
+            errors.push('valid_until must be a date (YYYY-MM-DD)');
+        }
+
+        return errors;
+    }
+
+    // Load the range DGII authorised for an NCF type. Numbers already issued cannot be handed
+    // out again, so a new range must start after them; re-saving the current range (e.g. to
+    // correct its expiry) is allowed.
+    async updateNcfRange(ncfType, data, userId) {
+        const rangeStart = Number(data.range_start);
+        const rangeEnd = Number(data.range_end);
+        const [sequences] = await this.db.execute('SELECT * FROM ncf_sequences WHERE ncf_type = ?', [ncfType]);
+
+        if (!sequences.length) {
+            return null;
+        }
+
+        const sequence = sequences[0];
+        if (rangeStart <= sequence.last_value && rangeStart !== sequence.range_start) {
+            throw this.error(`${ncfType} numbers up to ${this.formatNcf(ncfType, sequence.last_value)} were already issued; the new range must start after them`, 409);
+        }
+        if (rangeEnd <= sequence.last_value) {
+            throw this.error(`range_end must be above the last issued ${this.formatNcf(ncfType, sequence.last_value)}`, 409);
+        }
+
+        await this.db.execute(`
+            UPDATE ncf_sequences
+            SET range_start = ?, range_end = ?, valid_until = ?, description = COALESCE(?, description), updated_at = CURRENT_TIMESTAMP
+            WHERE ncf_type = ?
+        `, [rangeStart, rangeEnd, data.valid_until, data.description || null, ncfType]);
+
+        logger.info(`NCF range for ${ncfType} set to ${rangeStart}-${rangeEnd}, valid until ${data.valid_until}`, {
+            type: 'NCF_RANGE_UPDATED',
+            ncfType,
+            rangeStart,
+            rangeEnd,
+            validUntil: data.valid_until,
+            userId
+        });
+
+        const updated = await this.getNcfSequences();
+        return updated.find(row => row.ncf_type === ncfType);
+    }
+
+    // Create the order/invoice for a quote on the caller's transaction.
+    async createOrderFromQuote(executor, quote, userId, options = {}) {
+        const [existing] = await executor.execute(
+            'SELECT id FROM sales_orders WHERE quote_id = ?',
+            [quote.id]
+        );
+
+        if (existing.length) {
+            throw this.error('Quote has already been converted', 409);
+        }
+
+        const [clients] = await executor.execute('SELECT * FROM clients WHERE id = ?', [quote.client_id]);
+        const client = clients[0] || {};
+        const ncfType = options.ncfType || this.defaultNcfType(client);
+
+        if (ncfType === 'B01' && !client.rnc) {
+            throw this.error('Crédito fiscal (B01) invoices require a client RNC', 400);
+        }
+
+        const ncf = await this.allocateNcf(executor, ncfType);
+
+        const [orderResult] = await executor.execute(`
+            INSERT INTO sales_orders (
+                quote_id, client_id, client_name, client_rnc, ncf, ncf_type,
+                subtotal, discount_total, itbis, total, currency, exchange_rate, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quote.id,
+            quote.client_id,
+            client.company || client.name || null,
+            client.rnc || null,
+            ncf,
+            ncfType,
+            quote.subtotal,
+            quote.discount_total || 0,
+            quote.itbis,
+            quote.total,
+            quote.currency || 'DOP',
+            quote.exchange_rate || 1,
+            options.notes || quote.notes || null,
+            userId
+        ]);
+
+        const orderId = orderResult.insertId;
+
+        const [items] = await executor.execute(
+            'SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id',
+            [quote.id]
+        );
+
+        for (const item of items) {
+            await executor.execute(`
+                INSERT INTO sales_order_items (
+                    order_id, product_id, product_ean, product_name, product_description,
+                    quantity, price, itbis, total, tax_rule_name, tax_rate, list_price, discount_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                orderId,
+                item.product_id,
+                item.product_ean,
+                item.product_name,
+                item.product_description,
+                item.quantity,
+                item.price,
+                item.itbis,
+                item.total,
+                item.tax_rule_name,
+                item.tax_rate,
+                item.list_price,
+                (parseFloat(item.discount_amount) || 0) + (parseFloat(item.quote_discount_amount) || 0)
+            ]);
+        }
+
+        // Reserved and allocated stock is now committed to the order
+        const [finalized] = await executor.execute(`
+            UPDATE stock_reservations
+            SET status = 'finalized', order_id = ?, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE quote_id = ? AND status IN ('active', 'allocated')
+        `, [orderId, quote.id]);
+
+        logger.info(`Quote ${quote.id} converted to order ${orderId} with NCF ${ncf}`, {
+            type: 'QUOTE_CONVERTED',
+            quoteId: quote.id,
+            orderId,
+            ncf,
+            userId,
+            reservationsFinalized: finalized.affectedRows
+        });
+
+        return {
+            id: orderId,
+            quote_id: quote.id,
+            ncf,
+            ncf_type: ncfType,
+            total: quote.total,
+            currency: quote.currency || 'DOP',
+            items_count: items.length,
+            reservations_finalized: finalized.affectedRows
+        };
+    }
+
+    // Convert an accepted quote in its own transaction and mark it converted
+    async convertQuote(quoteId, userId, options = {}) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const [quotes] = await connection.execute('SELECT * FROM quotes WHERE id = ?', [quoteId]);
+
+            if (!quotes.length) {
+                throw this.error('Quote not found', 404);
+            }
+
+            const quote = quotes[0];
+
+            if (!this.convertibleStatuses.includes(quote.status)) {
+                throw this.error(`Only accepted quotes can be converted (current status: ${quote.status})`, 409);
+            }
+
+            const order = await this.createOrderFromQuote(connection, quote, userId, options);
+
+            await quoteStatusService.updateQuoteStatus(connection, quoteId, 'converted', userId, {
+                reason: 'converted_to_invoice',
+                metadata: { orderId: order.id, ncf: order.ncf }
+            });
+
+            await connection.commit();
+            return order;
+        } catch (error) {
+            await connection.rollback();
+            logger.error('Failed to convert quote', {
+                error: error.message,
+                quoteId,
+                userId,
+                type: 'QUOTE_CONVERSION_ERROR'
+            });
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Get an order with its items, by order id or by the quote it came from
+    async getOrder({ orderId, quoteId }) {
+        const [orders] = await this.db.execute(`
+            SELECT so.*, q.quote_number, c.email as client_email, c.phone as client_phone, c.address as client_address
+            FROM sales_orders so
+            JOIN quotes q ON so.quote_id = q.id
+            JOIN clients c ON so.client_id = c.id
+            WHERE ${orderId ? 'so.id = ?' : 'so.quote_id = ?'}
+        `, [orderId || quoteId]);
+
+        if (!orders.length) {
+            return null;
+        }
+
+        const order = orders[0];
+
+        const [items] = await this.db.execute(
+            'SELECT * FROM sales_order_items WHERE order_id = ? ORDER BY id',
+            [order.id]
+        );
+
+        return { ...order, items };
+    }
+}
+
+module.exports = new QuoteConversionService();
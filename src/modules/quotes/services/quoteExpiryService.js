@@ -0,0 +1,139 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const quoteStatusService = require('./quoteStatusService');
+const emailQueueService = require('./emailQueueService');
+
+class QuoteExpiryService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // Quotes still waiting on the client; anything else has already been decided or closed
+        this.expirableStatuses = ['sent', 'viewed'];
+    }
+
+    toDateString(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    // Quotes are valid through their valid_until date and expire the day after
+    async getExpiredQuotes(today) {
+        const [quotes] = await this.db.execute(`
+            SELECT q.id, q.quote_number, q.status, q.total, q.currency, q.valid_until, q.created_by,
+                   c.name as client_name
+            FROM quotes q
+            LEFT JOIN clients c ON q.client_id = c.id
+            WHERE q.status IN (${this.expirableStatuses.map(() => '?').join(', ')})
+              AND q.valid_until IS NOT NULL
+              AND DATE(q.valid_until) < ?
+            ORDER BY q.created_by, q.valid_until
+        `, [...this.expirableStatuses, today]);
+        return quotes;
+    }
+
+    // Expire one quote; the status change releases its stock holds on the same transaction
+    async expireQuote(quote) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const { stock } = await quoteStatusService.updateQuoteStatus(connection, quote.id, 'expired', null, {
+                reason: 'valid_until_passed',
+                metadata: { actor: 'system', job: 'quote_expiry', validUntil: quote.valid_until }
+            });
+
+            await connection.commit();
+            return stock.items_released;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Group expired quotes by the salesperson who owns them
+    groupByOwner(quotes) {
+        const owners = new Map();
+
+        for (const quote of quotes) {
+            if (!quote.created_by) {
+                continue;
+            }
+            if (!owners.has(quote.created_by)) {
+                owners.set(quote.created_by, []);
+            }
+            owners.get(quote.created_by).push(quote);
+        }
+
+        return owners;
+    }
+
+    // One email per salesperson listing the quotes that expired in this run
+    async queueDigests(expiredQuotes) {
+        let queued = 0;
+
+        for (const [userId, quotes] of this.groupByOwner(expiredQuotes)) {
+            const [users] = await this.db.execute(
+                'SELECT id, email, first_name, last_name FROM users WHERE id = ? AND active = 1',
+                [userId]
+            );
+
+            if (!users.length || !users[0].email) {
+                continue;
+            }
+
+            const user = users[0];
+            await emailQueueService.addToQueue({
+                type: 'template',
+                category: 'quote_expiry_digest',
+                template: 'quote_expiry_digest',
+                recipientEmail: user.email,
+                to: user.email,
+                senderUserId: null,
+                subject: `${quotes.length} cotización(es) vencida(s) hoy`,
+                data: {
+                    recipientName: `${user.first_name} ${user.last_name}`,
+                    quotes: quotes.map(quote => ({
+                        quoteNumber: quote.quote_number,
+                        clientName: quote.client_name,
+                        total: quote.total,
+                        currency: quote.currency,
+                        validUntil: quote.valid_until
+                    }))
+                }
+            });
+            queued++;
+        }
+
+        return queued;
+    }
+
+    // Expire every sent/viewed quote past its valid_until. Run daily by the scheduler.
+    async run(today = this.toDateString(new Date())) {
+        const summary = { checked: 0, expired: 0, reservations_released: 0, digests: 0, failed: 0 };
+        const expired = [];
+
+        for (const quote of await this.getExpiredQuotes(today)) {
+            summary.checked++;
+
+            try {
+                summary.reservations_released += await this.expireQuote(quote);
+                expired.push(quote);
+                summary.expired++;
+            } catch (error) {
+                summary.failed++;
+                logger.error(`Failed to expire quote ${quote.quote_number}`, {
+                    type: 'QUOTE_EXPIRY_ERROR',
+                    quoteId: quote.id,
+                    error: error.message
+                });
+            }
+        }
+
+        summary.digests = await this.queueDigests(expired);
+
+        logger.info('Quote expiry processed', { type: 'QUOTE_EXPIRY_RUN', ...summary });
+        return summary;
+    }
+}
+
+module.exports = new QuoteExpiryService();
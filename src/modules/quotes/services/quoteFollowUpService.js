@@ -0,0 +1,253 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const emailQueueService = require('./emailQueueService');
+const quoteStatusService = require('./quoteStatusService');
+const clientPortalService = require('./clientPortalService');
+
+class QuoteFollowUpService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.triggers = ['after_sent', 'before_expiry', 'on_expiry'];
+        this.templates = ['quote_follow_up', 'quote_reminder', 'quote_expired'];
+        this.defaultTemplates = {
+            after_sent: 'quote_follow_up',
+            before_expiry: 'quote_reminder',
+            on_expiry: 'quote_expired'
+        };
+
+        // Quotes still waiting on the client. On the expiry date the expiry job may already have run.
+        this.openStatuses = ['sent', 'viewed'];
+        this.expiryStatuses = ['sent', 'viewed', 'expired'];
+
+        // A step missed by a day or two (server down) still goes out; older ones are skipped
+        this.catchUpDays = 2;
+    }
+
+    toDateString(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    addDays(dateString, days) {
+        const date = new Date(`${String(dateString).slice(0, 10)}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.toDateString(date);
+    }
+
+    // Date a step falls due for a quote, or null when the quote has no anchor for it
+    dueDate(step, quote) {
+        if (step.trigger_type === 'after_sent') {
+            return quote.sent_at ? this.addDays(quote.sent_at, step.offset_days) : null;
+        }
+        if (!quote.valid_until) {
+            return null;
+        }
+        return this.addDays(quote.valid_until, step.trigger_type === 'before_expiry' ? -step.offset_days : 0);
+    }
+
+    // Steps due today for a quote, skipping the ones already queued for the same due date
+    dueSteps(quote, steps, sentKeys = new Set(), today = this.toDateString(new Date())) {
+        const oldest = this.addDays(today, -this.catchUpDays);
+
+        return steps
+            .filter(step => (step.trigger_type === 'on_expiry' ? this.expiryStatuses : this.openStatuses).includes(quote.status))
+            .map(step => ({ step, dueDate: this.dueDate(step, quote) }))
+            .filter(({ step, dueDate }) => dueDate && dueDate <= today && dueDate >= oldest
+                && !sentKeys.has(`${step.id}:${dueDate}`)
+                // A reminder before expiry is pointless once the quote has expired
+                && !(step.trigger_type !== 'on_expiry' && quote.valid_until && String(quote.valid_until).slice(0, 10) < today));
+    }
+
+    validateStep(data) {
+        const errors = [];
+
+        if (!data.name) {
+            errors.push('name is required');
+        }
+        if (!this.triggers.includes(data.trigger_type)) {
+            errors.push(`trigger_type must be one of: ${this.triggers.join(', ')}`);
+        }
+        const offset = parseInt(data.offset_days);
+        if (data.trigger_type !== 'on_expiry' && !(offset >= 0 && offset <= 365)) {
+            errors.push('offset_days must be between 0 and 365');
+        }
+        if (data.template && !this.templates.includes(data.template)) {
+            errors.push(`template must be one of: ${this.templates.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    async getSteps({ includeInactive = false } = {}) {
+        const [steps] = await this.db.execute(`
+            SELECT * FROM quote_followup_steps
+            ${includeInactive ? '' : 'WHERE active = 1'}
+            ORDER BY CASE trigger_type WHEN 'after_sent' THEN 0 WHEN 'before_expiry' THEN 1 ELSE 2 END,
+                     offset_days * CASE trigger_type WHEN 'before_expiry' THEN -1 ELSE 1 END, id
+        `);
+        return steps;
+    }
+
+    async saveStep(stepId, data, userId) {
+        const values = [
+            data.name,
+            data.trigger_type,
+            data.trigger_type === 'on_expiry' ? 0 : parseInt(data.offset_days),
+            data.template || this.defaultTemplates[data.trigger_type],
+            data.active === false ? 0 : 1,
+            userId
+        ];
+
+        if (stepId) {
+            const [result] = await this.db.execute(`
+                UPDATE quote_followup_steps
+                SET name = ?, trigger_type = ?, offset_days = ?, template = ?, active = ?, updated_by = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [...values, stepId]);
+            return result.affectedRows > 0 ? parseInt(stepId) : null;
+        }
+
+        const [result] = await this.db.execute(`
+            INSERT INTO quote_followup_steps (name, trigger_type, offset_days, template, active, updated_by, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [...values, userId]);
+        return result.insertId;
+    }
+
+    // Steps are deactivated rather than deleted so past follow-ups keep their step
+    async deactivateStep(stepId, userId) {
+        const [result] = await this.db.execute(
+            'UPDATE quote_followup_steps SET active = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId, stepId]
+        );
+        return result.affectedRows > 0;
+    }
+
+    // Open quotes with the date they were last sent (from the status history)
+    async getCandidateQuotes() {
+        const [quotes] = await this.db.execute(`
+            SELECT q.id, q.quote_number, q.status, q.total, q.currency, q.valid_until, q.created_by,
+                   c.name as client_name, c.email as client_email,
+                   u.first_name || ' ' || u.last_name as created_by_name, u.email as created_by_email,
+                   (SELECT MAX(h.created_at) FROM quote_status_history h
+                    WHERE h.quote_id = q.id AND h.new_status = 'sent' AND h.previous_status != 'sent') as sent_at
+            FROM quotes q
+            JOIN clients c ON q.client_id = c.id
+            LEFT JOIN users u ON q.created_by = u.id
+            WHERE q.status IN ('sent', 'viewed', 'expired')
+              AND c.email IS NOT NULL AND c.email != ''
+        `);
+        return quotes;
+    }
+
+    // Queue every follow-up that is due today. Run daily by the scheduler; safe to run more often.
+    async run(today = this.toDateString(new Date())) {
+        const steps = await this.getSteps();
+        const summary = { checked: 0, queued: 0, failed: 0 };
+
+        if (!steps.length) {
+            return summary;
+        }
+
+        for (const quote of await this.getCandidateQuotes()) {
+            summary.checked++;
+
+            const [sent] = await this.db.execute('SELECT step_id, due_date FROM quote_followups WHERE quote_id = ?', [quote.id]);
+            const sentKeys = new Set(sent.map(row => `${row.step_id}:${row.due_date}`));
+
+            for (const { step, dueDate } of this.dueSteps(quote, steps, sentKeys, today)) {
+                try {
+                    await this.queueFollowUp(quote, step, dueDate, today);
+                    summary.queued++;
+                } catch (error) {
+                    summary.failed++;
+                    logger.error(`Failed to queue follow-up for quote ${quote.quote_number}`, {
+                        type: 'QUOTE_FOLLOW_UP_ERROR',
+                        quoteId: quote.id,
+                        stepId: step.id,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        logger.info('Quote follow-ups processed', { type: 'QUOTE_FOLLOW_UP_RUN', ...summary });
+        return summary;
+    }
+
+    // Queue one follow-up and record it in the quote's status history, in one transaction
+    async queueFollowUp(quote, step, dueDate, today) {
+        const [links] = await this.db.execute(`
+            SELECT access_token FROM quote_client_actions
+            WHERE quote_id = ? AND action_type = 'access_granted' AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY id DESC LIMIT 1
+        `, [quote.id, new Date().toISOString()]);
+
+        const daysUntilExpiry = quote.valid_until
+            ? Math.round((new Date(`${String(quote.valid_until).slice(0, 10)}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000)
+            : null;
+        const subjects = {
+            quote_follow_up: `Seguimiento: Cotización #${quote.quote_number}`,
+            quote_reminder: `Recordatorio: Cotización #${quote.quote_number} ${daysUntilExpiry === 1 ? 'vence mañana' : `vence en ${daysUntilExpiry} días`}`,
+            quote_expired: `Su cotización #${quote.quote_number} vence hoy`
+        };
+
+        const emailData = {
+            type: 'template',
+            category: 'quote_follow_up',
+            template: step.template,
+            quoteId: quote.id,
+            recipientEmail: quote.client_email,
+            to: quote.client_email,
+            senderUserId: quote.created_by,
+            subject: subjects[step.template],
+            data: {
+                clientName: quote.client_name,
+                quoteNumber: quote.quote_number,
+                total: quote.total,
+                currency: quote.currency,
+                validUntil: quote.valid_until,
+                daysUntilExpiry,
+                viewLink: links.length ? clientPortalService.portalUrl(links[0].access_token) : null,
+                createdByName: quote.created_by_name || 'Plaza Lama',
+                createdByEmail: quote.created_by_email || process.env.EMAIL_FROM || 'no-reply@plazalama.com'
+            }
+        };
+
+        const connection = await this.db.getConnection();
+
+        try {
+            const queueId = await emailQueueService.addToQueue(emailData, 0, null, connection);
+
+            await connection.execute(`
+                INSERT INTO quote_followups (quote_id, step_id, due_date, email_queue_id, recipient_email)
+                VALUES (?, ?, ?, ?, ?)
+            `, [quote.id, step.id, dueDate, queueId, quote.client_email]);
+
+            await quoteStatusService.recordEvent(connection, quote.id, null, {
+                reason: 'follow_up_queued',
+                notes: `${step.name} → ${quote.client_email}`,
+                metadata: { stepId: step.id, template: step.template, emailQueueId: queueId, dueDate }
+            });
+
+            await connection.commit();
+
+            logger.info(`Follow-up queued for quote ${quote.quote_number}`, {
+                type: 'QUOTE_FOLLOW_UP_QUEUED',
+                quoteId: quote.id,
+                stepId: step.id,
+                emailQueueId: queueId
+            });
+
+            return queueId;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = new QuoteFollowUpService();
@@ -0,0 +1,168 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+
+class QuoteNumberingService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // Tokens: {YYYY}, {YY}, {STORE} and a zero run such as {00000} for the padded sequence
+        this.format = process.env.QUOTE_NUMBER_FORMAT || 'COT-{YYYY}-{00000}';
+        // 'yearly' restarts the sequence every January 1st, 'never' keeps counting
+        this.resetPolicy = process.env.QUOTE_NUMBER_RESET || 'yearly';
+        this.defaultStore = process.env.QUOTE_STORE_CODE || '';
+
+        // A bad format would only show up as a duplicate number when a quote is created, so refuse to start
+        const errors = this.validateConfig({ format: this.format, resetPolicy: this.resetPolicy, store: this.defaultStore });
+        if (errors.length) {
+            throw new Error(`Invalid quote numbering configuration: ${errors.join('; ')}`);
+        }
+    }
+
+    validateConfig({ format, resetPolicy, store }) {
+        const errors = [];
+        const tokens = format.match(/\{[^}]*\}/g) || [];
+        const counters = tokens.filter(token => /^\{0+\}$/.test(token));
+        const unknown = tokens.filter(token => !/^\{(0+|YYYY|YY|STORE)\}$/.test(token));
+
+        if (counters.length !== 1) {
+            errors.push('QUOTE_NUMBER_FORMAT needs exactly one counter token such as {00000}');
+        }
+        if (unknown.length) {
+            errors.push(`QUOTE_NUMBER_FORMAT has unknown tokens: ${unknown.join(', ')}`);
+        }
+        if (!['yearly', 'never'].includes(resetPolicy)) {
+            errors.push('QUOTE_NUMBER_RESET must be yearly or never');
+        } else if (resetPolicy === 'yearly' && !/\{(YYYY|YY)\}/.test(format)) {
+            // The counter restarts every year, so without the year numbers would repeat
+            errors.push('QUOTE_NUMBER_FORMAT needs {YYYY} or {YY} when QUOTE_NUMBER_RESET is yearly');
+        }
+        if (!/^[A-Za-z0-9]*$/.test(store)) {
+            errors.push('QUOTE_STORE_CODE may only contain letters and digits');
+        }
+
+        return errors;
+    }
+
+    formatNumber(sequence, { year, store = '' }, format = this.format) {
+        return format
+            .replace(/\{YYYY\}/g, String(year))
+            .replace(/\{YY\}/g, String(year).slice(-2))
+            .replace(/\{STORE\}/g, store)
+            .replace(/\{(0+)\}/g, (match, zeros) => String(sequence).padStart(zeros.length, '0'));
+    }
+
+    // Whether a quote number was produced by the given format
+    matchesFormat(quoteNumber, format = this.format) {
+        const escaped = format.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+        const pattern = escaped
+            .replace(/\{YYYY\}/g, '\\d{4}')
+            .replace(/\{YY\}/g, '\\d{2}')
+            .replace(/\{STORE\}/g, '[A-Z0-9]+')
+            .replace(/\{(0+)\}/g, (match, zeros) => `\\d{${zeros.length},}`);
+
+        return new RegExp(`^${pattern}$`).test(quoteNumber || '');
+    }
+
+    // Sequences are only kept per store when the store code is part of the number
+    sequenceStore(store) {
+        return this.format.includes('{STORE}') ? (store || this.defaultStore).toUpperCase() : '';
+    }
+
+    sequencePeriod(year) {
+        return this.resetPolicy === 'yearly' ? year : 0;
+    }
+
+    // Allocate the next number. Must run on the transaction that inserts the quote
+    // so the counter increment and the quote commit or roll back together.
+    async allocate(executor, { date = new Date(), store } = {}) {
+        const year = date.getFullYear();
+        const storeCode = this.sequenceStore(store);
+        const period = this.sequencePeriod(year);
+
+        await executor.execute(`
+            INSERT INTO quote_number_sequences (store_code, period, last_value, updated_at)
+            VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+            ON CONFLICT(store_code, period)
+            DO UPDATE SET last_value = last_value + 1, updated_at = CURRENT_TIMESTAMP
+        `, [storeCode, period]);
+
+        const [rows] = await executor.execute(
+            'SELECT last_value FROM quote_number_sequences WHERE store_code = ? AND period = ?',
+            [storeCode, period]
+        );
+
+        return this.formatNumber(rows[0].last_value, { year, store: storeCode });
+    }
+
+    // Current configuration plus a preview of the next number, without allocating it
+    async getSettings(store) {
+        const now = new Date();
+        const year = now.getFullYear();
+        const storeCode = this.sequenceStore(store);
+
+        const [rows] = await this.db.execute(
+            'SELECT last_value FROM quote_number_sequences WHERE store_code = ? AND period = ?',
+            [storeCode, this.sequencePeriod(year)]
+        );
+        const lastValue = rows.length ? rows[0].last_value : 0;
+
+        return {
+            format: this.format,
+            reset_policy: this.resetPolicy,
+            store_code: storeCode,
+            last_value: lastValue,
+            next_number: this.formatNumber(lastValue + 1, { year, store: storeCode })
+        };
+    }
+
+    // Renumber quotes created under an older scheme. The previous number is kept in
+    // legacy_quote_number so it stays searchable. With dryRun the changes are rolled back.
+    async migrateLegacyNumbers({ dryRun = true, store } = {}) {
+        const connection = await this.db.getConnection();
+
+        try {
+            const [quotes] = await connection.execute(
+                'SELECT id, quote_number, created_at FROM quotes ORDER BY created_at, id'
+            );
+
+            const renumbered = [];
+
+            for (const quote of quotes) {
+                if (this.matchesFormat(quote.quote_number)) {
+                    continue;
+                }
+
+                const createdAt = quote.created_at ? new Date(`${quote.created_at.replace(' ', 'T')}Z`) : new Date();
+                const newNumber = await this.allocate(connection, { date: createdAt, store });
+
+                await connection.execute(
+                    'UPDATE quotes SET legacy_quote_number = quote_number, quote_number = ? WHERE id = ?',
+                    [newNumber, quote.id]
+                );
+
+                renumbered.push({ id: quote.id, legacy_quote_number: quote.quote_number, quote_number: newNumber });
+            }
+
+            if (dryRun) {
+                await connection.rollback();
+            } else {
+                await connection.commit();
+
+                logger.info(`Renumbered ${renumbered.length} legacy quotes`, {
+                    type: 'QUOTE_NUMBERS_MIGRATED',
+                    count: renumbered.length,
+                    format: this.format
+                });
+            }
+
+            return { dry_run: dryRun, renumbered };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
+
+module.exports = new QuoteNumberingService();
@@ -0,0 +1,276 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+
+class QuoteRevisionService {
+    constructor() {
+        this.db = database.sqlite;
+        this.trackedItemFields = ['quantity', 'price', 'discount_amount', 'itbis', 'total'];
+        this.trackedTotalFields = ['subtotal', 'discount_total', 'itbis', 'total'];
+    }
+
+    // Human readable revision label, e.g. "Q-1234 rev 3"
+    formatRevisionLabel(quoteNumber, revisionNumber) {
+        return `${quoteNumber} rev ${revisionNumber}`;
+    }
+
+    // Snapshot the quote header and items as its next revision.
+    // `executor` may be an open transaction so the snapshot commits with the edit.
+    async createRevision(executor, quoteId, userId, changeSummary = null) {
+        const [quotes] = await executor.execute('SELECT * FROM quotes WHERE id = ?', [quoteId]);
+
+        if (!quotes.length) {
+            throw new Error('Quote not found');
+        }
+
+        const quote = quotes[0];
+
+        const [latest] = await executor.execute(
+            'SELECT MAX(revision_number) as last_revision FROM quote_revisions WHERE quote_id = ?',
+            [quoteId]
+        );
+        const revisionNumber = (latest[0].last_revision || 0) + 1;
+
+        const [revisionResult] = await executor.execute(`
+            INSERT INTO quote_revisions (
+                quote_id, revision_number, subtotal, itbis, total, discount_total, notes, valid_until,
+                change_summary, created_by, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+            quoteId,
+            revisionNumber,
+            quote.subtotal,
+            quote.itbis,
+            quote.total,
+            quote.discount_total || 0,
+            quote.notes,
+            quote.valid_until,
+            changeSummary,
+            userId
+        ]);
+
+        const revisionId = revisionResult.insertId;
+
+        const [items] = await executor.execute(
+            'SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id',
+            [quoteId]
+        );
+
+        for (const item of items) {
+            await executor.execute(`
+                INSERT INTO quote_revision_items (
+                    revision_id, product_id, product_ean, product_name, product_description,
+                    quantity, price, itbis, total, tax_rule_id, tax_rule_name, tax_rate, price_includes_tax,
+                    list_price, discount_amount, quote_discount_amount, notes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                revisionId,
+                item.product_id,
+                item.product_ean,
+                item.product_name,
+                item.product_description,
+                item.quantity,
+                item.price,
+                item.itbis,
+                item.total,
+                item.tax_rule_id,
+                item.tax_rule_name,
+                item.tax_rate,
+                item.price_includes_tax,
+                item.list_price,
+                item.discount_amount || 0,
+                item.quote_discount_amount || 0,
+                item.notes || null
+            ]);
+        }
+
+        await executor.execute(
+            'UPDATE quotes SET current_revision = ? WHERE id = ?',
+            [revisionNumber, quoteId]
+        );
+
+        logger.info(`Revision ${revisionNumber} created for quote ${quoteId}`, {
+            type: 'QUOTE_REVISION_CREATED',
+            quoteId,
+            revisionNumber,
+            userId,
+            itemCount: items.length
+        });
+
+        return {
+            id: revisionId,
+            revision_number: revisionNumber,
+            label: this.formatRevisionLabel(quote.quote_number, revisionNumber)
+        };
+    }
+
+    // Quotes created before revisions existed get their untouched state as rev 1
+    async ensureBaselineRevision(executor, quoteId, userId) {
+        const [existing] = await executor.execute(
+            'SELECT COUNT(*) as count FROM quote_revisions WHERE quote_id = ?',
+            [quoteId]
+        );
+
+        if (existing[0].count === 0) {
+            await this.createRevision(executor, quoteId, userId, 'Initial version');
+        }
+    }
+
+    // List revisions of a quote, newest first
+    async getRevisions(quoteId) {
+        const [revisions] = await this.db.execute(`
+            SELECT
+                qr.*,
+                q.quote_number,
+                u.first_name as creator_first_name,
+                u.last_name as creator_last_name,
+                (SELECT COUNT(*) FROM quote_revision_items qri WHERE qri.revision_id = qr.id) as item_count
+            FROM quote_revisions qr
+            JOIN quotes q ON qr.quote_id = q.id
+            LEFT JOIN users u ON qr.created_by = u.id
+            WHERE qr.quote_id = ?
+            ORDER BY qr.revision_number DESC
+        `, [quoteId]);
+
+        return revisions.map(revision => ({
+            ...revision,
+            label: this.formatRevisionLabel(revision.quote_number, revision.revision_number)
+        }));
+    }
+
+    // Get a single revision with its items
+    async getRevision(quoteId, revisionNumber) {
+        const [revisions] = await this.db.execute(`
+            SELECT qr.*, q.quote_number, q.client_id, q.currency, q.exchange_rate
+            FROM quote_revisions qr
+            JOIN quotes q ON qr.quote_id = q.id
+            WHERE qr.quote_id = ? AND qr.revision_number = ?
+        `, [quoteId, revisionNumber]);
+
+        if (!revisions.length) {
+            return null;
+        }
+
+        const revision = revisions[0];
+
+        const [items] = await this.db.execute(
+            'SELECT * FROM quote_revision_items WHERE revision_id = ? ORDER BY id',
+            [revision.id]
+        );
+
+        return {
+            ...revision,
+            label: this.formatRevisionLabel(revision.quote_number, revision.revision_number),
+            items
+        };
+    }
+
+    // Compare two revisions of the same quote
+    async diffRevisions(quoteId, fromNumber, toNumber) {
+        const [fromRevision, toRevision] = await Promise.all([
+            this.getRevision(quoteId, fromNumber),
+            this.getRevision(quoteId, toNumber)
+        ]);
+
+        if (!fromRevision || !toRevision) {
+            return null;
+        }
+
+        const totals = {};
+        this.trackedTotalFields.forEach(field => {
+            totals[field] = this.compareValues(fromRevision[field], toRevision[field]);
+        });
+
+        return {
+            quote_id: parseInt(quoteId),
+            from: { revision_number: fromRevision.revision_number, label: fromRevision.label, created_at: fromRevision.created_at },
+            to: { revision_number: toRevision.revision_number, label: toRevision.label, created_at: toRevision.created_at },
+            totals,
+            items: this.compareItems(fromRevision.items, toRevision.items)
+        };
+    }
+
+    // Line-level diff: added, removed and changed lines with per-field deltas
+    compareItems(fromItems, toItems) {
+        const fromLines = this.keyItems(fromItems);
+        const toLines = this.keyItems(toItems);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchangedCount = 0;
+
+        for (const [key, item] of toLines) {
+            const previous = fromLines.get(key);
+
+            if (!previous) {
+                added.push(this.describeItem(item));
+                continue;
+            }
+
+            const changes = {};
+            this.trackedItemFields.forEach(field => {
+                const comparison = this.compareValues(previous[field], item[field]);
+                if (comparison.delta !== 0) {
+                    changes[field] = comparison;
+                }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                changed.push({ ...this.describeItem(item), changes });
+            } else {
+                unchangedCount++;
+            }
+        }
+
+        for (const [key, item] of fromLines) {
+            if (!toLines.has(key)) {
+                removed.push(this.describeItem(item));
+            }
+        }
+
+        return {
+            added,
+            removed,
+            changed,
+            unchanged_count: unchangedCount
+        };
+    }
+
+    // Key items by product, numbering repeats so duplicate lines still pair up
+    keyItems(items = []) {
+        const keyed = new Map();
+        const occurrences = {};
+
+        items.forEach(item => {
+            const productKey = String(item.product_id || item.product_ean || item.product_name);
+            occurrences[productKey] = (occurrences[productKey] || 0) + 1;
+            keyed.set(`${productKey}#${occurrences[productKey]}`, item);
+        });
+
+        return keyed;
+    }
+
+    describeItem(item) {
+        return {
+            product_id: item.product_id,
+            product_ean: item.product_ean,
+            product_name: item.product_name,
+            quantity: parseFloat(item.quantity) || 0,
+            price: parseFloat(item.price) || 0,
+            total: parseFloat(item.total) || 0
+        };
+    }
+
+    compareValues(fromValue, toValue) {
+        const from = parseFloat(fromValue) || 0;
+        const to = parseFloat(toValue) || 0;
+
+        return {
+            from,
+            to,
+            delta: Math.round((to - from) * 1000) / 1000
+        };
+    }
+}
+
+module.exports = new QuoteRevisionService();
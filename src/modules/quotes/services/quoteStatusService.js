@@ -0,0 +1,133 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const stockReservationService = require('./stockReservationService');
+
+class QuoteStatusService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.statusTransitions = {
+            'draft': ['pending_approval', 'sent', 'cancelled'],
+            'pending_approval': ['approved', 'rejected', 'cancelled'],
+            'approved': ['sent', 'cancelled'],
+            'sent': ['viewed', 'expired', 'cancelled'],
+            'viewed': ['accepted', 'rejected', 'expired'],
+            'accepted': ['converted', 'expired'],
+            'rejected': ['pending_approval', 'sent', 'expired'],
+            'expired': ['sent'],
+            'converted': [],
+            'cancelled': []
+        };
+
+        this.validStatuses = Object.keys(this.statusTransitions);
+
+        // Once the client has decided (or the quote is closed) no more follow-ups go out
+        this.followUpStopStatuses = ['accepted', 'rejected', 'converted', 'cancelled'];
+    }
+
+    isValidStatusTransition(currentStatus, newStatus) {
+        if (!this.validStatuses.includes(newStatus)) {
+            return false;
+        }
+
+        return this.statusTransitions[currentStatus]?.includes(newStatus) || false;
+    }
+
+    // Move a quote to a new status and record it in the history, pinned to the revision in effect.
+    // Runs on the caller's executor so it commits together with whatever triggered the change.
+    async updateQuoteStatus(executor, quoteId, newStatus, userId, { reason = null, notes = null, metadata = {} } = {}) {
+        const [quotes] = await executor.execute('SELECT id, status, current_revision FROM quotes WHERE id = ?', [quoteId]);
+
+        if (!quotes.length) {
+            const error = new Error('Quote not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const quote = quotes[0];
+        const previousStatus = quote.status;
+
+        if (!this.isValidStatusTransition(previousStatus, newStatus)) {
+            const error = new Error(`Invalid status transition from ${previousStatus} to ${newStatus}`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        await executor.execute(
+            'UPDATE quotes SET status = ?, updated_at = CURRENT_TIMESTAMP, updated_by = ? WHERE id = ?',
+            [newStatus, userId, quoteId]
+        );
+
+        await this.insertHistory(executor, quote, newStatus, userId, { reason, notes, metadata });
+
+        if (this.followUpStopStatuses.includes(newStatus)) {
+            await executor.execute(`
+                UPDATE email_queue SET status = 'cancelled', updated_at = datetime('now')
+                WHERE quote_id = ? AND category = 'quote_follow_up' AND status = 'pending'
+            `, [quoteId]);
+        }
+
+        // Stock holds follow the quote: extended when sent, allocated on acceptance, released when it closes
+        const stock = await stockReservationService.applyStatus(executor, quoteId, newStatus);
+
+        logger.info(`Quote ${quoteId} status changed from ${previousStatus} to ${newStatus}`, {
+            type: 'QUOTE_STATUS_CHANGE',
+            quoteId,
+            previousStatus,
+            newStatus,
+            userId,
+            reason
+        });
+
+        return { status: newStatus, previousStatus, stock };
+    }
+
+    // Record something that happened to a quote without changing its status (e.g. a follow-up email)
+    async recordEvent(executor, quoteId, userId, { reason, notes = null, metadata = {} }) {
+        const [quotes] = await executor.execute('SELECT id, status, current_revision FROM quotes WHERE id = ?', [quoteId]);
+
+        if (!quotes.length) {
+            throw new Error('Quote not found');
+        }
+
+        await this.insertHistory(executor, quotes[0], quotes[0].status, userId, { reason, notes, metadata });
+    }
+
+    async insertHistory(executor, quote, newStatus, userId, { reason, notes, metadata }) {
+        await executor.execute(`
+            INSERT INTO quote_status_history (
+                quote_id, previous_status, new_status, changed_by, change_reason, notes, metadata
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            quote.id,
+            quote.status,
+            newStatus,
+            userId,
+            reason,
+            notes,
+            JSON.stringify({ ...metadata, revision: quote.current_revision || null })
+        ]);
+    }
+
+    async getStatusHistory(quoteId) {
+        const [history] = await this.db.execute(`
+            SELECT qsh.*, u.username as changed_by_name
+            FROM quote_status_history qsh
+            LEFT JOIN users u ON qsh.changed_by = u.id
+            WHERE qsh.quote_id = ?
+            ORDER BY qsh.created_at, qsh.id
+        `, [quoteId]);
+
+        return history.map(entry => {
+            const metadata = entry.metadata ? JSON.parse(entry.metadata) : {};
+            return {
+                ...entry,
+                metadata,
+                // Changes without a user come from the client portal or from scheduled jobs
+                actor: entry.changed_by ? 'user' : metadata.clientAction ? 'client' : 'system'
+            };
+        });
+    }
+}
+
+module.exports = new QuoteStatusService();
@@ -0,0 +1,200 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const pricingService = require('./pricingService');
+
+class QuoteTemplateService {
+    constructor() {
+        this.db = database.sqlite;
+    }
+
+    async getTemplates({ includeInactive = false } = {}) {
+        const [templates] = await this.db.execute(`
+            SELECT qt.*, (SELECT COUNT(*) FROM quote_template_items qti WHERE qti.template_id = qt.id) as item_count
+            FROM quote_templates qt
+            ${includeInactive ? '' : 'WHERE qt.active = 1'}
+            ORDER BY qt.name
+        `);
+        return templates;
+    }
+
+    // Template with its lines. With refreshPrices each line gets `current_price` from the catalog,
+    // which is what a new quote built from the template will be priced at.
+    async getTemplate(templateId, { refreshPrices = false } = {}) {
+        const [templates] = await this.db.execute('SELECT * FROM quote_templates WHERE id = ?', [templateId]);
+
+        if (!templates.length) {
+            return null;
+        }
+
+        const [items] = await this.db.execute(
+            'SELECT * FROM quote_template_items WHERE template_id = ? ORDER BY sort_order, id',
+            [templateId]
+        );
+
+        const template = { ...templates[0], items };
+
+        if (refreshPrices) {
+            const { lines } = await pricingService.refreshListPrices(items.map(item => ({ ...item, list_price: item.price })));
+            template.items = lines.map(({ list_price, ...item }) => ({ ...item, current_price: list_price }));
+        }
+
+        template.valid_until = this.validUntil(template.validity_days);
+        return template;
+    }
+
+    validUntil(validityDays, from = new Date()) {
+        const days = parseInt(validityDays);
+        if (!days || days < 1) {
+            return null;
+        }
+
+        const date = new Date(from);
+        date.setDate(date.getDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    // On update the lines may be left out, in which case the current ones are kept
+    validateTemplate(data, { requireItems = true } = {}) {
+        const errors = [];
+
+        if (!data.name) {
+            errors.push('name is required');
+        }
+        if (data.validity_days !== undefined && data.validity_days !== null && !(parseInt(data.validity_days) > 0)) {
+            errors.push('validity_days must be a positive number of days');
+        }
+        if (!data.source_quote_id && (requireItems || data.items !== undefined)) {
+            if (!Array.isArray(data.items) || !data.items.length) {
+                errors.push('items or source_quote_id is required');
+            } else {
+                data.items.forEach((item, index) => {
+                    if (!item.product_name) {
+                        errors.push(`Item ${index + 1}: product_name is required`);
+                    }
+                    if (!(parseFloat(item.quantity) > 0)) {
+                        errors.push(`Item ${index + 1}: quantity must be greater than 0`);
+                    }
+                });
+                errors.push(...pricingService.validateQuoteDiscounts(data.items));
+            }
+        }
+
+        return errors;
+    }
+
+    // Create or update a template. Lines come from `items` or are copied from `source_quote_id`.
+    async saveTemplate(templateId, data, userId) {
+        const connection = await this.db.getConnection();
+
+        try {
+            let items = data.items;
+
+            if (data.source_quote_id) {
+                [items] = await connection.execute(
+                    'SELECT * FROM quote_items WHERE quote_id = ? ORDER BY id',
+                    [data.source_quote_id]
+                );
+
+                if (!items.length) {
+                    throw new Error('Source quote not found or has no items');
+                }
+
+                // Keep the catalog price, not the client-specific net price of the quote
+                items = items.map(({ id, ...item }) => ({ ...item, price: item.list_price ?? item.price }));
+            }
+
+            const values = [
+                data.name,
+                data.description || null,
+                data.notes || null,
+                data.validity_days ? parseInt(data.validity_days) : null,
+                data.active === false ? 0 : 1,
+                userId
+            ];
+
+            if (templateId) {
+                const [result] = await connection.execute(`
+                    UPDATE quote_templates
+                    SET name = ?, description = ?, notes = ?, validity_days = ?, active = ?, updated_by = ?,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `, [...values, templateId]);
+
+                if (!result.affectedRows) {
+                    await connection.rollback();
+                    return null;
+                }
+            } else {
+                const [result] = await connection.execute(`
+                    INSERT INTO quote_templates (name, description, notes, validity_days, active, updated_by, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `, [...values, userId]);
+                templateId = result.insertId;
+            }
+
+            if (items) {
+                await connection.execute('DELETE FROM quote_template_items WHERE template_id = ?', [templateId]);
+                await this.insertItems(connection, templateId, items);
+            }
+
+            await connection.commit();
+
+            logger.info(`Quote template saved: ${data.name}`, {
+                type: 'QUOTE_TEMPLATE_SAVED',
+                templateId,
+                sourceQuoteId: data.source_quote_id || null,
+                userId
+            });
+
+            return templateId;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async insertItems(executor, templateId, items) {
+        for (const [index, item] of items.entries()) {
+            await executor.execute(`
+                INSERT INTO quote_template_items (
+                    template_id, product_id, product_ean, product_name, product_description, product_category,
+                    quantity, price, discount_type, discount_value, sort_order
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                templateId,
+                item.product_id || item.id || null,
+                item.product_ean || item.ean || null,
+                item.product_name || item.name,
+                item.product_description || item.description || null,
+                item.product_category || item.category || null,
+                parseFloat(item.quantity) || 1,
+                parseFloat(item.price) || 0,
+                item.discount_type || null,
+                item.discount_type ? parseFloat(item.discount_value) || 0 : null,
+                index
+            ]);
+        }
+    }
+
+    // Templates are deactivated rather than deleted so quotes keep a valid template_id
+    async deactivateTemplate(templateId, userId) {
+        const [result] = await this.db.execute(
+            'UPDATE quote_templates SET active = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId, templateId]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`Quote template deactivated: ${templateId}`, {
+                type: 'QUOTE_TEMPLATE_DEACTIVATED',
+                templateId,
+                userId
+            });
+        }
+
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = new QuoteTemplateService();
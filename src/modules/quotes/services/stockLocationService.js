@@ -0,0 +1,379 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const stockReservationService = require('./stockReservationService');
+
+/**
+ * Stock per store and distribution centre. Units come from the PIM inventory, one row per SKU
+ * and location (web_inventory.pl); stock_locations names those locations and places them so
+ * nearby ones can be offered when the fulfilment store of a quote falls short.
+ */
+class StockLocationService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.types = ['store', 'dc'];
+        this.lowStockThreshold = 10;
+        this.maxAlternatives = 5;
+        this.lowStockLimit = 1000;
+    }
+
+    // Location administration
+
+    async getLocations({ includeInactive = false } = {}, executor = this.db) {
+        const [locations] = await executor.execute(
+            `SELECT * FROM stock_locations ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY type DESC, name`
+        );
+        return locations;
+    }
+
+    async getLocation(code, executor = this.db) {
+        const [locations] = await executor.execute('SELECT * FROM stock_locations WHERE code = ?', [String(code)]);
+        return locations[0] || null;
+    }
+
+    validateLocation(location, { isNew = true } = {}) {
+        const errors = [];
+        const coordinate = (value, limit) => value === undefined || value === null || value === ''
+            || (!isNaN(parseFloat(value)) && Math.abs(parseFloat(value)) <= limit);
+
+        if (isNew && !location.code) {
+            errors.push('code is required');
+        }
+        if (!location.name) {
+            errors.push('name is required');
+        }
+        if (location.type && !this.types.includes(location.type)) {
+            errors.push(`type must be one of: ${this.types.join(', ')}`);
+        }
+        if (!coordinate(location.latitude, 90)) {
+            errors.push('latitude must be between -90 and 90');
+        }
+        if (!coordinate(location.longitude, 180)) {
+            errors.push('longitude must be between -180 and 180');
+        }
+
+        return errors;
+    }
+
+    coordinate(value) {
+        return value === undefined || value === null || value === '' ? null : parseFloat(value);
+    }
+
+    async createLocation(location, userId) {
+        const code = String(location.code).trim();
+
+        await this.db.execute(`
+            INSERT INTO stock_locations (code, name, type, zone, latitude, longitude, active, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            code,
+            location.name,
+            location.type || 'store',
+            location.zone || null,
+            this.coordinate(location.latitude),
+            this.coordinate(location.longitude),
+            location.active === false ? 0 : 1,
+            userId
+        ]);
+
+        logger.info(`Stock location created: ${code}`, {
+            type: 'STOCK_LOCATION_CREATED',
+            code,
+            locationType: location.type || 'store',
+            userId
+        });
+
+        return code;
+    }
+
+    async updateLocation(code, location, userId) {
+        const [result] = await this.db.execute(`
+            UPDATE stock_locations
+            SET name = ?, type = ?, zone = ?, latitude = ?, longitude = ?, active = ?,
+                updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE code = ?
+        `, [
+            location.name,
+            location.type || 'store',
+            location.zone || null,
+            this.coordinate(location.latitude),
+            this.coordinate(location.longitude),
+            location.active === false ? 0 : 1,
+            userId,
+            String(code)
+        ]);
+
+        if (result.affectedRows > 0) {
+            logger.info(`Stock location updated: ${code}`, {
+                type: 'STOCK_LOCATION_UPDATED',
+                code,
+                userId
+            });
+        }
+
+        return result.affectedRows > 0;
+    }
+
+    // The fulfilment store of a quote must be an active location; none given means no store
+    async assertFulfilmentStore(code, executor = this.db) {
+        if (code === undefined || code === null || code === '') {
+            return null;
+        }
+
+        const location = await this.getLocation(code, executor);
+        if (!location || !location.active) {
+            const error = new Error(`Unknown or inactive fulfilment store: ${code}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        return location.code;
+    }
+
+    // Stock per location
+
+    /**
+     * Units per SKU and location from the PIM inventory as Map(sku => Map(location => units)),
+     * or null when it is not configured or cannot be reached
+     */
+    async getStockByLocation(skus) {
+        if (!database.mysql.getPool() || !skus.length) {
+            return null;
+        }
+
+        try {
+            const [rows] = await database.mysql.execute(
+                `SELECT sku, pl, SUM(stock) as stock FROM web_inventory WHERE sku IN (${skus.map(() => '?').join(', ')}) AND stock > 0 GROUP BY sku, pl`,
+                skus
+            );
+            const stock = new Map(skus.map(sku => [String(sku), new Map()]));
+            rows.forEach(row => stock.get(String(row.sku)).set(String(row.pl), stockReservationService.quantity(row.stock)));
+            return stock;
+        } catch (error) {
+            logger.warn('Stock per location unavailable', {
+                type: 'STOCK_LEVELS_UNAVAILABLE',
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    // Units per SKU and location held by quotes with that fulfilment store, leaving out one quote
+    async getHeldByLocation(executor, skus, excludeQuoteId = null) {
+        const held = new Map(skus.map(sku => [String(sku), new Map()]));
+        if (!skus.length) {
+            return held;
+        }
+
+        const [rows] = await executor.execute(`
+            SELECT sr.product_id, q.fulfilment_store, SUM(sr.reserved_quantity) as held
+            FROM stock_reservations sr
+            JOIN quotes q ON sr.quote_id = q.id
+            WHERE sr.product_id IN (${skus.map(() => '?').join(', ')}) AND sr.quote_id != ?
+              AND q.fulfilment_store IS NOT NULL AND ${stockReservationService.holdingSql}
+            GROUP BY sr.product_id, q.fulfilment_store
+        `, [...skus, excludeQuoteId || 0]);
+
+        rows.forEach(row => held.get(String(row.product_id)).set(String(row.fulfilment_store), stockReservationService.quantity(row.held)));
+        return held;
+    }
+
+    // Straight-line distance in km, or null when either location has no coordinates
+    distanceKm(from, to) {
+        const coordinates = [from.latitude, from.longitude, to.latitude, to.longitude].map(value => this.coordinate(value));
+        if (coordinates.some(value => value === null || isNaN(value))) {
+            return null;
+        }
+
+        const [lat1, lon1, lat2, lon2] = coordinates.map(value => value * Math.PI / 180);
+        const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lon2 - lon1) / 2) ** 2;
+        return Math.round(2 * 6371 * Math.asin(Math.sqrt(a)) * 10) / 10;
+    }
+
+    /**
+     * Other locations with units of a product available, for a store that falls short: those
+     * with enough for the whole quantity first, then the nearest (by distance when both have
+     * coordinates, otherwise the same zone first). Inactive locations are not offered.
+     */
+    findAlternatives(origin, locations, available, quantity) {
+        const known = new Map(locations.map(location => [String(location.code), location]));
+
+        return [...available.entries()]
+            .filter(([code, units]) => code !== String(origin.code) && units > 0)
+            .map(([code, units]) => ({ location: known.get(code) || { code, name: code, type: null, zone: null, active: 1 }, units }))
+            .filter(({ location }) => location.active)
+            .map(({ location, units }) => ({
+                code: String(location.code),
+                name: location.name,
+                type: location.type,
+                zone: location.zone,
+                distance_km: this.distanceKm(origin, location),
+                available: units,
+                covers_quantity: units >= quantity
+            }))
+            .sort((a, b) => (b.covers_quantity - a.covers_quantity) || this.compareNearness(origin, a, b))
+            .slice(0, this.maxAlternatives);
+    }
+
+    compareNearness(origin, a, b) {
+        if (a.distance_km !== null || b.distance_km !== null) {
+            if (a.distance_km === null) return 1;
+            if (b.distance_km === null) return -1;
+            return a.distance_km - b.distance_km;
+        }
+
+        const sameZone = (location) => Boolean(origin.zone) && location.zone === origin.zone;
+        return (sameZone(b) - sameZone(a)) || b.available - a.available;
+    }
+
+    /**
+     * Shortages of quote lines (grouped per product) at one store: its own stock minus what
+     * other quotes fulfilled from it hold, each with the nearby locations that have the product.
+     * Null when the PIM inventory is not reachable.
+     */
+    async checkStore(lines, storeCode, { excludeQuoteId = null, executor = this.db } = {}) {
+        const skus = lines.map(line => String(line.product_id));
+        const stock = await this.getStockByLocation(skus);
+
+        if (!stock) {
+            return null;
+        }
+
+        const held = await this.getHeldByLocation(executor, skus, excludeQuoteId);
+        const locations = await this.getLocations({ includeInactive: true }, executor);
+        const origin = locations.find(location => String(location.code) === String(storeCode)) || { code: storeCode };
+        const at = (map, sku, code) => map.get(sku).get(String(code)) || 0;
+
+        const shortages = stockReservationService.findShortages(
+            lines,
+            new Map(skus.map(sku => [sku, at(stock, sku, storeCode)])),
+            new Map(skus.map(sku => [sku, at(held, sku, storeCode)]))
+        );
+
+        shortages.forEach(shortage => {
+            const sku = String(shortage.product_id);
+            const available = new Map([...stock.get(sku).keys()].map(code => [
+                code, Math.max(0, stockReservationService.quantity(at(stock, sku, code) - at(held, sku, code)))
+            ]));
+            shortage.alternative_locations = this.findAlternatives(origin, locations, available, shortage.shortage);
+        });
+
+        return shortages;
+    }
+
+    // Stock of one SKU at every location that has it, largest first
+    async getProductStock(sku) {
+        const stock = await this.getStockByLocation([String(sku)]);
+
+        if (!stock) {
+            return null;
+        }
+
+        const held = await this.getHeldByLocation(this.db, [String(sku)]);
+        const known = new Map((await this.getLocations({ includeInactive: true })).map(location => [String(location.code), location]));
+        const locations = [...stock.get(String(sku)).entries()]
+            .map(([code, units]) => {
+                const location = known.get(code);
+                const heldUnits = held.get(String(sku)).get(code) || 0;
+                return {
+                    code,
+                    name: location ? location.name : code,
+                    type: location ? location.type : null,
+                    zone: location ? location.zone : null,
+                    stock: units,
+                    held: heldUnits,
+                    available: Math.max(0, stockReservationService.quantity(units - heldUnits))
+                };
+            })
+            .sort((a, b) => b.stock - a.stock);
+
+        return {
+            sku: String(sku),
+            total_stock: stockReservationService.quantity(locations.reduce((sum, location) => sum + location.stock, 0)),
+            locations
+        };
+    }
+
+    urgency(stock) {
+        return stock <= 0 ? 'critical' : stock <= 5 ? 'high' : 'medium';
+    }
+
+    // Low-stock rows from the PIM grouped per location, in the order of the query
+    groupLowStock(rows, locations) {
+        const known = new Map(locations.map(location => [String(location.code), location]));
+        const grouped = new Map();
+
+        rows.forEach(row => {
+            const code = String(row.location);
+            if (!grouped.has(code)) {
+                const location = known.get(code);
+                grouped.set(code, {
+                    code,
+                    name: location ? location.name : code,
+                    type: location ? location.type : null,
+                    products: []
+                });
+            }
+
+            const stock = stockReservationService.quantity(row.stock);
+            grouped.get(code).products.push({
+                sku: String(row.sku),
+                name: row.name,
+                category: row.category,
+                stock,
+                urgency: this.urgency(stock)
+            });
+        });
+
+        return [...grouped.values()].map(location => ({
+            ...location,
+            product_count: location.products.length,
+            critical_count: location.products.filter(product => product.stock <= 0).length
+        }));
+    }
+
+    /**
+     * Active catalog products at or below `threshold` units per location, optionally for one
+     * location. Only SKUs a location carries (has an inventory row for) are reported there.
+     */
+    async getLowStock({ threshold, location } = {}) {
+        const stockThreshold = parseInt(threshold) >= 0 ? parseInt(threshold) : this.lowStockThreshold;
+
+        if (!database.mysql.getPool()) {
+            const error = new Error('PIM inventory is not configured');
+            error.statusCode = 503;
+            throw error;
+        }
+
+        const params = [];
+        let filter = '';
+        if (location) {
+            filter = 'AND wi.pl = ?';
+            params.push(String(location));
+        }
+
+        const [rows] = await database.mysql.execute(`
+            SELECT wi.pl as location, wp.sku, wp.title as name, wp.depto as category, SUM(wi.stock) as stock
+            FROM web_inventory wi
+            JOIN web_products wp ON wp.sku = wi.sku
+            WHERE wp.status_new = 1 AND wp.borrado = 0 ${filter}
+            GROUP BY wi.pl, wp.sku, wp.title, wp.depto
+            HAVING SUM(wi.stock) <= ?
+            ORDER BY wi.pl, stock, wp.title
+            LIMIT ${this.lowStockLimit}
+        `, [...params, stockThreshold]);
+
+        const locations = this.groupLowStock(rows, await this.getLocations({ includeInactive: true }));
+
+        return {
+            threshold: stockThreshold,
+            locations,
+            total_count: rows.length,
+            critical_count: locations.reduce((sum, entry) => sum + entry.critical_count, 0),
+            truncated: rows.length >= this.lowStockLimit,
+            last_updated: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new StockLocationService();
@@ -0,0 +1,386 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+
+/**
+ * Stock held for quotes. A hold starts `active` when the quote is created and lapses at
+ * expires_at; sending the quote extends it, acceptance turns it into an `allocated` hold with
+ * no expiry, conversion marks it `finalized`, and rejection, cancellation or expiry release it.
+ */
+class StockReservationService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // quote_workflow_settings keys and the values used when a key is missing
+        this.settingKeys = {
+            enabled: 'stock_reservations_enabled',
+            reservation_minutes: 'stock_reservation_minutes',
+            sent_hold_days: 'stock_reservation_sent_days'
+        };
+        this.defaults = { enabled: true, reservation_minutes: 30, sent_hold_days: 7 };
+        this.maxReservationMinutes = 7 * 24 * 60;
+        this.maxSentHoldDays = 90;
+
+        // Statuses that give the stock back
+        this.releaseStatuses = ['rejected', 'cancelled', 'expired'];
+
+        // Holds that still count against stock: allocated ones, and active ones that have not lapsed
+        this.holdingSql = "(sr.status = 'allocated' OR (sr.status = 'active' AND (sr.expires_at IS NULL OR sr.expires_at > datetime('now'))))";
+    }
+
+    async getSettings(executor = this.db) {
+        const keys = Object.values(this.settingKeys);
+        const [rows] = await executor.execute(
+            `SELECT setting_key, setting_value FROM quote_workflow_settings WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+            keys
+        );
+        const values = new Map(rows.map(row => [row.setting_key, row.setting_value]));
+        const positive = (field) => {
+            const value = parseInt(values.get(this.settingKeys[field]));
+            return value > 0 ? value : this.defaults[field];
+        };
+
+        return {
+            enabled: values.has(this.settingKeys.enabled) ? values.get(this.settingKeys.enabled) !== '0' : this.defaults.enabled,
+            reservation_minutes: positive('reservation_minutes'),
+            sent_hold_days: positive('sent_hold_days')
+        };
+    }
+
+    validateSettings(data = {}) {
+        const errors = [];
+        const wholeNumber = (value, max) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= max;
+
+        if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+        if (data.reservation_minutes !== undefined && !wholeNumber(data.reservation_minutes, this.maxReservationMinutes)) {
+            errors.push(`reservation_minutes must be a whole number between 1 and ${this.maxReservationMinutes}`);
+        }
+        if (data.sent_hold_days !== undefined && !wholeNumber(data.sent_hold_days, this.maxSentHoldDays)) {
+            errors.push(`sent_hold_days must be a whole number between 1 and ${this.maxSentHoldDays}`);
+        }
+
+        return errors;
+    }
+
+    async updateSettings(data, userId) {
+        for (const [field, key] of Object.entries(this.settingKeys)) {
+            if (data[field] === undefined) {
+                continue;
+            }
+
+            const value = field === 'enabled' ? (data.enabled ? '1' : '0') : String(Number(data[field]));
+            await this.db.execute(`
+                INSERT INTO quote_workflow_settings (setting_key, setting_value, updated_by, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(setting_key) DO UPDATE SET
+                    setting_value = excluded.setting_value, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+            `, [key, value, userId]);
+        }
+
+        logger.info('Stock reservation settings updated', {
+            type: 'STOCK_RESERVATION_SETTINGS_UPDATED',
+            changes: data,
+            userId
+        });
+
+        return this.getSettings();
+    }
+
+    // SQLite timestamp `modifier` from now (e.g. '+30 minutes'), in the format expires_at is compared in
+    async holdUntil(executor, modifier) {
+        const [rows] = await executor.execute("SELECT datetime('now', ?) as expires_at", [modifier]);
+        return rows[0].expires_at;
+    }
+
+    // Quote quantities are DECIMAL(10,3): read them as decimals, rounded to the same 3 places
+    quantity(value) {
+        return Math.round((parseFloat(value) || 0) * 1000) / 1000;
+    }
+
+    // Quantity per product on the quote; lines without a product code cannot be held
+    async getQuoteLines(executor, quoteId) {
+        const [lines] = await executor.execute(`
+            SELECT product_id, MAX(product_name) as product_name, SUM(quantity) as quantity
+            FROM quote_items
+            WHERE quote_id = ? AND product_id IS NOT NULL AND product_id != ''
+            GROUP BY product_id
+        `, [quoteId]);
+        return lines.map(line => ({ ...line, quantity: this.quantity(line.quantity) }));
+    }
+
+    // Units on hand per SKU from the PIM inventory, or null when it is not configured
+    async getOnHand(skus) {
+        if (!database.mysql.getPool() || !skus.length) {
+            return null;
+        }
+
+        try {
+            const [rows] = await database.mysql.execute(
+                `SELECT sku, SUM(stock) as stock FROM web_inventory WHERE sku IN (${skus.map(() => '?').join(', ')}) AND stock > 0 GROUP BY sku`,
+                skus
+            );
+            const stock = new Map(skus.map(sku => [String(sku), 0]));
+            rows.forEach(row => stock.set(String(row.sku), this.quantity(row.stock)));
+            return stock;
+        } catch (error) {
+            logger.warn('Stock levels unavailable, reservations are not checked against stock', {
+                type: 'STOCK_LEVELS_UNAVAILABLE',
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    // Units per SKU held by quotes, leaving out the quote being checked
+    async getHeldQuantities(executor, skus, excludeQuoteId = null) {
+        if (!skus.length) {
+            return new Map();
+        }
+
+        const [rows] = await executor.execute(`
+            SELECT sr.product_id, SUM(sr.reserved_quantity) as held
+            FROM stock_reservations sr
+            WHERE sr.product_id IN (${skus.map(() => '?').join(', ')}) AND sr.quote_id != ? AND ${this.holdingSql}
+            GROUP BY sr.product_id
+        `, [...skus, excludeQuoteId || 0]);
+
+        return new Map(rows.map(row => [String(row.product_id), this.quantity(row.held)]));
+    }
+
+    // Lines asking for more than is left once other quotes' holds are taken off the shelf
+    findShortages(lines, onHand, held) {
+        if (!onHand) {
+            return [];
+        }
+
+        return lines
+            .map(line => {
+                const stock = onHand.get(String(line.product_id)) || 0;
+                const heldByOthers = held.get(String(line.product_id)) || 0;
+                const available = Math.max(0, this.quantity(stock - heldByOthers));
+                return {
+                    product_id: line.product_id,
+                    product_name: line.product_name,
+                    requested: line.quantity,
+                    on_hand: stock,
+                    held_by_other_quotes: heldByOthers,
+                    available,
+                    shortage: Math.max(0, this.quantity(line.quantity - available))
+                };
+            })
+            .filter(line => line.shortage > 0);
+    }
+
+    /**
+     * Hold the quote's current lines until `expiresAt` (null for no expiry). Products taken off
+     * the quote stop being held; allocated and finalized holds are left as they are. Shortages
+     * are reported, not enforced, so the salesperson sees units other quotes already hold.
+     */
+    async reserveQuote(executor, quoteId, expiresAt) {
+        const lines = await this.getQuoteLines(executor, quoteId);
+        const skus = lines.map(line => String(line.product_id));
+
+        await executor.execute(`
+            DELETE FROM stock_reservations
+            WHERE quote_id = ? AND status = 'active' ${skus.length ? `AND product_id NOT IN (${skus.map(() => '?').join(', ')})` : ''}
+        `, [quoteId, ...skus]);
+
+        for (const line of lines) {
+            await executor.execute(`
+                INSERT INTO stock_reservations (quote_id, product_id, reserved_quantity, expires_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(quote_id, product_id) DO UPDATE SET
+                    reserved_quantity = excluded.reserved_quantity,
+                    expires_at = excluded.expires_at,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE stock_reservations.status = 'active'
+            `, [quoteId, line.product_id, line.quantity, expiresAt]);
+        }
+
+        const shortages = this.findShortages(
+            lines,
+            await this.getOnHand(skus),
+            await this.getHeldQuantities(executor, skus, quoteId)
+        );
+
+        logger.info(`Stock reserved for quote ${quoteId}`, {
+            type: 'STOCK_RESERVATION',
+            quoteId,
+            itemCount: lines.length,
+            expiresAt,
+            shortages: shortages.length
+        });
+
+        return { items_reserved: lines.length, expires_at: expiresAt, shortages };
+    }
+
+    // Accepted quotes keep their stock until the order is created
+    async allocateQuote(executor, quoteId) {
+        const reservation = await this.reserveQuote(executor, quoteId, null);
+        const [allocated] = await executor.execute(
+            "UPDATE stock_reservations SET status = 'allocated', expires_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE quote_id = ? AND status = 'active'",
+            [quoteId]
+        );
+
+        return { ...reservation, items_allocated: allocated.affectedRows };
+    }
+
+    // Initial hold for a newly created quote, for the configured number of minutes
+    async holdNewQuote(executor, quoteId) {
+        const settings = await this.getSettings(executor);
+        if (!settings.enabled) {
+            return null;
+        }
+
+        return this.reserveQuote(executor, quoteId, await this.holdUntil(executor, `+${settings.reservation_minutes} minutes`));
+    }
+
+    // After the lines of a quote change, re-hold them until the current hold ends
+    async syncQuote(executor, quoteId) {
+        const [holds] = await executor.execute(
+            "SELECT COUNT(*) as count, MAX(expires_at) as expires_at FROM stock_reservations WHERE quote_id = ? AND status = 'active'",
+            [quoteId]
+        );
+
+        if (!holds[0].count) {
+            return null;
+        }
+
+        return this.reserveQuote(executor, quoteId, holds[0].expires_at);
+    }
+
+    /**
+     * Follow a quote's status change: `sent` (re)holds the stock for the configured days,
+     * `accepted` allocates it, and rejection, cancellation or expiry release it.
+     */
+    async applyStatus(executor, quoteId, newStatus) {
+        if (this.releaseStatuses.includes(newStatus)) {
+            return this.releaseStockReservation(quoteId, `quote_${newStatus}`, executor);
+        }
+        if (!['sent', 'accepted'].includes(newStatus)) {
+            return null;
+        }
+
+        const settings = await this.getSettings(executor);
+        if (!settings.enabled) {
+            return null;
+        }
+
+        return newStatus === 'sent'
+            ? this.reserveQuote(executor, quoteId, await this.holdUntil(executor, `+${settings.sent_hold_days} days`))
+            : this.allocateQuote(executor, quoteId);
+    }
+
+    // Drop the active and allocated holds of a quote so the stock is available again. Finalized
+    // reservations (already committed to an order) are left alone.
+    async releaseStockReservation(quoteId, reason = 'manual_release', executor = this.db) {
+        const [released] = await executor.execute(
+            "DELETE FROM stock_reservations WHERE quote_id = ? AND status IN ('active', 'allocated')",
+            [quoteId]
+        );
+
+        if (released.affectedRows > 0) {
+            logger.info(`Stock reservation released for quote ${quoteId}`, {
+                type: 'STOCK_RELEASE',
+                quoteId,
+                reason,
+                itemsReleased: released.affectedRows
+            });
+        }
+
+        return { success: true, items_released: released.affectedRows };
+    }
+
+    // Remove holds that lapsed without the quote being sent or accepted. Run by the scheduler.
+    async releaseExpired() {
+        const [result] = await this.db.execute(
+            "DELETE FROM stock_reservations WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= datetime('now')"
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`Released ${result.affectedRows} lapsed stock reservations`, {
+                type: 'RESERVATION_CLEANUP',
+                expiredCount: result.affectedRows
+            });
+        }
+
+        return result.affectedRows;
+    }
+
+    // Units held per SKU across all quotes, with stock on hand when the PIM is available
+    async getSkuSummary({ search } = {}) {
+        const params = [];
+        let filter = '';
+        if (search) {
+            filter = 'AND sr.product_id LIKE ?';
+            params.push(`%${search}%`);
+        }
+
+        const [rows] = await this.db.execute(`
+            SELECT sr.product_id,
+                   MAX((SELECT qi.product_name FROM quote_items qi
+                        WHERE qi.quote_id = sr.quote_id AND qi.product_id = sr.product_id LIMIT 1)) as product_name,
+                   SUM(CASE WHEN sr.status = 'active' THEN sr.reserved_quantity ELSE 0 END) as reserved,
+                   SUM(CASE WHEN sr.status = 'allocated' THEN sr.reserved_quantity ELSE 0 END) as allocated,
+                   COUNT(DISTINCT sr.quote_id) as quotes
+            FROM stock_reservations sr
+            WHERE ${this.holdingSql} ${filter}
+            GROUP BY sr.product_id
+            ORDER BY reserved + allocated DESC, sr.product_id
+        `, params);
+
+        const onHand = await this.getOnHand(rows.map(row => String(row.product_id)));
+
+        return rows.map(row => this.withAvailability(row, onHand));
+    }
+
+    withAvailability(row, onHand) {
+        const held = this.quantity(this.quantity(row.reserved) + this.quantity(row.allocated));
+        const stock = onHand ? onHand.get(String(row.product_id)) || 0 : null;
+
+        return {
+            ...row,
+            held,
+            on_hand: stock,
+            available: stock === null ? null : this.quantity(stock - held)
+        };
+    }
+
+    // Which quotes hold a SKU and how much, allocated holds first
+    async getSkuReservations(sku) {
+        const [holders] = await this.db.execute(`
+            SELECT sr.id, sr.quote_id, sr.reserved_quantity, sr.status, sr.expires_at, sr.created_at,
+                   q.quote_number, q.status as quote_status, q.valid_until,
+                   c.name as client_name, u.username as salesperson
+            FROM stock_reservations sr
+            JOIN quotes q ON sr.quote_id = q.id
+            LEFT JOIN clients c ON q.client_id = c.id
+            LEFT JOIN users u ON q.created_by = u.id
+            WHERE sr.product_id = ? AND ${this.holdingSql}
+            ORDER BY CASE sr.status WHEN 'allocated' THEN 0 ELSE 1 END, sr.expires_at
+        `, [sku]);
+
+        const totals = {
+            product_id: sku,
+            reserved: this.quantity(holders.filter(holder => holder.status === 'active').reduce((sum, holder) => sum + parseFloat(holder.reserved_quantity), 0)),
+            allocated: this.quantity(holders.filter(holder => holder.status === 'allocated').reduce((sum, holder) => sum + parseFloat(holder.reserved_quantity), 0)),
+            quotes: holders.length
+        };
+
+        return { ...this.withAvailability(totals, await this.getOnHand([String(sku)])), holders };
+    }
+
+    async getQuoteReservations(quoteId) {
+        const [reservations] = await this.db.execute(`
+            SELECT sr.*, ${this.holdingSql} as holding
+            FROM stock_reservations sr
+            WHERE sr.quote_id = ?
+            ORDER BY sr.product_id
+        `, [quoteId]);
+
+        return reservations.map(reservation => ({ ...reservation, holding: Boolean(reservation.holding) }));
+    }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,223 @@
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+
+class TaxService {
+    constructor() {
+        this.db = database.sqlite;
+
+        // Most specific scope wins
+        this.scopePrecedence = ['client', 'product', 'category', 'default'];
+        this.priceModes = ['exclusive', 'inclusive'];
+
+        // Used only if the default rule has been removed from tax_rules
+        this.fallbackRule = {
+            id: null,
+            name: 'ITBIS 18%',
+            scope: 'default',
+            rate: 18,
+            price_mode: 'exclusive'
+        };
+    }
+
+    // Load active tax rules. `executor` may be an open transaction.
+    async getActiveRules(executor = this.db) {
+        const [rules] = await executor.execute(
+            'SELECT * FROM tax_rules WHERE active = 1 ORDER BY id'
+        );
+        return rules;
+    }
+
+    // Calculate lines and totals for a quote, looking up the client RNC and active rules
+    async calculateQuote(items, clientId, executor = this.db) {
+        const [clients] = await executor.execute('SELECT rnc FROM clients WHERE id = ?', [clientId]);
+        const rules = await this.getActiveRules(executor);
+
+        return this.applyRules(items, clients[0] || {}, rules);
+    }
+
+    // Pure calculation: resolve a rule per line and compute ITBIS server-side
+    applyRules(items, client, rules) {
+        let subtotal = 0;
+        let itbis = 0;
+
+        const lines = items.map(item => {
+            const rule = this.resolveRule(item, client, rules);
+            const line = this.calculateLine(item, rule);
+
+            subtotal += line.subtotal;
+            itbis += line.itbis;
+
+            return { ...item, ...line };
+        });
+
+        subtotal = this.round(subtotal);
+        itbis = this.round(itbis);
+
+        return { lines, subtotal, itbis, total: this.round(subtotal + itbis) };
+    }
+
+    resolveRule(item, client, rules) {
+        const clientRnc = this.normalizeRnc(client && client.rnc);
+        const productKeys = [item.product_id, item.id, item.product_ean, item.ean]
+            .filter(Boolean)
+            .map(value => String(value));
+        const category = (item.category || item.product_category || '').toString().trim().toLowerCase();
+
+        const matchers = {
+            client: rule => clientRnc && this.normalizeRnc(rule.match_value) === clientRnc,
+            product: rule => productKeys.includes(String(rule.match_value)),
+            category: rule => category && String(rule.match_value).trim().toLowerCase() === category,
+            default: () => true
+        };
+
+        for (const scope of this.scopePrecedence) {
+            const match = rules.find(rule => rule.scope === scope && matchers[scope](rule));
+            if (match) {
+                return match;
+            }
+        }
+
+        return this.fallbackRule;
+    }
+
+    // Inclusive prices already contain the tax, so the base is backed out of the gross amount.
+    // Discounts are taken off before tax, as DGII requires.
+    calculateLine(item, rule) {
+        const rate = parseFloat(rule.rate) || 0;
+        const discounts = (parseFloat(item.discount_amount) || 0) + (parseFloat(item.quote_discount_amount) || 0);
+        const gross = (parseFloat(item.quantity) || 0) * (parseFloat(item.price) || 0) - discounts;
+        const inclusive = rule.price_mode === 'inclusive';
+
+        const base = this.round(inclusive ? gross / (1 + rate / 100) : gross);
+        const tax = this.round(inclusive ? gross - base : base * rate / 100);
+
+        return {
+            subtotal: base,
+            itbis: tax,
+            total: this.round(base + tax),
+            tax_rule_id: rule.id,
+            tax_rule_name: rule.name,
+            tax_rate: rate,
+            price_includes_tax: inclusive ? 1 : 0
+        };
+    }
+
+    normalizeRnc(rnc) {
+        return rnc ? String(rnc).replace(/\D/g, '') : '';
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Rule administration
+
+    async getRules() {
+        const [rules] = await this.db.execute(
+            'SELECT * FROM tax_rules ORDER BY active DESC, scope, name'
+        );
+        return rules;
+    }
+
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule.name) {
+            errors.push('name is required');
+        }
+        if (!this.scopePrecedence.includes(rule.scope)) {
+            errors.push(`scope must be one of: ${this.scopePrecedence.join(', ')}`);
+        }
+        if (rule.scope !== 'default' && !rule.match_value) {
+            errors.push('match_value is required for client, product and category rules');
+        }
+        const rate = parseFloat(rule.rate);
+        if (isNaN(rate) || rate < 0 || rate > 100) {
+            errors.push('rate must be between 0 and 100');
+        }
+        if (rule.price_mode && !this.priceModes.includes(rule.price_mode)) {
+            errors.push(`price_mode must be one of: ${this.priceModes.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    async createRule(rule, userId) {
+        const matchValue = rule.scope === 'client' ? this.normalizeRnc(rule.match_value) : rule.match_value;
+
+        const [result] = await this.db.execute(`
+            INSERT INTO tax_rules (name, scope, match_value, rate, price_mode, active, updated_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+            rule.name,
+            rule.scope,
+            rule.scope === 'default' ? null : matchValue,
+            parseFloat(rule.rate),
+            rule.price_mode || 'exclusive',
+            rule.active === false ? 0 : 1,
+            userId
+        ]);
+
+        logger.info(`Tax rule created: ${rule.name}`, {
+            type: 'TAX_RULE_CREATED',
+            ruleId: result.insertId,
+            scope: rule.scope,
+            rate: rule.rate,
+            userId
+        });
+
+        return result.insertId;
+    }
+
+    // Rules are edited in place; quote lines keep the rate they were calculated with
+    async updateRule(ruleId, rule, userId) {
+        const matchValue = rule.scope === 'client' ? this.normalizeRnc(rule.match_value) : rule.match_value;
+
+        const [result] = await this.db.execute(`
+            UPDATE tax_rules
+            SET name = ?, scope = ?, match_value = ?, rate = ?, price_mode = ?, active = ?,
+                updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            rule.name,
+            rule.scope,
+            rule.scope === 'default' ? null : matchValue,
+            parseFloat(rule.rate),
+            rule.price_mode || 'exclusive',
+            rule.active === false ? 0 : 1,
+            userId,
+            ruleId
+        ]);
+
+        if (result.affectedRows > 0) {
+            logger.info(`Tax rule updated: ${rule.name}`, {
+                type: 'TAX_RULE_UPDATED',
+                ruleId,
+                scope: rule.scope,
+                rate: rule.rate,
+                userId
+            });
+        }
+
+        return result.affectedRows > 0;
+    }
+
+    async deactivateRule(ruleId, userId) {
+        const [result] = await this.db.execute(
+            'UPDATE tax_rules SET active = 0, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [userId, ruleId]
+        );
+
+        if (result.affectedRows > 0) {
+            logger.info(`Tax rule deactivated: ${ruleId}`, {
+                type: 'TAX_RULE_DEACTIVATED',
+                ruleId,
+                userId
+            });
+        }
+
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { database } = require('../../../shared/database');
+const logger = require('../../../shared/utils/logger');
+const { normalizeTaxId, validateTaxId, formatTaxId } = require('../../../shared/utils/rnc');
+
+// Column positions of the DGII "DGII_RNC.TXT" download (pipe-delimited, no header)
+const DGII_LAYOUT = {
+    rnc: 0,
+    legal_name: 1,
+    trade_name: 2,
+    activity: 3,
+    registered_on: 8,
+    status: 9,
+    payment_regime: 10
+};
+
+// Header names accepted when the registry comes as a CSV with a header row
+const HEADER_PATTERNS = {
+    rnc: /^(rnc|c[eé]dula)/i,
+    legal_name: /raz[oó]n social|^nombre$/i,
+    trade_name: /comercial/i,
+    activity: /actividad/i,
+    registered_on: /fecha/i,
+    status: /estado/i,
+    payment_regime: /r[eé]gimen/i
+};
+
+class TaxpayerRegistryService {
+    constructor() {
+        this.db = database.sqlite;
+
+        this.registryFile = process.env.DGII_REGISTRY_FILE || null;
+        // The DGII publishes the file in Windows-1252; latin1 decodes the same characters
+        this.encoding = process.env.DGII_REGISTRY_ENCODING || 'latin1';
+        this.batchSize = 500;
+        this.searchLimit = 10;
+        this.flaggedStatuses = ['suspended', 'inactive', 'not_found'];
+    }
+
+    // Registry status text (ACTIVO, SUSPENDIDO, DADO DE BAJA, ...) as the status stored on clients
+    statusSql(column) {
+        return `CASE WHEN UPPER(${column}) LIKE 'ACTIV%' THEN 'active'
+                     WHEN UPPER(${column}) LIKE 'SUSPENDID%' THEN 'suspended'
+                     ELSE 'inactive' END`;
+    }
+
+    // Split one line, honouring double quotes in CSV files
+    splitLine(line, delimiter) {
+        const fields = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === delimiter && !quoted) {
+                fields.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        fields.push(current);
+
+        return fields.map(field => field.trim());
+    }
+
+    detectDelimiter(line) {
+        return ['|', ';', ','].find(delimiter => line.includes(delimiter)) || '|';
+    }
+
+    // Column positions from a header row, or null when the first line is already data
+    layoutFromHeader(fields) {
+        if (/^\d/.test(fields[0] || '')) {
+            return null;
+        }
+
+        const layout = {};
+        Object.entries(HEADER_PATTERNS).forEach(([column, pattern]) => {
+            const index = fields.findIndex(field => pattern.test(field));
+            if (index !== -1) {
+                layout[column] = index;
+            }
+        });
+
+        if (layout.rnc === undefined || layout.legal_name === undefined) {
+            throw new Error('Registry header must name the RNC and legal name columns');
+        }
+
+        return layout;
+    }
+
+    // The registry is authoritative, so IDs are only checked for shape, not check digit
+    parseFields(fields, layout) {
+        const taxpayer = {};
+        Object.entries(layout).forEach(([column, index]) => {
+            taxpayer[column] = fields[index] ? fields[index].replace(/\s+/g, ' ') : null;
+        });
+
+        taxpayer.rnc = normalizeTaxId(taxpayer.rnc);
+        if (!/^(\d{9}|\d{11})$/.test(taxpayer.rnc) || !taxpayer.legal_name) {
+            return null;
+        }
+
+        return taxpayer;
+    }
+
+    async insertBatch(connection, batch) {
+        const columns = Object.keys(DGII_LAYOUT);
+        const placeholders = batch.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+
+        await connection.execute(
+            `INSERT OR REPLACE INTO dgii_taxpayers (${columns.join(', ')}) VALUES ${placeholders}`,
+            batch.flatMap(taxpayer => columns.map(column => taxpayer[column] || null))
+        );
+    }
+
+    /**
+     * Replace the registry with the contents of a DGII file (TXT or CSV) and re-check every
+     * client's RNC against it. Runs in one transaction, so a bad file leaves the previous
+     * registry in place.
+     */
+    async importFile(filePath = this.registryFile, userId = null) {
+        if (!filePath) {
+            throw new Error('No DGII registry file configured (DGII_REGISTRY_FILE)');
+        }
+
+        const stats = await fs.promises.stat(filePath);
+        const connection = await this.db.getConnection();
+        let lines = null;
+        let imported = 0;
+        let skipped = 0;
+
+        try {
+            await connection.execute('DELETE FROM dgii_taxpayers');
+
+            // Opened only now: lines read while awaiting above would be dropped
+            lines = readline.createInterface({
+                input: fs.createReadStream(filePath, { encoding: this.encoding }),
+                crlfDelay: Infinity
+            });
+
+            let delimiter = null;
+            let layout = DGII_LAYOUT;
+            let batch = [];
+
+            for await (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+
+                if (!delimiter) {
+                    delimiter = this.detectDelimiter(line);
+                    const headerLayout = this.layoutFromHeader(this.splitLine(line, delimiter));
+                    if (headerLayout) {
+                        layout = headerLayout;
+                        continue;
+                    }
+                }
+
+                const taxpayer = this.parseFields(this.splitLine(line, delimiter), layout);
+                if (!taxpayer) {
+                    skipped++;
+                    continue;
+                }
+
+                batch.push(taxpayer);
+                if (batch.length >= this.batchSize) {
+                    await this.insertBatch(connection, batch);
+                    imported += batch.length;
+                    batch = [];
+                }
+            }
+
+            if (batch.length) {
+                await this.insertBatch(connection, batch);
+                imported += batch.length;
+            }
+
+            if (!imported) {
+                throw new Error('No taxpayers found in registry file');
+            }
+
+            await connection.commit();
+        } catch (error) {
+            if (lines) {
+                lines.close();
+            }
+            await connection.rollback();
+            throw error;
+        }
+
+        const flagged = await this.refreshClientFlags();
+
+        await this.db.execute(`
+            INSERT INTO dgii_registry_imports (file_name, file_modified_at, imported_count, skipped_count, flagged_clients, imported_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [path.basename(filePath), stats.mtime.toISOString(), imported, skipped, flagged, userId]);
+
+        logger.info(`DGII registry imported: ${imported} taxpayers`, {
+            type: 'DGII_REGISTRY_IMPORTED',
+            file: path.basename(filePath),
+            imported,
+            skipped,
+            flaggedClients: flagged,
+            userId
+        });
+
+        return { imported, skipped, flagged_clients: flagged };
+    }
+
+    // Scheduled import: only when the configured file changed since the last import
+    async runScheduledImport() {
+        if (!this.registryFile || !fs.existsSync(this.registryFile)) {
+            return null;
+        }
+
+        const stats = await fs.promises.stat(this.registryFile);
+        const lastImport = await this.getLastImport();
+        if (lastImport && lastImport.file_modified_at === stats.mtime.toISOString()) {
+            return null;
+        }
+
+        return this.importFile(this.registryFile);
+    }
+
+    async getLastImport() {
+        const [imports] = await this.db.execute(`
+            SELECT i.*, u.username as imported_by_name
+            FROM dgii_registry_imports i
+            LEFT JOIN users u ON i.imported_by = u.id
+            ORDER BY i.id DESC
+            LIMIT 1
+        `);
+        return imports[0] || null;
+    }
+
+    async getStatus() {
+        const [counts] = await this.db.execute('SELECT COUNT(*) as count FROM dgii_taxpayers');
+
+        return {
+            registry_file: this.registryFile ? path.basename(this.registryFile) : null,
+            taxpayers: counts[0].count,
+            last_import: await this.getLastImport()
+        };
+    }
+
+    /**
+     * Store on each client (or one client) whether its RNC is active, suspended, inactive or
+     * not in the registry. Does nothing until a registry has been imported, so clients are
+     * not all flagged as not found. Returns how many active clients are flagged.
+     */
+    async refreshClientFlags(clientId = null) {
+        const [counts] = await this.db.execute('SELECT COUNT(*) as count FROM dgii_taxpayers');
+        if (!counts[0].count) {
+            return 0;
+        }
+
+        await this.db.execute(`
+            UPDATE clients
+            SET rnc_status = COALESCE((
+                    SELECT ${this.statusSql('t.status')} FROM dgii_taxpayers t
+                    WHERE t.rnc = REPLACE(REPLACE(clients.rnc, '-', ''), ' ', '')
+                ), 'not_found'),
+                rnc_checked_at = CURRENT_TIMESTAMP
+            WHERE rnc IS NOT NULL AND TRIM(rnc) != '' ${clientId ? 'AND id = ?' : ''}
+        `, clientId ? [clientId] : []);
+
+        const [flagged] = await this.db.execute(`
+            SELECT COUNT(*) as count FROM clients
+            WHERE active = 1 AND rnc_status IN (${this.flaggedStatuses.map(() => '?').join(', ')})
+        `, this.flaggedStatuses);
+
+        return flagged[0].count;
+    }
+
+    // Checksum result plus the registry record, for autocompleting the legal name
+    async lookup(value) {
+        const { valid, type, taxId, error } = validateTaxId(value);
+        if (!valid) {
+            return { valid, rnc: taxId, error };
+        }
+
+        const [taxpayers] = await this.db.execute(`
+            SELECT *, ${this.statusSql('status')} as client_status
+            FROM dgii_taxpayers WHERE rnc = ?
+        `, [taxId]);
+
+        return {
+            valid,
+            type,
+            rnc: taxId,
+            formatted: formatTaxId(taxId),
+            found: taxpayers.length > 0,
+            taxpayer: taxpayers[0] || null
+        };
+    }
+
+    // Autocomplete by RNC prefix or by legal/trade name
+    async search(term, limit = this.searchLimit) {
+        const text = String(term || '').trim();
+        const digits = normalizeTaxId(text);
+        limit = Math.min(Math.max(parseInt(limit) || this.searchLimit, 1), 50);
+
+        const [taxpayers] = /^\d+$/.test(digits)
+            ? await this.db.execute(`
+                SELECT *, ${this.statusSql('status')} as client_status
+                FROM dgii_taxpayers WHERE rnc LIKE ?
+                ORDER BY rnc
+                LIMIT ?
+            `, [`${digits}%`, limit])
+            : await this.db.execute(`
+                SELECT *, ${this.statusSql('status')} as client_status
+                FROM dgii_taxpayers WHERE legal_name LIKE ? OR trade_name LIKE ?
+                ORDER BY legal_name
+                LIMIT ?
+            `, [`%${text}%`, `%${text}%`, limit]);
+
+        return taxpayers;
+    }
+
+    async getFlaggedClients() {
+        const [clients] = await this.db.execute(`
+            SELECT c.id, c.name, c.company, c.rnc, c.rnc_status, c.rnc_checked_at,
+                   t.legal_name, t.status as registry_status
+            FROM clients c
+            LEFT JOIN dgii_taxpayers t ON t.rnc = REPLACE(REPLACE(c.rnc, '-', ''), ' ', '')
+            WHERE c.active = 1 AND c.rnc_status IN (${this.flaggedStatuses.map(() => '?').join(', ')})
+            ORDER BY c.rnc_status, c.name
+        `, this.flaggedStatuses);
+        return clients;
+    }
+}
+
+module.exports = new TaxpayerRegistryService();
@@ -0,0 +1,120 @@
+const taxService = require('./services/taxService');
+
+class TaxController {
+  /**
+   * List tax rules
+   */
+  async getTaxRules(req, res) {
+    try {
+      const rules = await taxService.getRules();
+
+      res.json({
+        success: true,
+        data: rules
+      });
+    } catch (error) {
+      console.error('Error fetching tax rules:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch tax rules'
+      });
+    }
+  }
+
+  /**
+   * Create tax rule
+   */
+  async createTaxRule(req, res) {
+    try {
+      const errors = taxService.validateRule(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid tax rule',
+          errors
+        });
+      }
+
+      const id = await taxService.createRule(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: { id },
+        message: 'Tax rule created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating tax rule:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create tax rule'
+      });
+    }
+  }
+
+  /**
+   * Update tax rule. Existing quote lines keep the rate they were created with.
+   */
+  async updateTaxRule(req, res) {
+    try {
+      const errors = taxService.validateRule(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid tax rule',
+          errors
+        });
+      }
+
+      const updated = await taxService.updateRule(req.params.ruleId, req.body, req.user.id);
+
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tax rule updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating tax rule:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update tax rule'
+      });
+    }
+  }
+
+  /**
+   * Deactivate tax rule
+   */
+  async deleteTaxRule(req, res) {
+    try {
+      const deactivated = await taxService.deactivateRule(req.params.ruleId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tax rule deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating tax rule:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate tax rule'
+      });
+    }
+  }
+}
+
+module.exports = TaxController;
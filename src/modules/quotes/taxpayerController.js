@@ -0,0 +1,130 @@
+const taxpayerRegistryService = require('./services/taxpayerRegistryService');
+
+class TaxpayerController {
+  /**
+   * Validate an RNC or cédula and return its DGII registry record (legal name, status)
+   */
+  async lookup(req, res) {
+    try {
+      const result = await taxpayerRegistryService.lookup(req.params.rnc);
+
+      if (!result.valid) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          data: result
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error looking up taxpayer:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to look up taxpayer'
+      });
+    }
+  }
+
+  /**
+   * Autocomplete taxpayers by RNC prefix or name
+   */
+  async search(req, res) {
+    try {
+      const term = String(req.query.q || '').trim();
+
+      if (term.length < 3) {
+        return res.status(400).json({
+          success: false,
+          message: 'q must have at least 3 characters'
+        });
+      }
+
+      const taxpayers = await taxpayerRegistryService.search(term, req.query.limit);
+
+      res.json({
+        success: true,
+        data: taxpayers
+      });
+    } catch (error) {
+      console.error('Error searching taxpayers:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to search taxpayers'
+      });
+    }
+  }
+
+  /**
+   * Clients whose RNC is suspended, inactive or not in the registry
+   */
+  async getFlaggedClients(req, res) {
+    try {
+      const clients = await taxpayerRegistryService.getFlaggedClients();
+
+      res.json({
+        success: true,
+        data: clients
+      });
+    } catch (error) {
+      console.error('Error fetching flagged clients:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch flagged clients'
+      });
+    }
+  }
+
+  /**
+   * Registry size, configured file and last import
+   */
+  async getRegistryStatus(req, res) {
+    try {
+      const status = await taxpayerRegistryService.getStatus();
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      console.error('Error fetching DGII registry status:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch DGII registry status'
+      });
+    }
+  }
+
+  /**
+   * Import the configured DGII registry file now
+   */
+  async importRegistry(req, res) {
+    try {
+      if (!taxpayerRegistryService.registryFile) {
+        return res.status(400).json({
+          success: false,
+          message: 'No DGII registry file configured (DGII_REGISTRY_FILE)'
+        });
+      }
+
+      const result = await taxpayerRegistryService.importFile(taxpayerRegistryService.registryFile, req.user.id);
+
+      res.json({
+        success: true,
+        data: result,
+        message: `${result.imported} taxpayers imported`
+      });
+    } catch (error) {
+      console.error('Error importing DGII registry:', error);
+      res.status(error.code === 'ENOENT' ? 400 : 500).json({
+        success: false,
+        message: error.message || 'Failed to import DGII registry'
+      });
+    }
+  }
+}
+
+module.exports = TaxpayerController;
@@ -0,0 +1,150 @@
+const quoteTemplateService = require('./services/quoteTemplateService');
+
+class TemplateController {
+  /**
+   * List quote templates
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = await quoteTemplateService.getTemplates({
+        includeInactive: req.query.include_inactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: templates
+      });
+    } catch (error) {
+      console.error('Error fetching quote templates:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote templates'
+      });
+    }
+  }
+
+  /**
+   * Get a template with current catalog prices and the validity date a new quote would get
+   */
+  async getTemplate(req, res) {
+    try {
+      const template = await quoteTemplateService.getTemplate(req.params.templateId, { refreshPrices: true });
+
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      console.error('Error fetching quote template:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote template'
+      });
+    }
+  }
+
+  /**
+   * Create a template from items or from an existing quote (`source_quote_id`)
+   */
+  async createTemplate(req, res) {
+    try {
+      const errors = quoteTemplateService.validateTemplate(req.body);
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid quote template',
+          errors
+        });
+      }
+
+      const id = await quoteTemplateService.saveTemplate(null, req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        data: { id },
+        message: 'Quote template created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating quote template:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to create quote template'
+      });
+    }
+  }
+
+  /**
+   * Update a template. Lines are replaced only when `items` or `source_quote_id` is sent.
+   */
+  async updateTemplate(req, res) {
+    try {
+      const errors = quoteTemplateService.validateTemplate(req.body, { requireItems: false });
+
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid quote template',
+          errors
+        });
+      }
+
+      const id = await quoteTemplateService.saveTemplate(req.params.templateId, req.body, req.user.id);
+
+      if (!id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { id },
+        message: 'Quote template updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating quote template:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to update quote template'
+      });
+    }
+  }
+
+  /**
+   * Deactivate a template
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const deactivated = await quoteTemplateService.deactivateTemplate(req.params.templateId, req.user.id);
+
+      if (!deactivated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Quote template deactivated successfully'
+      });
+    } catch (error) {
+      console.error('Error deactivating quote template:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to deactivate quote template'
+      });
+    }
+  }
+}
+
+module.exports = TemplateController;
@@ -142,6 +142,7 @@ class SalesDashboardData {
     this.hourlyPatterns = data.hourlyPatterns || [];
     this.topProducts = data.topProducts || [];
     this.recentOrders = data.recentOrders || [];
+    this.quoteConversions = data.quoteConversions || null;
     
     // Filter metadata
     this.appliedFilters = data.appliedFilters || new SalesFilters();
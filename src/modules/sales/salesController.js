@@ -133,6 +133,27 @@ class SalesController {
     }
   }
 
+  /**
+   * Get sales from quotes converted to invoices
+   */
+  async getQuoteConversions(req, res) {
+    try {
+      const filters = new SalesFilters(req.query);
+      const conversions = await this.salesService.getQuoteConversions(filters);
+
+      res.json({
+        success: true,
+        data: conversions
+      });
+    } catch (error) {
+      console.error('Quote conversions error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to fetch quote conversions'
+      });
+    }
+  }
+
   /**
    * Get recent orders
    */
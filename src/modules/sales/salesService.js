@@ -17,6 +17,7 @@ class SalesService {
   constructor() {
     this.mysqlDb = database.mysql; // For Shopify orders fallback
     this.oracleDb = database.oracle; // For ERP data
+    this.sqliteDb = database.sqlite; // Orders converted from quotes
     // Check if Oracle is actually available, not just configured
     this.useOracle = this.oracleDb.isAvailable();
   }
@@ -572,6 +573,63 @@ class SalesService {
     }));
   }
 
+  /**
+   * Get sales from converted quotes (SQLite), reported next to ERP sales
+   */
+  async getQuoteConversions(filters) {
+    try {
+      const { dateFrom, dateTo } = this._buildDateFilter(filters);
+
+      const [summary] = await this.sqliteDb.execute(`
+        SELECT
+          COUNT(*) as orders_count,
+          COALESCE(SUM(total * exchange_rate), 0) as total_sales,
+          COALESCE(SUM(itbis * exchange_rate), 0) as total_tax,
+          COALESCE(AVG(total * exchange_rate), 0) as avg_order_value
+        FROM sales_orders
+        WHERE status = 'issued' AND DATE(created_at) BETWEEN ? AND ?
+      `, [dateFrom, dateTo]);
+
+      const [quotesCreated] = await this.sqliteDb.execute(
+        'SELECT COUNT(*) as count FROM quotes WHERE DATE(created_at) BETWEEN ? AND ?',
+        [dateFrom, dateTo]
+      );
+
+      const [byNcfType] = await this.sqliteDb.execute(`
+        SELECT ncf_type, COUNT(*) as orders_count, COALESCE(SUM(total * exchange_rate), 0) as total_sales
+        FROM sales_orders
+        WHERE status = 'issued' AND DATE(created_at) BETWEEN ? AND ?
+        GROUP BY ncf_type
+        ORDER BY ncf_type
+      `, [dateFrom, dateTo]);
+
+      const [dailyTrends] = await this.sqliteDb.execute(`
+        SELECT DATE(created_at) as date, COUNT(*) as orders_count, COALESCE(SUM(total * exchange_rate), 0) as total_sales
+        FROM sales_orders
+        WHERE status = 'issued' AND DATE(created_at) BETWEEN ? AND ?
+        GROUP BY DATE(created_at)
+        ORDER BY date
+      `, [dateFrom, dateTo]);
+
+      const row = summary[0];
+      const createdCount = quotesCreated[0].count;
+
+      return {
+        ordersCount: row.orders_count,
+        totalSales: parseFloat(row.total_sales),
+        totalTax: parseFloat(row.total_tax),
+        avgOrderValue: parseFloat(row.avg_order_value),
+        quotesCreated: createdCount,
+        conversionRate: createdCount > 0 ? parseFloat(((row.orders_count / createdCount) * 100).toFixed(2)) : 0,
+        byNcfType,
+        dailyTrends
+      };
+    } catch (error) {
+      console.error('Error fetching quote conversions:', error);
+      throw new Error('Failed to fetch quote conversions');
+    }
+  }
+
   /**
    * Get available filter options
    */
@@ -647,14 +705,16 @@ class SalesService {
         storePerformance,
         topProducts,
         recentOrders,
-        filterOptions
+        filterOptions,
+        quoteConversions
       ] = await Promise.all([
         this.getSalesMetrics(salesFilters),
         this.getDailyTrends(salesFilters),
         this.getStorePerformance(salesFilters),
         this.getTopProducts(salesFilters, 10),
         this.getRecentOrders(salesFilters, 20),
-        this.getFilterOptions()
+        this.getFilterOptions(),
+        this.getQuoteConversions(salesFilters)
       ]);
       
       return new SalesDashboardData({
@@ -664,6 +724,7 @@ class SalesService {
         hourlyPatterns: [], // Not implemented for now
         topProducts,
         recentOrders,
+        quoteConversions,
         appliedFilters: salesFilters,
         ...filterOptions
       });
@@ -385,6 +385,7 @@ class UserManagementController {
       const roles = [
         { value: 'user', label: 'User', description: 'Basic user with limited access' },
         { value: 'manager', label: 'Manager', description: 'Manager with extended permissions' },
+        { value: 'finance', label: 'Finance', description: 'Finance approver for quotes' },
         { value: 'admin', label: 'Administrator', description: 'Full system access' }
       ];
 
@@ -4,7 +4,7 @@ const bcrypt = require('bcrypt');
 class UserManagementService {
   constructor() {
     this.db = database.sqlite;
-    this.validRoles = ['admin', 'manager', 'user'];
+    this.validRoles = ['admin', 'manager', 'finance', 'user'];
   }
 
   /**
@@ -418,6 +418,12 @@ class UserManagementService {
         'sales_analytics',
         'export_data'
       ],
+      finance: [
+        'quote_management',
+        'client_management',
+        'sales_analytics',
+        'export_data'
+      ],
       user: [
         'quote_management',
         'client_management'
@@ -1,11 +1,21 @@
 const express = require('express');
 const CatalogController = require('../modules/catalog/catalogController');
 const CatalogExportController = require('../modules/catalog/exportController');
+const ThresholdController = require('../modules/catalog/thresholdController');
+const SnapshotController = require('../modules/catalog/snapshotController');
+const TaskController = require('../modules/catalog/taskController');
+const ContentQualityController = require('../modules/catalog/contentQualityController');
+const PimActionController = require('../modules/catalog/pimActionController');
 const authMiddleware = require('../shared/middleware/authMiddleware');
 
 const router = express.Router();
 const catalogController = new CatalogController();
 const exportController = new CatalogExportController();
+const thresholdController = new ThresholdController();
+const snapshotController = new SnapshotController();
+const taskController = new TaskController();
+const contentQualityController = new ContentQualityController();
+const pimActionController = new PimActionController();
 
 // Public routes (health check)
 router.get('/ping', catalogController.ping.bind(catalogController));
@@ -20,10 +30,45 @@ router.get('/status/category-based', catalogController.getCategoryBasedStatus.bi
 router.get('/categories', catalogController.getCategories.bind(catalogController));
 router.get('/categories/summary', catalogController.getCategorySummary.bind(catalogController));
 
+// Publishing thresholds; changes are limited to catalog managers (admin, manager)
+router.get('/thresholds', thresholdController.getThresholds.bind(thresholdController));
+router.get('/thresholds/changes', authMiddleware.authorize(['admin', 'manager']), thresholdController.getChanges.bind(thresholdController));
+router.post('/thresholds', authMiddleware.authorize(['admin', 'manager']), thresholdController.createThreshold.bind(thresholdController));
+router.put('/thresholds/:thresholdId', authMiddleware.authorize(['admin', 'manager']), thresholdController.updateThreshold.bind(thresholdController));
+router.delete('/thresholds/:thresholdId', authMiddleware.authorize(['admin', 'manager']), thresholdController.deleteThreshold.bind(thresholdController));
+
+// Nightly snapshots of the classification; taking one on demand is limited to catalog managers
+router.get('/snapshots', snapshotController.getSnapshots.bind(snapshotController));
+router.post('/snapshots', authMiddleware.authorize(['admin', 'manager']), snapshotController.createSnapshot.bind(snapshotController));
+router.get('/snapshots/trend', snapshotController.getTrend.bind(snapshotController));
+router.get('/snapshots/compare', snapshotController.compareSnapshots.bind(snapshotController));
+router.get('/snapshots/:snapshotId', snapshotController.getSnapshot.bind(snapshotController));
+
+// Work queue of new and obsolete SKUs; managers assign, editors resolve their own tasks
+router.get('/tasks', authMiddleware.authorize(['admin', 'manager']), taskController.getTasks.bind(taskController));
+router.get('/tasks/mine', taskController.getMyTasks.bind(taskController));
+router.get('/tasks/editors', authMiddleware.authorize(['admin', 'manager']), taskController.getEditors.bind(taskController));
+router.get('/tasks/throughput', authMiddleware.authorize(['admin', 'manager']), taskController.getThroughput.bind(taskController));
+router.post('/tasks/assign', authMiddleware.authorize(['admin', 'manager']), taskController.assignTasks.bind(taskController));
+router.post('/tasks/:taskId/resolve', taskController.resolveTask.bind(taskController));
+
+// PIM content quality scores
+router.get('/content/quality', contentQualityController.getReport.bind(contentQualityController));
+router.get('/content/quality/:sku', contentQualityController.getProductScore.bind(contentQualityController));
+
+// Bulk activate / deactivate in the PIM; editors can only request, managers apply and review
+router.post('/pim-actions', pimActionController.createAction.bind(pimActionController));
+router.get('/pim-actions', pimActionController.getActions.bind(pimActionController));
+router.get('/pim-actions/:actionId', pimActionController.getAction.bind(pimActionController));
+router.post('/pim-actions/:actionId/approve', authMiddleware.authorize(['admin', 'manager']), pimActionController.approveAction.bind(pimActionController));
+router.post('/pim-actions/:actionId/reject', authMiddleware.authorize(['admin', 'manager']), pimActionController.rejectAction.bind(pimActionController));
+router.post('/pim-actions/:actionId/undo', authMiddleware.authorize(['admin', 'manager']), pimActionController.undoAction.bind(pimActionController));
+
 // Export routes
 router.get('/export/erp-pim/excel', exportController.exportERPvsPIMExcel.bind(exportController));
 router.get('/export/category/excel', exportController.exportCategoryComparisonExcel.bind(exportController));
 router.get('/export/status/pdf', exportController.exportCatalogStatusPDF.bind(exportController));
 router.get('/export/inventory/excel', exportController.exportInventoryReportExcel.bind(exportController));
+router.get('/export/content/excel', exportController.exportContentQualityExcel.bind(exportController));
 
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,8 @@ const salesRoutes = require('./salesRoutes');
 const dashboardRoutes = require('./dashboardRoutes');
 const userManagementRoutes = require('./userManagementRoutes');
 const monitoringRoutes = require('./monitoringRoutes');
+const portalRoutes = require('./portalRoutes');
+const inventoryRoutes = require('./inventoryRoutes');
 
 const router = express.Router();
 
@@ -16,7 +18,7 @@ router.get('/health', (req, res) => {
     success: true,
     message: 'Integrated Dashboard API is running',
     timestamp: new Date().toISOString(),
-    modules: ['auth', 'quotes', 'logs', 'catalog', 'sales', 'dashboard', 'user-management', 'monitoring']
+    modules: ['auth', 'quotes', 'inventory', 'logs', 'catalog', 'sales', 'dashboard', 'user-management', 'monitoring', 'portal']
   });
 });
 
@@ -25,6 +27,7 @@ router.use('/auth', authRoutes);
 
 // Module routes
 router.use('/quotes', quotesRoutes);
+router.use('/inventory', inventoryRoutes);
 router.use('/logs', logsRoutes);
 router.use('/catalog', catalogRoutes);
 router.use('/sales', salesRoutes);
@@ -32,6 +35,9 @@ router.use('/dashboard', dashboardRoutes);
 router.use('/users', userManagementRoutes);
 router.use('/monitoring', monitoringRoutes);
 
+// Public client portal (token-based, no authentication)
+router.use('/portal', portalRoutes);
+
 // API documentation endpoint
 router.get('/docs', (req, res) => {
   res.json({
@@ -52,7 +58,92 @@ router.get('/docs', (req, res) => {
         'GET /api/quotes/:id': 'Get quote details',
         'PUT /api/quotes/:id': 'Update quote',
         'DELETE /api/quotes/:id': 'Delete quote',
-        'GET /api/quotes/stats': 'Quote statistics'
+        'POST /api/quotes/:id/clone': 'Clone quote to a new draft',
+        'GET /api/quotes/:id/reservations': 'Stock holds of a quote',
+        'GET /api/quotes/:id/availability': 'Stock check of a quote at its fulfilment store, with nearby stores and substitutes for short lines',
+        'POST /api/quotes/:id/items/:itemId/swap': 'Swap a quote line to another product',
+        'POST /api/quotes/availability': 'Stock check of unsaved lines, optionally at a fulfilment store, with substitutes',
+        'GET /api/quotes/reservations': 'Units held by quotes per SKU',
+        'GET /api/quotes/reservations/:sku': 'Quotes holding a SKU',
+        'GET /api/quotes/templates': 'List quote templates',
+        'POST /api/quotes/templates': 'Create quote template',
+        'GET /api/quotes/templates/:templateId': 'Get quote template with current prices',
+        'GET /api/quotes/clients': 'List clients',
+        'POST /api/quotes/clients': 'Create client',
+        'GET /api/quotes/clients/rnc-flags': 'Clients whose RNC is suspended or not in the DGII registry',
+        'POST /api/quotes/clients/import': 'Import or preview clients from CSV/XLSX (admin, manager)',
+        'GET /api/quotes/clients/duplicates': 'Likely duplicate clients by RNC, email or name',
+        'GET /api/quotes/clients/:clientId': 'Client with contacts and delivery addresses',
+        'PUT /api/quotes/clients/:clientId': 'Update client',
+        'GET /api/quotes/clients/:clientId/credit': 'Client credit terms and limit usage',
+        'PUT /api/quotes/clients/:clientId/credit': 'Update client credit terms (admin, manager)',
+        'POST /api/quotes/clients/:clientId/merge': 'Merge a duplicate client into this one (admin, manager)',
+        'POST /api/quotes/clients/:clientId/contacts': 'Add client contact',
+        'PUT /api/quotes/clients/:clientId/contacts/:contactId': 'Update client contact',
+        'POST /api/quotes/clients/:clientId/addresses': 'Add delivery address',
+        'PUT /api/quotes/clients/:clientId/addresses/:addressId': 'Update delivery address',
+        'POST /api/quotes/clients/:clientId/notes': 'Add client note',
+        'GET /api/quotes/clients/:clientId/timeline': 'Client timeline of quotes, status changes, emails and notes',
+        'GET /api/quotes/taxpayers': 'Search the DGII taxpayer registry',
+        'GET /api/quotes/taxpayers/:rnc': 'Validate an RNC/cédula and look up its legal name and status',
+        'GET /api/quotes/stats': 'Quote statistics',
+        'GET /api/quotes/analytics/pipeline': 'Funnel, win rates, time in status and lost reasons',
+        'GET /api/quotes/export/pipeline/excel': 'Export pipeline analytics to Excel',
+        'GET /api/quotes/:id/revisions': 'Quote revision history',
+        'GET /api/quotes/:id/revisions/:revision': 'Get quote revision',
+        'GET /api/quotes/:id/revisions/compare': 'Compare quote revisions',
+        'GET /api/quotes/settings/tax-rules': 'List tax rules (admin)',
+        'POST /api/quotes/settings/tax-rules': 'Create tax rule (admin)',
+        'GET /api/quotes/settings/numbering': 'Quote numbering settings (admin)',
+        'GET /api/quotes/settings/ncf-sequences': 'NCF ranges, next number and remaining (admin)',
+        'PUT /api/quotes/settings/ncf-sequences/:ncfType': 'Load a DGII-authorised NCF range (admin)',
+        'GET /api/quotes/settings/price-lists': 'List price lists (admin)',
+        'POST /api/quotes/settings/price-lists': 'Create price list (admin)',
+        'GET /api/quotes/settings/exchange-rates': 'List exchange rates (admin)',
+        'POST /api/quotes/settings/exchange-rates': 'Set exchange rate (admin)',
+        'POST /api/quotes/settings/exchange-rates/import': 'Import exchange rates from CSV (admin)',
+        'GET /api/quotes/settings/dgii-registry': 'DGII registry size and last import (admin)',
+        'POST /api/quotes/settings/dgii-registry/import': 'Import the DGII registry file now (admin)',
+        'GET /api/quotes/settings/credit': 'Credit limit action and ERP sync status (admin)',
+        'PUT /api/quotes/settings/credit': 'Set the credit limit action, warn or approval (admin)',
+        'GET /api/quotes/settings/stock-reservations': 'Stock reservation settings (admin)',
+        'PUT /api/quotes/settings/stock-reservations': 'Update stock reservation settings (admin)',
+        'POST /api/quotes/settings/credit/erp-import': 'Sync outstanding balances from the ERP now (admin)',
+        'GET /api/quotes/settings/follow-ups': 'List follow-up cadence (admin)',
+        'POST /api/quotes/settings/follow-ups': 'Add follow-up step (admin)',
+        'POST /api/quotes/settings/follow-ups/run': 'Queue follow-ups due today now (admin)',
+        'POST /api/quotes/settings/expiry/run': 'Expire quotes past valid_until now (admin)',
+        'GET /api/quotes/settings/approval-chains': 'List approval chains (admin)',
+        'POST /api/quotes/settings/approval-chains': 'Create approval chain (admin)',
+        'POST /api/quotes/settings/approval-chains/escalate': 'Escalate overdue approval steps now (admin)',
+        'GET /api/quotes/approvals/pending': 'Approval steps waiting on me, with timeline',
+        'POST /api/quotes/approvals/:approvalId/decision': 'Approve or reject an approval step',
+        'GET /api/quotes/approvals/delegations': 'List approval delegations',
+        'POST /api/quotes/approvals/delegations': 'Delegate approvals while out of office',
+        'POST /api/quotes/:id/approvals': 'Submit quote for approval',
+        'GET /api/quotes/:id/approvals': 'Approval requests of a quote with timeline',
+        'POST /api/quotes/:id/convert': 'Convert accepted quote to invoice',
+        'GET /api/quotes/:id/status-history': 'Quote status history',
+        'POST /api/quotes/:id/portal-links': 'Issue client portal link (sends the quote)',
+        'GET /api/quotes/:id/portal-links': 'List portal links and client activity',
+        'DELETE /api/quotes/:id/portal-links/:linkId': 'Revoke portal link',
+        'GET /api/quotes/:id/acceptance': 'Signed client acceptance record',
+        'GET /api/quotes/:id/acceptance/pdf': 'Accepted quote PDF with acceptance page',
+        'POST /api/quotes/:id/acceptance/verify': 'Verify accepted PDF against its SHA-256'
+      },
+      inventory: {
+        'GET /api/inventory/stock/:sku': 'Stock of a SKU per store and distribution centre',
+        'GET /api/inventory/low-stock': 'Low-stock report per location (admin, manager)',
+        'GET /api/inventory/locations': 'List stores and distribution centres',
+        'POST /api/inventory/locations': 'Register a store or distribution centre (admin)',
+        'PUT /api/inventory/locations/:code': 'Update a store or distribution centre (admin)'
+      },
+      portal: {
+        'GET /api/portal/quotes/:token': 'View quote (public, marks it viewed)',
+        'GET /api/portal/quotes/:token/pdf': 'Download quote PDF, signed copy once accepted (public)',
+        'POST /api/portal/quotes/:token/accept': 'Accept quote, optional typed name and drawn signature (public)',
+        'POST /api/portal/quotes/:token/reject': 'Reject quote with a reason (public)',
+        'POST /api/portal/quotes/:token/comments': 'Request changes (public)'
       },
       logs: {
         'GET /api/logs': 'Get user logs',
@@ -66,7 +157,32 @@ router.get('/docs', (req, res) => {
         'GET /api/catalog/status/erp-vs-pim': 'ERP vs PIM comparison',
         'GET /api/catalog/status/category-based': 'Category-based comparison',
         'GET /api/catalog/categories': 'List categories',
-        'GET /api/catalog/categories/summary': 'Category summary'
+        'GET /api/catalog/categories/summary': 'Category summary',
+        'GET /api/catalog/thresholds': 'Publishing thresholds per area, category and brand',
+        'POST /api/catalog/thresholds': 'Create publishing threshold (admin, manager)',
+        'PUT /api/catalog/thresholds/:thresholdId': 'Update publishing threshold (admin, manager)',
+        'DELETE /api/catalog/thresholds/:thresholdId': 'Delete publishing threshold (admin, manager)',
+        'GET /api/catalog/thresholds/changes': 'Audit trail of threshold changes (admin, manager)',
+        'GET /api/catalog/snapshots': 'List nightly catalog snapshots',
+        'POST /api/catalog/snapshots': 'Take a catalog snapshot now (admin, manager)',
+        'GET /api/catalog/snapshots/:snapshotId': 'Catalog snapshot with counts per area',
+        'GET /api/catalog/snapshots/compare': 'SKUs that became new or were resolved between two snapshots',
+        'GET /api/catalog/snapshots/trend': 'Unpublished backlog trend per area',
+        'GET /api/catalog/tasks': 'Catalog work queue (admin, manager)',
+        'GET /api/catalog/tasks/mine': 'Catalog tasks assigned to the current user',
+        'GET /api/catalog/tasks/editors': 'Users to assign catalog tasks to (admin, manager)',
+        'GET /api/catalog/tasks/throughput': 'Catalog tasks resolved per editor (admin, manager)',
+        'POST /api/catalog/tasks/assign': 'Assign catalog tasks to an editor (admin, manager)',
+        'POST /api/catalog/tasks/:taskId/resolve': 'Resolve a catalog task as published, deactivated or ignored',
+        'GET /api/catalog/content/quality': 'PIM content quality per area and worst offenders',
+        'GET /api/catalog/content/quality/:sku': 'Content quality score of a PIM product',
+        'POST /api/catalog/pim-actions': 'Preview, apply or request a bulk activate/deactivate in the PIM',
+        'GET /api/catalog/pim-actions': 'Recent bulk PIM actions',
+        'GET /api/catalog/pim-actions/:actionId': 'Bulk PIM action with its SKUs',
+        'POST /api/catalog/pim-actions/:actionId/approve': 'Approve and apply a requested PIM action (admin, manager)',
+        'POST /api/catalog/pim-actions/:actionId/reject': 'Reject a requested PIM action (admin, manager)',
+        'POST /api/catalog/pim-actions/:actionId/undo': 'Undo an applied PIM action within its undo window (admin, manager)',
+        'GET /api/catalog/export/content/excel': 'Export content quality scores to Excel'
       },
       sales: {
         'GET /api/sales/dashboard': 'Complete sales dashboard',
@@ -76,6 +192,7 @@ router.get('/docs', (req, res) => {
         'GET /api/sales/hourly': 'Hourly patterns',
         'GET /api/sales/products': 'Top products',
         'GET /api/sales/orders': 'Recent orders',
+        'GET /api/sales/quote-conversions': 'Sales from converted quotes',
         'GET /api/sales/filters': 'Filter options',
         'GET /api/sales/health': 'Sales module health check'
       },
@@ -0,0 +1,20 @@
+const express = require('express');
+const InventoryController = require('../modules/quotes/inventoryController');
+const authMiddleware = require('../shared/middleware/authMiddleware');
+
+const router = express.Router();
+const inventoryController = new InventoryController();
+
+// All inventory routes require authentication
+router.use(authMiddleware.authenticate());
+
+// Stock per store and distribution centre
+router.get('/stock/:sku', inventoryController.getProductStock.bind(inventoryController));
+router.get('/low-stock', authMiddleware.authorize(['admin', 'manager']), inventoryController.getLowStock.bind(inventoryController));
+
+// Stores and distribution centres; changes are admin only
+router.get('/locations', inventoryController.getLocations.bind(inventoryController));
+router.post('/locations', authMiddleware.authorize(['admin']), inventoryController.createLocation.bind(inventoryController));
+router.put('/locations/:code', authMiddleware.authorize(['admin']), inventoryController.updateLocation.bind(inventoryController));
+
+module.exports = router;
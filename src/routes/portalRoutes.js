@@ -0,0 +1,14 @@
+const express = require('express');
+const PortalController = require('../modules/quotes/portalController');
+
+const router = express.Router();
+const portalController = new PortalController();
+
+// Public client portal: access is granted by the quote link token, not by a user session
+router.get('/quotes/:token', portalController.viewQuote.bind(portalController));
+router.get('/quotes/:token/pdf', portalController.downloadPDF.bind(portalController));
+router.post('/quotes/:token/accept', portalController.acceptQuote.bind(portalController));
+router.post('/quotes/:token/reject', portalController.rejectQuote.bind(portalController));
+router.post('/quotes/:token/comments', portalController.requestChanges.bind(portalController));
+
+module.exports = router;
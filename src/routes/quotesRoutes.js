@@ -1,11 +1,35 @@
 const express = require('express');
 const QuotesController = require('../modules/quotes/quotesController');
 const QuotesExportController = require('../modules/quotes/exportController');
+const TaxController = require('../modules/quotes/taxController');
+const NumberingController = require('../modules/quotes/numberingController');
+const NcfController = require('../modules/quotes/ncfController');
+const PricingController = require('../modules/quotes/pricingController');
+const CurrencyController = require('../modules/quotes/currencyController');
+const TemplateController = require('../modules/quotes/templateController');
+const PortalController = require('../modules/quotes/portalController');
+const FollowUpController = require('../modules/quotes/followUpController');
+const ApprovalController = require('../modules/quotes/approvalController');
+const ClientController = require('../modules/quotes/clientController');
+const TaxpayerController = require('../modules/quotes/taxpayerController');
+const ReservationController = require('../modules/quotes/reservationController');
 const authMiddleware = require('../shared/middleware/authMiddleware');
 
 const router = express.Router();
 const quotesController = new QuotesController();
 const exportController = new QuotesExportController();
+const taxController = new TaxController();
+const numberingController = new NumberingController();
+const ncfController = new NcfController();
+const pricingController = new PricingController();
+const currencyController = new CurrencyController();
+const templateController = new TemplateController();
+const portalController = new PortalController();
+const followUpController = new FollowUpController();
+const approvalController = new ApprovalController();
+const clientController = new ClientController();
+const taxpayerController = new TaxpayerController();
+const reservationController = new ReservationController();
 
 // All quotes routes require authentication
 router.use(authMiddleware.authenticate());
@@ -13,27 +37,159 @@ router.use(authMiddleware.authenticate());
 // Quote management routes
 router.get('/', quotesController.getQuotes.bind(quotesController));
 router.get('/stats', quotesController.getStats.bind(quotesController));
+router.get('/analytics/pipeline', quotesController.getPipelineAnalytics.bind(quotesController));
 router.post('/', quotesController.createQuote.bind(quotesController));
 
 // Client management routes
 router.get('/clients', quotesController.getClients.bind(quotesController));
 router.post('/clients', quotesController.createClient.bind(quotesController));
+router.get('/clients/rnc-flags', taxpayerController.getFlaggedClients.bind(taxpayerController));
+router.post('/clients/import', authMiddleware.authorize(['admin', 'manager']), clientController.importClients.bind(clientController));
+router.get('/clients/duplicates', authMiddleware.authorize(['admin', 'manager']), clientController.getDuplicates.bind(clientController));
+router.get('/clients/:clientId', clientController.getClient.bind(clientController));
+router.put('/clients/:clientId', clientController.updateClient.bind(clientController));
+router.get('/clients/:clientId/credit', clientController.getCredit.bind(clientController));
+router.put('/clients/:clientId/credit', authMiddleware.authorize(['admin', 'manager']), clientController.updateCredit.bind(clientController));
+router.post('/clients/:clientId/merge', authMiddleware.authorize(['admin', 'manager']), clientController.mergeClient.bind(clientController));
+router.get('/clients/:clientId/timeline', clientController.getTimeline.bind(clientController));
+router.get('/clients/:clientId/contacts', clientController.getContacts.bind(clientController));
+router.post('/clients/:clientId/contacts', clientController.saveContact.bind(clientController));
+router.put('/clients/:clientId/contacts/:contactId', clientController.saveContact.bind(clientController));
+router.delete('/clients/:clientId/contacts/:contactId', clientController.deleteContact.bind(clientController));
+router.get('/clients/:clientId/addresses', clientController.getAddresses.bind(clientController));
+router.post('/clients/:clientId/addresses', clientController.saveAddress.bind(clientController));
+router.put('/clients/:clientId/addresses/:addressId', clientController.saveAddress.bind(clientController));
+router.delete('/clients/:clientId/addresses/:addressId', clientController.deleteAddress.bind(clientController));
+router.get('/clients/:clientId/notes', clientController.getNotes.bind(clientController));
+router.post('/clients/:clientId/notes', clientController.addNote.bind(clientController));
+
+// DGII taxpayer registry lookups (RNC / cédula)
+router.get('/taxpayers', taxpayerController.search.bind(taxpayerController));
+router.get('/taxpayers/:rnc', taxpayerController.lookup.bind(taxpayerController));
 
 // Product search route
 router.get('/products', quotesController.searchProducts.bind(quotesController));
 
+// Stock check of unsaved lines, with substitutes for products that fall short
+router.post('/availability', quotesController.checkAvailability.bind(quotesController));
+
+// Stock held by quotes, per SKU
+router.get('/reservations', reservationController.getSkuSummary.bind(reservationController));
+router.get('/reservations/:sku', reservationController.getSkuReservations.bind(reservationController));
+
+// Quote templates
+router.get('/templates', templateController.getTemplates.bind(templateController));
+router.post('/templates', templateController.createTemplate.bind(templateController));
+router.get('/templates/:templateId', templateController.getTemplate.bind(templateController));
+router.put('/templates/:templateId', templateController.updateTemplate.bind(templateController));
+router.delete('/templates/:templateId', authMiddleware.authorize(['admin', 'manager']), templateController.deleteTemplate.bind(templateController));
+
 // Quote reminder functionality
 router.post('/send-reminders', quotesController.sendQuoteReminders.bind(quotesController));
 
+// Tax rule settings (admin only)
+router.get('/settings/tax-rules', authMiddleware.authorize(['admin']), taxController.getTaxRules.bind(taxController));
+router.post('/settings/tax-rules', authMiddleware.authorize(['admin']), taxController.createTaxRule.bind(taxController));
+router.put('/settings/tax-rules/:ruleId', authMiddleware.authorize(['admin']), taxController.updateTaxRule.bind(taxController));
+router.delete('/settings/tax-rules/:ruleId', authMiddleware.authorize(['admin']), taxController.deleteTaxRule.bind(taxController));
+
+// Quote numbering settings (admin only)
+router.get('/settings/numbering', authMiddleware.authorize(['admin']), numberingController.getNumberingSettings.bind(numberingController));
+router.post('/settings/numbering/migrate', authMiddleware.authorize(['admin']), numberingController.migrateLegacyNumbers.bind(numberingController));
+
+// NCF ranges authorised by DGII (admin only)
+router.get('/settings/ncf-sequences', authMiddleware.authorize(['admin']), ncfController.getSequences.bind(ncfController));
+router.put('/settings/ncf-sequences/:ncfType', authMiddleware.authorize(['admin']), ncfController.updateSequence.bind(ncfController));
+
+// Price lists and volume pricing (admin only)
+router.get('/settings/price-lists', authMiddleware.authorize(['admin']), pricingController.getPriceLists.bind(pricingController));
+router.post('/settings/price-lists', authMiddleware.authorize(['admin']), pricingController.savePriceList.bind(pricingController));
+router.get('/settings/price-lists/:listId', authMiddleware.authorize(['admin']), pricingController.getPriceList.bind(pricingController));
+router.put('/settings/price-lists/:listId', authMiddleware.authorize(['admin']), pricingController.savePriceList.bind(pricingController));
+router.put('/settings/price-lists/:listId/items', authMiddleware.authorize(['admin']), pricingController.replacePriceListItems.bind(pricingController));
+
+// Exchange rates (admin only)
+router.get('/settings/exchange-rates', authMiddleware.authorize(['admin']), currencyController.getExchangeRates.bind(currencyController));
+router.post('/settings/exchange-rates', authMiddleware.authorize(['admin']), currencyController.saveExchangeRate.bind(currencyController));
+router.post('/settings/exchange-rates/import', authMiddleware.authorize(['admin']), currencyController.importExchangeRates.bind(currencyController));
+
+// DGII taxpayer registry (admin only; also imported nightly when the file changes)
+router.get('/settings/dgii-registry', authMiddleware.authorize(['admin']), taxpayerController.getRegistryStatus.bind(taxpayerController));
+router.post('/settings/dgii-registry/import', authMiddleware.authorize(['admin']), taxpayerController.importRegistry.bind(taxpayerController));
+
+// Client credit (admin only; ERP balances are also synced nightly when configured)
+router.get('/settings/credit', authMiddleware.authorize(['admin']), clientController.getCreditSettings.bind(clientController));
+router.put('/settings/credit', authMiddleware.authorize(['admin']), clientController.updateCreditSettings.bind(clientController));
+router.post('/settings/credit/erp-import', authMiddleware.authorize(['admin']), clientController.importErpBalances.bind(clientController));
+
+// Stock reservations (admin only; lapsed holds are released every 15 minutes)
+router.get('/settings/stock-reservations', authMiddleware.authorize(['admin']), reservationController.getSettings.bind(reservationController));
+router.put('/settings/stock-reservations', authMiddleware.authorize(['admin']), reservationController.updateSettings.bind(reservationController));
+
+// Follow-up cadence (admin only)
+router.get('/settings/follow-ups', authMiddleware.authorize(['admin']), followUpController.getSteps.bind(followUpController));
+router.post('/settings/follow-ups', authMiddleware.authorize(['admin']), followUpController.saveStep.bind(followUpController));
+router.post('/settings/follow-ups/run', authMiddleware.authorize(['admin']), followUpController.runFollowUps.bind(followUpController));
+router.put('/settings/follow-ups/:stepId', authMiddleware.authorize(['admin']), followUpController.saveStep.bind(followUpController));
+router.delete('/settings/follow-ups/:stepId', authMiddleware.authorize(['admin']), followUpController.deleteStep.bind(followUpController));
+
+// Quote expiry (admin only; also runs nightly)
+router.post('/settings/expiry/run', authMiddleware.authorize(['admin']), quotesController.expireQuotes.bind(quotesController));
+
+// Approval chains (admin only)
+router.get('/settings/approval-chains', authMiddleware.authorize(['admin']), approvalController.getChains.bind(approvalController));
+router.post('/settings/approval-chains', authMiddleware.authorize(['admin']), approvalController.saveChain.bind(approvalController));
+router.post('/settings/approval-chains/escalate', authMiddleware.authorize(['admin']), approvalController.runEscalations.bind(approvalController));
+router.put('/settings/approval-chains/:chainId', authMiddleware.authorize(['admin']), approvalController.saveChain.bind(approvalController));
+router.delete('/settings/approval-chains/:chainId', authMiddleware.authorize(['admin']), approvalController.deleteChain.bind(approvalController));
+
+// Approval inbox and out-of-office delegation
+router.get('/approvals/pending', approvalController.getPendingApprovals.bind(approvalController));
+router.post('/approvals/:approvalId/decision', approvalController.decide.bind(approvalController));
+router.get('/approvals/delegations', approvalController.getDelegations.bind(approvalController));
+router.post('/approvals/delegations', approvalController.createDelegation.bind(approvalController));
+router.delete('/approvals/delegations/:delegationId', approvalController.revokeDelegation.bind(approvalController));
+
 // Quote by ID routes (must come after specific routes to avoid conflicts)
 router.get('/:id', quotesController.getQuoteById.bind(quotesController));
 router.put('/:id', quotesController.updateQuote.bind(quotesController));
+router.post('/:id/clone', quotesController.cloneQuote.bind(quotesController));
+router.get('/:id/reservations', reservationController.getQuoteReservations.bind(reservationController));
+router.get('/:id/availability', quotesController.getQuoteAvailability.bind(quotesController));
+router.post('/:id/items/:itemId/swap', quotesController.swapQuoteItem.bind(quotesController));
+
+// Quote revision history
+router.get('/:id/revisions', quotesController.getQuoteRevisions.bind(quotesController));
+router.get('/:id/revisions/compare', quotesController.compareQuoteRevisions.bind(quotesController));
+router.get('/:id/revisions/:revision', quotesController.getQuoteRevision.bind(quotesController));
+
+// Quote to invoice conversion
+router.post('/:id/convert', authMiddleware.authorize(['admin', 'manager']), quotesController.convertQuote.bind(quotesController));
+router.get('/:id/invoice', quotesController.getQuoteInvoice.bind(quotesController));
+
+// Quote status and client portal links
+router.get('/:id/status-history', quotesController.getQuoteStatusHistory.bind(quotesController));
+router.post('/:id/portal-links', portalController.createLink.bind(portalController));
+router.get('/:id/portal-links', portalController.getLinks.bind(portalController));
+router.delete('/:id/portal-links/:linkId', portalController.revokeLink.bind(portalController));
+
+// Approval requests of a quote
+router.post('/:id/approvals', approvalController.submitQuote.bind(approvalController));
+router.get('/:id/approvals', approvalController.getQuoteApprovals.bind(approvalController));
+
+// Signed client acceptance
+router.get('/:id/acceptance', portalController.getAcceptance.bind(portalController));
+router.get('/:id/acceptance/pdf', portalController.downloadAcceptancePDF.bind(portalController));
+router.post('/:id/acceptance/verify', portalController.verifyAcceptance.bind(portalController));
 
 // Export routes
 router.get('/export/excel', exportController.exportQuotesExcel.bind(exportController));
 router.get('/export/pdf', exportController.exportQuotesPDF.bind(exportController));
 router.get('/export/clients/excel', exportController.exportClientsExcel.bind(exportController));
+router.get('/export/pipeline/excel', exportController.exportPipelineExcel.bind(exportController));
 router.get('/export/summary/pdf', exportController.exportSalesSummaryPDF.bind(exportController));
 router.get('/:id/export/pdf', exportController.exportQuotePDF.bind(exportController));
+router.get('/:id/revisions/:revision/export/pdf', exportController.exportRevisionPDF.bind(exportController));
+router.get('/:id/invoice/export/pdf', exportController.exportInvoicePDF.bind(exportController));
 
 module.exports = router;
\ No newline at end of file
@@ -18,6 +18,7 @@ router.get('/stores', salesController.getStorePerformance.bind(salesController))
 router.get('/hourly', salesController.getHourlyPatterns.bind(salesController));
 router.get('/products', salesController.getTopProducts.bind(salesController));
 router.get('/orders', salesController.getRecentOrders.bind(salesController));
+router.get('/quote-conversions', salesController.getQuoteConversions.bind(salesController));
 router.get('/filters', salesController.getFilterOptions.bind(salesController));
 router.get('/health', salesController.healthCheck.bind(salesController));
 
@@ -215,6 +215,77 @@ async function createDefaultAdminUser() {
   }
 }
 
+// Columns added to existing tables after their first release. SQLite has no
+// "ADD COLUMN IF NOT EXISTS", so each one is checked against the live table.
+const columnMigrations = [
+  { table: 'quotes', column: 'current_revision', definition: 'INTEGER DEFAULT 0' },
+  { table: 'quotes', column: 'legacy_quote_number', definition: 'TEXT' },
+  { table: 'quote_items', column: 'tax_rule_id', definition: 'INTEGER' },
+  { table: 'quote_items', column: 'tax_rule_name', definition: 'TEXT' },
+  { table: 'quote_items', column: 'tax_rate', definition: 'DECIMAL(5, 2)' },
+  { table: 'quote_items', column: 'price_includes_tax', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'quote_revision_items', column: 'tax_rule_id', definition: 'INTEGER' },
+  { table: 'quote_revision_items', column: 'tax_rule_name', definition: 'TEXT' },
+  { table: 'quote_revision_items', column: 'tax_rate', definition: 'DECIMAL(5, 2)' },
+  { table: 'quote_revision_items', column: 'price_includes_tax', definition: 'BOOLEAN DEFAULT 0' },
+  { table: 'clients', column: 'segment', definition: 'TEXT' },
+  { table: 'quotes', column: 'discount_type', definition: 'TEXT' },
+  { table: 'quotes', column: 'discount_value', definition: 'DECIMAL(10, 2)' },
+  { table: 'quotes', column: 'discount_total', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quotes', column: 'discount_percent', definition: 'DECIMAL(5, 2) DEFAULT 0' },
+  { table: 'quote_items', column: 'product_category', definition: 'TEXT' },
+  { table: 'quote_items', column: 'list_price', definition: 'DECIMAL(10, 2)' },
+  { table: 'quote_items', column: 'price_list_id', definition: 'INTEGER' },
+  { table: 'quote_items', column: 'discount_type', definition: 'TEXT' },
+  { table: 'quote_items', column: 'discount_value', definition: 'DECIMAL(10, 2)' },
+  { table: 'quote_items', column: 'discount_amount', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quote_items', column: 'quote_discount_amount', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quote_revisions', column: 'discount_total', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quote_revision_items', column: 'list_price', definition: 'DECIMAL(10, 2)' },
+  { table: 'quote_revision_items', column: 'discount_amount', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quote_revision_items', column: 'quote_discount_amount', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'sales_orders', column: 'discount_total', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'sales_order_items', column: 'list_price', definition: 'DECIMAL(10, 2)' },
+  { table: 'sales_order_items', column: 'discount_amount', definition: 'DECIMAL(10, 2) DEFAULT 0' },
+  { table: 'quotes', column: 'currency', definition: "TEXT NOT NULL DEFAULT 'DOP'" },
+  { table: 'quotes', column: 'exchange_rate', definition: 'DECIMAL(12, 6) NOT NULL DEFAULT 1' },
+  { table: 'sales_orders', column: 'currency', definition: "TEXT NOT NULL DEFAULT 'DOP'" },
+  { table: 'sales_orders', column: 'exchange_rate', definition: 'DECIMAL(12, 6) NOT NULL DEFAULT 1' },
+  { table: 'quotes', column: 'template_id', definition: 'INTEGER' },
+  { table: 'quotes', column: 'cloned_from_quote_id', definition: 'INTEGER' },
+  { table: 'clients', column: 'rnc_status', definition: 'TEXT' },
+  { table: 'clients', column: 'rnc_checked_at', definition: 'DATETIME' },
+  { table: 'clients', column: 'merged_into_id', definition: 'INTEGER REFERENCES clients(id)' },
+  { table: 'clients', column: 'merged_at', definition: 'DATETIME' },
+  { table: 'clients', column: 'credit_limit', definition: 'DECIMAL(12, 2)' },
+  { table: 'clients', column: 'payment_terms_days', definition: 'INTEGER NOT NULL DEFAULT 0' },
+  { table: 'clients', column: 'account_status', definition: "TEXT NOT NULL DEFAULT 'active'" },
+  { table: 'clients', column: 'outstanding_balance', definition: 'DECIMAL(12, 2) NOT NULL DEFAULT 0' },
+  { table: 'clients', column: 'balance_source', definition: 'TEXT' },
+  { table: 'clients', column: 'balance_updated_at', definition: 'DATETIME' },
+  { table: 'quote_items', column: 'notes', definition: 'TEXT' },
+  { table: 'quote_revision_items', column: 'notes', definition: 'TEXT' },
+  { table: 'quotes', column: 'fulfilment_store', definition: 'TEXT' },
+  { table: 'ncf_sequences', column: 'range_start', definition: 'INTEGER' }
+];
+
+async function applyColumnMigrations(db) {
+  const all = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const run = (sql) => new Promise((resolve, reject) => {
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+
+  for (const { table, column, definition } of columnMigrations) {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (!columns.some(existing => existing.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Added column ${table}.${column}`);
+    }
+  }
+}
+
 // Initialize SQLite database schema
 async function initializeSQLiteDatabase() {
   return new Promise((resolve, reject) => {
@@ -306,6 +377,653 @@ async function initializeSQLiteDatabase() {
         FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE
       );
 
+      -- Quote revisions (immutable snapshot of a quote after every edit)
+      CREATE TABLE IF NOT EXISTS quote_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        revision_number INTEGER NOT NULL,
+        subtotal DECIMAL(10, 2) NOT NULL,
+        itbis DECIMAL(10, 2) DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        notes TEXT,
+        valid_until DATE,
+        change_summary TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        UNIQUE (quote_id, revision_number),
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Quote revision items table
+      CREATE TABLE IF NOT EXISTS quote_revision_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        revision_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        product_ean TEXT,
+        product_name TEXT,
+        product_description TEXT,
+        quantity DECIMAL(10, 3) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        itbis DECIMAL(10, 2) DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        FOREIGN KEY (revision_id) REFERENCES quote_revisions(id) ON DELETE CASCADE
+      );
+
+      -- Quote number counters, one row per store code and period (year, or 0 when never reset)
+      CREATE TABLE IF NOT EXISTS quote_number_sequences (
+        store_code TEXT NOT NULL DEFAULT '',
+        period INTEGER NOT NULL,
+        last_value INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (store_code, period)
+      );
+
+      -- Sales orders / invoices created from accepted quotes
+      CREATE TABLE IF NOT EXISTS sales_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER UNIQUE NOT NULL,
+        client_id INTEGER NOT NULL,
+        client_name TEXT,
+        client_rnc TEXT,
+        ncf TEXT UNIQUE NOT NULL,
+        ncf_type TEXT NOT NULL,
+        subtotal DECIMAL(10, 2) NOT NULL,
+        itbis DECIMAL(10, 2) DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        notes TEXT,
+        status TEXT DEFAULT 'issued',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by INTEGER,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id),
+        FOREIGN KEY (client_id) REFERENCES clients(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Sales order items (copied from the quote lines at conversion time)
+      CREATE TABLE IF NOT EXISTS sales_order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        product_ean TEXT,
+        product_name TEXT,
+        product_description TEXT,
+        quantity DECIMAL(10, 3) NOT NULL,
+        price DECIMAL(10, 2) NOT NULL,
+        itbis DECIMAL(10, 2) DEFAULT 0,
+        total DECIMAL(10, 2) NOT NULL,
+        tax_rule_name TEXT,
+        tax_rate DECIMAL(5, 2),
+        FOREIGN KEY (order_id) REFERENCES sales_orders(id) ON DELETE CASCADE
+      );
+
+      -- NCF (Número de Comprobante Fiscal) ranges authorised by DGII, one per type
+      CREATE TABLE IF NOT EXISTS ncf_sequences (
+        ncf_type TEXT PRIMARY KEY,
+        description TEXT,
+        last_value INTEGER NOT NULL DEFAULT 0,
+        range_start INTEGER,
+        range_end INTEGER,
+        valid_until DATE,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Stock held for quotes: active (lapses at expires_at), allocated (accepted), finalized (ordered)
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        reserved_quantity DECIMAL(10, 3) NOT NULL,
+        status TEXT DEFAULT 'active',
+        order_id INTEGER,
+        expires_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (quote_id, product_id),
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES sales_orders(id)
+      );
+
+      -- Stores and distribution centres stock is kept in. code is the PIM inventory location (web_inventory.pl);
+      -- coordinates, or else the zone, decide which locations are nearby
+      CREATE TABLE IF NOT EXISTS stock_locations (
+        code TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'store' CHECK (type IN ('store', 'dc')),
+        zone TEXT,
+        latitude DECIMAL(9, 6),
+        longitude DECIMAL(9, 6),
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Price lists. A list with a segment applies to clients of that segment, one without to everyone else
+      CREATE TABLE IF NOT EXISTS price_lists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        segment TEXT,
+        discount_percent DECIMAL(5, 2) DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Product prices in a list; several rows per product with min_quantity give volume breaks
+      CREATE TABLE IF NOT EXISTS price_list_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        price_list_id INTEGER NOT NULL,
+        product_id TEXT NOT NULL,
+        min_quantity DECIMAL(10, 3) NOT NULL DEFAULT 1,
+        price DECIMAL(10, 2) NOT NULL,
+        UNIQUE (price_list_id, product_id, min_quantity),
+        FOREIGN KEY (price_list_id) REFERENCES price_lists(id) ON DELETE CASCADE
+      );
+
+      -- Quote status changes, pinned to the revision in effect at the time
+      CREATE TABLE IF NOT EXISTS quote_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        previous_status TEXT,
+        new_status TEXT NOT NULL,
+        changed_by INTEGER,
+        change_reason TEXT,
+        notes TEXT,
+        metadata TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id)
+      );
+
+      -- Client portal. 'access_granted' rows are the links sent to clients; every other row is
+      -- something the client did through a link (viewed, accepted, rejected, changes_requested)
+      CREATE TABLE IF NOT EXISTS quote_client_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        action_type TEXT NOT NULL,
+        client_email TEXT,
+        client_ip TEXT,
+        user_agent TEXT,
+        access_token TEXT,
+        comments TEXT,
+        signature_name TEXT,
+        metadata TEXT,
+        expires_at DATETIME,
+        revoked_at DATETIME,
+        revoked_by INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (revoked_by) REFERENCES users(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Signed client acceptances: document is the exact PDF the client accepted (quote plus
+      -- acceptance page) and document_sha256 its hash, so the accepted version can be proven unchanged
+      CREATE TABLE IF NOT EXISTS quote_acceptances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        client_action_id INTEGER,
+        revision_number INTEGER,
+        signer_name TEXT,
+        signer_email TEXT,
+        signer_ip TEXT,
+        user_agent TEXT,
+        signature_image BLOB,
+        accepted_at DATETIME NOT NULL,
+        document BLOB NOT NULL,
+        document_sha256 TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (client_action_id) REFERENCES quote_client_actions(id)
+      );
+
+      -- Outgoing email queue, processed by the scheduled email task
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER,
+        recipient_email TEXT NOT NULL,
+        sender_user_id INTEGER,
+        category TEXT,
+        email_data TEXT NOT NULL,
+        priority INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        error_message TEXT,
+        scheduled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS email_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER,
+        recipient_email TEXT,
+        sender_user_id INTEGER,
+        subject TEXT,
+        message_id TEXT,
+        status TEXT,
+        delivery_status TEXT,
+        sent_at DATETIME,
+        delivered_at DATETIME,
+        opened_at DATETIME,
+        clicked_at DATETIME,
+        bounced_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Follow-up cadence: each step fires a number of days after the quote was sent, before it
+      -- expires, or on the expiry date
+      CREATE TABLE IF NOT EXISTS quote_followup_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        trigger_type TEXT NOT NULL CHECK (trigger_type IN ('after_sent', 'before_expiry', 'on_expiry')),
+        offset_days INTEGER NOT NULL DEFAULT 0,
+        template TEXT NOT NULL,
+        active BOOLEAN DEFAULT 1,
+        created_by INTEGER,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- One row per follow-up queued, so a step never fires twice for the same due date
+      CREATE TABLE IF NOT EXISTS quote_followups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        step_id INTEGER NOT NULL,
+        due_date DATE NOT NULL,
+        email_queue_id INTEGER,
+        recipient_email TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(quote_id, step_id, due_date),
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (step_id) REFERENCES quote_followup_steps(id),
+        FOREIGN KEY (email_queue_id) REFERENCES email_queue(id)
+      );
+
+      -- Client contacts, each with a role (purchasing, billing, ...). One contact per client can be primary.
+      CREATE TABLE IF NOT EXISTS client_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'other' CHECK (role IN ('purchasing', 'billing', 'delivery', 'technical', 'management', 'other')),
+        position TEXT,
+        email TEXT,
+        phone TEXT,
+        is_primary BOOLEAN DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_by INTEGER,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Client delivery addresses. One address per client can be the default.
+      CREATE TABLE IF NOT EXISTS client_addresses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        address_line TEXT NOT NULL,
+        city TEXT,
+        province TEXT,
+        reference TEXT,
+        contact_phone TEXT,
+        is_default BOOLEAN DEFAULT 0,
+        active BOOLEAN DEFAULT 1,
+        created_by INTEGER,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Free-form notes salespeople keep on a client (calls, visits, agreements)
+      CREATE TABLE IF NOT EXISTS client_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id INTEGER NOT NULL,
+        note TEXT NOT NULL,
+        contact_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+        FOREIGN KEY (contact_id) REFERENCES client_contacts(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- DGII taxpayer registry, replaced on every import of the downloadable RNC file
+      CREATE TABLE IF NOT EXISTS dgii_taxpayers (
+        rnc TEXT PRIMARY KEY,
+        legal_name TEXT NOT NULL,
+        trade_name TEXT,
+        activity TEXT,
+        registered_on TEXT,
+        status TEXT,
+        payment_regime TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS dgii_registry_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name TEXT NOT NULL,
+        file_modified_at DATETIME,
+        imported_count INTEGER NOT NULL DEFAULT 0,
+        skipped_count INTEGER NOT NULL DEFAULT 0,
+        flagged_clients INTEGER NOT NULL DEFAULT 0,
+        imported_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (imported_by) REFERENCES users(id)
+      );
+
+      -- Approval chains: ordered approver steps for an amount band (in DOP) and/or a discount level
+      CREATE TABLE IF NOT EXISTS approval_chains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        min_total DECIMAL(12, 2),
+        max_total DECIMAL(12, 2),
+        min_discount_percent DECIMAL(5, 2),
+        active BOOLEAN DEFAULT 1,
+        created_by INTEGER,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- A step is approved by anyone with approver_role, or only by approver_user_id when set
+      CREATE TABLE IF NOT EXISTS approval_chain_steps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id INTEGER NOT NULL,
+        step_order INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        approver_role TEXT NOT NULL,
+        approver_user_id INTEGER,
+        sla_hours INTEGER NOT NULL DEFAULT 24,
+        escalate_to_role TEXT DEFAULT 'admin',
+        UNIQUE(chain_id, step_order),
+        FOREIGN KEY (chain_id) REFERENCES approval_chains(id) ON DELETE CASCADE,
+        FOREIGN KEY (approver_user_id) REFERENCES users(id)
+      );
+
+      -- One row per submission of a quote for approval, with the chain copied at that moment
+      CREATE TABLE IF NOT EXISTS quote_approval_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id INTEGER NOT NULL,
+        chain_id INTEGER,
+        chain_name TEXT NOT NULL,
+        revision_number INTEGER,
+        amount_dop DECIMAL(12, 2),
+        discount_percent DECIMAL(5, 2),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        requested_by INTEGER,
+        comments TEXT,
+        completed_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (chain_id) REFERENCES approval_chains(id),
+        FOREIGN KEY (requested_by) REFERENCES users(id)
+      );
+
+      -- Steps of an approval request. Only one is pending at a time; later steps wait their turn.
+      CREATE TABLE IF NOT EXISTS quote_approvals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id INTEGER NOT NULL,
+        quote_id INTEGER NOT NULL,
+        step_order INTEGER NOT NULL,
+        step_name TEXT NOT NULL,
+        approver_role TEXT NOT NULL,
+        approver_id INTEGER,
+        sla_hours INTEGER NOT NULL DEFAULT 24,
+        escalate_to_role TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'pending', 'approved', 'rejected', 'skipped')),
+        due_at DATETIME,
+        escalated_at DATETIME,
+        escalated_from_role TEXT,
+        decided_by INTEGER,
+        on_behalf_of INTEGER,
+        comments TEXT,
+        decided_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (request_id) REFERENCES quote_approval_requests(id) ON DELETE CASCADE,
+        FOREIGN KEY (quote_id) REFERENCES quotes(id) ON DELETE CASCADE,
+        FOREIGN KEY (approver_id) REFERENCES users(id),
+        FOREIGN KEY (decided_by) REFERENCES users(id),
+        FOREIGN KEY (on_behalf_of) REFERENCES users(id)
+      );
+
+      -- Out-of-office delegation: delegate_id decides for user_id between starts_at and ends_at
+      CREATE TABLE IF NOT EXISTS approval_delegations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        delegate_id INTEGER NOT NULL,
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME NOT NULL,
+        reason TEXT,
+        created_by INTEGER,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (delegate_id) REFERENCES users(id),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Quote templates: named item bundles with default notes and validity
+      CREATE TABLE IF NOT EXISTS quote_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        notes TEXT,
+        validity_days INTEGER,
+        active BOOLEAN DEFAULT 1,
+        created_by INTEGER,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Template lines keep a reference price; quotes are priced from the catalog when the template is used
+      CREATE TABLE IF NOT EXISTS quote_template_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        template_id INTEGER NOT NULL,
+        product_id TEXT,
+        product_ean TEXT,
+        product_name TEXT NOT NULL,
+        product_description TEXT,
+        product_category TEXT,
+        quantity DECIMAL(10, 3) NOT NULL DEFAULT 1,
+        price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        discount_type TEXT,
+        discount_value DECIMAL(10, 2),
+        sort_order INTEGER DEFAULT 0,
+        FOREIGN KEY (template_id) REFERENCES quote_templates(id) ON DELETE CASCADE
+      );
+
+      -- Exchange rates to the base currency (DOP): pesos per unit of \`currency\` from effective_date on
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        currency TEXT NOT NULL,
+        rate DECIMAL(12, 6) NOT NULL,
+        effective_date DATE NOT NULL,
+        source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (currency, effective_date),
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Quote workflow settings (approval thresholds)
+      CREATE TABLE IF NOT EXISTS quote_workflow_settings (
+        setting_key TEXT PRIMARY KEY,
+        setting_value TEXT,
+        description TEXT,
+        updated_by INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Tax rules (ITBIS). A line takes the first match of: client RNC, product, category, default
+      CREATE TABLE IF NOT EXISTS tax_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL CHECK (scope IN ('default', 'category', 'product', 'client')),
+        match_value TEXT,
+        rate DECIMAL(5, 2) NOT NULL DEFAULT 18,
+        price_mode TEXT NOT NULL DEFAULT 'exclusive' CHECK (price_mode IN ('exclusive', 'inclusive')),
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Minimum ERP stock for a product to be published in the catalog. A product takes the first
+      -- match of: brand, category, area; the DEFAULT area applies to everything else
+      CREATE TABLE IF NOT EXISTS catalog_thresholds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL CHECK (scope IN ('area', 'category', 'brand')),
+        match_value TEXT NOT NULL,
+        threshold INTEGER NOT NULL CHECK (threshold >= 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER,
+        UNIQUE (scope, match_value),
+        FOREIGN KEY (updated_by) REFERENCES users(id)
+      );
+
+      -- Who created, changed or removed a publishing threshold, with the values before and after
+      CREATE TABLE IF NOT EXISTS catalog_threshold_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        threshold_id INTEGER NOT NULL,
+        scope TEXT NOT NULL,
+        match_value TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+        old_threshold INTEGER,
+        new_threshold INTEGER,
+        changed_by INTEGER,
+        changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (changed_by) REFERENCES users(id)
+      );
+
+      -- Catalog sync snapshots: the ERP vs PIM classification of every SKU at a point in time
+      CREATE TABLE IF NOT EXISTS catalog_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger_type TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger_type IN ('scheduled', 'manual')),
+        total_products INTEGER NOT NULL DEFAULT 0,
+        new_count INTEGER NOT NULL DEFAULT 0,
+        obsolete_count INTEGER NOT NULL DEFAULT 0,
+        available_count INTEGER NOT NULL DEFAULT 0,
+        processing_time_ms INTEGER,
+        items_pruned BOOLEAN DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      );
+
+      -- Counts per area of each snapshot, kept after the per-SKU rows are pruned for the trends
+      CREATE TABLE IF NOT EXISTS catalog_snapshot_areas (
+        snapshot_id INTEGER NOT NULL,
+        area TEXT NOT NULL,
+        total_products INTEGER NOT NULL DEFAULT 0,
+        new_count INTEGER NOT NULL DEFAULT 0,
+        obsolete_count INTEGER NOT NULL DEFAULT 0,
+        available_count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (snapshot_id, area),
+        FOREIGN KEY (snapshot_id) REFERENCES catalog_snapshots(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS catalog_snapshot_items (
+        snapshot_id INTEGER NOT NULL,
+        sku TEXT NOT NULL,
+        area TEXT,
+        status TEXT NOT NULL,
+        stock INTEGER,
+        threshold INTEGER,
+        PRIMARY KEY (snapshot_id, sku),
+        FOREIGN KEY (snapshot_id) REFERENCES catalog_snapshots(id) ON DELETE CASCADE
+      );
+
+      -- Catalog work queue: a task per SKU the comparison reports as new or obsolete, until an
+      -- editor resolves it or a later snapshot shows it resolved
+      CREATE TABLE IF NOT EXISTS catalog_tasks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sku TEXT NOT NULL,
+        task_type TEXT NOT NULL CHECK (task_type IN ('new_product', 'obsolete_product')),
+        area TEXT,
+        description TEXT,
+        stock INTEGER,
+        unit_price DECIMAL(10,2),
+        stock_value DECIMAL(12,2) DEFAULT 0,
+        priority TEXT NOT NULL DEFAULT 'low' CHECK (priority IN ('low', 'medium', 'high')),
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+        resolution TEXT CHECK (resolution IN ('published', 'deactivated', 'ignored', 'auto_resolved')),
+        resolution_reason TEXT,
+        assigned_to INTEGER,
+        assigned_by INTEGER,
+        assigned_at DATETIME,
+        resolved_by INTEGER,
+        resolved_at DATETIME,
+        snapshot_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assigned_to) REFERENCES users(id),
+        FOREIGN KEY (assigned_by) REFERENCES users(id),
+        FOREIGN KEY (resolved_by) REFERENCES users(id),
+        FOREIGN KEY (snapshot_id) REFERENCES catalog_snapshots(id)
+      );
+
+      -- One open task per SKU and type
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_tasks_open_sku ON catalog_tasks(sku, task_type) WHERE status = 'open';
+
+      -- Bulk activate / deactivate of PIM products, applied directly or requested for approval,
+      -- with each SKU's previous state so it can be undone
+      CREATE TABLE IF NOT EXISTS catalog_pim_actions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL CHECK (action IN ('activate', 'deactivate')),
+        status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'rejected', 'applying', 'applied', 'failed', 'undone')),
+        reason TEXT NOT NULL,
+        sku_count INTEGER NOT NULL DEFAULT 0,
+        changed_count INTEGER NOT NULL DEFAULT 0,
+        error_message TEXT,
+        requested_by INTEGER NOT NULL,
+        requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        reviewed_by INTEGER,
+        reviewed_at DATETIME,
+        review_notes TEXT,
+        applied_at DATETIME,
+        undo_until DATETIME,
+        undone_by INTEGER,
+        undone_at DATETIME,
+        FOREIGN KEY (requested_by) REFERENCES users(id),
+        FOREIGN KEY (reviewed_by) REFERENCES users(id),
+        FOREIGN KEY (undone_by) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS catalog_pim_action_items (
+        action_id INTEGER NOT NULL,
+        sku TEXT NOT NULL,
+        previous_active BOOLEAN,
+        changed BOOLEAN DEFAULT 0,
+        undone BOOLEAN DEFAULT 0,
+        PRIMARY KEY (action_id, sku),
+        FOREIGN KEY (action_id) REFERENCES catalog_pim_actions(id) ON DELETE CASCADE
+      );
+
       -- Create indexes
       CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
       CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -314,6 +1032,39 @@ async function initializeSQLiteDatabase() {
       CREATE INDEX IF NOT EXISTS idx_quotes_client_id ON quotes(client_id);
       CREATE INDEX IF NOT EXISTS idx_quotes_created_at ON quotes(created_at);
       CREATE INDEX IF NOT EXISTS idx_quote_items_quote_id ON quote_items(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_revisions_quote_id ON quote_revisions(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_revision_items_revision_id ON quote_revision_items(revision_id);
+      CREATE INDEX IF NOT EXISTS idx_tax_rules_scope ON tax_rules(scope, active);
+      CREATE INDEX IF NOT EXISTS idx_price_list_items_product ON price_list_items(price_list_id, product_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_template_items_template_id ON quote_template_items(template_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_status_history_quote_id ON quote_status_history(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_client_actions_quote_id ON quote_client_actions(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_client_actions_token ON quote_client_actions(access_token);
+      CREATE INDEX IF NOT EXISTS idx_quote_acceptances_quote_id ON quote_acceptances(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_email_queue_status ON email_queue(status, scheduled_at);
+      CREATE INDEX IF NOT EXISTS idx_email_queue_quote_id ON email_queue(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_followups_quote_id ON quote_followups(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_client_contacts_client_id ON client_contacts(client_id);
+      CREATE INDEX IF NOT EXISTS idx_client_addresses_client_id ON client_addresses(client_id);
+      CREATE INDEX IF NOT EXISTS idx_client_notes_client_id ON client_notes(client_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_email_logs_quote_id ON email_logs(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_dgii_taxpayers_legal_name ON dgii_taxpayers(legal_name);
+      CREATE INDEX IF NOT EXISTS idx_clients_rnc ON clients(rnc);
+      CREATE INDEX IF NOT EXISTS idx_approval_chain_steps_chain_id ON approval_chain_steps(chain_id, step_order);
+      CREATE INDEX IF NOT EXISTS idx_quote_approval_requests_quote_id ON quote_approval_requests(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_quote_approvals_request_id ON quote_approvals(request_id, step_order);
+      CREATE INDEX IF NOT EXISTS idx_quote_approvals_status ON quote_approvals(status, due_at);
+      CREATE INDEX IF NOT EXISTS idx_approval_delegations_user_id ON approval_delegations(user_id, starts_at, ends_at);
+      CREATE INDEX IF NOT EXISTS idx_sales_orders_created_at ON sales_orders(created_at);
+      CREATE INDEX IF NOT EXISTS idx_sales_order_items_order_id ON sales_order_items(order_id);
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_quote_id ON stock_reservations(quote_id);
+      CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations(product_id, status);
+      CREATE INDEX IF NOT EXISTS idx_catalog_threshold_changes_changed_at ON catalog_threshold_changes(changed_at);
+      CREATE INDEX IF NOT EXISTS idx_catalog_snapshots_created_at ON catalog_snapshots(created_at);
+      CREATE INDEX IF NOT EXISTS idx_catalog_tasks_assigned_to ON catalog_tasks(assigned_to, status);
+      CREATE INDEX IF NOT EXISTS idx_catalog_tasks_status ON catalog_tasks(status, priority);
+      CREATE INDEX IF NOT EXISTS idx_catalog_tasks_resolved_at ON catalog_tasks(resolved_at);
+      CREATE INDEX IF NOT EXISTS idx_catalog_pim_actions_status ON catalog_pim_actions(status, requested_at);
 
       -- Create default admin user (only if no users exist)
       -- Note: Password will be generated dynamically and logged to console on first run
@@ -322,6 +1073,57 @@ async function initializeSQLiteDatabase() {
       INSERT INTO clients (name, email, phone, company, address, rnc) 
       SELECT 'Mario Lama', 'mario@example.com', '(809) 123-4567', 'Empresa Demo', 'Santo Domingo, República Dominicana', '101-12345-6'
       WHERE NOT EXISTS (SELECT 1 FROM clients LIMIT 1);
+
+      -- Default ITBIS rule (18%, prices exclusive of tax)
+      INSERT INTO tax_rules (name, scope, rate, price_mode)
+      SELECT 'ITBIS 18%', 'default', 18, 'exclusive'
+      WHERE NOT EXISTS (SELECT 1 FROM tax_rules WHERE scope = 'default');
+
+      -- NCF types used for quote conversions: B01 crédito fiscal (client has RNC), B02 consumo final.
+      -- Nothing is issued until an admin loads the range and expiry DGII authorised for each type.
+      INSERT OR IGNORE INTO ncf_sequences (ncf_type, description) VALUES ('B01', 'Crédito Fiscal');
+      INSERT OR IGNORE INTO ncf_sequences (ncf_type, description) VALUES ('B02', 'Consumo Final');
+
+      INSERT OR IGNORE INTO quote_workflow_settings (setting_key, setting_value, description)
+      VALUES ('approval_discount_threshold', '10', 'Discount percentage above which a quote needs approval');
+
+      INSERT OR IGNORE INTO quote_workflow_settings (setting_key, setting_value, description)
+      VALUES ('credit_limit_action', 'approval', 'When open quotes plus balance exceed a client''s credit limit: warn or approval');
+
+      INSERT OR IGNORE INTO quote_workflow_settings (setting_key, setting_value, description)
+      VALUES ('stock_reservations_enabled', '1', 'Hold stock for quotes (1) or not (0)');
+
+      INSERT OR IGNORE INTO quote_workflow_settings (setting_key, setting_value, description)
+      VALUES ('stock_reservation_minutes', '30', 'Minutes stock is held for a new quote');
+
+      INSERT OR IGNORE INTO quote_workflow_settings (setting_key, setting_value, description)
+      VALUES ('stock_reservation_sent_days', '7', 'Days stock is held once a quote is sent');
+
+      -- Default follow-up cadence (only if none has been configured)
+      INSERT INTO quote_followup_steps (name, trigger_type, offset_days, template)
+      SELECT * FROM (
+        SELECT 'Seguimiento 3 días después del envío', 'after_sent', 3, 'quote_follow_up'
+        UNION ALL SELECT 'Recordatorio 2 días antes del vencimiento', 'before_expiry', 2, 'quote_reminder'
+        UNION ALL SELECT 'Aviso de vencimiento', 'on_expiry', 0, 'quote_expired'
+      )
+      WHERE NOT EXISTS (SELECT 1 FROM quote_followup_steps);
+
+      -- Per-area publishing thresholds previously hard-coded in catalog/models.js (only if none are stored)
+      INSERT INTO catalog_thresholds (scope, match_value, threshold)
+      SELECT * FROM (
+        SELECT 'area', 'ELECTRODOMESTICOS', 5
+        UNION ALL SELECT 'area', 'FERRETERIA Y AUTOMOTORES', 10
+        UNION ALL SELECT 'area', 'SUPERMERCADO', 15
+        UNION ALL SELECT 'area', 'MODA', 5
+        UNION ALL SELECT 'area', 'DEPORTES', 8
+        UNION ALL SELECT 'area', 'JUGUETES', 10
+        UNION ALL SELECT 'area', 'HOGAR', 12
+        UNION ALL SELECT 'area', 'LIBRERIA', 20
+        UNION ALL SELECT 'area', 'AUTOMOTRIZ', 3
+        UNION ALL SELECT 'area', 'OFICINA', 15
+        UNION ALL SELECT 'area', 'DEFAULT', 10
+      )
+      WHERE NOT EXISTS (SELECT 1 FROM catalog_thresholds);
     `;
 
     // Using raw SQLite connection for schema creation
@@ -334,16 +1136,27 @@ async function initializeSQLiteDatabase() {
         db.exec(schema, async (err) => {
           if (err) {
             console.error('Error initializing SQLite database:', err.message);
+            db.close();
             reject(err);
-          } else {
-            console.log('SQLite database initialized successfully');
-            
-            // Create secure default admin user if no users exist
-            await createDefaultAdminUser();
-            
-            resolve();
+            return;
+          }
+
+          try {
+            await applyColumnMigrations(db);
+          } catch (migrationError) {
+            console.error('Error applying SQLite column migrations:', migrationError.message);
+            db.close();
+            reject(migrationError);
+            return;
           }
+
+          console.log('SQLite database initialized successfully');
           db.close();
+
+          // Create secure default admin user if no users exist
+          await createDefaultAdminUser();
+
+          resolve();
         });
       }
     });
@@ -25,7 +25,8 @@ class AuthMiddleware {
         const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
         const decoded = await this.authService.verifyToken(token);
-        req.user = decoded;
+        // Tokens carry userId; controllers read req.user.id
+        req.user = { ...decoded, id: decoded.userId };
 
         next();
       } catch (error) {
@@ -78,7 +79,7 @@ class AuthMiddleware {
         if (authHeader && authHeader.startsWith('Bearer ')) {
           const token = authHeader.substring(7);
           const decoded = await this.authService.verifyToken(token);
-          req.user = decoded;
+          req.user = { ...decoded, id: decoded.userId };
         }
 
         next();
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { validateTaxId } = require('../utils/rnc');
 
 /**
  * Handle validation errors
@@ -135,9 +136,15 @@ const validateClient = [
     .withMessage('Company name must not exceed 100 characters'),
   
   body('rnc')
-    .optional()
-    .matches(/^[0-9]{3}-[0-9]{5,7}-[0-9]$/)
-    .withMessage('RNC must be in format XXX-XXXXXXX-X'),
+    .optional({ values: 'falsy' })
+    .custom(value => {
+      const taxId = validateTaxId(value);
+      if (!taxId.valid) {
+        throw new Error(taxId.error);
+      }
+      return true;
+    })
+    .customSanitizer(value => validateTaxId(value).taxId),
   
   handleValidationErrors
 ];
@@ -3,6 +3,7 @@ const XLSX = require('xlsx');
 const moment = require('moment');
 const fs = require('fs');
 const path = require('path');
+const { BASE_CURRENCY, formatMoney } = require('../utils/currency');
 
 class ExportService {
   constructor() {
@@ -60,18 +61,32 @@ class ExportService {
   }
 
   /**
-   * Generate Excel file
+   * Generate Excel file. Pass `sheets` ([{ sheetName, title, data }]) for a workbook with several sheets.
    */
   generateExcel(options) {
     const {
       title,
       data,
       sheetName = 'Report',
+      sheets,
       metadata = {}
     } = options;
 
     const workbook = XLSX.utils.book_new();
-    
+    const sheetList = sheets || [{ sheetName, title, data }];
+
+    sheetList.forEach(sheet => {
+      const worksheet = this.buildWorksheet(sheet.title, sheet.data, metadata);
+      XLSX.utils.book_append_sheet(workbook, worksheet, sheet.sheetName);
+    });
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Build one worksheet: metadata header, title and a table with a column per key of the rows
+   */
+  buildWorksheet(title, data, metadata = {}) {
     // Create worksheet
     let worksheetData = [];
 
@@ -105,7 +120,7 @@ class ExportService {
           if (value && moment(value, moment.ISO_8601, true).isValid()) {
             value = moment(value).format('YYYY-MM-DD HH:mm:ss');
           }
-          return value || '';
+          return value ?? '';
         });
         worksheetData.push(rowData);
       });
@@ -124,9 +139,7 @@ class ExportService {
 
     worksheet['!cols'] = columnWidths.map(width => ({ width: Math.min(width + 2, 50) }));
 
-    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
-
-    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    return worksheet;
   }
 
   /**
@@ -221,9 +234,10 @@ class ExportService {
 
         // Format value based on column type
         if (column.type === 'currency') {
+          // Rows that carry their own currency (e.g. USD quotes) are shown in it
           value = new Intl.NumberFormat('es-DO', {
             style: 'currency',
-            currency: 'DOP'
+            currency: row.currency || BASE_CURRENCY
           }).format(value || 0);
         } else if (column.type === 'date') {
           value = value ? moment(value).format('YYYY-MM-DD') : '';
@@ -275,9 +289,9 @@ class ExportService {
   }
 
   /**
-   * Create quote PDF
+   * Create quote PDF. With `acceptance` the client's signed acceptance is added as the last page.
    */
-  async generateQuotePDF(quote, client, items) {
+  async generateQuotePDF(quote, client, items, { acceptance = null } = {}) {
     const doc = new PDFDocument({ margin: 50 });
 
     return new Promise((resolve, reject) => {
@@ -305,6 +319,9 @@ class ExportService {
         // Quote info
         doc.text(`Fecha: ${moment(quote.created_at).format('DD/MM/YYYY')}`, 350, 180);
         doc.text(`Válida hasta: ${quote.valid_until ? moment(quote.valid_until).format('DD/MM/YYYY') : 'N/A'}`, 350, 195);
+        if (quote.currency && quote.currency !== BASE_CURRENCY) {
+          doc.text(`Moneda: ${quote.currency} (tasa ${parseFloat(quote.exchange_rate).toFixed(4)})`, 350, 210);
+        }
 
         // Items table
         let yPos = 270;
@@ -322,16 +339,15 @@ class ExportService {
 
         // Items
         doc.font('Helvetica').fontSize(9);
-        let subtotal = 0;
         
         items.forEach(item => {
-          const itemTotal = parseFloat(item.quantity) * parseFloat(item.price);
-          subtotal += itemTotal;
+          // Amounts come from the stored line so historic quotes keep their original ITBIS
+          const itemTotal = parseFloat(item.total) || 0;
 
           doc.text(item.product_name, 50, yPos, { width: 280 });
           doc.text(item.quantity.toString(), 350, yPos);
-          doc.text(`$${parseFloat(item.price).toFixed(2)}`, 400, yPos);
-          doc.text(`$${itemTotal.toFixed(2)}`, 480, yPos);
+          doc.text(formatMoney(item.price, quote.currency), 400, yPos);
+          doc.text(formatMoney(itemTotal, quote.currency), 480, yPos);
           
           yPos += 25;
         });
@@ -341,20 +357,34 @@ class ExportService {
         doc.moveTo(350, yPos).lineTo(550, yPos).stroke();
         yPos += 15;
 
-        const itbis = subtotal * 0.18;
-        const total = subtotal + itbis;
+        const discountTotal = parseFloat(quote.discount_total) || 0;
+        const subtotal = parseFloat(quote.subtotal) || 0;
+        const itbis = parseFloat(quote.itbis) || 0;
+        const total = parseFloat(quote.total) || 0;
+
+        // Show the rate only when every line was taxed at the same one
+        const rates = [...new Set(items.map(item => item.tax_rate).filter(rate => rate !== null && rate !== undefined))];
+        const itbisLabel = rates.length === 1 && items.every(item => item.tax_rate !== null && item.tax_rate !== undefined)
+          ? `ITBIS (${parseFloat(rates[0])}%):`
+          : 'ITBIS:';
 
         doc.fontSize(10).font('Helvetica-Bold');
+        if (discountTotal > 0) {
+          doc.text('Descuento:', 400, yPos);
+          doc.text(formatMoney(-discountTotal, quote.currency), 480, yPos);
+          yPos += 15;
+        }
+
         doc.text('Subtotal:', 400, yPos);
-        doc.text(`$${subtotal.toFixed(2)}`, 480, yPos);
+        doc.text(formatMoney(subtotal, quote.currency), 480, yPos);
         yPos += 15;
 
-        doc.text('ITBIS (18%):', 400, yPos);
-        doc.text(`$${itbis.toFixed(2)}`, 480, yPos);
+        doc.text(itbisLabel, 400, yPos);
+        doc.text(formatMoney(itbis, quote.currency), 480, yPos);
         yPos += 15;
 
         doc.text('TOTAL:', 400, yPos);
-        doc.text(`$${total.toFixed(2)}`, 480, yPos);
+        doc.text(formatMoney(total, quote.currency), 480, yPos);
 
         // Notes
         if (quote.notes) {
@@ -364,6 +394,152 @@ class ExportService {
           doc.text(quote.notes, 50, yPos + 15, { width: 500 });
         }
 
+        if (acceptance) {
+          this.addAcceptancePage(doc, quote, acceptance);
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Add the acceptance record page: who accepted, from where and when, and the drawn signature
+   */
+  addAcceptancePage(doc, quote, acceptance) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(16).text('CONSTANCIA DE ACEPTACIÓN', 50, 50, { align: 'center' });
+
+    doc.font('Helvetica').fontSize(10)
+       .text(`Cotización No. ${quote.quote_number}${acceptance.revision_number ? ` (revisión ${acceptance.revision_number})` : ''}`, 50, 90)
+       .text(`Total aceptado: ${formatMoney(quote.total, quote.currency)}`, 50, 105);
+
+    const rows = [
+      ['Firmante', acceptance.signer_name || 'N/A'],
+      ['Email', acceptance.signer_email || 'N/A'],
+      ['Fecha y hora', moment.utc(acceptance.accepted_at).format('DD/MM/YYYY HH:mm:ss [UTC]')],
+      ['Dirección IP', acceptance.signer_ip || 'N/A'],
+      ['Navegador', acceptance.user_agent || 'N/A']
+    ];
+
+    let yPos = 140;
+    rows.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}:`, 50, yPos);
+      doc.font('Helvetica').text(value, 150, yPos, { width: 400 });
+      yPos += Math.max(15, doc.heightOfString(value, { width: 400 }) + 5);
+    });
+
+    yPos += 20;
+    doc.font('Helvetica-Bold').text('Firma:', 50, yPos);
+    if (acceptance.signature_image) {
+      doc.image(acceptance.signature_image, 150, yPos, { fit: [250, 100] });
+    } else {
+      doc.font('Helvetica').text('(sin firma dibujada)', 150, yPos);
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666')
+       .text(
+         'El cliente aceptó esta cotización electrónicamente a través del portal de clientes. '
+         + 'La huella SHA-256 de este documento se conserva para comprobar que no ha sido modificado.',
+         50, yPos + 130, { width: 500 }
+       )
+       .fillColor('black');
+  }
+
+  /**
+   * Create invoice PDF for an order converted from a quote
+   */
+  async generateInvoicePDF(order, items) {
+    const doc = new PDFDocument({ margin: 50 });
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+      try {
+        // Header
+        const title = order.ncf_type === 'B01' ? 'FACTURA DE CRÉDITO FISCAL' : 'FACTURA DE CONSUMO';
+        doc.fontSize(20).text(title, 50, 50, { align: 'center' });
+        doc.fontSize(11).text(`NCF: ${order.ncf}`, 400, 80);
+        doc.fontSize(9).text(`Cotización: ${order.quote_number}`, 400, 95);
+
+        // Company info
+        doc.fontSize(14).text(process.env.COMPANY_NAME || 'Plaza Lama', 50, 100);
+        doc.fontSize(10)
+           .text(`RNC: ${process.env.COMPANY_RNC || '101-17111-1'}`, 50, 120)
+           .text('República Dominicana', 50, 135);
+
+        // Client info
+        doc.fontSize(12).text('CLIENTE:', 50, 170);
+        doc.fontSize(10)
+           .text(`Nombre: ${order.client_name || 'N/A'}`, 50, 190)
+           .text(`RNC/Cédula: ${order.client_rnc || 'N/A'}`, 50, 205)
+           .text(`Dirección: ${order.client_address || 'N/A'}`, 50, 220, { width: 280 });
+
+        doc.text(`Fecha: ${moment(order.created_at).format('DD/MM/YYYY')}`, 350, 190);
+        if (order.currency && order.currency !== BASE_CURRENCY) {
+          doc.text(`Moneda: ${order.currency} (tasa ${parseFloat(order.exchange_rate).toFixed(4)})`, 350, 205);
+        }
+
+        // Items table
+        let yPos = 260;
+
+        doc.fontSize(10).font('Helvetica-Bold');
+        doc.text('Descripción', 50, yPos);
+        doc.text('Cant.', 300, yPos);
+        doc.text('Precio', 345, yPos);
+        doc.text('ITBIS', 415, yPos);
+        doc.text('Total', 480, yPos);
+
+        yPos += 20;
+        doc.moveTo(50, yPos).lineTo(550, yPos).stroke();
+        yPos += 10;
+
+        doc.font('Helvetica').fontSize(9);
+
+        items.forEach(item => {
+          doc.text(item.product_name, 50, yPos, { width: 240 });
+          doc.text(item.quantity.toString(), 300, yPos);
+          doc.text(formatMoney(item.price, order.currency), 345, yPos);
+          doc.text(formatMoney(item.itbis, order.currency), 415, yPos);
+          doc.text(formatMoney(item.total, order.currency), 480, yPos);
+
+          yPos += 25;
+        });
+
+        // Totals
+        yPos += 20;
+        doc.moveTo(350, yPos).lineTo(550, yPos).stroke();
+        yPos += 15;
+
+        doc.fontSize(10).font('Helvetica-Bold');
+        if (parseFloat(order.discount_total) > 0) {
+          doc.text('Descuento:', 400, yPos);
+          doc.text(formatMoney(-order.discount_total, order.currency), 480, yPos);
+          yPos += 15;
+        }
+
+        doc.text('Subtotal:', 400, yPos);
+        doc.text(formatMoney(order.subtotal, order.currency), 480, yPos);
+        yPos += 15;
+
+        doc.text('ITBIS:', 400, yPos);
+        doc.text(formatMoney(order.itbis, order.currency), 480, yPos);
+        yPos += 15;
+
+        doc.text('TOTAL:', 400, yPos);
+        doc.text(formatMoney(order.total, order.currency), 480, yPos);
+
+        if (order.notes) {
+          yPos += 40;
+          doc.fontSize(10).font('Helvetica');
+          doc.text('Notas:', 50, yPos);
+          doc.text(order.notes, 50, yPos + 15, { width: 500 });
+        }
+
         doc.end();
       } catch (error) {
         reject(error);
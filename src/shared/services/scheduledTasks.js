@@ -1,5 +1,13 @@
 const cron = require('node-cron');
 const loggingService = require('./loggingService');
+const emailQueueService = require('../../modules/quotes/services/emailQueueService');
+const quoteFollowUpService = require('../../modules/quotes/services/quoteFollowUpService');
+const quoteExpiryService = require('../../modules/quotes/services/quoteExpiryService');
+const approvalService = require('../../modules/quotes/services/approvalService');
+const taxpayerRegistryService = require('../../modules/quotes/services/taxpayerRegistryService');
+const creditService = require('../../modules/quotes/services/creditService');
+const stockReservationService = require('../../modules/quotes/services/stockReservationService');
+const catalogSnapshotService = require('../../modules/catalog/snapshotService');
 
 class ScheduledTasks {
     constructor() {
@@ -22,6 +30,21 @@ class ScheduledTasks {
             schedule: 'Daily at 2:00 AM'
         });
 
+        // Store the night's ERP vs PIM classification for the catalog trends
+        const catalogSnapshotTask = cron.schedule('30 2 * * *', () => {
+            catalogSnapshotService.takeSnapshot().catch(error => {
+                loggingService.error('Catalog snapshot failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Catalog Snapshot',
+            task: catalogSnapshotTask,
+            schedule: 'Daily at 2:30 AM'
+        });
+
         // Log system metrics every hour
         const metricsTask = cron.schedule('0 * * * *', () => {
             const metrics = loggingService.getMetrics();
@@ -42,6 +65,109 @@ class ScheduledTasks {
             task: metricsTask,
             schedule: 'Every hour'
         });
+
+        // Send queued emails every minute
+        const emailQueueTask = cron.schedule('* * * * *', () => {
+            emailQueueService.processQueue();
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Email Queue',
+            task: emailQueueTask,
+            schedule: 'Every minute'
+        });
+
+        // Escalate approval steps that have been pending past their SLA
+        const approvalEscalationTask = cron.schedule('15 * * * *', () => {
+            approvalService.escalateOverdue().catch(error => {
+                loggingService.error('Approval escalation run failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Approval Escalation',
+            task: approvalEscalationTask,
+            schedule: 'Every hour at :15'
+        });
+
+        // Expire quotes past their valid_until and send each salesperson a digest
+        const quoteExpiryTask = cron.schedule('5 0 * * *', () => {
+            quoteExpiryService.run().catch(error => {
+                loggingService.error('Quote expiry run failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Quote Expiry',
+            task: quoteExpiryTask,
+            schedule: 'Daily at 12:05 AM'
+        });
+
+        // Re-import the DGII taxpayer registry when its file has been replaced
+        const taxpayerRegistryTask = cron.schedule('30 3 * * *', () => {
+            taxpayerRegistryService.runScheduledImport().catch(error => {
+                loggingService.error('DGII registry import failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'DGII Registry Import',
+            task: taxpayerRegistryTask,
+            schedule: 'Daily at 3:30 AM'
+        });
+
+        // Give back stock held by quotes whose hold lapsed
+        const reservationCleanupTask = cron.schedule('*/15 * * * *', () => {
+            stockReservationService.releaseExpired().catch(error => {
+                loggingService.error('Stock reservation cleanup failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Stock Reservation Cleanup',
+            task: reservationCleanupTask,
+            schedule: 'Every 15 minutes'
+        });
+
+        // Sync client outstanding balances from the ERP (skipped when Oracle or the query is not set up)
+        const erpBalanceTask = cron.schedule('0 4 * * *', () => {
+            creditService.importErpBalances().catch(error => {
+                loggingService.error('ERP balance import failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'ERP Balance Sync',
+            task: erpBalanceTask,
+            schedule: 'Daily at 4:00 AM'
+        });
+
+        // Queue the quote follow-ups that fall due today
+        const quoteFollowUpTask = cron.schedule('0 8 * * *', () => {
+            quoteFollowUpService.run().catch(error => {
+                loggingService.error('Quote follow-up run failed', error);
+            });
+        }, {
+            scheduled: false
+        });
+
+        this.tasks.push({
+            name: 'Quote Follow-ups',
+            task: quoteFollowUpTask,
+            schedule: 'Daily at 8:00 AM'
+        });
     }
 
     startAll() {
@@ -0,0 +1,29 @@
+// Amounts are stored in the currency of the document they belong to; reports
+// convert them to the base currency with the exchange rate snapshotted on it.
+const BASE_CURRENCY = 'DOP';
+
+const CURRENCY_SYMBOLS = {
+  DOP: 'RD$',
+  USD: 'US$'
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_SYMBOLS);
+
+function formatMoney(amount, currency = BASE_CURRENCY) {
+  const value = parseFloat(amount) || 0;
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const sign = value < 0 ? '-' : '';
+
+  return `${sign}${symbol}${Math.abs(value).toFixed(2)}`;
+}
+
+function toBaseCurrency(amount, exchangeRate = 1) {
+  return Math.round((parseFloat(amount) || 0) * (parseFloat(exchangeRate) || 1) * 100) / 100;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  formatMoney,
+  toBaseCurrency
+};
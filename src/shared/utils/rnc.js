@@ -0,0 +1,68 @@
+// Dominican taxpayer IDs: a 9-digit RNC (companies) or an 11-digit cédula
+// (individuals). Both end in a check digit; they are stored as digits only.
+const RNC_WEIGHTS = [7, 9, 8, 6, 5, 4, 3, 2];
+
+function normalizeTaxId(value) {
+  return String(value || '').replace(/[\s-]/g, '');
+}
+
+function isValidRnc(digits) {
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+
+  const sum = RNC_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  const remainder = sum % 11;
+  const check = remainder === 0 ? 2 : remainder === 1 ? 1 : 11 - remainder;
+
+  return check === Number(digits[8]);
+}
+
+// Luhn-style: every second digit is doubled and its digits added
+function isValidCedula(digits) {
+  if (!/^\d{11}$/.test(digits)) {
+    return false;
+  }
+
+  const sum = digits.slice(0, 10).split('').reduce((total, digit, index) => {
+    const product = Number(digit) * (index % 2 === 0 ? 1 : 2);
+    return total + (product > 9 ? product - 9 : product);
+  }, 0);
+
+  return (10 - (sum % 10)) % 10 === Number(digits[10]);
+}
+
+function validateTaxId(value) {
+  const taxId = normalizeTaxId(value);
+
+  if (!/^\d+$/.test(taxId) || (taxId.length !== 9 && taxId.length !== 11)) {
+    return { valid: false, taxId, error: 'RNC must have 9 digits or cédula 11 digits' };
+  }
+
+  const type = taxId.length === 9 ? 'rnc' : 'cedula';
+  const valid = type === 'rnc' ? isValidRnc(taxId) : isValidCedula(taxId);
+
+  return valid
+    ? { valid, type, taxId }
+    : { valid, type, taxId, error: `${type === 'rnc' ? 'RNC' : 'Cédula'} check digit is invalid` };
+}
+
+function formatTaxId(value) {
+  const taxId = normalizeTaxId(value);
+
+  if (taxId.length === 9) {
+    return `${taxId.slice(0, 1)}-${taxId.slice(1, 3)}-${taxId.slice(3, 8)}-${taxId.slice(8)}`;
+  }
+  if (taxId.length === 11) {
+    return `${taxId.slice(0, 3)}-${taxId.slice(3, 10)}-${taxId.slice(10)}`;
+  }
+  return taxId;
+}
+
+module.exports = {
+  normalizeTaxId,
+  isValidRnc,
+  isValidCedula,
+  validateTaxId,
+  formatTaxId
+};